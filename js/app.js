@@ -4,19 +4,37 @@
 // =============================================================================
 
 // --- Core ---
-import { initCamera } from './core/camera.js';
+import { initCamera, listVideoInputs, stopCamera } from './core/camera.js';
+import { CAMERA_HFOV_DEG } from './core/geo.js';
+import { gridFrame } from './core/grid-frame.js';
+import { mapTiles } from './core/map-tiles.js';
+import { formatMgrs, toMgrs } from './core/mgrs.js';
 import { renderer, performanceManager } from './core/renderer.js';
 import { QualityLevel } from './core/performance.js';
+import { sessionRecorder, SessionEvent, summarizeAssessments } from './core/session-recorder.js';
+import { sessionReplay } from './core/session-replay.js';
 
 // --- Perception ---
-import { Detector } from './perception/detector.js';
-import { DepthEstimator } from './perception/depth.js';
+import { PerceptionService } from './perception/perception-service.js';
+import { modelRegistry } from './perception/model-registry.js';
+import { modelAssets } from './perception/model-assets.js';
+import { averageDepthInBox } from './perception/depth.js';
 import { Segmentor } from './perception/segmentor.js';
-import { Tracker } from './perception/tracker.js';
+import { GeoProjector } from './perception/geo-projector.js';
+import { GroundPlaneEstimator } from './perception/ground-plane.js';
+import { ImageEnhancer, ViewMode, HudPalette, MODE_SETTINGS, PALETTE_TINT, THERMAL_HFOV_DEG, isThermalSource } from './perception/night-vision.js';
 
 // --- Intelligence ---
 import { MavenMock } from './intel/maven-mock.js';
+import { intelRegistry } from './intel/intel-registry.js';
+import { INTEL_TYPES } from './intel/scenario-format.js';
+import { MavenMockSource } from './intel/sources/maven-mock-source.js';
+import { WebSocketIntelSource } from './intel/sources/websocket-source.js';
+import { FileIntelSource } from './intel/sources/file-source.js';
+import { CotIntelSource } from './intel/sources/cot-source.js';
 import { threatEngine } from './intel/threat-engine.js';
+import { threatProfiles } from './intel/threat-profiles.js';
+import { classificationBelief } from './intel/classification-belief.js';
 import { terrainAnalyzer } from './intel/terrain-analyzer.js';
 import { sceneClassifier } from './intel/scene-classifier.js';
 import { enemyAnalyzer } from './intel/enemy-analyzer.js';
@@ -25,10 +43,15 @@ import { civilAnalyzer } from './intel/civil-analyzer.js';
 // --- Mission ---
 import { MissionContext } from './mission/mission-context.js';
 import { timeManager } from './mission/time-manager.js';
+import { tacticalGraphics } from './mission/tactical-graphics.js';
 
 // --- Drones ---
 import { droneManager } from './drones/drone-manager.js';
 import { droneTasking } from './drones/drone-tasking.js';
+import { windFromWeather } from './drones/flight-model.js';
+import { mavlinkBridge } from './drones/mavlink-bridge.js';
+import { teamSync } from './team/team-sync.js';
+import { cotBridge } from './cot/cot-bridge.js';
 
 // --- Suit ---
 import { suitStatus } from './suit/suit-status.js';
@@ -41,15 +64,20 @@ import { speechEngine } from './core/speech.js';
 
 // --- UI ---
 import { renderHudElements, renderDetectionBoxes } from './ui/hud-elements.js';
-import { renderDepthOverlay } from './ui/hud-overlays.js';
+import { renderDepthOverlay, renderSegmentationMask } from './ui/hud-overlays.js';
 import { terrainOverlay } from './ui/terrain-overlay.js';
 import { civilianOverlay } from './ui/civilian-overlay.js';
 import { droneOverlay } from './ui/drone-overlay.js';
+import { geoTrackOverlay } from './ui/geo-track-overlay.js';
+import { teamOverlay } from './ui/team-overlay.js';
 import { suitOverlay } from './ui/suit-overlay.js';
 import { osintOverlay } from './ui/osint-overlay.js';
+import { minimapOverlay } from './ui/minimap-overlay.js';
+import { tacticalOverlay } from './ui/tactical-overlay.js';
 import { threatPanel } from './ui/threat-panel.js';
 import { droneCommandPanel } from './ui/drone-command-panel.js';
 import { missionPanel } from './ui/mission-panel.js';
+import { threatSettingsPanel } from './ui/threat-settings-panel.js';
 import { touchHandler, hitTestDetections } from './ui/touch-handler.js';
 
 // =============================================================================
@@ -58,10 +86,11 @@ import { touchHandler, hitTestDetections } from './ui/touch-handler.js';
 
 const state = {
   // Perception instances
-  detector: null,
-  depth: null,
+  perception: null,                // detector, depth, tracker, ego-motion, sky (worker when available)
   segmentor: null,
-  tracker: null,
+  projector: new GeoProjector(),   // camera tracks → lat/lon (pose from GPS + DeviceOrientation)
+  groundPlane: new GroundPlaneEstimator(),  // horizon, ground plane, surface classes from depth + gravity
+  enhancer: new ImageEnhancer(),   // low-light / thermal frame enhancement
   maven: null,
   missionContext: null,
 
@@ -69,6 +98,8 @@ const state = {
   currentDetections: [],
   currentTracked: [],
   currentDepthMap: null,
+  depthUncertainty: null,  // per-pixel std of currentDepthMap (fused depth)
+  depthMetersPerUnit: null, // null until depth is calibrated from a known-size object
   depthWidth: 0,
   depthHeight: 0,
   depthFrameId: 0,
@@ -76,24 +107,31 @@ const state = {
 
   // Frame counters for cadence control
   frameCount: 0,
-  detectionCadence: 3,  // Detect every 3rd frame - tracker fills gaps
-  depthCadence: 60,     // Run depth very infrequently (ONNX is slow)
+  detectionCadence: 3,  // Detect every 3rd frame on the main thread - tracker fills gaps (every frame in the worker)
+  depthCadence: 60,     // Run depth very infrequently on the main thread (ONNX is slow)
   intelCadence: 30,     // Run full intel analysis every 30 frames (~1/sec at 30fps)
 
   // Flags
   modelsLoaded: { detector: false, depth: false, segmentor: false },
   missionActive: false,
   lockedTrackId: null,
+  lockedMask: null,      // MobileSAM mask attached to the locked track
+  segmentBusy: false,    // Mask update in flight
   perceptionBusy: false, // Prevent frame overlap
+  replayActive: false,   // Session replay drives the pipeline instead of live sensors
 
   // Camera
   video: null,
   stream: null,
+  camera: { deviceId: null, hfov: CAMERA_HFOV_DEG },         // active video input
+  primaryCamera: { deviceId: null, hfov: CAMERA_HFOV_DEG },  // input used outside thermal mode
+  nightPalette: null,    // HudPalette for night modes (null: the mode's default)
+  switchingView: false,
 
   // Cached image data to avoid redundant getImageData calls
   _cachedImageData: null,
-  _captureCanvas: null,
-  _captureCtx: null
+  _segmentCanvas: null,
+  _segmentCtx: null
 };
 
 // =============================================================================
@@ -105,14 +143,16 @@ const bootProgress = document.getElementById('boot-progress-bar');
 const bootScreen = document.getElementById('boot-screen');
 
 function logBoot(message, status = 'success') {
+  let line = null;
   if (bootLog) {
-    const line = document.createElement('div');
+    line = document.createElement('div');
     line.className = `boot-line ${status}`;
     line.textContent = `> ${message}`;
     bootLog.appendChild(line);
     bootLog.scrollTop = bootLog.scrollHeight;
   }
   console.log(`[BOOT] [${status.toUpperCase()}] ${message}`);
+  return line;
 }
 
 function setBootProgress(pct) {
@@ -129,6 +169,7 @@ async function boot() {
       try {
         // Use relative path so it works on both localhost and GitHub Pages subdirectory
         await navigator.serviceWorker.register('./sw.js');
+        navigator.serviceWorker.addEventListener('controllerchange', updateOfflineStatus);
         logBoot('Service worker registered');
       } catch {
         logBoot('Service worker skipped', 'loading');
@@ -148,7 +189,9 @@ async function boot() {
       const cam = await initCamera();
       state.video = cam.video;
       state.stream = cam.stream;
+      state.projector.setCamera(CAMERA_HFOV_DEG, cam.width, cam.height);
       logBoot(`Camera ONLINE (${cam.width}x${cam.height})`);
+      await selectBootCamera();
     } catch (err) {
       logBoot(`Camera FAILED: ${err.message}`, 'error');
       logBoot('Continuing without camera...', 'loading');
@@ -158,19 +201,20 @@ async function boot() {
 
     // --- Initialize Renderer ---
     renderer.init(state.video);
+    renderer.setBaseLayer(video => state.enhancer.apply(video).display);
     logBoot('Renderer initialized');
     setBootProgress(30);
 
     // --- Perception Models ---
     // Detection loaded AFTER HUD is live for instant UI
-    state.detector = new Detector();
-    state.depth = new DepthEstimator();
+    state.perception = new PerceptionService();
+    state.perception.start();
+    state.perception.setCamera(state.camera.hfov, state.video?.videoWidth, state.video?.videoHeight);
     state.segmentor = new Segmentor();
-    logBoot('Detection will load after HUD...');
-    setBootProgress(50);
+    logBoot(`Perception ${state.perception.isWorker() ? 'worker' : 'main thread'} - detection will load after HUD...`);
+    setBootProgress(70);
 
-    // ByteTrack Tracker (no model needed)
-    state.tracker = new Tracker();
+    // ByteTrack tracker runs inside the perception pipeline (no model needed)
     logBoot('ByteTrack tracker ONLINE');
 
     // Update model status display
@@ -186,8 +230,10 @@ async function boot() {
     logBoot('METT-TC FRAMEWORK...', 'loading');
     state.missionContext = new MissionContext();
     state.maven = new MavenMock();
+    await loadExerciseScenario();
+    initIntelSources();
     logBoot('Mission context READY');
-    logBoot('Maven Smart System STANDBY');
+    logBoot(`Intel sources STANDBY (${intelRegistry.list().map(s => s.label).join(', ')})`);
     setBootProgress(80);
 
     // --- Intelligence Systems ---
@@ -211,6 +257,8 @@ async function boot() {
     logBoot('OSINT FEEDS...', 'loading');
     initOSINT();
     logBoot('OSINT feeds ACTIVE (aircraft, weather)');
+    initMap();
+    logBoot(`Minimap READY (${mapTiles.template ? 'tiles' : 'no tiles'}${new URLSearchParams(location.search).get('map') ? ' + vector' : ''})`);
     setBootProgress(88);
 
     // --- Voice Command System ---
@@ -219,6 +267,17 @@ async function boot() {
     logBoot(speechEngine.isAvailable() ? 'Voice command ONLINE' : 'Voice command UNAVAILABLE', speechEngine.isAvailable() ? 'success' : 'loading');
     setBootProgress(90);
 
+    // --- Night / Thermal View ---
+    await initViewMode();
+    logBoot(`View mode ${state.enhancer.getMode()}`);
+
+    // --- Session Recorder ---
+    initSession();
+    logBoot('Session recorder READY');
+
+    // --- Team Mode ---
+    initTeam();
+
     // --- Register Overlays ---
     registerOverlays();
     logBoot('Overlays registered');
@@ -234,11 +293,16 @@ async function boot() {
     logBoot('SELECT MISSION TO DEPLOY...', 'loading');
 
     // Fade out boot screen FAST - get to camera view immediately
+    const replayUrl = new URLSearchParams(location.search).get('replay');
     setTimeout(() => {
       if (bootScreen) bootScreen.classList.add('fade-out');
       setTimeout(() => {
         if (bootScreen) bootScreen.style.display = 'none';
-        missionPanel.show();
+        if (replayUrl) {
+          startReplay(replayUrl);
+        } else {
+          missionPanel.show();
+        }
       }, 500);
     }, 800);
 
@@ -251,6 +315,231 @@ async function boot() {
   }
 }
 
+/**
+ * Trainer exercises: ?scenario=<json-url> loads a scenario definition,
+ * ?seed=<value> pins the Maven PRNG so runs repeat exactly.
+ */
+async function loadExerciseScenario() {
+  const params = new URLSearchParams(location.search);
+  const scenarioUrl = params.get('scenario');
+  const seed = params.get('seed');
+
+  if (scenarioUrl) {
+    try {
+      await state.maven.loadScenarioFromUrl(scenarioUrl);
+      logBoot(`Exercise scenario: ${state.maven.getScenario().name || state.maven.getScenario().id}`);
+    } catch (err) {
+      logBoot(`Scenario load FAILED: ${err.message}`, 'error');
+    }
+  }
+  if (seed !== null) {
+    state.maven.setSeed(seed);
+    logBoot(`Maven seed: ${seed}`);
+  }
+
+  // Exercise grids (intel, mission orders) are authored around this point
+  gridFrame.setReference(state.maven.getScenario().friendlyPosition);
+}
+
+/**
+ * Register intel sources. The simulated Maven feed is always present;
+ * ?intelWs=<ws-url> adds a JSON-over-WebSocket feed, ?intelFile=<json-url>
+ * a scripted file feed, ?cot=<ws-url> Cursor-on-Target from ATAK/WinTAK users.
+ * Every item from every source is session-recorded.
+ */
+function initIntelSources() {
+  const params = new URLSearchParams(location.search);
+
+  intelRegistry.register(new MavenMockSource(state.maven));
+  for (const url of params.getAll('intelWs')) {
+    intelRegistry.register(new WebSocketIntelSource({ url }));
+  }
+  for (const url of params.getAll('intelFile')) {
+    intelRegistry.register(new FileIntelSource({ url }));
+  }
+  if (params.get('cot')) {
+    intelRegistry.register(new CotIntelSource(cotBridge));
+  }
+
+  intelRegistry.onUpdate((type, data) => {
+    sessionRecorder.record(SessionEvent.MAVEN, { type, data });
+  });
+}
+
+/**
+ * Team mode: ?team=<ws-url> joins a local relay shared with other operators,
+ * ?callsign=<name> sets how teammates see this device.
+ */
+function initTeam() {
+  const params = new URLSearchParams(location.search);
+  const teamUrl = params.get('team');
+  if (!teamUrl) return;
+
+  teamSync.connect(teamUrl, { callsign: params.get('callsign') || undefined });
+  teamSync.on('onPeersChanged', (peers) => {
+    console.log(`[APP] Team: ${peers.length} teammate(s) online`);
+  });
+  logBoot(`Team mode: ${teamSync.callsign} via ${teamUrl}`);
+}
+
+/**
+ * Minimap basemap: ?tiles=<url with {z}/{x}/{y}> for raster tiles,
+ * ?map=<geojson-url> for a vector layer. Both are cached for offline use.
+ */
+function initMap() {
+  const params = new URLSearchParams(location.search);
+  const tiles = params.get('tiles');
+  const geojson = params.get('map');
+  if (tiles) mapTiles.setTileTemplate(tiles);
+  if (geojson) mapTiles.loadGeoJSON(geojson);
+
+  const toggleBtn = document.getElementById('map-toggle');
+  if (toggleBtn) {
+    toggleBtn.addEventListener('click', () => {
+      const mode = minimapOverlay.toggle();
+      toggleBtn.textContent = mode === 'NORTH_UP' ? 'MAP N' : mode === 'HEADING_UP' ? 'MAP H' : 'MAP';
+    });
+  }
+}
+
+/**
+ * ?camera=<label text> selects an external UVC / thermal camera by label.
+ * Labels are only readable once the default camera has been granted.
+ */
+async function selectBootCamera() {
+  const wanted = new URLSearchParams(location.search).get('camera');
+  if (!wanted) return;
+  const input = (await listVideoInputs()).find(d => d.label.toLowerCase().includes(wanted.toLowerCase()));
+  if (!input) {
+    logBoot(`Camera "${wanted}" not found - using default`, 'error');
+    return;
+  }
+  await switchCamera(input.deviceId, isThermalSource(input.label) ? THERMAL_HFOV_DEG : CAMERA_HFOV_DEG);
+  state.primaryCamera = { ...state.camera };
+  logBoot(`External camera: ${input.label}`);
+}
+
+/**
+ * Replace the camera stream. Geometry changes, so the tracker and the
+ * frame-to-frame estimators start over.
+ */
+async function switchCamera(deviceId, hfov) {
+  stopCamera(state.stream);
+  const cam = await initCamera(deviceId ? { deviceId } : {});
+  state.video = cam.video;
+  state.stream = cam.stream;
+  state.camera = { deviceId, hfov };
+  state.projector.setCamera(hfov, cam.width, cam.height);
+  if (state.perception) {
+    state.perception.setCamera(hfov, cam.width, cam.height);
+    state.perception.reset();
+  }
+}
+
+const VIEW_LABELS = { DAY: 'DAY', LOW_LIGHT: 'NIGHT', THERMAL: 'THERM' };
+const VIEW_CYCLE = [ViewMode.DAY, ViewMode.LOW_LIGHT, ViewMode.THERMAL];
+
+/**
+ * Night / thermal view: ?view=day|night|thermal picks the starting mode,
+ * ?palette=red|green the night HUD palette. The view button cycles modes.
+ */
+async function initViewMode() {
+  const params = new URLSearchParams(location.search);
+  state.nightPalette = { red: HudPalette.NIGHT_RED, green: HudPalette.NIGHT_GREEN }[params.get('palette')] || null;
+
+  const toggleBtn = document.getElementById('view-toggle');
+  if (toggleBtn) {
+    toggleBtn.addEventListener('click', () => {
+      const next = VIEW_CYCLE[(VIEW_CYCLE.indexOf(state.enhancer.getMode()) + 1) % VIEW_CYCLE.length];
+      setViewMode(next);
+    });
+  }
+
+  const initial = { day: ViewMode.DAY, night: ViewMode.LOW_LIGHT, thermal: ViewMode.THERMAL }[params.get('view')];
+  await setViewMode(initial || ViewMode.DAY);
+}
+
+/**
+ * Switch view mode: frame enhancement, detector threshold, HUD palette and
+ * the suit's night-vision / thermal system status.
+ *
+ * @param {string} mode - ViewMode
+ * @returns {Promise<string>} The active mode
+ */
+async function setViewMode(mode) {
+  if (!MODE_SETTINGS[mode] || state.switchingView) return state.enhancer.getMode();
+  state.switchingView = true;
+  try {
+    await selectViewCamera(mode);
+  } catch (err) {
+    console.warn(`[APP] Camera switch failed: ${err.message} - restoring primary camera`);
+    await switchCamera(state.primaryCamera.deviceId, state.primaryCamera.hfov).catch(() => {});
+  } finally {
+    state.switchingView = false;
+  }
+
+  if (mode !== state.enhancer.getMode()) {
+    // Enhanced frames look nothing like the previous ones
+    state.perception?.resetMotion();
+  }
+  state.enhancer.setMode(mode);
+  applyDetectorThreshold();
+  applyHudPalette();
+  suitStatus.setSystem('nightVision', mode === ViewMode.LOW_LIGHT ? 'OPERATIONAL' : 'STANDBY');
+  suitStatus.setSystem('thermalImaging', mode === ViewMode.THERMAL ? 'OPERATIONAL' : 'STANDBY');
+
+  const toggleBtn = document.getElementById('view-toggle');
+  if (toggleBtn) toggleBtn.textContent = VIEW_LABELS[mode];
+  return mode;
+}
+
+// Thermal mode moves to an external thermal camera when one is connected
+// (otherwise the visible camera is rendered thermal-style); other modes use
+// the primary camera.
+async function selectViewCamera(mode) {
+  if (!state.stream || state.replayActive) return;
+  let target = state.primaryCamera;
+  if (mode === ViewMode.THERMAL) {
+    const thermal = (await listVideoInputs()).find(d => isThermalSource(d.label));
+    if (thermal) target = { deviceId: thermal.deviceId, hfov: THERMAL_HFOV_DEG };
+  }
+  if (target.deviceId === state.camera.deviceId) return;
+  await switchCamera(target.deviceId, target.hfov);
+  console.log(`[APP] Camera switched for ${mode} view`);
+}
+
+// Enhanced and thermal frames score lower than daylight for the same object
+function applyDetectorThreshold() {
+  const model = state.perception?.getModel();
+  if (!model) return;
+  state.perception.setThreshold(model.scoreThreshold * MODE_SETTINGS[state.enhancer.getMode()].thresholdScale);
+}
+
+function applyHudPalette() {
+  const mode = state.enhancer.getMode();
+  const palette = mode === ViewMode.DAY ? HudPalette.DAY : (state.nightPalette || MODE_SETTINGS[mode].palette);
+  renderer.setTint(PALETTE_TINT[palette]);
+  document.body.classList.toggle('palette-night-red', palette === HudPalette.NIGHT_RED);
+  document.body.classList.toggle('palette-night-green', palette === HudPalette.NIGHT_GREEN);
+}
+
+// Own fleet plus teammates' drones for the command panel. A drone locked by
+// another operator is flagged so its task buttons are withheld.
+function getCommandFleetData() {
+  const fleetData = droneManager.getFleetData();
+  if (!teamSync.isConnected()) return fleetData;
+
+  const own = fleetData.fleet.map(d => {
+    const lock = teamSync.getLock(d.id);
+    return { ...d, lockedBy: lock && lock.holderId !== teamSync.operatorId ? lock.holderCallsign : null };
+  });
+  const remote = teamSync.getTeamDrones().map(d => ({
+    ...d,
+    lockedBy: d.lock && d.lock.holderId !== teamSync.operatorId ? d.lock.holderCallsign : null
+  }));
+  return { ...fleetData, fleet: [...own, ...remote] };
+}
+
 // =============================================================================
 // UI Initialization
 // =============================================================================
@@ -260,72 +549,64 @@ function initUI() {
   threatPanel.init();
   droneCommandPanel.init();
   missionPanel.init();
+  threatSettingsPanel.init();
   touchHandler.init();
 
-  // --- Touch Handlers ---
-  touchHandler.onTap((pos) => {
-    // Check if we tapped a detection
-    const det = hitTestDetections(pos.x, pos.y, state.currentDetections);
-    if (det) {
-      const assessment = state.currentAssessments.find(a => a.id === det.id || a.trackId === det.trackId);
-      if (assessment) {
-        threatPanel.show(assessment);
-        droneCommandPanel.setSelectedTarget(assessment.id, [pos.x, pos.y]);
-      }
-    } else {
-      // Tapped empty space - dismiss panel
-      if (threatPanel.isVisible()) {
-        threatPanel.hide();
-      }
-    }
-  });
-
-  touchHandler.onLongPress((pos) => {
-    // Trigger segmentation on tapped detection
-    const det = hitTestDetections(pos.x, pos.y, state.currentDetections);
-    if (det && state.modelsLoaded.segmentor) {
-      runSegmentation(pos.x, pos.y);
-    }
-  });
-
-  touchHandler.onDoubleTap((pos) => {
-    // Lock/track target
-    const det = hitTestDetections(pos.x, pos.y, state.currentDetections);
-    if (det) {
-      state.lockedTrackId = det.trackId || det.id;
-      console.log(`[APP] Locked on target: ${state.lockedTrackId}`);
-    } else {
-      state.lockedTrackId = null;
-    }
-  });
-
-  touchHandler.onSwipeDown(() => {
-    threatPanel.hide();
-  });
-
-  touchHandler.onSwipeRight(() => {
-    missionPanel.toggle();
-  });
-
-  touchHandler.onThreeFingerTap(() => {
-    const visible = terrainOverlay.toggle();
-    console.log(`[APP] Terrain overlay: ${visible ? 'ON' : 'OFF'}`);
-  });
+  // --- Touch Handlers (routed through dispatchGesture so sessions capture them) ---
+  touchHandler.onTap((pos) => dispatchGesture('tap', pos));
+  touchHandler.onLongPress((pos) => dispatchGesture('longPress', pos));
+  touchHandler.onDoubleTap((pos) => dispatchGesture('doubleTap', pos));
+  touchHandler.onSwipeDown(() => dispatchGesture('swipeDown'));
+  touchHandler.onSwipeRight(() => dispatchGesture('swipeRight'));
+  touchHandler.onThreeFingerTap(() => dispatchGesture('threeFingerTap'));
 
   // --- Drone Fleet Bar Click ---
   const fleetBar = document.getElementById('drone-fleet-bar');
   if (fleetBar) {
     fleetBar.addEventListener('click', () => {
-      droneCommandPanel.toggle(droneManager.getFleetData());
+      droneCommandPanel.toggle(getCommandFleetData());
     });
   }
 
   // --- Drone Command Callbacks ---
   droneCommandPanel.onTaskAssigned((task) => {
+    // Typed MGRS grid (MOVE_TO), else the selected track's geo-projected fix
+    let targetCoords;
+    if (task.grid) {
+      targetCoords = gridFrame.toGeo(task.grid);
+      if (!targetCoords) {
+        console.warn(`[APP] Invalid grid: ${task.grid}`);
+        return;
+      }
+      console.log(`[APP] ${task.taskType} → grid ${formatMgrs(task.grid)}`);
+    } else {
+      const target = state.currentDetections.find(d => d.id === task.targetTrackId);
+      targetCoords = target?.geo || null;
+    }
+
+    // Teammate's drone: the owner's device issues (or refuses) the task
+    if (task.ownerId) {
+      console.log(`[APP] Task requested: ${task.taskType} → ${task.droneId} (${task.owner})`);
+      teamSync.requestTask(task.ownerId, task.droneId, task.taskType, {
+        targetTrackId: task.targetTrackId,
+        targetPosition: task.targetPosition,
+        targetCoords
+      }).then(result => {
+        if (result.success) {
+          console.log(`[APP] ${task.owner} accepted ${task.taskType} → ${task.droneId}`);
+        } else {
+          console.warn(`[APP] Task request failed: ${result.reason}`);
+        }
+        droneCommandPanel.show(getCommandFleetData());
+      });
+      return;
+    }
+
     console.log(`[APP] Task assigned: ${task.taskType} → ${task.droneId}`);
     const result = droneTasking.issueTask(task.droneId, task.taskType, {
       targetTrackId: task.targetTrackId,
-      targetPosition: task.targetPosition
+      targetPosition: task.targetPosition,
+      targetCoords
     });
     if (result.success) {
       console.log(`[APP] Task issued successfully: ${result.drone} → ${task.taskType}`);
@@ -333,7 +614,7 @@ function initUI() {
       console.warn(`[APP] Task failed: ${result.reason}`);
     }
     // Refresh drone panel
-    droneCommandPanel.show(droneManager.getFleetData());
+    droneCommandPanel.show(getCommandFleetData());
   });
 
   // --- Mission Selection ---
@@ -341,30 +622,152 @@ function initUI() {
     console.log(`[APP] Mission selected: ${mission.label}`);
     activateMission(mission);
   });
+  missionPanel.onSettingsRequested(() => threatSettingsPanel.show());
+
+  // Operator edits to the active threat profile apply from the next intel cycle
+  threatProfiles.onChange((profile) => {
+    if (state.replayActive) return;
+    threatEngine.setProfile(profile);
+    sessionRecorder.record(SessionEvent.PROFILE, profile);
+  });
+
+  // Operator PID from the threat panel
+  threatPanel.onConfirm((trackId, label) => confirmClassification(trackId, label));
+}
+
+/**
+ * Operator PID of a track (label null hands it back to the evidence). The
+ * label shows at once; the next intel cycle folds it into the belief.
+ */
+function confirmClassification(trackId, label) {
+  sessionRecorder.record(SessionEvent.CONFIRM, { trackId, label });
+  const current = classificationBelief.confirm(trackId, label);
+  if (!current) return;
+  const det = state.currentDetections.find(d => d.id === trackId);
+  if (det) det.classification = current;
+  const assessment = state.currentAssessments.find(a => a.id === trackId);
+  if (assessment) {
+    assessment.classification = current;
+    if (threatPanel.getSelectedTrackId() === trackId) threatPanel.show(assessment);
+  }
+}
+
+/**
+ * Lock onto a detection (null releases the lock). The lock follows the track
+ * ID, so it holds through occlusion and re-ID.
+ */
+function lockTarget(det) {
+  state.lockedTrackId = det ? det.trackId || det.id : null;
+  if (det) console.log(`[APP] Locked on target: ${state.lockedTrackId}`);
+  for (const d of state.currentDetections) d.locked = d.trackId === state.lockedTrackId;
+  if (state.lockedMask?.trackId !== state.lockedTrackId) clearLockedMask();
+}
+
+// Gesture actions - shared by live touch input and session replay
+const gestures = {
+  tap(pos) {
+    // Check if we tapped a detection
+    const det = hitTestDetections(pos.x, pos.y, state.currentDetections);
+    if (det) {
+      const assessment = state.currentAssessments.find(a => a.id === det.id || a.trackId === det.trackId);
+      if (assessment) {
+        threatPanel.show(assessment);
+        droneCommandPanel.setSelectedTarget(assessment.id, [pos.x, pos.y]);
+      }
+    } else {
+      // Tapped empty space - dismiss panel
+      if (threatPanel.isVisible()) {
+        threatPanel.hide();
+      }
+    }
+  },
+
+  longPress(pos) {
+    // Lock the pressed detection; the locked track carries a segmentation mask
+    const det = hitTestDetections(pos.x, pos.y, state.currentDetections);
+    if (det) lockTarget(det);
+  },
+
+  doubleTap(pos) {
+    // Lock/track target
+    lockTarget(hitTestDetections(pos.x, pos.y, state.currentDetections));
+  },
+
+  swipeDown() {
+    threatPanel.hide();
+  },
+
+  swipeRight() {
+    missionPanel.toggle();
+  },
+
+  threeFingerTap() {
+    const visible = terrainOverlay.toggle();
+    console.log(`[APP] Terrain overlay: ${visible ? 'ON' : 'OFF'}`);
+  }
+};
+
+function dispatchGesture(name, pos = null) {
+  sessionRecorder.record(SessionEvent.TOUCH, { gesture: name, pos });
+  gestures[name](pos);
 }
 
 // =============================================================================
 // Mission Activation
 // =============================================================================
 
-function activateMission(mission) {
+/**
+ * Activate a mission. Live activation starts the drone sim, timers and Maven
+ * feed; replay activation only loads context (state comes from the recording).
+ */
+function activateMission(mission, { live = true } = {}) {
+  // Threat weights for this mission type; a replay uses the recorded profile
+  const threatProfile = threatProfiles.activate(mission, live ? null : mission.threatProfile);
+  sessionRecorder.record(SessionEvent.MISSION, { ...mission, threatProfile });
+
+  // Tracks, beliefs and score trends of a previous mission do not carry over
+  threatEngine.reset();
+  classificationBelief.reset();
+
   // Set mission context
-  state.missionContext.loadScenario(mission.id.toLowerCase());
+  state.missionContext.loadScenario(mission.id);
   threatEngine.setMissionContext(mission);
+  threatEngine.setProfile(threatProfile);
 
   // Initialize drone fleet
   droneManager.initFleet(mission.fleetComposition);
-  droneManager.startSimulation();
 
   // Initialize time manager
   timeManager.init(mission);
-  timeManager.startUpdates();
 
-  // Start Maven intel feed
-  state.maven.start();
+  // Control measures on the ground (links geographic phase lines into the timeline)
+  tacticalGraphics.load(state.missionContext.getControlMeasures(), state.missionContext.getEngagementAreas());
 
-  // Set ROE in civil analyzer
-  civilAnalyzer.setROE(mission.rulesOfEngagement);
+  if (live) {
+    droneManager.startSimulation();
+    timeManager.startUpdates();
+
+    // Start intel feeds (Maven + any external sources)
+    intelRegistry.startAll();
+
+    // Real/SITL vehicles via a WebSocket↔UDP relay (?mavlink=ws://host:port)
+    const mavlinkUrl = new URLSearchParams(location.search).get('mavlink');
+    if (mavlinkUrl && !mavlinkBridge.url) mavlinkBridge.connect(mavlinkUrl);
+
+    // ATAK/WinTAK interop (?cot=ws://host:port): our picture out, their CoT in
+    const cotUrl = new URLSearchParams(location.search).get('cot');
+    if (cotUrl && !cotBridge.url) cotBridge.connect(cotUrl, { callsign: teamSync.callsign });
+  }
+
+  // Set ROE in civil analyzer (special instructions cite protected structures by grid)
+  civilAnalyzer.setROE({
+    ...mission.rulesOfEngagement,
+    specialInstructions: state.missionContext.getROE()?.specialInstructions || []
+  });
+
+  // ROE sets the PID thresholds for declaring HOSTILE / CIVILIAN / FRIENDLY
+  // (panel missions that are not scenarios leave the previous scenario loaded)
+  classificationBelief.setROE(mission.rulesOfEngagement?.level || state.missionContext.getROE()?.level);
 
   // Update mission bar display
   const missionDisplay = _dom('mission-display');
@@ -381,7 +784,7 @@ function activateMission(mission) {
 // =============================================================================
 
 function registerOverlays() {
-  // zOrder: depth(1) → terrain(2) → detections(3) → civilians(4) → drones(5) → suit(6) → hud(7)
+  // zOrder: depth(1) → terrain(2) → tactical graphics(2.5) → locked mask(2.7) → detections(3) → geo tracks(3.5) → civilians(4) → drones(5) → team(5.5) → suit(6) → osint(6.5) → minimap(6.8) → hud(7)
 
   // Depth overlay (z=1)
   renderer.registerOverlay('depth', (ctx, w, h, ts) => {
@@ -396,12 +799,28 @@ function registerOverlays() {
     terrainOverlay.render(ctx, w, h);
   }, 2);
 
+  // Tactical graphics on the ground (z=2.5)
+  renderer.registerOverlay('tactical', (ctx, w, h, ts) => {
+    tacticalOverlay.render(ctx, w, h, ts);
+  }, 2.5);
+
+  // Locked target's segmentation mask (z=2.7)
+  renderer.registerOverlay('segmentation', (ctx, w, h, ts) => {
+    const seg = state.lockedMask;
+    if (seg) renderSegmentationMask(ctx, w, h, seg.mask, seg.width, seg.height, [0, 255, 204, 0.3], seg.id);
+  }, 2.7);
+
   // Detection boxes (z=3)
   renderer.registerOverlay('detections', (ctx, w, h, ts) => {
     renderDetectionBoxes(ctx, w, h, state.currentDetections);
     renderer.setDetectionCount(state.currentDetections.length);
   }, 3);
 
+  // Remembered off-screen tracks (z=3.5)
+  renderer.registerOverlay('geoTracks', (ctx, w, h, ts) => {
+    geoTrackOverlay.render(ctx, w, h, ts);
+  }, 3.5);
+
   // Civilian overlay (z=4)
   renderer.registerOverlay('civilians', (ctx, w, h, ts) => {
     civilianOverlay.render(ctx, w, h, ts);
@@ -412,6 +831,11 @@ function registerOverlays() {
     droneOverlay.render(ctx, w, h, ts);
   }, 5);
 
+  // Team overlay (z=5.5) - friendly operators and teammates' tracks
+  renderer.registerOverlay('team', (ctx, w, h, ts) => {
+    teamOverlay.render(ctx, w, h, ts);
+  }, 5.5);
+
   // Suit overlay (z=6)
   renderer.registerOverlay('suit', (ctx, w, h, ts) => {
     suitOverlay.render(ctx, w, h, ts);
@@ -422,6 +846,11 @@ function registerOverlays() {
     osintOverlay.render(ctx, w, h, ts);
   }, 6.5);
 
+  // Minimap (z=6.8) - plan view, bottom right
+  renderer.registerOverlay('minimap', (ctx, w, h, ts) => {
+    minimapOverlay.render(ctx, w, h, ts);
+  }, 6.8);
+
   // HUD chrome (z=7)
   renderer.registerOverlay('hud', (ctx, w, h, ts) => {
     renderHudElements(ctx, w, h, ts);
@@ -435,13 +864,36 @@ function registerOverlays() {
 // Model Loading (all deferred - HUD shows first)
 // =============================================================================
 
+/**
+ * Cache every model and runtime in the asset manifest for offline use. Runs
+ * in the background once the models have loaded (so nothing downloads twice),
+ * with progress in the top bar. Missing assets stay ONLINE ONLY.
+ */
+async function prepareModelAssets() {
+  const el = document.getElementById('offline-status');
+  const summary = await modelAssets.prepare(({ loaded, total }) => {
+    if (el && loaded < total) el.textContent = `CACHING ${Math.round(loaded / total * 100)}%`;
+  });
+
+  const count = modelAssets.list().length;
+  if (summary.failed.length) {
+    console.warn(`[APP] Model assets ${summary.verified}/${count} cached - ${summary.failed.map(a => a.name).join(', ')} unavailable`);
+  } else {
+    console.log(`[APP] Model assets cached (${count}, ${summary.downloaded} downloaded)`);
+  }
+  updateOfflineStatus();
+}
+
 async function loadDetectionModel() {
   try {
     console.log('[APP] Loading detection model in background...');
-    await state.detector.init();
-    state.modelsLoaded.detector = true;
+    // ?detector=<manifest.json> selects a locally hosted military-object model
+    const manifest = new URLSearchParams(location.search).get('detector');
+    const custom = manifest ? await modelRegistry.loadManifest(manifest) : null;
+    state.modelsLoaded.detector = await state.perception.loadDetector(custom || modelRegistry.getFallback());
+    applyDetectorThreshold();
     updateModelStatus();
-    console.log('[APP] Detection model ONLINE - starting perception');
+    console.log(`[APP] Detection model ${state.perception.getModel()?.name || 'OFFLINE'} - starting perception`);
   } catch (err) {
     console.error('[APP] Detection model failed:', err);
   }
@@ -454,9 +906,8 @@ async function loadDeferredModels() {
   // Load depth model in background
   try {
     console.log('[APP] Background: loading Depth Anything V2...');
-    await state.depth.init();
-    state.modelsLoaded.depth = true;
-    console.log('[APP] Background: Depth Anything V2 ONLINE');
+    state.modelsLoaded.depth = await state.perception.loadDepth();
+    console.log(`[APP] Background: Depth Anything V2 ${state.modelsLoaded.depth ? 'ONLINE' : 'OFFLINE'}`);
     updateModelStatus();
   } catch (err) {
     console.warn('[APP] Background: Depth model failed:', err.message);
@@ -465,13 +916,15 @@ async function loadDeferredModels() {
   // Load segmentation model in background (lowest priority)
   try {
     console.log('[APP] Background: loading MobileSAM...');
-    await state.segmentor.init();
-    state.modelsLoaded.segmentor = true;
-    console.log('[APP] Background: MobileSAM ONLINE');
+    state.modelsLoaded.segmentor = await state.segmentor.init();
+    console.log(`[APP] Background: MobileSAM ${state.modelsLoaded.segmentor ? 'ONLINE' : 'OFFLINE'}`);
     updateModelStatus();
   } catch (err) {
     console.warn('[APP] Background: Segmentation model failed:', err.message);
   }
+
+  // Cache whatever the loads above did not (runtimes, models that failed)
+  prepareModelAssets().catch(err => console.warn('[APP] Model asset caching failed:', err.message));
 }
 
 // =============================================================================
@@ -481,20 +934,16 @@ async function loadDeferredModels() {
 let perceptionRunning = false;
 
 /**
- * Capture frame for depth/segmentation (ONNX models need ImageData).
+ * Frame the perception models see: the camera frame, enhanced in night and
+ * thermal modes (shared with the renderer, computed once per camera frame).
  */
-function captureFrame(inputSize) {
-  if (!state.video || state.video.readyState < 2) return null;
-
-  if (!state._captureCanvas || state._captureCanvas.width !== inputSize) {
-    state._captureCanvas = new OffscreenCanvas(inputSize, inputSize);
-    state._captureCtx = state._captureCanvas.getContext('2d', { willReadFrequently: true });
-  }
-
-  state._captureCtx.drawImage(state.video, 0, 0, inputSize, inputSize);
-  return state._captureCtx.getImageData(0, 0, inputSize, inputSize);
+function perceptionSource() {
+  return state.enhancer.apply(state.video).detection;
 }
 
+// Depth every 15th frame when the worker runs it
+const WORKER_DEPTH_CADENCE = 15;
+
 async function startPerceptionLoop() {
   if (perceptionRunning) return;
   perceptionRunning = true;
@@ -502,8 +951,8 @@ async function startPerceptionLoop() {
   const processFrame = async () => {
     if (!perceptionRunning) return;
 
-    // GATE: prevent overlapping inference
-    if (state.perceptionBusy) {
+    // GATE: prevent overlapping inference (replay feeds the pipeline itself)
+    if (state.perceptionBusy || state.replayActive) {
       requestAnimationFrame(processFrame);
       return;
     }
@@ -512,81 +961,47 @@ async function startPerceptionLoop() {
     state.frameCount++;
 
     try {
-      // --- Detection: run every Nth frame, tracker fills gaps ---
-      const shouldDetect = state.modelsLoaded.detector &&
-                           state.video?.readyState >= 2 &&
-                           state.frameCount % state.detectionCadence === 0;
-
-      if (shouldDetect) {
-        const rawDetections = state.detector.detect(state.video);
-
-        // Normalize bboxes to 0-1 range for tracker and overlays
-        const vw = state.video.videoWidth || state.video.width || 1;
-        const vh = state.video.videoHeight || state.video.height || 1;
-        const normalized = rawDetections.map(d => ({
-          ...d,
-          bbox: [d.bbox[0] / vw, d.bbox[1] / vh, d.bbox[2] / vw, d.bbox[3] / vh]
-        }));
-
-        // Track detections
-        const tracked = state.tracker.update(normalized);
-
-        // Build enriched detection list
-        state.currentDetections = tracked.map(t => ({
-          id: `TRK-${String(t.id).padStart(4, '0')}`,
-          trackId: t.id,
-          bbox: t.bbox,
-          class: t.className,
-          tacticalClass: mapTacticalClass(t.className),
-          confidence: t.score,
-          classification: 'UNKNOWN',
-          threatLevel: 0,
-          distance: null,
-          movement: {
-            speed: t.velocity ? Math.sqrt(t.velocity[0] ** 2 + t.velocity[1] ** 2) * 30 : 0,
-            heading: getMovementHeading(t.velocity),
-            bearing: t.velocity ? Math.atan2(t.velocity[0], -t.velocity[1]) * 180 / Math.PI : 0
-          },
-          onAvenue: null
-        }));
-      } else if (state.modelsLoaded.detector && state.currentDetections.length > 0) {
-        // Non-detection frame: tracker predicts positions from last known state
-        // Detections stay as-is, movement vectors still valid via Kalman prediction
-      }
+      // --- Detection every Nth frame (tracker fills gaps), depth very infrequently ---
+      // Inference in the worker no longer blocks the renderer, so the pipeline can
+      // run flat out (checked per frame: a crashed worker falls back to the main thread)
+      const inWorker = state.perception.isWorker();
+      const ready = state.video?.readyState >= 2;
+      const detect = ready && state.modelsLoaded.detector &&
+                     state.frameCount % (inWorker ? 1 : state.detectionCadence) === 0;
+      // Depth on the main thread only at full quality; the worker keeps it off the render path
+      const depth = ready && state.modelsLoaded.depth &&
+                    state.frameCount % (inWorker ? WORKER_DEPTH_CADENCE : state.depthCadence) === 0 &&
+                    (inWorker || performanceManager.getQuality() === QualityLevel.FULL);
+
+      if (detect || depth) {
+        // Known-size detections calibrate metric range; current targets are not background
+        const result = await state.perception.process(perceptionSource(), {
+          detect,
+          depth,
+          pose: state.projector.getPose(),
+          excludeBoxes: state.currentDetections.map(d => d.bbox),
+          calibration: state.currentDetections.map(d => ({ class: d.class, bbox: d.bbox }))
+        });
+
+        if (result.detections) {
+          sessionRecorder.record(SessionEvent.DETECTIONS, { frame: state.frameCount, detections: result.detections });
+          sessionRecorder.record(SessionEvent.TRACKS, { frame: state.frameCount, tracks: result.tracks });
+          state.currentDetections = buildDetections(result.tracks);
+          updateLockedMask();
+        }
 
-      // --- Depth estimation (very infrequent) ---
-      const quality = performanceManager.getQuality();
-      if (state.modelsLoaded.depth &&
-          state.frameCount % state.depthCadence === 0 &&
-          quality === QualityLevel.FULL) {
-        try {
-          const depthInput = captureFrame(256);
-          if (depthInput) {
-            const depthResult = await state.depth.estimate(depthInput);
-            if (depthResult) {
-              state.currentDepthMap = depthResult.depthMap;
-              state.depthWidth = depthResult.width;
-              state.depthHeight = depthResult.height;
-              state.depthFrameId++;
-
-              for (const det of state.currentDetections) {
-                if (det.bbox) {
-                  const cx = Math.floor((det.bbox[0] + det.bbox[2] / 2) * state.depthWidth);
-                  const cy = Math.floor((det.bbox[1] + det.bbox[3] / 2) * state.depthHeight);
-                  const idx = cy * state.depthWidth + cx;
-                  if (idx >= 0 && idx < state.currentDepthMap.length) {
-                    const relDepth = state.currentDepthMap[idx];
-                    const meters = relDepth * 200;
-                    det.distance = { meters, confidence: 0.6,
-                      zone: meters < 50 ? 'RED' : meters < 150 ? 'AMBER' : 'GREEN' };
-                  }
-                }
-              }
-            }
-          }
-        } catch (err) {
-          console.warn('[APP] Depth error:', err.message);
+        const depthResult = result.depth;
+        // Only fresh estimates are recorded; replay holds each one until the next
+        if (depthResult?.fresh) {
+          sessionRecorder.record(SessionEvent.DEPTH, {
+            depthMap: depthResult.depthMap,
+            width: depthResult.width,
+            height: depthResult.height,
+            metersPerUnit: depthResult.metersPerUnit,
+            calibrated: depthResult.calibrated
+          });
         }
+        if (depthResult) applyDepthResult(depthResult);
       }
 
       // --- Intelligence Analysis ---
@@ -605,6 +1020,99 @@ async function startPerceptionLoop() {
   requestAnimationFrame(processFrame);
 }
 
+/**
+ * Build the enriched detection list from tracker output. A ranged track takes
+ * its fused metric range from the tracker; others keep their last depth range
+ * between depth passes. Each track keeps its last threat assessment
+ * (also across occlusion, when the tracker revives it under the same ID);
+ * every track is geo-projected.
+ */
+function buildDetections(tracked) {
+  const previous = new Map(state.currentDetections.map(d => [d.id, d]));
+  const detections = tracked.map(t => {
+    const id = `TRK-${String(t.id).padStart(4, '0')}`;
+    const last = previous.get(id) || threatEngine.getAssessment(id);
+    const { tacticalClass, branches } = state.perception.classify(t.class);
+    return {
+      id,
+      trackId: t.id,
+      bbox: t.bbox,
+      class: t.class,
+      tacticalClass,
+      branches,
+      confidence: t.score,
+      state: t.state,
+      locked: t.id === state.lockedTrackId,
+      // Visible silhouette (fraction of the frame) from the lock's mask
+      exposedArea: state.lockedMask?.trackId === t.id ? state.lockedMask.exposedArea : null,
+      classification: last?.classification || 'UNKNOWN',
+      threatLevel: last?.threatLevel || 0,
+      distance: t.kinematics ? rangeToDistance(t.kinematics) : previous.get(id)?.distance || null,
+      kinematics: t.kinematics || null,
+      movement: {
+        // m/s once the track is ranged; image motion alone has no metric speed
+        speed: t.kinematics ? Math.hypot(t.kinematics.rangeRate, t.kinematics.lateralSpeed) : null,
+        heading: t.kinematics ? getMetricHeading(t.kinematics) : getMovementHeading(t.velocity),
+        bearing: t.velocity ? Math.atan2(t.velocity[0], -t.velocity[1]) * 180 / Math.PI : 0
+      },
+      onAvenue: null
+    };
+  });
+  return state.projector.update(detections);
+}
+
+// Relative depth → meters before the estimator has calibrated from a known-size
+// object (and for recordings made before calibration was recorded)
+const UNCALIBRATED_DEPTH_SCALE = 200;
+
+// Fused depth this uncertain (std, normalized depth) gives no range confidence
+const MAX_DEPTH_STD = 0.5;
+
+/**
+ * Store a depth result and range every current detection against it. A
+ * fresh estimate feeds each track's range filter; a map that was only warped
+ * with camera motion ranges the detections the tracker has not ranged yet.
+ */
+function applyDepthResult(depthResult) {
+  const fresh = depthResult.fresh !== false;  // recordings predate depth fusion
+  state.currentDepthMap = depthResult.depthMap;
+  state.depthUncertainty = depthResult.uncertainty || null;
+  state.depthMetersPerUnit = depthResult.calibrated ? depthResult.metersPerUnit : null;
+  state.depthWidth = depthResult.width;
+  state.depthHeight = depthResult.height;
+  state.depthFrameId++;
+
+  for (const det of state.currentDetections) {
+    if (det.bbox && (fresh || !det.kinematics)) {
+      const box = [det.bbox[0] * state.depthWidth, det.bbox[1] * state.depthHeight,
+        det.bbox[2] * state.depthWidth, det.bbox[3] * state.depthHeight];
+      const relDepth = averageDepthInBox(state.currentDepthMap, box, state.depthWidth);
+      if (relDepth > 0) {
+        const calibrated = !!depthResult.calibrated;
+        const meters = relDepth * (calibrated ? depthResult.metersPerUnit : UNCALIBRATED_DEPTH_SCALE);
+        // Fused into the track's range filter; shown directly until the next tracker pass
+        if (fresh && !state.replayActive) state.perception.observeRange(det.trackId, meters, calibrated);
+        const std = state.depthUncertainty ? averageDepthInBox(state.depthUncertainty, box, state.depthWidth) : 0;
+        const confidence = (calibrated ? 0.8 : 0.4) * Math.max(0, 1 - std / MAX_DEPTH_STD);
+        det.distance = { meters, confidence, calibrated, zone: rangeZone(meters) };
+      }
+    }
+  }
+  state.projector.update(state.currentDetections);
+}
+
+function rangeZone(meters) {
+  return meters < 50 ? 'RED' : meters < 150 ? 'AMBER' : 'GREEN';
+}
+
+/**
+ * Detection distance from a track's fused metric range.
+ */
+function rangeToDistance(k) {
+  return { meters: k.range, sigma: k.rangeSigma, confidence: k.calibrated ? 0.8 : 0.4,
+    calibrated: k.calibrated, zone: rangeZone(k.range) };
+}
+
 // --- Cached DOM references for intel updates (avoid getElementById each frame) ---
 const _domCache = {};
 function _dom(id) {
@@ -613,13 +1121,11 @@ function _dom(id) {
 }
 
 function runIntelligenceAnalysis() {
-  const mavenIntel = state.maven ? {
-    sigint: state.maven.getLatest('sigint'),
-    geoint: state.maven.getLatest('geoint'),
-    humint: state.maven.getLatest('humint'),
-    threat: state.maven.getLatest('threat'),
-    environment: state.maven.getLatest('environment')
-  } : null;
+  if (!state.replayActive) sessionRecorder.record(SessionEvent.POSE, state.projector.getPose());
+
+  // Fused, provenance-tagged picture from every intel source (fed by the
+  // recording during replay)
+  const mavenIntel = intelRegistry.getMergedIntel();
 
   // Scene classification
   const scene = sceneClassifier.classify(
@@ -633,16 +1139,24 @@ function runIntelligenceAnalysis() {
   const sceneEl = _dom('scene-type');
   if (sceneEl) sceneEl.textContent = `SCENE: ${scene.type}`;
 
-  // Terrain analysis
+  // Terrain analysis: geometric where the ground plane can be fitted
+  const ground = state.currentDepthMap
+    ? state.groundPlane.estimate(state.currentDepthMap, state.depthWidth, state.depthHeight,
+      state.projector.getPose(), state.depthMetersPerUnit)
+    : null;
   const terrain = terrainAnalyzer.analyze(
     state.currentDepthMap, state.depthWidth, state.depthHeight,
-    state.currentDetections, scene.type
+    state.currentDetections, scene.type, ground
   );
   terrainOverlay.update(terrain);
 
   // Feed OSINT data to threat engine for decision-making integration
-  const osintSummary = osintFeeds.getTacticalSummary();
-  threatEngine.setOSINTData(osintFeeds.data, osintSummary);
+  if (state.replayActive) {
+    const recorded = sessionReplay.getOsint();
+    threatEngine.setOSINTData(recorded.data, recorded.summary);
+  } else {
+    threatEngine.setOSINTData(osintFeeds.data, osintFeeds.getTacticalSummary());
+  }
 
   // Full threat analysis (METT-TC integrated + OSINT-enhanced)
   state.currentAssessments = threatEngine.analyze(
@@ -650,6 +1164,10 @@ function runIntelligenceAnalysis() {
     state.currentDepthMap, state.depthWidth, state.depthHeight,
     mavenIntel
   );
+  sessionRecorder.record(SessionEvent.INTEL, {
+    frame: state.frameCount,
+    assessments: summarizeAssessments(state.currentAssessments)
+  });
 
   // Update detection threat levels from assessments
   for (const assessment of state.currentAssessments) {
@@ -664,14 +1182,57 @@ function runIntelligenceAnalysis() {
   const civilData = civilAnalyzer.getCivilData();
   civilianOverlay.update(civilData);
 
+  // Control measures: crossings drive phase-line status and decision points
+  const crossings = tacticalGraphics.update(state.projector.getPosition(), state.currentDetections);
+  tacticalOverlay.update(tacticalGraphics.getShapes(), state.projector);
+  for (const c of crossings) {
+    for (const dp of c.triggered) speechEngine.announceAlert(`Decision point. ${dp.description}`);
+    if (c.side === 'FRIENDLY') speechEngine.speak(`${c.type === 'OBJECTIVE' ? 'On' : 'Crossing'} ${c.name}`);
+    else if (c.type === 'ENGAGEMENT_AREA') speechEngine.speak(`Enemy in ${c.name}`);
+  }
+
+  // Off-screen tracks remembered at their last world position
+  geoTrackOverlay.update(state.projector.getPose(), state.projector.getRememberedTracks());
+
   // Update drone overlay
   droneOverlay.update(droneManager.getFleetData(), droneManager.getTaskingData());
 
-  // Update suit overlay
+  // Team mode: share our picture, draw teammates and their tracks
+  if (teamSync.isConnected()) {
+    teamSync.publishTracks(state.currentDetections);
+  }
+
+  // CoT out: tracks, fleet and protected structures for ATAK users
+  cotBridge.publish({
+    assessments: state.currentAssessments,
+    fleet: droneManager.getFleetData().fleet,
+    structures: civilData.protectedStructures
+  });
+
+  // Friendly markers: teammates plus friendly CoT users
+  teamOverlay.update({ position: teamSync.position, heading: currentHeading || 0 },
+    [...teamSync.getPeers(), ...cotBridge.getFriendlies()], teamSync.getTeamTracks());
+
+  // Plan view: fleet, geo-located tracks, aircraft, phase lines, no-fire zones
+  const osint = state.replayActive ? sessionReplay.getOsint().data : osintFeeds.data;
+  minimapOverlay.update({
+    position: state.projector.getPosition(),
+    fleet: droneManager.getFleetData().fleet,
+    tracks: state.currentDetections,
+    remembered: state.projector.getRememberedTracks(),
+    aircraft: osint?.aircraft?.entries || [],
+    phaseLines: timeManager.getTimeData().missionTime.phaseLines,
+    measures: tacticalGraphics.getShapes(),
+    structures: civilData.protectedStructures
+  });
+
+  // Update suit overlay (a visible or briefly lost UAS track raises the drone warning)
+  suitStatus.setThreat('enemyDroneNearby', state.currentDetections.some(d => d.tacticalClass === 'UAS'));
   suitOverlay.update(suitStatus.getStatus());
 
   // Update OSINT overlay (data updates via callback, but refresh heading)
   osintOverlay.setOperatorHeading(currentHeading || 0);
+  droneOverlay.setOperatorHeading(currentHeading || 0);
 
   // Update bottom bar (cached DOM refs)
   const threatCount = state.currentAssessments.filter(a => a.classification === 'HOSTILE').length;
@@ -680,6 +1241,7 @@ function runIntelligenceAnalysis() {
   const civSumEl = _dom('civ-summary');
   if (threatSumEl) threatSumEl.textContent = `THREATS: ${threatCount}`;
   if (civSumEl) civSumEl.textContent = `CIV: ${civCount}`;
+  updateIntelStatus();
 
   // Update drone fleet DOM
   droneManager.updateDOM();
@@ -697,31 +1259,99 @@ function runIntelligenceAnalysis() {
 // Segmentation
 // =============================================================================
 
-async function runSegmentation(x, y) {
-  if (!state.modelsLoaded.segmentor) return;
-  try {
-    console.log(`[APP] Running segmentation at (${x.toFixed(2)}, ${y.toFixed(2)})`);
-    // Encode current frame first
-    const canvas = renderer.getCanvas();
-    const ctx = renderer.getContext();
-    if (!canvas || !ctx) return;
-
-    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-    await state.segmentor.encode(imageData);
-    const mask = await state.segmentor.segment(x, y);
-    if (mask) {
-      // Register temporary mask overlay
-      const { renderSegmentationMask } = await import('./ui/hud-overlays.js');
-      renderer.registerOverlay('segmentation', (ctx, w, h) => {
-        renderSegmentationMask(ctx, w, h, mask.data, mask.width, mask.height, [0, 255, 204, 0.3]);
-      }, 2.5); // Between terrain and detections
-
-      // Remove mask after 5 seconds
-      setTimeout(() => renderer.removeOverlay('segmentation'), 5000);
-    }
-  } catch (err) {
-    console.error('[APP] Segmentation error:', err);
+// Re-encode the frame when the embedding is older than this (ms)...
+const MASK_REENCODE_MS = 1500;
+// ...or the locked box has moved this fraction of its size since encoding
+const MASK_MAX_DRIFT = 0.5;
+// Longest side of the frame given to the encoder (px)
+const SEGMENT_FRAME_SIZE = 512;
+
+let maskCounter = 0;
+
+/**
+ * Keep a mask on the locked track: each detection pass re-prompts MobileSAM
+ * with the track's Kalman box against the cached embedding. Runs in the
+ * background; a pass still in flight is not queued behind.
+ */
+function updateLockedMask() {
+  if (!state.modelsLoaded.segmentor || state.segmentBusy || state.replayActive) return;
+  const det = state.lockedTrackId !== null
+    ? state.currentDetections.find(d => d.trackId === state.lockedTrackId)
+    : null;
+  if (!det) {
+    clearLockedMask();
+    return;
+  }
+
+  state.segmentBusy = true;
+  segmentTrack(det)
+    .catch(err => console.error('[APP] Segmentation error:', err))
+    .finally(() => { state.segmentBusy = false; });
+}
+
+async function segmentTrack(det) {
+  const seg = state.lockedMask;
+  const stale = seg?.trackId !== det.trackId ||
+    state.segmentor.getEmbeddingAge() > MASK_REENCODE_MS ||
+    boxDrift(seg.encodedBox, det.bbox) > MASK_MAX_DRIFT;
+
+  let encodedBox = seg?.encodedBox;
+  if (stale) {
+    const frame = captureSegmentationFrame();
+    if (!frame || !await state.segmentor.encode(frame)) return;
+    encodedBox = det.bbox;
   }
+
+  const frameSize = state.segmentor.getFrameSize();
+  if (!frameSize) return;
+  const fw = frameSize.width, fh = frameSize.height;
+  const result = await state.segmentor.segmentBox([det.bbox[0] * fw, det.bbox[1] * fh, det.bbox[2] * fw, det.bbox[3] * fh]);
+  // The lock may have moved on while the models ran
+  if (!result || state.lockedTrackId !== det.trackId) return;
+
+  let pixels = 0;
+  for (let i = 0; i < result.mask.length; i++) if (result.mask[i]) pixels++;
+  state.lockedMask = {
+    id: ++maskCounter,
+    trackId: det.trackId,
+    mask: result.mask,
+    width: result.width,
+    height: result.height,
+    encodedBox,
+    exposedArea: pixels / result.mask.length
+  };
+}
+
+function clearLockedMask() {
+  state.lockedMask = null;
+}
+
+/**
+ * The perception frame (enhanced in night / thermal modes) scaled for the
+ * SAM encoder, which resizes to 1024 anyway.
+ */
+function captureSegmentationFrame() {
+  if (!state.video || state.video.readyState < 2) return null;
+  const source = perceptionSource();
+  const sw = source.videoWidth || source.width, sh = source.videoHeight || source.height;
+  if (!sw || !sh) return null;
+  const scale = Math.min(1, SEGMENT_FRAME_SIZE / Math.max(sw, sh));
+  const width = Math.round(sw * scale), height = Math.round(sh * scale);
+
+  if (!state._segmentCanvas || state._segmentCanvas.width !== width || state._segmentCanvas.height !== height) {
+    state._segmentCanvas = new OffscreenCanvas(width, height);
+    state._segmentCtx = state._segmentCanvas.getContext('2d', { willReadFrequently: true });
+  }
+  state._segmentCtx.drawImage(source, 0, 0, width, height);
+  return state._segmentCtx.getImageData(0, 0, width, height);
+}
+
+// Centre displacement of b from a, relative to a's size
+function boxDrift(a, b) {
+  if (!a || !b) return Infinity;
+  const dx = (b[0] + b[2] / 2) - (a[0] + a[2] / 2);
+  const dy = (b[1] + b[3] / 2) - (a[1] + a[3] / 2);
+  return Math.hypot(dx, dy) / Math.max(1e-3, Math.max(a[2], a[3]));
 }
 
 // =============================================================================
@@ -751,6 +1381,11 @@ function initCompass() {
 
     // Feed heading to OSINT overlay for relative bearing calculation
     osintOverlay.setOperatorHeading(heading);
+    droneManager.setOperatorHeading(heading);
+    teamSync.setHeading(heading);
+    cotBridge.setHeading(heading);
+    minimapOverlay.setHeading(heading);
+    state.projector.setHeading(heading);
   }
 
   function handleOrientation(e) {
@@ -764,6 +1399,12 @@ function initCompass() {
       heading = (360 - e.alpha) % 360;
     }
     if (heading !== null) updateCompass(heading);
+    state.projector.setOrientation(e.beta, e.gamma);
+  }
+
+  // Gyro rate feeds the ego-motion estimate (same permission as orientation on iOS)
+  function handleMotion(e) {
+    state.perception?.addMotion(e);
   }
 
   // iOS 13+ requires permission request for DeviceOrientation
@@ -775,6 +1416,7 @@ function initCompass() {
         const permission = await DeviceOrientationEvent.requestPermission();
         if (permission === 'granted') {
           window.addEventListener('deviceorientation', handleOrientation, true);
+          window.addEventListener('devicemotion', handleMotion, true);
           console.log('[COMPASS] Device orientation permission granted');
         } else {
           console.warn('[COMPASS] Permission denied');
@@ -793,6 +1435,7 @@ function initCompass() {
   } else if (typeof DeviceOrientationEvent !== 'undefined') {
     // Non-iOS: just listen directly
     window.addEventListener('deviceorientation', handleOrientation, true);
+    window.addEventListener('devicemotion', handleMotion, true);
     console.log('[COMPASS] Device orientation listener added');
   } else {
     console.warn('[COMPASS] DeviceOrientation API not available');
@@ -806,6 +1449,26 @@ function initCompass() {
 
 let lastGeoLookup = 0;
 
+// IP geolocation is city-level at best (shown as a 1 km grid)
+const IP_FIX_ACCURACY_M = 5000;
+const IP_FIX_GRID_DIGITS = 2;
+
+/**
+ * Fan a position fix out to everything that works in world coordinates:
+ * OSINT feeds, the drone sim (launch/recovery point), geo projection, threat
+ * engine intel correlation, team sync and CoT.
+ * @param {number} [accuracy] - Horizontal accuracy (m); IP fixes have none
+ */
+function setOperatorPosition(lat, lon, accuracy) {
+  osintFeeds.setPosition(lat, lon);
+  droneManager.setHome(lat, lon);
+  state.projector.setPosition(lat, lon, accuracy ?? IP_FIX_ACCURACY_M);
+  gridFrame.setOrigin(lat, lon);
+  threatEngine.setOperatorPosition(lat, lon);
+  teamSync.setPosition(lat, lon);
+  cotBridge.setPosition(lat, lon);
+}
+
 function initGeolocation() {
   const coordsEl = document.getElementById('geo-coords');
   const locationEl = document.getElementById('geo-location');
@@ -856,11 +1519,11 @@ function initGeolocation() {
 
       if (lat && lon) {
         console.log(`[GEO] IP geolocation: ${lat.toFixed(4)}, ${lon.toFixed(4)} (${city}, ${region})`);
-        coordsEl.textContent = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+        coordsEl.textContent = formatMgrs(toMgrs(lat, lon, IP_FIX_GRID_DIGITS));
         if (city && region) {
           locationEl.textContent = `${city}, ${region}`.toUpperCase();
         }
-        osintFeeds.setPosition(lat, lon);
+        setOperatorPosition(lat, lon);
       } else {
         console.warn('[GEO] IP geolocation failed, feeds will not have position data');
         coordsEl.textContent = 'IP FALLBACK FAILED';
@@ -892,10 +1555,9 @@ function initGeolocation() {
       clearTimeout(gpsTimeout);
       const lat = pos.coords.latitude;
       const lon = pos.coords.longitude;
-      coordsEl.textContent = `${lat.toFixed(5)}, ${lon.toFixed(5)}`;
+      coordsEl.textContent = formatMgrs(toMgrs(lat, lon));
 
-      // Feed position to OSINT feeds
-      osintFeeds.setPosition(lat, lon);
+      setOperatorPosition(lat, lon, pos.coords.accuracy);
 
       // Reverse geocode for city/state (rate limited to every 30s)
       const now = Date.now();
@@ -944,6 +1606,8 @@ function initOSINT() {
   // Register OSINT data update callback
   osintFeeds.onUpdate((data) => {
     const summary = osintFeeds.getTacticalSummary();
+    sessionRecorder.record(SessionEvent.OSINT, { data, summary });
+    droneManager.setWind(windFromWeather(data.weather?.current));
     osintOverlay.update(data, summary);
   });
 
@@ -985,11 +1649,13 @@ function initSpeech() {
     getSuit: () => suitStatus.getStatus(),
     getMission: () => state.missionContext?.getContext?.() || state.missionContext,
     getAssessments: () => state.currentAssessments,
-    getTerrain: () => terrainAnalyzer.getLastAnalysis()
+    getTerrain: () => terrainAnalyzer.getLastAnalysis(),
+    getPosition: () => state.projector.getPosition()
   });
 
   // Wire up action callbacks
   speechEngine.onToggleTerrain(() => terrainOverlay.toggle());
+  speechEngine.onViewMode((mode) => setViewMode(mode));
   speechEngine.onShowOsint(() => osintOverlay.togglePanel());
   speechEngine.onRecallDrones(() => {
     const fleet = droneManager.getFleetData();
@@ -1034,6 +1700,7 @@ function initSpeech() {
 
   // Transcript display
   speechEngine.onTranscript((text, isFinal) => {
+    if (isFinal) sessionRecorder.record(SessionEvent.VOICE, { transcript: text });
     if (!transcriptEl) return;
     transcriptEl.textContent = text.toUpperCase();
     transcriptEl.classList.add('visible');
@@ -1056,21 +1723,139 @@ function initSpeech() {
   }
 }
 
+// =============================================================================
+// Session Record / Replay
+// =============================================================================
+
+function initSession() {
+  const recEl = document.getElementById('rec-status');
+
+  // Fleet ticks carry full drone state (specs, payload) so COA feasibility replays exactly
+  droneManager.on('onFleetUpdate', () => {
+    if (sessionRecorder.isRecording()) {
+      sessionRecorder.record(SessionEvent.DRONES, droneManager.getSnapshot());
+    }
+  });
+
+  sessionRecorder.onChange((recording) => {
+    if (!recEl) return;
+    recEl.classList.toggle('recording', recording);
+    recEl.textContent = recording ? 'REC \u25CF' : 'REC';
+  });
+
+  // Tap REC to start; tap again to stop and save the session file
+  if (recEl) {
+    recEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (state.replayActive) return;
+      if (sessionRecorder.isRecording()) {
+        sessionRecorder.stop();
+        sessionRecorder.download();
+        return;
+      }
+      const scenario = state.maven.getScenarioStatus();
+      sessionRecorder.start({
+        mission: missionPanel.getCurrentMission()?.id || null,
+        scenario: scenario.scenario,
+        seed: scenario.seed
+      });
+      // Seed the recording with current state so replay starts from the same picture
+      const mission = missionPanel.getCurrentMission();
+      if (mission && state.missionActive) {
+        sessionRecorder.record(SessionEvent.MISSION, { ...mission, threatProfile: threatProfiles.getActive() });
+      }
+      sessionRecorder.record(SessionEvent.BELIEF, classificationBelief.getState());
+      if (droneManager.fleet.length) sessionRecorder.record(SessionEvent.DRONES, droneManager.getSnapshot());
+      for (const type of INTEL_TYPES) {
+        for (const data of intelRegistry.getItems(type)) {
+          sessionRecorder.record(SessionEvent.MAVEN, { type, data });
+        }
+      }
+      sessionRecorder.record(SessionEvent.OSINT, { data: osintFeeds.data, summary: osintFeeds.getTacticalSummary() });
+    });
+  }
+
+  // --- Replay handlers: recorded events drive the same pipeline functions ---
+  sessionReplay.on(SessionEvent.MISSION, (mission) => activateMission(mission, { live: false }));
+  sessionReplay.on(SessionEvent.PROFILE, (profile) => threatEngine.setProfile(profile));
+  sessionReplay.on(SessionEvent.BELIEF, (state) => classificationBelief.loadState(state));
+  sessionReplay.on(SessionEvent.CONFIRM, ({ trackId, label }) => confirmClassification(trackId, label));
+  sessionReplay.on(SessionEvent.MAVEN, ({ type, data }) => intelRegistry.ingest(type, data));
+  sessionReplay.on(SessionEvent.TRACKS, ({ tracks }) => {
+    state.currentDetections = buildDetections(tracks);
+  });
+  sessionReplay.on(SessionEvent.DEPTH, (depthResult) => applyDepthResult(depthResult));
+  sessionReplay.on(SessionEvent.POSE, (pose) => {
+    state.projector.setPose(pose);
+    if (pose.position) {
+      threatEngine.setOperatorPosition(pose.position.lat, pose.position.lon);
+      gridFrame.setOrigin(pose.position.lat, pose.position.lon);
+    }
+  });
+  sessionReplay.on(SessionEvent.OSINT, ({ data, summary }) => osintOverlay.update(data, summary));
+  sessionReplay.on(SessionEvent.DRONES, (snapshot) => droneManager.loadSnapshot(snapshot));
+  sessionReplay.on(SessionEvent.TOUCH, ({ gesture, pos }) => gestures[gesture]?.(pos));
+  sessionReplay.on(SessionEvent.VOICE, ({ transcript }) => {
+    console.log(`[REPLAY] Voice: "${transcript}"`);
+  });
+  sessionReplay.on(SessionEvent.INTEL, ({ frame, assessments }, event) => {
+    state.frameCount = frame;
+    runIntelligenceAnalysis();
+    sessionReplay.compare(assessments, summarizeAssessments(state.currentAssessments), event);
+  });
+
+  sessionReplay.onEnd((report) => {
+    state.replayActive = false;
+    if (recEl) {
+      recEl.classList.remove('replay');
+      recEl.textContent = report.diverged ? `RPL ${report.diverged}\u2260` : 'RPL \u2713';
+    }
+  });
+}
+
+/**
+ * Replay a recorded session (?replay=<url>[&speed=N], speed=0 runs flat out).
+ */
+async function startReplay(url) {
+  const recEl = document.getElementById('rec-status');
+  try {
+    await sessionReplay.loadFromUrl(url);
+  } catch (err) {
+    console.error('[REPLAY] Failed to load session:', err);
+    missionPanel.show();
+    return;
+  }
+
+  // Live feeds stay up for display but no longer drive the pipeline
+  state.replayActive = true;
+  intelRegistry.stopAll();
+  intelRegistry.clear();
+  droneManager.stopSimulation();
+  threatEngine.reset();
+  classificationBelief.reset();
+  if (recEl) {
+    recEl.classList.add('replay');
+    recEl.textContent = 'RPL';
+  }
+
+  const speed = parseFloat(new URLSearchParams(location.search).get('speed') ?? '1');
+  sessionReplay.play({ speed: Number.isFinite(speed) ? speed : 1 });
+}
+
 // =============================================================================
 // Utility Functions
 // =============================================================================
 
-function mapTacticalClass(cocoClass) {
-  const mapping = {
-    person: 'PERSONNEL',
-    car: 'VEHICLE', truck: 'VEHICLE', bus: 'VEHICLE',
-    motorcycle: 'LIGHT_VEHICLE', bicycle: 'LIGHT_VEHICLE',
-    airplane: 'AIRCRAFT',
-    cell_phone: 'COMMS_EQUIPMENT', laptop: 'COMMS_EQUIPMENT',
-    backpack: 'SUPPLY', suitcase: 'SUPPLY', handbag: 'SUPPLY',
-    knife: 'EDGED_WEAPON', scissors: 'EDGED_WEAPON'
-  };
-  return mapping[cocoClass] || 'UNKNOWN';
+// Slower than this (m/s), or within the speed's own 1-sigma noise, reads as stationary
+const MIN_MOVING_SPEED = 0.3;
+
+// Heading from metric kinematics: closing vs opening range rate against lateral speed
+function getMetricHeading(k) {
+  const speed = Math.hypot(k.rangeRate, k.lateralSpeed);
+  if (speed < Math.max(MIN_MOVING_SPEED, Math.hypot(k.rangeRateSigma, k.lateralSpeedSigma))) return 'STATIONARY';
+  if (-k.rangeRate > Math.abs(k.lateralSpeed) * 0.5) return 'APPROACHING';
+  if (k.rangeRate > Math.abs(k.lateralSpeed) * 0.5) return 'RETREATING';
+  return k.lateralSpeed > 0 ? 'LATERAL_RIGHT' : 'LATERAL_LEFT';
 }
 
 function getMovementHeading(velocity) {
@@ -1085,6 +1870,14 @@ function getMovementHeading(velocity) {
   return 'LATERAL_LEFT';
 }
 
+function updateIntelStatus() {
+  const countEl = _dom('intel-count');
+  const dotEl = _dom('intel-dot');
+  const summary = intelRegistry.getHealthSummary();
+  if (countEl) countEl.textContent = `${summary.online}/${summary.total}`;
+  if (dotEl) dotEl.className = `status-dot ${summary.status.toLowerCase()}`;
+}
+
 function updateModelStatus() {
   const el = document.getElementById('model-status');
   if (!el) return;
@@ -1095,6 +1888,20 @@ function updateModelStatus() {
                    loaded > 0 ? 'var(--hud-caution)' : 'var(--hud-hostile)';
 }
 
+/**
+ * OFFLINE READY once the service worker serves the app shell and every
+ * model asset is cached and verified.
+ */
+function updateOfflineStatus() {
+  const el = document.getElementById('offline-status');
+  if (!el) return;
+  const shell = !!navigator.serviceWorker?.controller;
+  const models = modelAssets.isOfflineReady();
+  el.textContent = shell && models ? 'OFFLINE READY' : 'ONLINE ONLY';
+  el.classList.toggle('ready', shell && models);
+  el.title = `App shell ${shell ? 'cached' : 'not cached'}, models ${models ? 'verified' : 'incomplete'}`;
+}
+
 // =============================================================================
 // Launch
 // =============================================================================
@@ -6,10 +6,13 @@
 /**
  * Initialize the rear-facing camera and bind to #camera-feed video element.
  * Designed for iOS Safari: uses playsinline, handles permission prompts.
+ * An external UVC / thermal camera is selected with options.deviceId.
  *
+ * @param {Object} [options]
+ * @param {string} [options.deviceId] - Video input from listVideoInputs()
  * @returns {Promise<{video: HTMLVideoElement, stream: MediaStream, width: number, height: number}>}
  */
-export async function initCamera() {
+export async function initCamera(options = {}) {
     console.log('[CAMERA] Initializing camera subsystem...');
 
     // Verify getUserMedia support
@@ -34,7 +37,11 @@ export async function initCamera() {
 
     const constraints = {
         audio: false,
-        video: {
+        video: options.deviceId ? {
+            deviceId: { exact: options.deviceId },
+            width: { ideal: 1280 },
+            height: { ideal: 720 }
+        } : {
             facingMode: 'environment',
             width: { ideal: 1280 },
             height: { ideal: 720 }
@@ -43,7 +50,7 @@ export async function initCamera() {
 
     let stream;
     try {
-        console.log('[CAMERA] Requesting camera access (environment facing)...');
+        console.log(`[CAMERA] Requesting camera access (${options.deviceId ? 'selected device' : 'environment facing'})...`);
         stream = await navigator.mediaDevices.getUserMedia(constraints);
         console.log('[CAMERA] Camera access granted');
     } catch (err) {
@@ -122,6 +129,25 @@ export async function initCamera() {
     };
 }
 
+/**
+ * Video inputs on this device. Labels are empty until camera permission has
+ * been granted, so call after initCamera().
+ *
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export async function listVideoInputs() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    try {
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(d => d.kind === 'videoinput')
+            .map(d => ({ deviceId: d.deviceId, label: d.label || 'Camera' }));
+    } catch (err) {
+        console.warn('[CAMERA] Device enumeration failed:', err.message);
+        return [];
+    }
+}
+
 /**
  * Stop camera and release all resources.
  *
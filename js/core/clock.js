@@ -0,0 +1,38 @@
+// =============================================================================
+// TALOS 2.0 - Pipeline Clock
+// Single "now" for the intelligence pipeline. Live operation reads the wall
+// clock; session replay pins it to each recorded event's timestamp so time-
+// dependent logic (ETAs, phase lines, civil events) reproduces exactly.
+// =============================================================================
+
+class Clock {
+  constructor() {
+    this._pinned = null;
+  }
+
+  // Current time in epoch milliseconds
+  now() {
+    return this._pinned !== null ? this._pinned : Date.now();
+  }
+
+  // Current time as a Date
+  date() {
+    return new Date(this.now());
+  }
+
+  // Freeze time at a specific epoch ms (used by session replay)
+  pin(ms) {
+    this._pinned = ms;
+  }
+
+  // Return to wall-clock time
+  release() {
+    this._pinned = null;
+  }
+
+  isPinned() {
+    return this._pinned !== null;
+  }
+}
+
+export const clock = new Clock();
@@ -0,0 +1,58 @@
+// TALOS 2.0 - Geodesy Helpers
+// Great-circle math on a spherical earth. Positions are { lat, lon } in
+// degrees, bearings are degrees true (0 = north, clockwise), distances meters.
+
+export const EARTH_RADIUS_M = 6371008.8;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// Wrap any angle into [0, 360)
+export function normalizeBearing(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+// Signed difference a - b wrapped into (-180, 180]
+export function bearingDiff(a, b) {
+  const d = normalizeBearing(a - b);
+  return d > 180 ? d - 360 : d;
+}
+
+// Haversine distance in meters
+export function distanceMeters(a, b) {
+  const dLat = toRad(b.lat - a.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+// Initial great-circle bearing from a to b
+export function initialBearing(a, b) {
+  const lat1 = toRad(a.lat), lat2 = toRad(b.lat);
+  const dLon = toRad(b.lon - a.lon);
+  const y = Math.sin(dLon) * Math.cos(lat2);
+  const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLon);
+  return normalizeBearing(toDeg(Math.atan2(y, x)));
+}
+
+// Point reached travelling distanceM along bearingDeg from origin
+export function destinationPoint(origin, bearingDeg, distanceM) {
+  const delta = distanceM / EARTH_RADIUS_M;
+  const theta = toRad(bearingDeg);
+  const lat1 = toRad(origin.lat), lon1 = toRad(origin.lon);
+  const lat2 = Math.asin(Math.sin(lat1) * Math.cos(delta) +
+    Math.cos(lat1) * Math.sin(delta) * Math.cos(theta));
+  const lon2 = lon1 + Math.atan2(Math.sin(theta) * Math.sin(delta) * Math.cos(lat1),
+    Math.cos(delta) - Math.sin(lat1) * Math.sin(lat2));
+  return { lat: toDeg(lat2), lon: ((toDeg(lon2) + 540) % 360) - 180 };
+}
+
+// Horizontal field of view of the rear camera (screen x → bearing)
+export const CAMERA_HFOV_DEG = 65;
+
+// Project a normalized screen x along the operator's heading to a range
+export function screenPointToGeo(origin, headingDeg, x, rangeM) {
+  const bearing = normalizeBearing(headingDeg + (x - 0.5) * CAMERA_HFOV_DEG);
+  return destinationPoint(origin, bearing, rangeM);
+}
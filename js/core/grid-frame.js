@@ -0,0 +1,68 @@
+// TALOS 2.0 - Exercise Grid Frame
+// Resolves MGRS grids cited by scenarios, mission orders and intel to world
+// positions. Exercise material is authored around a reference grid (the
+// scenario's friendly position). When the operator is nowhere near it, grids
+// in the exercise area are carried across so they keep their bearing and
+// distance from the reference, now measured from the operator. Grids
+// elsewhere, and every grid when the operator is in the area, are literal.
+
+import { destinationPoint, distanceMeters, initialBearing } from './geo.js';
+import { fromMgrs, toMgrs } from './mgrs.js';
+
+const EXERCISE_AREA_M = 100000;      // grids this close to the reference belong to the exercise
+
+class GridFrame {
+  constructor() {
+    this.referenceGrid = null;
+    this.reference = null;           // { lat, lon } of the reference grid
+    this.origin = null;              // operator { lat, lon }
+  }
+
+  setReference(grid) {
+    const ref = fromMgrs(grid);
+    this.referenceGrid = ref ? grid : null;
+    this.reference = ref ? { lat: ref.lat, lon: ref.lon } : null;
+  }
+
+  setOrigin(lat, lon) {
+    this.origin = { lat, lon };
+  }
+
+  // True when exercise grids are being carried across to the operator
+  isRelocated() {
+    return !!(this.reference && this.origin &&
+      distanceMeters(this.reference, this.origin) > EXERCISE_AREA_M);
+  }
+
+  /**
+   * @param {string} grid - MGRS, compact or spaced
+   * @returns {{lat: number, lon: number, precision: number}|null}
+   */
+  toGeo(grid) {
+    const point = fromMgrs(grid);
+    if (!point || !this.isRelocated()) return point;
+    const offset = distanceMeters(this.reference, point);
+    if (offset > EXERCISE_AREA_M) return point;
+    return {
+      ...destinationPoint(this.origin, initialBearing(this.reference, point), offset),
+      precision: point.precision
+    };
+  }
+
+  /**
+   * Inverse of toGeo for positions near the operator: the grid an exercise
+   * order would use for this point.
+   * @param {{lat: number, lon: number}} geo
+   * @param {number} [digits=5]
+   */
+  toGrid(geo, digits = 5) {
+    if (!geo) return null;
+    if (!this.isRelocated() || distanceMeters(this.origin, geo) > EXERCISE_AREA_M) {
+      return toMgrs(geo.lat, geo.lon, digits);
+    }
+    const p = destinationPoint(this.reference, initialBearing(this.origin, geo), distanceMeters(this.origin, geo));
+    return toMgrs(p.lat, p.lon, digits);
+  }
+}
+
+export const gridFrame = new GridFrame();
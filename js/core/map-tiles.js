@@ -0,0 +1,105 @@
+// TALOS 2.0 - Offline Map Data
+// Basemap for the minimap: slippy raster tiles from a URL template
+// (?tiles=/maps/{z}/{x}/{y}.png) and/or a GeoJSON vector layer (?map=<url>).
+// Everything fetched is kept in Cache Storage, so an area viewed once (or
+// pre-seeded by opening it on a network) is available with no connection.
+
+const CACHE_NAME = 'talos-map-v1';
+const MAX_TILES_IN_MEMORY = 96;
+const MAX_ZOOM = 19;
+
+// Web Mercator tile coordinates (fractional) of a point
+export function tileXY(lat, lon, z) {
+  const n = 2 ** z;
+  const latRad = lat * Math.PI / 180;
+  return {
+    x: (lon + 180) / 360 * n,
+    y: (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n
+  };
+}
+
+// Ground size of one tile edge at a latitude (m)
+export function tileSizeMeters(lat, z) {
+  return 40075016.686 * Math.cos(lat * Math.PI / 180) / 2 ** z;
+}
+
+async function cachedFetch(url) {
+  const cache = self.caches ? await caches.open(CACHE_NAME) : null;
+  const hit = cache ? await cache.match(url) : null;
+  if (hit) return hit;
+  const resp = await fetch(url);
+  if (resp.ok && cache) await cache.put(url, resp.clone());
+  return resp;
+}
+
+class MapTiles {
+  constructor() {
+    this.template = null;            // '.../{z}/{x}/{y}.png'
+    this.features = [];              // GeoJSON features (LineString / Polygon / Point)
+    this._tiles = new Map();         // 'z/x/y' → ImageBitmap | 'loading' | 'error'
+  }
+
+  setTileTemplate(template) {
+    this.template = template || null;
+    this._tiles.clear();
+  }
+
+  async loadGeoJSON(url) {
+    try {
+      const resp = await cachedFetch(url);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      const json = await resp.json();
+      this.features = json.type === 'FeatureCollection' ? json.features : [json];
+      console.log(`[MAP] Vector layer: ${this.features.length} features from ${url}`);
+    } catch (err) {
+      console.warn(`[MAP] GeoJSON load failed (${url}): ${err.message}`);
+    }
+  }
+
+  // Zoom whose tiles come closest to metersPerPixel at this latitude
+  zoomFor(lat, metersPerPixel) {
+    const z = Math.round(Math.log2(tileSizeMeters(lat, 0) / 256 / metersPerPixel));
+    return Math.max(0, Math.min(MAX_ZOOM, z));
+  }
+
+  /**
+   * Tile image if loaded; otherwise starts loading it and returns null.
+   * @returns {ImageBitmap|null}
+   */
+  getTile(z, x, y) {
+    if (!this.template) return null;
+    const n = 2 ** z;
+    x = ((x % n) + n) % n;
+    if (y < 0 || y >= n) return null;
+
+    const key = `${z}/${x}/${y}`;
+    const entry = this._tiles.get(key);
+    if (entry && entry !== 'loading' && entry !== 'error') {
+      // Refresh LRU position
+      this._tiles.delete(key);
+      this._tiles.set(key, entry);
+      return entry;
+    }
+    if (!entry) this._load(key, z, x, y);
+    return null;
+  }
+
+  async _load(key, z, x, y) {
+    this._tiles.set(key, 'loading');
+    const url = this.template.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+    try {
+      const resp = await cachedFetch(url);
+      if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+      this._tiles.set(key, await createImageBitmap(await resp.blob()));
+    } catch (_) {
+      this._tiles.set(key, 'error');   // offline and never cached: leave blank
+    }
+    while (this._tiles.size > MAX_TILES_IN_MEMORY) {
+      const oldest = this._tiles.keys().next().value;
+      this._tiles.get(oldest)?.close?.();   // free the decoded bitmap now, not at GC
+      this._tiles.delete(oldest);
+    }
+  }
+}
+
+export const mapTiles = new MapTiles();
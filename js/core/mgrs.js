@@ -0,0 +1,205 @@
+// TALOS 2.0 - MGRS / UTM Conversion
+// WGS84 transverse Mercator (USGS series, sub-meter within a zone) and the
+// Military Grid Reference System on top of it. Grids are compact strings,
+// e.g. '38RKU4523067890'; formatMgrs() spaces them for display. Polar (UPS)
+// regions beyond 80°S / 84°N are not supported.
+
+const A = 6378137;                      // WGS84 semi-major axis
+const E2 = 0.00669437999014;            // first eccentricity squared
+const EP2 = E2 / (1 - E2);              // second eccentricity squared
+const K0 = 0.9996;                      // UTM scale factor on the central meridian
+
+const BAND_LETTERS = 'CDEFGHJKLMNPQRSTUVWX';     // 8° bands from 80°S (X is 12°)
+const COLUMN_SETS = ['STUVWXYZ', 'ABCDEFGH', 'JKLMNPQR'];   // by zone % 3
+const ROW_LETTERS = 'ABCDEFGHJKLMNPQRSTUV';       // 2,000 km cycle
+
+// Zone, band, 100 km square, then easting/northing digits (compact or spaced)
+export const MGRS_PATTERN = /\b(\d{1,2})([C-HJ-NP-X])\s*([A-HJ-NP-Z])([A-HJ-NP-V])\s*(\d{1,5}\s+\d{1,5}|\d{0,10})\b/i;
+
+const toRad = (deg) => deg * Math.PI / 180;
+const toDeg = (rad) => rad * 180 / Math.PI;
+
+// UTM zone, including the Norway / Svalbard exceptions
+function utmZone(lat, lon) {
+  if (lat >= 56 && lat < 64 && lon >= 3 && lon < 12) return 32;
+  if (lat >= 72 && lat < 84 && lon >= 0 && lon < 42) {
+    if (lon < 9) return 31;
+    if (lon < 21) return 33;
+    if (lon < 33) return 35;
+    return 37;
+  }
+  return Math.min(60, Math.floor((lon + 180) / 6) + 1);
+}
+
+function bandLetter(lat) {
+  return BAND_LETTERS[Math.min(19, Math.floor((lat + 80) / 8))];
+}
+
+// Meridian arc length from the equator to lat (radians)
+function meridianArc(lat) {
+  const e4 = E2 * E2, e6 = e4 * E2;
+  return A * ((1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256) * lat -
+    (3 * E2 / 8 + 3 * e4 / 32 + 45 * e6 / 1024) * Math.sin(2 * lat) +
+    (15 * e4 / 256 + 45 * e6 / 1024) * Math.sin(4 * lat) -
+    (35 * e6 / 3072) * Math.sin(6 * lat));
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [forceZone] - Project into this zone instead of the natural one
+ * @returns {{zone: number, band: string, hemisphere: string, easting: number, northing: number}|null}
+ */
+export function toUtm(lat, lon, forceZone) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || lat < -80 || lat > 84) return null;
+  lon = ((lon + 540) % 360) - 180;
+  const zone = forceZone || utmZone(lat, lon);
+  const phi = toRad(lat);
+  const lon0 = toRad((zone - 1) * 6 - 180 + 3);
+
+  const sinPhi = Math.sin(phi), cosPhi = Math.cos(phi), tanPhi = Math.tan(phi);
+  const n = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const t = tanPhi * tanPhi;
+  const c = EP2 * cosPhi * cosPhi;
+  const a = cosPhi * (toRad(lon) - lon0);
+
+  const easting = K0 * n * (a + (1 - t + c) * a ** 3 / 6 +
+    (5 - 18 * t + t * t + 72 * c - 58 * EP2) * a ** 5 / 120) + 500000;
+  let northing = K0 * (meridianArc(phi) + n * tanPhi * (a * a / 2 +
+    (5 - t + 9 * c + 4 * c * c) * a ** 4 / 24 +
+    (61 - 58 * t + t * t + 600 * c - 330 * EP2) * a ** 6 / 720));
+  if (lat < 0) northing += 10000000;
+
+  return { zone, band: bandLetter(lat), hemisphere: lat < 0 ? 'S' : 'N', easting, northing };
+}
+
+/**
+ * @param {{zone: number, hemisphere: string, easting: number, northing: number}} utm
+ * @returns {{lat: number, lon: number}}
+ */
+export function fromUtm({ zone, hemisphere, easting, northing }) {
+  const x = easting - 500000;
+  const y = hemisphere === 'S' ? northing - 10000000 : northing;
+  const lon0 = toRad((zone - 1) * 6 - 180 + 3);
+
+  const e4 = E2 * E2, e6 = e4 * E2;
+  const e1 = (1 - Math.sqrt(1 - E2)) / (1 + Math.sqrt(1 - E2));
+  const mu = y / K0 / (A * (1 - E2 / 4 - 3 * e4 / 64 - 5 * e6 / 256));
+  const phi1 = mu + (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 * e1 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu) +
+    (1097 * e1 ** 4 / 512) * Math.sin(8 * mu);
+
+  const sinPhi = Math.sin(phi1), cosPhi = Math.cos(phi1), tanPhi = Math.tan(phi1);
+  const n1 = A / Math.sqrt(1 - E2 * sinPhi * sinPhi);
+  const t1 = tanPhi * tanPhi;
+  const c1 = EP2 * cosPhi * cosPhi;
+  const r1 = A * (1 - E2) / Math.pow(1 - E2 * sinPhi * sinPhi, 1.5);
+  const d = x / (n1 * K0);
+
+  const lat = phi1 - (n1 * tanPhi / r1) * (d * d / 2 -
+    (5 + 3 * t1 + 10 * c1 - 4 * c1 * c1 - 9 * EP2) * d ** 4 / 24 +
+    (61 + 90 * t1 + 298 * c1 + 45 * t1 * t1 - 252 * EP2 - 3 * c1 * c1) * d ** 6 / 720);
+  const lon = lon0 + (d - (1 + 2 * t1 + c1) * d ** 3 / 6 +
+    (5 - 2 * c1 + 28 * t1 - 3 * c1 * c1 + 8 * EP2 + 24 * t1 * t1) * d ** 5 / 120) / cosPhi;
+
+  return { lat: toDeg(lat), lon: ((toDeg(lon) + 540) % 360) - 180 };
+}
+
+/**
+ * @param {number} lat
+ * @param {number} lon
+ * @param {number} [digits=5] - Digits per axis: 5 = 1 m, 4 = 10 m, 3 = 100 m
+ * @returns {string|null} Compact grid, e.g. '38RKU4523067890'
+ */
+export function toMgrs(lat, lon, digits = 5) {
+  const utm = toUtm(lat, lon);
+  if (!utm) return null;
+
+  const col = Math.floor(utm.easting / 100000);
+  const row = Math.floor(utm.northing / 100000) % 20;
+  const rowOffset = utm.zone % 2 === 0 ? 5 : 0;
+  const square = COLUMN_SETS[utm.zone % 3][col - 1] + ROW_LETTERS[(row + rowOffset) % 20];
+
+  const scale = 10 ** (5 - digits);
+  const e = String(Math.floor((utm.easting % 100000) / scale)).padStart(digits, '0');
+  const n = String(Math.floor((utm.northing % 100000) / scale)).padStart(digits, '0');
+  return `${utm.zone}${utm.band}${square}${digits > 0 ? e + n : ''}`;
+}
+
+/**
+ * Parse an MGRS grid (spaces allowed) to the centre of the square it names.
+ *
+ * @param {string} grid
+ * @returns {{lat: number, lon: number, precision: number}|null} precision = square size (m)
+ */
+export function fromMgrs(grid) {
+  const parts = parseMgrs(grid);
+  if (!parts) return null;
+  const { zone, band, column, row, digits } = parts;
+
+  const colIdx = COLUMN_SETS[zone % 3].indexOf(column);
+  const rowIdx = ROW_LETTERS.indexOf(row);
+  if (colIdx < 0 || rowIdx < 0) return null;
+
+  const half = digits.length / 2;
+  const precision = 10 ** (5 - half);
+  const easting = (colIdx + 1) * 100000 + (half ? Number(digits.slice(0, half)) * precision : 0) + precision / 2;
+  let northing = ((rowIdx - (zone % 2 === 0 ? 5 : 0) + 20) % 20) * 100000 +
+    (half ? Number(digits.slice(half)) * precision : 0) + precision / 2;
+
+  // The row letters repeat every 2,000 km: take the cycle nearest the
+  // latitude band (tolerates grids whose square sits just outside its band)
+  const bandIdx = BAND_LETTERS.indexOf(band);
+  const bandMidLat = -80 + bandIdx * 8 + (band === 'X' ? 6 : 4);
+  const hemisphere = bandMidLat < 0 ? 'S' : 'N';
+  const bandMid = toUtm(bandMidLat, (zone - 1) * 6 - 180 + 3, zone).northing;
+  northing += Math.round((bandMid - northing) / 2000000) * 2000000;
+
+  return { ...fromUtm({ zone, hemisphere, easting, northing }), precision };
+}
+
+/**
+ * @param {string} grid
+ * @returns {{zone: number, band: string, column: string, row: string, digits: string}|null}
+ */
+export function parseMgrs(grid) {
+  if (typeof grid !== 'string') return null;
+  const m = grid.trim().toUpperCase().match(MGRS_PATTERN);
+  if (!m) return null;
+  const digits = m[5].replace(/\s+/g, '');
+  const zone = Number(m[1]);
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0) return null;
+  return { zone, band: m[2], column: m[3], row: m[4], digits };
+}
+
+/**
+ * Display form: '38S KU 45230 67890'.
+ *
+ * @param {string} grid
+ * @returns {string}
+ */
+export function formatMgrs(grid) {
+  const p = parseMgrs(grid);
+  if (!p) return grid || '';
+  const half = p.digits.length / 2;
+  return [`${p.zone}${p.band}`, p.column + p.row, p.digits.slice(0, half), p.digits.slice(half)]
+    .filter(Boolean).join(' ');
+}
+
+/**
+ * Every MGRS grid cited in free text (mission orders, intel narratives).
+ *
+ * @param {string} text
+ * @returns {string[]} Compact grids
+ */
+export function findGrids(text) {
+  if (typeof text !== 'string') return [];
+  const pattern = new RegExp(MGRS_PATTERN.source, 'gi');
+  const grids = [];
+  for (const m of text.matchAll(pattern)) {
+    const digits = m[5].replace(/\s+/g, '');
+    if (digits.length % 2 === 0) grids.push(`${m[1]}${m[2]}${m[3]}${m[4]}${digits}`.toUpperCase());
+  }
+  return grids;
+}
@@ -0,0 +1,88 @@
+// =============================================================================
+// TALOS 2.0 - Seeded Pseudo-Random Number Generator
+// Deterministic randomness for simulations: same seed → same sequence.
+// mulberry32 core with a string hash (cyrb53-style) for human-readable seeds.
+// =============================================================================
+
+/**
+ * Hash any string or number into a 32-bit unsigned seed.
+ *
+ * @param {string|number} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+    if (typeof seed === 'number' && Number.isFinite(seed)) {
+        return seed >>> 0;
+    }
+    const str = String(seed);
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < str.length; i++) {
+        const ch = str.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    return h1 >>> 0;
+}
+
+/**
+ * Seedable PRNG with the helpers simulation code needs.
+ */
+export class SeededRandom {
+    /**
+     * @param {string|number} seed
+     */
+    constructor(seed) {
+        /** @type {string|number} Original seed (for logging / forking) */
+        this.seed = seed;
+
+        /** @type {number} Internal 32-bit state */
+        this._state = hashSeed(seed);
+    }
+
+    /**
+     * Next float in [0, 1).
+     *
+     * @returns {number}
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Float in [min, max).
+     */
+    range(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Integer in [min, max] inclusive.
+     */
+    int(min, max) {
+        return Math.floor(this.range(min, max + 1));
+    }
+
+    /**
+     * Random element of an array (undefined for empty arrays).
+     */
+    pick(arr) {
+        return arr[Math.floor(this.next() * arr.length)];
+    }
+
+    /**
+     * Independent child stream. Streams forked with the same label from the
+     * same seed always match, regardless of how much the parent was consumed.
+     *
+     * @param {string} label
+     * @returns {SeededRandom}
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}/${label}`);
+    }
+}
@@ -56,6 +56,16 @@ class Renderer {
         /** @type {Function|null} Bound resize handler */
         this._boundResize = null;
 
+        /** @type {Function|null} Maps the video to the drawable base layer (night/thermal enhancement) */
+        this._baseLayer = null;
+
+        /** @type {string|null} Overlay tint colour for a night-safe palette */
+        this._tint = null;
+
+        /** @type {OffscreenCanvas|null} Overlay layer and its tinted copy (tint only) */
+        this._overlayLayer = null;
+        this._tintLayer = null;
+
         console.log('[RENDERER] Renderer module loaded');
     }
 
@@ -145,6 +155,25 @@ class Renderer {
         }
     }
 
+    /**
+     * Replace the camera frame drawn as the base layer.
+     *
+     * @param {Function|null} fn - Function(video) returning a CanvasImageSource, or null for the raw video
+     */
+    setBaseLayer(fn) {
+        this._baseLayer = fn;
+    }
+
+    /**
+     * Recolour all overlays to one hue, keeping their brightness and alpha.
+     *
+     * @param {string|null} color - CSS colour, or null for the overlays' own colours
+     */
+    setTint(color) {
+        this._tint = color || null;
+        console.log(`[RENDERER] Overlay tint: ${this._tint || 'none'}`);
+    }
+
     /**
      * Start the render loop.
      */
@@ -264,14 +293,15 @@ class Renderer {
 
         // 1. Draw camera frame as base layer
         if (this.video.readyState >= this.video.HAVE_CURRENT_DATA) {
-            ctx.drawImage(this.video, 0, 0, w, h);
+            ctx.drawImage(this._baseLayer ? this._baseLayer(this.video) : this.video, 0, 0, w, h);
         } else {
             // No video data yet - draw black background
             ctx.fillStyle = '#000000';
             ctx.fillRect(0, 0, w, h);
         }
 
-        // 2. Call registered overlay renderers in zOrder
+        // 2. Call registered overlay renderers in zOrder (onto a separate layer when tinted)
+        const layerCtx = this._tint ? this._getOverlayLayer(w, h) : ctx;
         const quality = performanceManager.getQuality();
         for (const overlay of this.overlays) {
             // At MINIMAL quality, skip HUD chrome overlays (zOrder >= 6)
@@ -280,11 +310,12 @@ class Renderer {
             }
 
             try {
-                overlay.render(ctx, w, h, timestamp);
+                overlay.render(layerCtx, w, h, timestamp);
             } catch (err) {
                 console.error(`[RENDERER] Error in overlay "${overlay.name}":`, err);
             }
         }
+        if (this._tint) this._compositeTinted(ctx, w, h);
 
         // 3. Track FPS
         this.frameCount++;
@@ -304,6 +335,38 @@ class Renderer {
         this.lastFrameTime = timestamp;
     }
 
+    /**
+     * Cleared overlay layer matching the canvas size.
+     * @private
+     */
+    _getOverlayLayer(w, h) {
+        if (!this._overlayLayer || this._overlayLayer.width !== w || this._overlayLayer.height !== h) {
+            this._overlayLayer = new OffscreenCanvas(w, h);
+            this._tintLayer = new OffscreenCanvas(w, h);
+        }
+        const layerCtx = this._overlayLayer.getContext('2d');
+        layerCtx.clearRect(0, 0, w, h);
+        return layerCtx;
+    }
+
+    /**
+     * Tint the overlay layer ('color' blend keeps each pixel's luminance, the
+     * overlay alpha is restored with destination-in) and draw it over the frame.
+     * @private
+     */
+    _compositeTinted(ctx, w, h) {
+        const tintCtx = this._tintLayer.getContext('2d');
+        tintCtx.globalCompositeOperation = 'copy';
+        tintCtx.drawImage(this._overlayLayer, 0, 0);
+        tintCtx.globalCompositeOperation = 'color';
+        tintCtx.fillStyle = this._tint;
+        tintCtx.fillRect(0, 0, w, h);
+        tintCtx.globalCompositeOperation = 'destination-in';
+        tintCtx.drawImage(this._overlayLayer, 0, 0);
+        tintCtx.globalCompositeOperation = 'source-over';
+        ctx.drawImage(this._tintLayer, 0, 0);
+    }
+
     /**
      * Update DOM-based HUD elements (clock, FPS, detection count).
      * These are HTML elements overlaid on the canvas, not drawn on it.
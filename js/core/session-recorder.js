@@ -0,0 +1,218 @@
+// =============================================================================
+// TALOS 2.0 - Session Recorder
+// Captures a whole sortie as a timestamped event stream: detector batches,
+// tracker output, depth maps, Maven emissions, OSINT updates, drone fleet
+// ticks, touch/voice commands and intel cycle results. The resulting session
+// file is replayed offline by session-replay.js through the same pipeline.
+// =============================================================================
+
+import { clock } from './clock.js';
+
+// 2: DRONES snapshots are { fleet, home, operatorHeading, wind } (was the fleet array)
+// 3: recordings open with a BELIEF event and the opening MISSION carries its threat profile
+export const SESSION_FORMAT_VERSION = 3;
+
+// Event types written to a session
+export const SessionEvent = Object.freeze({
+  MISSION: 'mission',
+  DETECTIONS: 'detections',
+  TRACKS: 'tracks',
+  DEPTH: 'depth',
+  MAVEN: 'maven',          // intel item from any registered source (provenance-tagged)
+  OSINT: 'osint',
+  DRONES: 'drones',
+  TOUCH: 'touch',
+  VOICE: 'voice',
+  INTEL: 'intel',
+  POSE: 'pose',            // operator position, heading, pitch/roll (geo projection)
+  PROFILE: 'profile',      // threat model profile edited mid-sortie
+  CONFIRM: 'confirm',      // operator PID of a track (or its release)
+  BELIEF: 'belief'         // every track's classification belief when recording started
+});
+
+// Hard cap so a forgotten recording can't exhaust device memory
+const MAX_EVENTS = 50000;
+
+// --- Serialization helpers (typed arrays ↔ base64) ---
+
+const TYPED_ARRAYS = { Float32Array, Uint8Array, Uint8ClampedArray, Int32Array, Uint16Array };
+
+function _bytesToBase64(bytes) {
+  let binary = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(binary);
+}
+
+function _base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+function _replacer(key, value) {
+  if (ArrayBuffer.isView(value) && TYPED_ARRAYS[value.constructor.name]) {
+    const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+    return { __typed: value.constructor.name, b64: _bytesToBase64(bytes) };
+  }
+  return value;
+}
+
+function _reviver(key, value) {
+  if (value && typeof value === 'object' && value.__typed && TYPED_ARRAYS[value.__typed]) {
+    const bytes = _base64ToBytes(value.b64);
+    return new TYPED_ARRAYS[value.__typed](bytes.buffer);
+  }
+  return value;
+}
+
+export function serializeSession(session) {
+  return JSON.stringify(session, _replacer);
+}
+
+export function parseSession(json) {
+  const session = JSON.parse(json, _reviver);
+  if (!session || !Array.isArray(session.events)) {
+    throw new Error('Invalid session file: missing events');
+  }
+  if (session.version !== SESSION_FORMAT_VERSION) {
+    throw new Error(`Session format ${session.version} not supported (expected ${SESSION_FORMAT_VERSION}) - re-record it`);
+  }
+  return session;
+}
+
+// Reduce threat engine output to the fields regression checks care about
+export function summarizeAssessments(assessments) {
+  return (assessments || []).map(a => ({
+    id: a.id,
+    threatLevel: Math.round(a.threatLevel * 10000) / 10000,
+    classification: a.classification,
+    coas: (a.coursesOfAction || []).map(c => c.action),
+    profile: a.profile?.version || null,
+    // Weighted factor contributions: why the track scored what it did
+    factors: Object.fromEntries((a.factors || []).map(f => [f.key, Math.round(f.contribution * 10000) / 10000])),
+    // Classification belief behind the label
+    belief: a.belief
+      ? Object.fromEntries(Object.entries(a.belief.posterior).map(([k, p]) => [k, Math.round(p * 10000) / 10000]))
+      : null
+  }));
+}
+
+function _snapshot(data) {
+  try {
+    return structuredClone(data);
+  } catch {
+    // Non-cloneable members (functions, DOM refs) - fall back to JSON view
+    return JSON.parse(JSON.stringify(data));
+  }
+}
+
+class SessionRecorder {
+  constructor() {
+    this.recording = false;
+    this.events = [];
+    this.meta = null;
+    this._startPerf = 0;
+    this._callbacks = [];
+  }
+
+  // Begin a new recording (discards any unsaved previous one)
+  start(meta = {}) {
+    this.events = [];
+    this.meta = {
+      ...meta,
+      startedAt: clock.now(),
+      userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : 'unknown'
+    };
+    this._startPerf = performance.now();
+    this.recording = true;
+    console.log('[RECORDER] Recording STARTED');
+    this._notify();
+  }
+
+  // Stop recording and return the session object
+  stop() {
+    if (!this.recording) return this.getSession();
+    this.recording = false;
+    this.meta.stoppedAt = clock.now();
+    console.log(`[RECORDER] Recording STOPPED (${this.events.length} events)`);
+    this._notify();
+    return this.getSession();
+  }
+
+  toggle(meta) {
+    if (this.recording) {
+      this.stop();
+      return false;
+    }
+    this.start(meta);
+    return true;
+  }
+
+  isRecording() {
+    return this.recording;
+  }
+
+  // Append an event. Data is snapshotted so later mutation can't alter history.
+  record(type, data) {
+    if (!this.recording) return;
+    if (this.events.length >= MAX_EVENTS) {
+      console.warn(`[RECORDER] Event cap (${MAX_EVENTS}) reached - stopping`);
+      this.stop();
+      return;
+    }
+    this.events.push({
+      t: Math.round((performance.now() - this._startPerf) * 10) / 10,
+      wall: clock.now(),
+      type,
+      data: _snapshot(data)
+    });
+  }
+
+  getSession() {
+    return {
+      version: SESSION_FORMAT_VERSION,
+      meta: this.meta ? { ...this.meta } : null,
+      events: this.events
+    };
+  }
+
+  getEventCount() {
+    return this.events.length;
+  }
+
+  // Save current session as a JSON download
+  download(filename) {
+    if (this.events.length === 0) {
+      console.warn('[RECORDER] Nothing to download');
+      return;
+    }
+    const name = filename || `talos-session-${new Date(this.meta.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    const blob = new Blob([serializeSession(this.getSession())], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    console.log(`[RECORDER] Session saved: ${name}`);
+  }
+
+  // Recording state change callbacks (for the REC indicator)
+  onChange(callback) {
+    this._callbacks.push(callback);
+  }
+
+  _notify() {
+    for (const cb of this._callbacks) {
+      try { cb(this.recording); } catch (e) { console.error('[RECORDER] Callback error:', e); }
+    }
+  }
+}
+
+export const sessionRecorder = new SessionRecorder();
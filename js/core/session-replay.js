@@ -0,0 +1,212 @@
+// =============================================================================
+// TALOS 2.0 - Session Replay
+// Plays a recorded session back through the live pipeline. The clock is pinned
+// to each event's recorded wall time, OSINT reads are served from the
+// recording (intel items are re-ingested by the app's handler), and every
+// recorded intel cycle is re-run and diffed against the assessments captured
+// in the field.
+// =============================================================================
+
+import { clock } from './clock.js';
+import { parseSession, SessionEvent } from './session-recorder.js';
+
+// Same keys with values within the summary's rounding (factors, belief posterior)
+function _sameValues(a, b) {
+  if (!a || !b) return a === b;
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(k => k in b && Math.abs(a[k] - b[k]) <= 1e-4);
+}
+
+class SessionReplay {
+  constructor() {
+    this.session = null;
+    this.active = false;
+    this._cursor = 0;
+    this._timer = null;
+    this._speed = 1;
+    this._handlers = {};
+    this._onEnd = [];
+    this._osint = { data: null, summary: null };
+    this._report = null;
+  }
+
+  load(session) {
+    this.stop();
+    this.session = session;
+    this._cursor = 0;
+    this._osint = { data: null, summary: null };
+    this._report = { cycles: 0, matched: 0, diverged: 0, diffs: [] };
+    console.log(`[REPLAY] Loaded session: ${session.events.length} events`);
+  }
+
+  async loadFromUrl(url) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`Session fetch failed: HTTP ${resp.status}`);
+    this.load(parseSession(await resp.text()));
+  }
+
+  async loadFromFile(file) {
+    this.load(parseSession(await file.text()));
+  }
+
+  // Register a handler for an event type: handler(data, event)
+  on(type, handler) {
+    this._handlers[type] = handler;
+  }
+
+  onEnd(callback) {
+    this._onEnd.push(callback);
+  }
+
+  /**
+   * Start playback. speed=1 reproduces recorded timing, higher is faster,
+   * 0 runs every event back-to-back (regression mode).
+   */
+  play({ speed = 1 } = {}) {
+    if (!this.session) throw new Error('No session loaded');
+    this._speed = speed;
+    this.active = true;
+    console.log(`[REPLAY] Playback STARTED (speed ${speed === 0 ? 'MAX' : speed + 'x'})`);
+
+    if (speed === 0) {
+      while (this.active && this._cursor < this.session.events.length) {
+        this._dispatch(this.session.events[this._cursor++]);
+      }
+      this._finish();
+    } else {
+      this._scheduleNext();
+    }
+  }
+
+  stop() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    if (this.active) {
+      this.active = false;
+      clock.release();
+    }
+  }
+
+  isActive() {
+    return this.active;
+  }
+
+  // Progress through the session, 0-1
+  getProgress() {
+    if (!this.session || this.session.events.length === 0) return 0;
+    return this._cursor / this.session.events.length;
+  }
+
+  // --- Recorded data sources (same shape as the live providers) ---
+
+  getOsint() {
+    return this._osint;
+  }
+
+  // --- Regression checking ---
+
+  /**
+   * Compare replayed assessments against the recorded ones for one cycle.
+   * Both arguments are outputs of summarizeAssessments().
+   */
+  compare(recorded, replayed, event) {
+    const report = this._report;
+    report.cycles++;
+
+    const diffs = [];
+    const replayedById = new Map(replayed.map(a => [a.id, a]));
+    for (const rec of recorded) {
+      const rep = replayedById.get(rec.id);
+      if (!rep) {
+        diffs.push({ id: rec.id, field: 'missing' });
+        continue;
+      }
+      replayedById.delete(rec.id);
+      if (Math.abs(rec.threatLevel - rep.threatLevel) > 1e-4) {
+        diffs.push({ id: rec.id, field: 'threatLevel', recorded: rec.threatLevel, replayed: rep.threatLevel });
+      }
+      if (rec.classification !== rep.classification) {
+        diffs.push({ id: rec.id, field: 'classification', recorded: rec.classification, replayed: rep.classification });
+      }
+      if (rec.profile !== rep.profile) {
+        diffs.push({ id: rec.id, field: 'profile', recorded: rec.profile, replayed: rep.profile });
+      }
+      if (rec.coas.join('|') !== rep.coas.join('|')) {
+        diffs.push({ id: rec.id, field: 'coas', recorded: rec.coas, replayed: rep.coas });
+      }
+      if (!_sameValues(rec.factors, rep.factors)) {
+        diffs.push({ id: rec.id, field: 'factors', recorded: rec.factors, replayed: rep.factors });
+      }
+      if (!_sameValues(rec.belief, rep.belief)) {
+        diffs.push({ id: rec.id, field: 'belief', recorded: rec.belief, replayed: rep.belief });
+      }
+    }
+    for (const id of replayedById.keys()) {
+      diffs.push({ id, field: 'unexpected' });
+    }
+
+    if (diffs.length === 0) {
+      report.matched++;
+    } else {
+      report.diverged++;
+      report.diffs.push({ t: event.t, wall: event.wall, diffs });
+      console.warn(`[REPLAY] Cycle @${(event.t / 1000).toFixed(1)}s diverged:`, diffs);
+    }
+  }
+
+  getReport() {
+    return this._report;
+  }
+
+  // --- Private ---
+
+  _scheduleNext() {
+    if (!this.active) return;
+    const events = this.session.events;
+    if (this._cursor >= events.length) {
+      this._finish();
+      return;
+    }
+
+    const event = events[this._cursor];
+    const prevT = this._cursor > 0 ? events[this._cursor - 1].t : event.t;
+    const delay = Math.max(0, (event.t - prevT) / this._speed);
+
+    this._timer = setTimeout(() => {
+      this._cursor++;
+      this._dispatch(event);
+      this._scheduleNext();
+    }, delay);
+  }
+
+  _dispatch(event) {
+    clock.pin(event.wall);
+
+    // Keep recorded data sources current before any handler reads them
+    if (event.type === SessionEvent.OSINT) {
+      this._osint = event.data;
+    }
+
+    const handler = this._handlers[event.type];
+    if (!handler) return;
+    try {
+      handler(event.data, event);
+    } catch (err) {
+      console.error(`[REPLAY] Handler error (${event.type}):`, err);
+    }
+  }
+
+  _finish() {
+    this.active = false;
+    this._timer = null;
+    clock.release();
+    const r = this._report;
+    console.log(`[REPLAY] Playback COMPLETE: ${r.cycles} intel cycles, ${r.matched} matched, ${r.diverged} diverged`);
+    for (const cb of this._onEnd) {
+      try { cb(r); } catch (e) { console.error('[REPLAY] Callback error:', e); }
+    }
+  }
+}
+
+export const sessionReplay = new SessionReplay();
@@ -4,6 +4,16 @@
 // SpeechRecognition for STT, SpeechSynthesis for TTS.
 // =============================================================================
 
+import { parseMgrs, toMgrs } from './mgrs.js';
+
+// NATO phonetic alphabet for spoken grid letters
+const PHONETIC = {
+  A: 'alpha', B: 'bravo', C: 'charlie', D: 'delta', E: 'echo', F: 'foxtrot', G: 'golf',
+  H: 'hotel', J: 'juliet', K: 'kilo', L: 'lima', M: 'mike', N: 'november', P: 'papa',
+  Q: 'quebec', R: 'romeo', S: 'sierra', T: 'tango', U: 'uniform', V: 'victor',
+  W: 'whiskey', X: 'x-ray', Y: 'yankee', Z: 'zulu'
+};
+
 // Command definitions: keyword patterns → handler names
 const COMMANDS = [
   // Status & Reports
@@ -22,6 +32,11 @@ const COMMANDS = [
   { patterns: ['show osint', 'open osint', 'osint panel'], handler: 'showOsint' },
   { patterns: ['recall drones', 'recall all', 'rtb all', 'return to base'], handler: 'recallDrones' },
 
+  // View modes
+  { patterns: ['night mode', 'night vision', 'low light'], handler: 'nightMode' },
+  { patterns: ['thermal mode', 'thermal'], handler: 'thermalMode' },
+  { patterns: ['day mode', 'normal view'], handler: 'dayMode' },
+
   // Quick queries
   { patterns: ['how many threats', 'threat count', 'hostiles'], handler: 'threatCount' },
   { patterns: ['nearest threat', 'closest threat', 'closest hostile'], handler: 'nearestThreat' },
@@ -52,6 +67,7 @@ export class SpeechEngine {
     this._getMission = null;
     this._getAssessments = null;
     this._getTerrain = null;
+    this._getPosition = null;
 
     this._init();
   }
@@ -256,7 +272,7 @@ export class SpeechEngine {
   onTranscript(cb) { this._onTranscript = cb; }
 
   /** Register data providers so speech engine can generate reports */
-  setDataProviders({ getState, getOsint, getDrones, getSuit, getMission, getAssessments, getTerrain }) {
+  setDataProviders({ getState, getOsint, getDrones, getSuit, getMission, getAssessments, getTerrain, getPosition }) {
     this._getState = getState;
     this._getOsint = getOsint;
     this._getDrones = getDrones;
@@ -264,6 +280,7 @@ export class SpeechEngine {
     this._getMission = getMission;
     this._getAssessments = getAssessments;
     this._getTerrain = getTerrain;
+    this._getPosition = getPosition;
   }
 
   /** Announce a tactical alert (auto-spoken, high priority) */
@@ -375,6 +392,9 @@ export class SpeechEngine {
       case 'toggleTerrain':   this._cmdToggleTerrain(); break;
       case 'showOsint':       this._cmdShowOsint(); break;
       case 'recallDrones':    this._cmdRecallDrones(); break;
+      case 'nightMode':       this._cmdViewMode('LOW_LIGHT', 'Night'); break;
+      case 'thermalMode':     this._cmdViewMode('THERMAL', 'Thermal'); break;
+      case 'dayMode':         this._cmdViewMode('DAY', 'Day'); break;
       case 'threatCount':     this._cmdThreatCount(); break;
       case 'nearestThreat':   this._cmdNearestThreat(); break;
       case 'timeCheck':       this._cmdTimeCheck(); break;
@@ -391,6 +411,11 @@ export class SpeechEngine {
   _cmdStatusReport() {
     const parts = ['TALOS status report.'];
 
+    // Own position as a 10 m grid
+    const pos = this._getPosition?.();
+    const grid = pos ? toMgrs(pos.lat, pos.lon, 4) : null;
+    if (grid) parts.push(`Position grid ${this._spokenGrid(grid)}.`);
+
     // Suit
     const suit = this._getSuit?.();
     if (suit) {
@@ -638,6 +663,15 @@ export class SpeechEngine {
     if (this._onRecallDrones) this._onRecallDrones();
   }
 
+  async _cmdViewMode(mode, name) {
+    if (!this._onViewMode) {
+      this.speak('View mode not available.');
+      return;
+    }
+    const active = await this._onViewMode(mode);
+    this.speak(active === mode ? `${name} view.` : 'View mode change failed.');
+  }
+
   _cmdThreatCount() {
     const assessments = this._getAssessments?.() || [];
     const hostiles = assessments.filter(a => a.classification === 'HOSTILE').length;
@@ -682,6 +716,7 @@ export class SpeechEngine {
   onToggleTerrain(cb) { this._onToggleTerrain = cb; }
   onShowOsint(cb) { this._onShowOsint = cb; }
   onRecallDrones(cb) { this._onRecallDrones = cb; }
+  onViewMode(cb) { this._onViewMode = cb; }
 
   // =========================================================================
   // TTS Engine
@@ -734,6 +769,20 @@ export class SpeechEngine {
     if (this._onStatusChange) this._onStatusChange(status);
   }
 
+  // '38RKU45236789' → '3 8 romeo, kilo uniform, 4 5 2 3, 6 7 8 9'
+  _spokenGrid(grid) {
+    const p = parseMgrs(grid);
+    if (!p) return grid;
+    const digits = (str) => str.split('').join(' ');
+    const half = p.digits.length / 2;
+    return [
+      `${digits(String(p.zone))} ${PHONETIC[p.band]}`,
+      `${PHONETIC[p.column]} ${PHONETIC[p.row]}`,
+      digits(p.digits.slice(0, half)),
+      digits(p.digits.slice(half))
+    ].filter(Boolean).join(', ');
+  }
+
   _degreesToCardinal(deg) {
     const dirs = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
     return dirs[Math.round(deg / 45) % 8];
@@ -0,0 +1,219 @@
+// TALOS 2.0 - CoT Bridge
+// Shares the TALOS picture with ATAK/WinTAK users as Cursor-on-Target events
+// and listens for theirs. Browsers can't open UDP sockets, so a relay maps
+// each WebSocket text message to one UDP datagram (e.g. the ATAK SA multicast
+// group 239.2.3.1:6969) and back. A TAK server's WebSocket works directly.
+
+import { screenPointToGeo } from '../core/geo.js';
+import {
+  COT_DRONE_TYPE, COT_HOW, COT_OPERATOR_TYPE,
+  buildCotEvent, describeCotType, parseCotEvents, structureCotType, trackCotType
+} from './cot.js';
+
+const PUBLISH_MS = 2000;
+const TRACK_STALE_S = 30;
+const DRONE_STALE_S = 30;
+const OPERATOR_STALE_S = 60;
+const STRUCTURE_STALE_S = 300;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(4));
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+class CotBridge {
+  constructor() {
+    this.uid = `TALOS-${randomId()}`;  // own event uids are prefixed with this
+    this.callsign = 'TALOS';
+    this.url = null;
+    this.socket = null;
+    this.position = null;
+    this.heading = 0;
+    this.friendlies = new Map();       // uid → friendly contact from other users
+    this.stats = { sent: 0, received: 0 };
+    this._lastPublish = 0;
+    this._reconnectTimer = null;
+    this._reconnectDelay = RECONNECT_MIN_MS;
+    this._wanted = false;
+    this.callbacks = { onEvent: [] };
+  }
+
+  /**
+   * @param {string} url - ws:// relay or TAK server endpoint
+   * @param {{callsign?: string}} [options]
+   */
+  connect(url, { callsign } = {}) {
+    this.url = url;
+    if (callsign) this.callsign = callsign;
+    this._wanted = true;
+    this._open();
+  }
+
+  disconnect() {
+    this._wanted = false;
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.socket) this.socket.close();
+    this.socket = null;
+  }
+
+  isConnected() {
+    return this.socket?.readyState === 1;
+  }
+
+  setPosition(lat, lon) {
+    this.position = { lat, lon };
+  }
+
+  setHeading(heading) {
+    this.heading = heading || 0;
+  }
+
+  /**
+   * Emit the current picture (throttled): own position, threat assessments,
+   * the drone fleet and protected structures that have coordinates.
+   * @param {{assessments?: Object[], fleet?: Object[], structures?: Object[]}} picture
+   */
+  publish({ assessments = [], fleet = [], structures = [] }) {
+    if (!this.isConnected()) return;
+    const now = Date.now();
+    if (now - this._lastPublish < PUBLISH_MS) return;
+    this._lastPublish = now;
+
+    const events = [];
+    if (this.position) {
+      events.push(buildCotEvent({
+        uid: this.uid, type: COT_OPERATOR_TYPE, how: COT_HOW.GPS,
+        lat: this.position.lat, lon: this.position.lon, time: now, staleSec: OPERATOR_STALE_S,
+        callsign: this.callsign, group: { name: 'Cyan', role: 'Team Member' },
+        track: { course: this.heading, speed: 0 }
+      }));
+
+      for (const a of assessments) {
+        // Prefer the geo-projected fix; fall back to heading + depth range
+        let geo = a.geo;
+        let ce = a.geoError ? a.geoError.semiMajor : null;
+        if (!geo) {
+          if (!a.bbox || !a.distance?.meters) continue;
+          geo = screenPointToGeo(this.position, this.heading, a.bbox[0] + a.bbox[2] / 2, a.distance.meters);
+          ce = a.distance.meters * 0.2;
+        }
+        const rangeNote = a.distance?.meters ? ` | ${a.distance.meters}m` : '';
+        events.push(buildCotEvent({
+          uid: `${this.uid}-${a.id}`,
+          type: trackCotType(a.classification, a.tacticalClass),
+          lat: geo.lat, lon: geo.lon,
+          ce: Math.round(ce),
+          time: now, staleSec: TRACK_STALE_S,
+          callsign: `${this.callsign} ${a.id}`,
+          remarks: `${a.classification} ${a.category} | threat ${Math.round(a.threatLevel * 100)}%${rangeNote}`
+        }));
+      }
+    }
+
+    for (const d of fleet) {
+      if (!d.geo || d.status === 'LOST' || d.status === 'OFFLINE') continue;
+      events.push(buildCotEvent({
+        uid: `${this.uid}-${d.id}`, type: COT_DRONE_TYPE, how: COT_HOW.GPS,
+        lat: d.geo.lat, lon: d.geo.lon, time: now, staleSec: DRONE_STALE_S,
+        callsign: d.callsign,
+        track: { course: d.heading || 0, speed: d.groundSpeed || 0 },
+        remarks: `${d.type} ${d.status} | ${d.currentTask || 'IDLE'} | BAT ${Math.round(d.battery)}%`
+      }));
+    }
+
+    for (const [i, s] of structures.entries()) {
+      if (!s.geo) continue;
+      events.push(buildCotEvent({
+        uid: `${this.uid}-STRUCT-${s.type}-${i}`, type: structureCotType(s.type),
+        lat: s.geo.lat, lon: s.geo.lon, time: now, staleSec: STRUCTURE_STALE_S,
+        callsign: s.type, remarks: s.label
+      }));
+    }
+
+    for (const xml of events) this.socket.send(xml);
+    this.stats.sent += events.length;
+  }
+
+  // Friendly positions reported by other CoT users (stale ones dropped)
+  getFriendlies() {
+    const now = Date.now();
+    for (const [uid, f] of this.friendlies) {
+      if (f.stale <= now) this.friendlies.delete(uid);
+    }
+    return [...this.friendlies.values()];
+  }
+
+  // Every inbound event from another user: (event, description)
+  onEvent(callback) {
+    if (typeof callback === 'function') this.callbacks.onEvent.push(callback);
+  }
+
+  // ---- Private ----
+
+  _open() {
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (err) {
+      console.warn(`[COT] Connect failed: ${err.message}`);
+      this._scheduleReconnect();
+      return;
+    }
+    this.socket.onopen = () => {
+      this._reconnectDelay = RECONNECT_MIN_MS;
+      console.log(`[COT] Connected: ${this.url} as ${this.callsign} (${this.uid})`);
+    };
+    this.socket.onmessage = (event) => {
+      if (typeof event.data === 'string') this._handleMessage(event.data);
+    };
+    this.socket.onerror = () => console.warn('[COT] Socket error');
+    this.socket.onclose = () => {
+      this.socket = null;
+      if (this._wanted) this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (!this._wanted || this._reconnectTimer) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open();
+    }, this._reconnectDelay);
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  _handleMessage(text) {
+    const now = Date.now();
+    for (const event of parseCotEvents(text)) {
+      if (event.uid.startsWith(this.uid)) continue;   // our own events echoed back
+      if (event.stale && event.stale <= now) continue;
+
+      const desc = describeCotType(event.type);
+      if (!desc.atom) continue;
+      this.stats.received++;
+
+      if (desc.affiliation === 'FRIENDLY') {
+        this.friendlies.set(event.uid, {
+          uid: event.uid,
+          callsign: event.callsign || event.uid,
+          position: { lat: event.lat, lon: event.lon },
+          heading: event.course || 0,
+          type: event.type,
+          stale: event.stale || now + OPERATOR_STALE_S * 1000
+        });
+      }
+
+      for (const cb of this.callbacks.onEvent) {
+        try {
+          cb(event, desc);
+        } catch (err) {
+          console.error('[COT] Event callback error:', err);
+        }
+      }
+    }
+  }
+}
+
+export const cotBridge = new CotBridge();
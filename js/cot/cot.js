@@ -0,0 +1,174 @@
+// TALOS 2.0 - Cursor-on-Target (CoT) Codec
+// Builds and parses CoT 2.0 XML events as exchanged with ATAK/WinTAK.
+// Atom types follow MIL-STD-2525: a-<affiliation>-<dimension>-<function...>,
+// e.g. a-h-G-U-C-I = hostile ground infantry, a-f-A-M-F-Q = friendly UAV.
+
+// CoT convention for "unknown" height / error fields
+export const COT_UNKNOWN = 9999999.0;
+
+export const COT_HOW = Object.freeze({
+  GPS: 'm-g',          // machine, GPS-derived (own position, drone telemetry)
+  ESTIMATED: 'h-e'     // estimated (camera bearing + depth range, reported structures)
+});
+
+// Threat-engine classification → 2525 affiliation
+const AFFILIATION = {
+  HOSTILE: 'h', SUSPECT: 's', UNKNOWN: 'u', FRIENDLY: 'f', NEUTRAL: 'n', CIVILIAN: 'n'
+};
+const AFFILIATION_NAMES = { h: 'HOSTILE', s: 'SUSPECT', u: 'UNKNOWN', p: 'UNKNOWN', f: 'FRIENDLY', a: 'FRIENDLY', n: 'NEUTRAL' };
+
+// Tactical class → dimension + function
+const FUNCTION_CODES = {
+  PERSONNEL: 'G-U-C-I',       // infantry
+  VEHICLE: 'G-E-V',           // ground vehicle
+  LIGHT_VEHICLE: 'G-E-V',
+  AIRCRAFT: 'A',
+  UAS: 'A-M-F-Q'              // unmanned aerial
+};
+
+// Function prefix → unit type reported on ingest (most specific first)
+const UNIT_TYPES = [
+  ['G-U-C-I', 'INFANTRY'], ['G-U-C-A', 'ARMOR'], ['G-U-C-F', 'ARTILLERY'],
+  ['G-U-C-R', 'RECON'], ['G-E-V', 'VEHICLE'], ['G-I', 'INSTALLATION'],
+  ['A-M-F-Q', 'UAS'], ['A', 'AIR'], ['S', 'SURFACE'], ['G', 'GROUND']
+];
+
+// Protected structure → installation code (everything else: generic installation)
+const STRUCTURE_CODES = { HOSPITAL: 'G-I-X-H' };
+
+export const COT_DRONE_TYPE = 'a-f-A-M-F-Q';
+export const COT_OPERATOR_TYPE = 'a-f-G-U-C-I';
+
+/**
+ * Atom type for a track.
+ * @param {string} classification - HOSTILE / UNKNOWN / FRIENDLY / CIVILIAN / ...
+ * @param {string} tacticalClass - PERSONNEL / VEHICLE / ...
+ */
+export function trackCotType(classification, tacticalClass) {
+  const affiliation = AFFILIATION[classification] || 'u';
+  return `a-${affiliation}-${FUNCTION_CODES[tacticalClass] || 'G'}`;
+}
+
+export function structureCotType(structureType) {
+  return `a-n-${STRUCTURE_CODES[structureType] || 'G-I'}`;
+}
+
+/**
+ * Split an atom type into affiliation / dimension / unit type.
+ * @returns {{ atom: boolean, affiliation: string, dimension: string|null, unitType: string }}
+ */
+export function describeCotType(type) {
+  const parts = (type || '').split('-');
+  if (parts[0] !== 'a' || parts.length < 3) {
+    return { atom: false, affiliation: 'UNKNOWN', dimension: null, unitType: 'UNKNOWN' };
+  }
+  const fn = parts.slice(2).join('-');
+  const match = UNIT_TYPES.find(([prefix]) => fn === prefix || fn.startsWith(`${prefix}-`));
+  return {
+    atom: true,
+    affiliation: AFFILIATION_NAMES[parts[1]] || 'UNKNOWN',
+    dimension: parts[2],
+    unitType: match ? match[1] : 'UNKNOWN'
+  };
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+const isoTime = (ms) => new Date(ms).toISOString();
+
+/**
+ * Build one CoT event.
+ * @param {Object} e
+ * @param {string} e.uid
+ * @param {string} e.type - Atom type
+ * @param {number} e.lat
+ * @param {number} e.lon
+ * @param {number} [e.hae], [e.ce], [e.le] - Meters; unknown when omitted
+ * @param {string} [e.how]
+ * @param {number} e.time - ms epoch
+ * @param {number} e.staleSec - Seconds until the event is stale
+ * @param {string} [e.callsign]
+ * @param {{course: number, speed: number}} [e.track] - Degrees true, m/s
+ * @param {string} [e.remarks]
+ * @param {{name: string, role: string}} [e.group] - ATAK team colour/role
+ * @returns {string} XML
+ */
+export function buildCotEvent(e) {
+  const detail = [];
+  if (e.callsign) detail.push(`<contact callsign="${escapeXml(e.callsign)}"/>`);
+  if (e.group) detail.push(`<__group name="${escapeXml(e.group.name)}" role="${escapeXml(e.group.role)}"/>`);
+  if (e.track) detail.push(`<track course="${e.track.course.toFixed(1)}" speed="${e.track.speed.toFixed(1)}"/>`);
+  if (e.remarks) detail.push(`<remarks>${escapeXml(e.remarks)}</remarks>`);
+
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    `<event version="2.0" uid="${escapeXml(e.uid)}" type="${e.type}" how="${e.how || COT_HOW.ESTIMATED}"` +
+    ` time="${isoTime(e.time)}" start="${isoTime(e.time)}" stale="${isoTime(e.time + e.staleSec * 1000)}">` +
+    `<point lat="${e.lat.toFixed(7)}" lon="${e.lon.toFixed(7)}" hae="${e.hae ?? COT_UNKNOWN}"` +
+    ` ce="${e.ce ?? COT_UNKNOWN}" le="${e.le ?? COT_UNKNOWN}"/>` +
+    `<detail>${detail.join('')}</detail></event>`;
+}
+
+function attrs(tag) {
+  const out = {};
+  for (const m of tag.matchAll(/([\w:.-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    out[m[1]] = unescapeXml(m[3] ?? m[4]);
+  }
+  return out;
+}
+
+function firstTag(xml, name) {
+  const m = xml.match(new RegExp(`<${name}\\b[^>]*>`));
+  return m ? attrs(m[0]) : null;
+}
+
+/**
+ * Parse every <event> in a chunk of text (one datagram may carry several).
+ * Events without a uid, type or point are dropped.
+ * @returns {Array<{uid, type, how, time, stale, lat, lon, hae, ce, callsign, course, speed, remarks}>}
+ */
+export function parseCotEvents(text) {
+  const out = [];
+  for (const m of String(text).matchAll(/<event\b[\s\S]*?<\/event>/g)) {
+    const xml = m[0];
+    const event = attrs(xml.match(/<event\b[^>]*>/)[0]);
+    const point = firstTag(xml, 'point');
+    if (!event.uid || !event.type || !point) continue;
+
+    const lat = parseFloat(point.lat), lon = parseFloat(point.lon);
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) continue;
+
+    const contact = firstTag(xml, 'contact');
+    const track = firstTag(xml, 'track');
+    const remarks = xml.match(/<remarks\b[^>]*>([\s\S]*?)<\/remarks>/);
+    const num = (v) => {
+      const n = parseFloat(v);
+      return Number.isFinite(n) && n !== COT_UNKNOWN ? n : null;
+    };
+
+    out.push({
+      uid: event.uid,
+      type: event.type,
+      how: event.how || null,
+      time: Date.parse(event.time) || null,
+      stale: Date.parse(event.stale) || null,
+      lat, lon,
+      hae: num(point.hae),
+      ce: num(point.ce),
+      callsign: contact?.callsign || null,
+      course: track ? num(track.course) : null,
+      speed: track ? num(track.speed) : null,
+      remarks: remarks ? unescapeXml(remarks[1].trim()) : null
+    });
+  }
+  return out;
+}
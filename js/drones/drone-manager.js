@@ -1,8 +1,22 @@
 // TALOS 2.0 - Drone Fleet Manager
 // Tracks entire drone fleet: positions, status, battery, health, tasking
 // "Troops Available" in METT-TC - the operator's combat power is DRONES
+// Kinematic sim: drones fly great-circle legs from the operator's GPS fix to
+// target coordinates (transit → loiter → return) under flight-model.js physics.
 
 import { DRONE_TYPES, getDroneStatusColor } from './drone-types.js';
+import { destinationPoint, distanceMeters, initialBearing, screenPointToGeo } from '../core/geo.js';
+import {
+  CALM, ARRIVAL_RADIUS, BATTERY_RESERVE, CLIMB_RATE, MIN_GROUND_SPEED, TASK_ACTION_TIME,
+  drainRate, loiterDrainRate, planClimb, planLeg
+} from './flight-model.js';
+
+const SIM_TICK_S = 2;
+// Until the first GPS fix the fleet flies around a placeholder origin and is
+// re-based onto the real fix when it arrives
+const SIM_ORIGIN = Object.freeze({ lat: 0, lon: 0 });
+// Range assumed for a screen-picked target with no depth estimate
+const DEFAULT_TARGET_RANGE = 150;
 
 class DroneManager {
   constructor() {
@@ -15,6 +29,41 @@ class DroneManager {
     this.callbacks = { onFleetUpdate: [], onDroneLost: [], onLowBattery: [], onTaskComplete: [] };
     this.updateInterval = null;
     this.simTime = 0;
+    this.home = null;            // operator GPS fix { lat, lon }
+    this.operatorHeading = 0;    // degrees true, camera boresight
+    this.wind = CALM;            // { speed m/s, fromDeg }
+    this.bridge = null;          // MavlinkBridge when real/SITL vehicles are connected
+  }
+
+  // Route tasks for linked drones to a vehicle bridge (null to detach)
+  attachBridge(bridge) {
+    this.bridge = bridge;
+  }
+
+  // Operator GPS fix. Drones on the ground move with the operator; on the
+  // first fix everything simulated so far is re-based onto it.
+  setHome(lat, lon) {
+    const previous = this._origin();
+    const firstFix = !this.home;
+    this.home = { lat, lon };
+    if (!firstFix) return;
+
+    const rebase = (point) => point && destinationPoint(
+      this.home, initialBearing(previous, point), distanceMeters(previous, point));
+    for (const drone of this.fleet) {
+      drone.geo = rebase(drone.geo);
+      drone.targetCoords = rebase(drone.targetCoords);
+      drone.flight.target = rebase(drone.flight.target);
+    }
+  }
+
+  setOperatorHeading(heading) {
+    this.operatorHeading = heading || 0;
+  }
+
+  // Wind for the flight model (see windFromWeather)
+  setWind(wind) {
+    this.wind = wind || CALM;
   }
 
   // Initialize fleet from mission composition
@@ -37,10 +86,16 @@ class DroneManager {
           status: 'READY',
           battery: 85 + Math.floor(Math.random() * 15), // 85-100%
           position: { bearing: 0, range: 0, altitude: 0 },
+          geo: { ...this._origin() },
+          heading: 0,
+          groundSpeed: 0,
+          flight: { phase: 'GROUND', target: null, eta: null, distanceFlown: 0, launched: false },
           currentTask: null,
           currentTaskType: null,
           targetTrackId: null,
           targetPosition: null,
+          targetCoords: null,
+          link: null,                 // { sysid, armed, comms } when bound to a vehicle
           timeOnStation: typeData.endurance,
           sensorFeed: false,
           sensorCoverage: type !== 'CARGO' ? {
@@ -80,28 +135,76 @@ class DroneManager {
       }
     }
 
+    if (taskType === 'RTB') {
+      this.recallDrone(droneId);
+      return { success: true, drone: drone.callsign, task: taskType };
+    }
+
+    // Can it get there, do the job and get home on this battery?
+    const estimate = this.estimateTask(droneId, taskType, options);
+    if (!estimate.reachable) return { success: false, reason: estimate.reason };
+
+    const target = this._resolveTarget(options);
     drone.status = 'TASKED';
     drone.currentTask = options.taskLabel || taskType;
     drone.currentTaskType = taskType;
     drone.targetTrackId = options.targetTrackId || null;
     drone.targetPosition = options.targetPosition || null;
+    drone.targetCoords = target;
     drone.sensorFeed = ['OVERWATCH', 'RECON', 'TRACK', 'BDA'].includes(taskType);
 
-    // Simulate drone moving to position
-    if (options.targetPosition) {
-      drone.position = {
-        bearing: Math.atan2(options.targetPosition[0] - 0.5, 0.5 - options.targetPosition[1]) * 180 / Math.PI,
-        range: Math.random() * 200 + 50,
-        altitude: drone.specs.altitude.optimal
-      };
-      if (drone.sensorCoverage) {
-        drone.sensorCoverage.bearing = drone.position.bearing;
-      }
-    }
+    // No target coordinates → station over the operator
+    drone.flight.phase = 'TRANSIT';
+    drone.flight.target = target || { ...this._origin() };
+    drone.flight.eta = estimate.seconds;
+    if (drone.link && this.bridge) this.bridge.sendTask(drone, taskType, drone.flight.target);
 
     this._updateSummary();
     this._emit('onFleetUpdate');
-    return { success: true, drone: drone.callsign, task: taskType };
+    return { success: true, drone: drone.callsign, task: taskType, eta: Math.round(estimate.seconds) };
+  }
+
+  /**
+   * Physics estimate for a task: climb + transit under current wind + the
+   * task's action time, and whether the battery covers the round trip.
+   * @param {string} droneId
+   * @param {string} taskType
+   * @param {Object} [options] - targetCoords {lat, lon}, or targetPosition [x, y] (+ targetRange m)
+   * @returns {{seconds: number, transitSec: number, distance: number, groundSpeed: number,
+   *            batteryNeeded: number, reachable: boolean, reason: string|null}|null}
+   */
+  estimateTask(droneId, taskType, options = {}) {
+    const drone = this.getDrone(droneId);
+    if (!drone) return null;
+
+    const specs = drone.specs;
+    const origin = this._origin();
+    const target = this._resolveTarget(options) || origin;
+    const climb = planClimb(drone.position.altitude, specs);
+    const out = planLeg(drone.geo, target, specs, this.wind);
+    const back = planLeg(target, origin, specs, this.wind);
+    const seconds = climb.time + out.time + (TASK_ACTION_TIME[taskType] || 0);
+    const batteryNeeded = climb.battery + out.battery + back.battery + BATTERY_RESERVE;
+    const rangeFromOperator = distanceMeters(origin, target);
+
+    let reason = null;
+    if (!isFinite(out.time) || !isFinite(back.time)) {
+      reason = `${drone.callsign} cannot make headway against ${this.wind.speed.toFixed(1)} m/s wind`;
+    } else if (rangeFromOperator > specs.range) {
+      reason = `Target at ${Math.round(rangeFromOperator)}m is beyond ${drone.callsign} range (${specs.range}m)`;
+    } else if (drone.battery < batteryNeeded) {
+      reason = `${drone.callsign} needs ${Math.ceil(batteryNeeded)}% for the round trip (has ${Math.round(drone.battery)}%)`;
+    }
+
+    return {
+      seconds,
+      transitSec: climb.time + out.time,
+      distance: out.distance,
+      groundSpeed: out.groundSpeed,
+      batteryNeeded,
+      reachable: !reason,
+      reason
+    };
   }
 
   // Recall drone to base
@@ -113,7 +216,11 @@ class DroneManager {
     drone.currentTaskType = 'RTB';
     drone.targetTrackId = null;
     drone.targetPosition = null;
+    drone.targetCoords = null;
     drone.sensorFeed = false;
+    drone.flight.phase = 'RETURN';
+    drone.flight.target = null;   // home is tracked live - the operator may move
+    if (drone.link && this.bridge) this.bridge.sendTask(drone, 'RTB');
     this._updateSummary();
     this._emit('onFleetUpdate');
   }
@@ -123,8 +230,9 @@ class DroneManager {
     return this.fleet.find(d => d.id === droneId);
   }
 
-  // Get best available drone for a task type
-  getBestDroneForTask(taskType, targetPosition) {
+  // Get best available drone for a task type. With a target, only drones that
+  // can make the round trip qualify and the soonest on station wins.
+  getBestDroneForTask(taskType, targetPosition, targetRange, targetCoords = null) {
     const typeForTask = {
       OVERWATCH: ['ISR'], RECON: ['ISR'], TRACK: ['ISR'],
       ENGAGE: ['STRIKE'], DESIGNATE: ['ISR', 'STRIKE'], BDA: ['ISR'],
@@ -143,6 +251,14 @@ class DroneManager {
 
     if (candidates.length === 0) return null;
 
+    if (targetPosition || targetCoords) {
+      const ranked = candidates
+        .map(drone => ({ drone, estimate: this.estimateTask(drone.id, taskType, { targetPosition, targetRange, targetCoords }) }))
+        .filter(c => c.estimate.reachable)
+        .sort((a, b) => a.estimate.seconds - b.estimate.seconds || b.drone.battery - a.drone.battery);
+      return ranked.length ? ranked[0].drone : null;
+    }
+
     // Sort by battery (highest first)
     candidates.sort((a, b) => b.battery - a.battery);
     return candidates[0];
@@ -155,6 +271,12 @@ class DroneManager {
         id: d.id, type: d.type, callsign: d.callsign,
         status: d.status, battery: d.battery,
         position: { ...d.position },
+        geo: { ...d.geo },
+        heading: d.heading,
+        groundSpeed: d.groundSpeed,
+        flightPhase: d.flight.phase,
+        eta: d.flight.eta,
+        link: d.link ? { ...d.link } : null,
         currentTask: d.currentTask,
         sensorCoverage: d.sensorCoverage ? { ...d.sensorCoverage } : null
       })),
@@ -172,14 +294,85 @@ class DroneManager {
           callsign: d.callsign,
           taskType: d.currentTaskType,
           targetTrackId: d.targetTrackId,
-          targetPosition: d.targetPosition
+          targetPosition: d.targetPosition,
+          targetCoords: d.targetCoords
         }))
     };
   }
 
+  // Full-fidelity copy of the fleet (specs, payload, tasking) plus the flight
+  // environment (home, heading, wind) for session recording
+  getSnapshot() {
+    return structuredClone({
+      fleet: this.fleet,
+      home: this.home,
+      operatorHeading: this.operatorHeading,
+      wind: this.wind
+    });
+  }
+
+  // Restore fleet state from a recorded snapshot (session replay)
+  loadSnapshot(snapshot) {
+    const copy = structuredClone(snapshot);
+    this.fleet = copy.fleet;
+    this.home = copy.home;
+    this.operatorHeading = copy.operatorHeading || 0;
+    this.wind = copy.wind || CALM;
+    this._updateSummary();
+  }
+
+  /**
+   * Merge live vehicle telemetry into a fleet record (MAVLink bridge). Linked
+   * drones are skipped by the kinematic sim; their flight phase is derived here.
+   * @param {string} droneId
+   * @param {Object} t - any of geo, altitude, heading, groundSpeed, battery, armed, comms, link
+   */
+  applyTelemetry(droneId, t) {
+    const drone = this.getDrone(droneId);
+    if (!drone) return;
+
+    if (t.link) drone.link = t.link;
+    if (t.geo) drone.geo = t.geo;
+    if (t.altitude != null) drone.position.altitude = Math.max(0, t.altitude);
+    if (t.heading != null) drone.heading = t.heading;
+    if (t.groundSpeed != null) drone.groundSpeed = t.groundSpeed;
+    if (t.battery != null) drone.battery = t.battery;
+    if (t.comms) drone.health.comms = t.comms;
+
+    const flight = drone.flight;
+    if (t.armed) flight.launched = true;
+    if (t.armed === false && flight.launched) {
+      // Landed and disarmed - a real airframe needs a battery swap, not a sim recharge
+      flight.launched = false;
+      flight.phase = 'GROUND';
+      flight.eta = null;
+      if (drone.status === 'RETURNING' || drone.status === 'TASKED') {
+        drone.status = 'READY';
+        drone.currentTask = null;
+        drone.currentTaskType = null;
+      }
+    } else if (t.armed && flight.phase === 'GROUND' && drone.status === 'READY') {
+      flight.phase = 'LOITER';   // flown up outside TALOS (RC / other GCS)
+      drone.status = 'ACTIVE';
+    }
+
+    if (t.geo && (flight.phase === 'TRANSIT' || flight.phase === 'RETURN')) {
+      const dest = flight.phase === 'TRANSIT' ? flight.target : this._origin();
+      const remaining = distanceMeters(drone.geo, dest);
+      flight.eta = drone.groundSpeed > MIN_GROUND_SPEED ? remaining / drone.groundSpeed : flight.eta;
+      if (flight.phase === 'TRANSIT' && remaining <= ARRIVAL_RADIUS) {
+        flight.phase = 'LOITER';
+        flight.eta = 0;
+      }
+    }
+
+    this._updateRelative(drone);
+    this._updateSummary();
+  }
+
   // Start simulation loop
   startSimulation() {
-    this.updateInterval = setInterval(() => this._simulationTick(), 2000);
+    this.updateInterval = setInterval(() => this._simulationTick(), SIM_TICK_S * 1000);
   }
 
   stopSimulation() {
@@ -214,29 +407,74 @@ class DroneManager {
   // --- Private ---
 
   _simulationTick() {
-    this.simTime += 2;
+    this.simTime += SIM_TICK_S;
+    const origin = this._origin();
+
     for (const drone of this.fleet) {
       if (drone.status === 'LOST' || drone.status === 'OFFLINE') continue;
+      // Bound to a real/SITL vehicle - telemetry drives it (applyTelemetry)
+      if (drone.link) continue;
+      const specs = drone.specs;
+
+      switch (drone.flight.phase) {
+        case 'GROUND':
+          // Carried with the operator
+          drone.geo = { ...origin };
+          drone.groundSpeed = 0;
+          break;
+
+        case 'TRANSIT':
+          if (this._fly(drone, drone.flight.target, SIM_TICK_S)) {
+            drone.flight.phase = 'LOITER';
+            drone.flight.eta = 0;
+            console.log(`[DRONES] ${drone.callsign} on station (${drone.currentTaskType})`);
+          }
+          break;
+
+        case 'LOITER':
+          drone.groundSpeed = 0;
+          drone.battery -= loiterDrainRate(specs, this.wind) * SIM_TICK_S;
+          break;
+
+        case 'RETURN':
+          if (this._fly(drone, origin, SIM_TICK_S)) {
+            drone.flight.phase = 'GROUND';
+            drone.flight.eta = null;
+            drone.position.altitude = 0;
+            drone.status = 'CHARGING';
+            drone.currentTask = null;
+            drone.currentTaskType = null;
+          }
+          break;
+      }
 
-      // Drain battery
-      const drainRate = drone.status === 'TASKED' ? 0.4 : drone.status === 'RETURNING' ? 0.3 : 0.1;
-      drone.battery = Math.max(0, drone.battery - drainRate);
-      drone.timeOnStation = Math.max(0, drone.timeOnStation - (2 / 60));
-
-      // Auto-recall on low battery
-      if (drone.battery <= 20 && drone.status === 'TASKED') {
-        this.recallDrone(drone.id);
-        this._emit('onLowBattery', drone);
+      const airborne = drone.flight.phase !== 'GROUND';
+      drone.battery = Math.max(0, drone.battery);
+
+      // Out of energy in the air - forced landing
+      if (airborne && drone.battery <= 0) {
+        drone.status = 'LOST';
+        drone.groundSpeed = 0;
+        drone.sensorFeed = false;
+        drone.health.motors = 'RED';
+        console.warn(`[DRONES] ${drone.callsign} battery exhausted - LOST`);
+        this._emit('onDroneLost', drone);
+        continue;
       }
 
-      // Complete return
-      if (drone.status === 'RETURNING') {
-        drone.position.range = Math.max(0, drone.position.range - 10);
-        if (drone.position.range <= 0) {
-          drone.status = 'CHARGING';
-          drone.currentTask = null;
-          drone.currentTaskType = null;
+      // Auto-recall once the battery only just covers the flight home
+      if (airborne) {
+        const home = planLeg(drone.geo, origin, specs, this.wind);
+        const returnCost = home.battery + BATTERY_RESERVE;
+        if (drone.status === 'TASKED' && drone.battery <= returnCost) {
+          this.recallDrone(drone.id);
+          this._emit('onLowBattery', drone);
         }
+        if (drone.flight.phase === 'RETURN') drone.flight.eta = home.time;
+
+        // Minutes left on station before the return leg must start
+        const spare = Math.max(0, drone.battery - returnCost);
+        drone.timeOnStation = spare / loiterDrainRate(specs, this.wind) / 60;
       }
 
       // Charge
@@ -244,18 +482,12 @@ class DroneManager {
         drone.battery = Math.min(100, drone.battery + 1.5);
         if (drone.battery >= 95) {
           drone.status = 'READY';
-          drone.timeOnStation = drone.specs.endurance;
+          drone.timeOnStation = specs.endurance;
         }
       }
 
-      // Simulate position drift for active drones
-      if (drone.status === 'TASKED' || drone.status === 'ACTIVE') {
-        drone.position.bearing += (Math.random() - 0.5) * 2;
-        drone.position.range += (Math.random() - 0.5) * 5;
-        if (drone.sensorCoverage) {
-          drone.sensorCoverage.bearing = drone.position.bearing;
-        }
-      }
+      drone.battery = Math.round(drone.battery * 10) / 10;
+      this._updateRelative(drone);
 
       // Random events (rare)
       if (Math.random() < 0.002 && drone.status === 'TASKED') {
@@ -268,6 +500,75 @@ class DroneManager {
     this._emit('onFleetUpdate');
   }
 
+  /**
+   * Advance one drone toward dest for dt seconds: climb to working altitude
+   * first, then fly the great-circle leg at the wind-corrected ground speed.
+   * @returns {boolean} true once dest is reached
+   */
+  _fly(drone, dest, dt) {
+    const specs = drone.specs;
+    const workingAlt = specs.altitude.optimal;
+
+    if (drone.position.altitude < workingAlt) {
+      drone.position.altitude = Math.min(workingAlt, drone.position.altitude + CLIMB_RATE * dt);
+      drone.battery -= drainRate(specs.cruiseSpeed, specs) * dt;
+      drone.groundSpeed = 0;
+      drone.flight.eta = planClimb(drone.position.altitude, specs).time + planLeg(drone.geo, dest, specs, this.wind).time;
+      return false;
+    }
+
+    const leg = planLeg(drone.geo, dest, specs, this.wind);
+    if (leg.time === 0) {
+      drone.geo = { ...dest };
+      drone.groundSpeed = 0;
+      return true;
+    }
+    if (leg.groundSpeed === 0) {
+      // Holding against the wind at max speed, making no headway
+      drone.battery -= drainRate(specs.speed, specs) * dt;
+      drone.groundSpeed = 0;
+      drone.flight.eta = Infinity;
+      return false;
+    }
+
+    const step = Math.min(leg.distance, leg.groundSpeed * dt);
+    drone.geo = destinationPoint(drone.geo, leg.course, step);
+    drone.heading = leg.course;
+    drone.groundSpeed = leg.groundSpeed;
+    drone.flight.distanceFlown += step;
+    drone.flight.eta = (leg.distance - step) / leg.groundSpeed;
+    drone.battery -= drainRate(leg.airspeed, specs) * (step / leg.groundSpeed);
+    return step >= leg.distance;
+  }
+
+  // Operator-relative bearing/range used by the overlay and panels
+  _updateRelative(drone) {
+    const origin = this._origin();
+    const range = distanceMeters(origin, drone.geo);
+    drone.position.range = range < 1 ? 0 : range;
+    if (range >= 1) drone.position.bearing = initialBearing(origin, drone.geo);
+    if (drone.sensorCoverage) {
+      drone.sensorCoverage.bearing = drone.position.bearing;
+    }
+  }
+
+  // Target coordinates for a tasking: explicit lat/lon, or a screen point
+  // projected along the camera bearing to the estimated range
+  _resolveTarget(options) {
+    if (options.targetCoords) {
+      return { lat: options.targetCoords.lat, lon: options.targetCoords.lon };
+    }
+    if (options.targetPosition) {
+      return screenPointToGeo(this._origin(), this.operatorHeading,
+        options.targetPosition[0], options.targetRange || DEFAULT_TARGET_RANGE);
+    }
+    return null;
+  }
+
+  _origin() {
+    return this.home || SIM_ORIGIN;
+  }
+
   _updateSummary() {
     const s = this.fleetSummary;
     s.total = this.fleet.length;
@@ -10,17 +10,32 @@ class DroneTaskingEngine {
     this.taskLog = [];
     this.maxLogEntries = 50;
     this.callbacks = { onTaskIssued: [], onTaskComplete: [], onTaskFailed: [] };
+    this.taskGuard = null;
   }
 
-  // Issue a task to a specific drone
+  // Gate consulted before every task (team mode drone locks):
+  // guard(droneId, taskType, options) → { allowed, reason }
+  setTaskGuard(guard) {
+    this.taskGuard = guard;
+  }
+
+  // Issue a task to a specific drone. options.requestedBy identifies a
+  // teammate when the task arrives over team sync.
   issueTask(droneId, taskType, options = {}) {
     const taskDef = TASK_DEFINITIONS[taskType];
     if (!taskDef) return { success: false, reason: `Unknown task type: ${taskType}` };
 
+    if (this.taskGuard) {
+      const gate = this.taskGuard(droneId, taskType, options);
+      if (!gate.allowed) return { success: false, reason: gate.reason };
+    }
+
     const result = droneManager.assignTask(droneId, taskType, {
       taskLabel: taskDef.label,
       targetTrackId: options.targetTrackId || null,
-      targetPosition: options.targetPosition || null
+      targetPosition: options.targetPosition || null,
+      targetRange: options.targetRange || null,
+      targetCoords: options.targetCoords || null
     });
 
     if (result.success) {
@@ -33,6 +48,8 @@ class DroneTaskingEngine {
         label: taskDef.label,
         targetTrackId: options.targetTrackId,
         targetPosition: options.targetPosition,
+        eta: result.eta ?? null,
+        requestedBy: options.requestedBy || null,
         status: 'ISSUED'
       };
       this.taskLog.unshift(entry);
@@ -45,7 +62,7 @@ class DroneTaskingEngine {
 
   // Auto-assign best drone for a task
   autoAssign(taskType, options = {}) {
-    const drone = droneManager.getBestDroneForTask(taskType, options.targetPosition);
+    const drone = droneManager.getBestDroneForTask(taskType, options.targetPosition, options.targetRange, options.targetCoords);
     if (!drone) {
       return { success: false, reason: `No available drone for ${taskType}` };
     }
@@ -72,7 +89,9 @@ class DroneTaskingEngine {
 
     return this.issueTask(coa.droneAsset.id, taskType, {
       targetTrackId: coa.targetTrackId,
-      targetPosition: coa.targetPosition
+      targetPosition: coa.targetPosition,
+      targetRange: coa.targetRange,
+      targetCoords: coa.targetCoords
     });
   }
 
@@ -0,0 +1,98 @@
+// TALOS 2.0 - Drone Flight Model
+// Kinematics and energy for the fleet simulation, driven by DRONE_TYPES specs:
+// wind triangle → ground speed, battery cost of a leg, time-to-target.
+// Battery model: 100% = `endurance` minutes at `cruiseSpeed` in still air.
+
+import { distanceMeters, initialBearing } from '../core/geo.js';
+
+const MPH_TO_MPS = 0.44704;
+
+export const CLIMB_RATE = 3;           // m/s vertical, climb to working altitude
+export const LOITER_POWER = 0.8;       // hover/orbit power relative to cruise
+export const BATTERY_RESERVE = 10;     // % held back for landing on return
+export const ARRIVAL_RADIUS = 15;      // m - waypoint considered reached
+export const MIN_GROUND_SPEED = 0.5;   // m/s - below this a leg is not flyable
+
+// Seconds from arriving on station until the task effect is delivered
+export const TASK_ACTION_TIME = {
+  ENGAGE: 10, DESIGNATE: 5, BDA: 5,
+  JAM: 5, COUNTER_UAS: 10, RELAY: 5, SIGINT: 5,
+  SCREEN: 10, PERIMETER: 10, EARLY_WARNING: 10,
+  RESUPPLY: 20, MEDEVAC_SUPPLY: 20
+};
+
+export const CALM = Object.freeze({ speed: 0, fromDeg: 0 });
+
+// Wind from an Open-Meteo current-conditions block (speed in mph, direction
+// the wind blows FROM). Returns { speed: m/s, fromDeg }.
+export function windFromWeather(current) {
+  if (!current || current.windSpeed == null) return CALM;
+  return {
+    speed: current.windSpeed * MPH_TO_MPS,
+    fromDeg: current.windDirection || 0
+  };
+}
+
+// Electrical power draw relative to cruise for a given airspeed
+export function powerFactor(airspeed, specs) {
+  const ratio = airspeed / specs.cruiseSpeed;
+  return LOITER_POWER + (1 - LOITER_POWER) * ratio * ratio;
+}
+
+// Battery drain in %/s while flying at airspeed
+export function drainRate(airspeed, specs) {
+  return (100 / (specs.endurance * 60)) * powerFactor(airspeed, specs);
+}
+
+// Holding a point means flying at the wind speed
+export function loiterDrainRate(specs, wind = CALM) {
+  return drainRate(Math.min(wind.speed, specs.speed), specs);
+}
+
+/**
+ * Wind triangle for a desired ground track. Flies at cruise; if a headwind
+ * leaves less than half cruise over the ground, pushes up to max speed.
+ * @returns {{ airspeed: number, groundSpeed: number }} groundSpeed 0 = can't make the leg
+ */
+export function solveCourse(courseDeg, specs, wind = CALM) {
+  // Wind vector points where the wind blows TO
+  const rel = (wind.fromDeg + 180 - courseDeg) * Math.PI / 180;
+  const along = wind.speed * Math.cos(rel);
+  const cross = wind.speed * Math.sin(rel);
+
+  const groundSpeedAt = (airspeed) => {
+    if (airspeed <= Math.abs(cross)) return 0;
+    return Math.max(0, Math.sqrt(airspeed * airspeed - cross * cross) + along);
+  };
+
+  let airspeed = specs.cruiseSpeed;
+  let groundSpeed = groundSpeedAt(airspeed);
+  if (groundSpeed < specs.cruiseSpeed / 2 && specs.speed > airspeed) {
+    airspeed = specs.speed;
+    groundSpeed = groundSpeedAt(airspeed);
+  }
+  return { airspeed, groundSpeed: groundSpeed < MIN_GROUND_SPEED ? 0 : groundSpeed };
+}
+
+/**
+ * Plan a straight great-circle leg.
+ * @returns {{ distance, course, airspeed, groundSpeed, time, battery }}
+ *   time in seconds (Infinity if not flyable), battery in % consumed
+ */
+export function planLeg(from, to, specs, wind = CALM) {
+  const distance = distanceMeters(from, to);
+  const course = distance > 0 ? initialBearing(from, to) : 0;
+  if (distance <= ARRIVAL_RADIUS) {
+    return { distance, course, airspeed: 0, groundSpeed: 0, time: 0, battery: 0 };
+  }
+  const { airspeed, groundSpeed } = solveCourse(course, specs, wind);
+  const time = groundSpeed > 0 ? distance / groundSpeed : Infinity;
+  return { distance, course, airspeed, groundSpeed, time, battery: time * drainRate(airspeed, specs) };
+}
+
+// Time and battery to climb from the current height to working altitude
+export function planClimb(currentAlt, specs) {
+  const climb = Math.max(0, specs.altitude.optimal - (currentAlt || 0));
+  const time = climb / CLIMB_RATE;
+  return { time, battery: time * drainRate(specs.cruiseSpeed, specs) };
+}
@@ -0,0 +1,366 @@
+// TALOS 2.0 - MAVLink Bridge
+// Connects DroneManager to real or SITL vehicles through a WebSocket↔UDP relay
+// (each binary WebSocket message carries raw MAVLink bytes). Tasks become
+// MAVLink commands; HEARTBEAT / GLOBAL_POSITION_INT / BATTERY_STATUS flow back
+// into the fleet records. Vehicles are bound to fleet drones by system ID.
+
+import { droneManager } from './drone-manager.js';
+import {
+  encodeMessage, MavlinkParser,
+  MAV_CMD, MAV_RESULT, MAV_AUTOPILOT, MAV_TYPE_GCS,
+  MAV_FRAME_GLOBAL_RELATIVE_ALT_INT, MAV_MODE_FLAG_SAFETY_ARMED,
+  MAV_MODE_FLAG_CUSTOM_MODE_ENABLED, MAV_DO_REPOSITION_FLAGS_CHANGE_MODE
+} from './mavlink.js';
+
+const GCS_SYSID = 255;
+const GCS_COMPID = 190;               // MAV_COMP_ID_MISSIONPLANNER
+const AUTOPILOT_COMPID = 1;
+const GCS_HEARTBEAT_MS = 1000;
+const LINK_AMBER_MS = 3000;           // heartbeat gap before comms degrade
+const LINK_RED_MS = 10000;
+const ACK_TIMEOUT_MS = 3000;
+const COMMAND_RETRIES = 2;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+const ARDUPILOT_GUIDED_MODE = 4;      // Copter custom_mode
+const TAKEOFF_COMPLETE_RATIO = 0.9;   // of target altitude before repositioning
+const AIRBORNE_ALT = 2;               // m above home - already flying, skip launch
+
+// How each TASK_DEFINITIONS entry is flown. Anything not listed needs a place
+// to be and holds there (payload effects have no generic MAVLink equivalent).
+const TASK_COMMANDS = {
+  MOVE_TO: 'WAYPOINT',
+  RTB: 'RTL'
+};
+
+class MavlinkBridge {
+  constructor() {
+    this.url = null;
+    this.socket = null;
+    this.parser = new MavlinkParser();
+    this.links = new Map();          // sysid → link state
+    this._seq = 0;
+    this._pending = new Map();       // `${sysid}:${command}` → { resolve, timer }
+    this._heartbeatTimer = null;
+    this._watchdogTimer = null;
+    this._reconnectTimer = null;
+    this._reconnectDelay = RECONNECT_MIN_MS;
+    this._wanted = false;
+  }
+
+  // Open the relay connection and attach to the drone manager
+  connect(url) {
+    this.url = url;
+    this._wanted = true;
+    droneManager.attachBridge(this);
+    this._open();
+    this._heartbeatTimer = setInterval(() => this._sendGcsHeartbeat(), GCS_HEARTBEAT_MS);
+    this._watchdogTimer = setInterval(() => this._checkLinks(), 1000);
+  }
+
+  disconnect() {
+    this._wanted = false;
+    clearInterval(this._heartbeatTimer);
+    clearInterval(this._watchdogTimer);
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.socket) this.socket.close();
+    this.socket = null;
+    droneManager.attachBridge(null);
+  }
+
+  isConnected() {
+    return this.socket?.readyState === 1;
+  }
+
+  // Pin a vehicle to a specific fleet drone (otherwise bound on first heartbeat)
+  bind(droneId, sysid) {
+    const link = this._link(sysid);
+    link.droneId = droneId;
+    droneManager.applyTelemetry(droneId, { link: this._linkSummary(link) });
+    console.log(`[MAVLINK] SYS ${sysid} bound to ${droneId}`);
+  }
+
+  getLinks() {
+    return [...this.links.values()].map(l => this._linkSummary(l));
+  }
+
+  /**
+   * Fly a tasking on the vehicle bound to this drone.
+   * @param {Object} drone - Fleet record (must be bound)
+   * @param {string} taskType - TASK_DEFINITIONS key
+   * @param {{lat: number, lon: number}} [target] - Where to fly / hold
+   */
+  sendTask(drone, taskType, target) {
+    const link = this._linkForDrone(drone.id);
+    if (!link) return;
+    const kind = TASK_COMMANDS[taskType] || 'LOITER';
+
+    if (kind === 'RTL') {
+      link.pendingTask = null;
+      this._command(link, 'COMMAND_LONG', MAV_CMD.NAV_RETURN_TO_LAUNCH, {});
+      return;
+    }
+    if (!target) return;
+
+    const task = {
+      lat: target.lat,
+      lon: target.lon,
+      alt: drone.specs.altitude.optimal,
+      // Loiter radius scales with how far the sensor sees; waypoint holds on the point
+      radius: kind === 'LOITER' ? Math.max(20, Math.round((drone.specs.sensorRange || 0) * 0.3)) : 0
+    };
+
+    if (link.armed && link.relativeAlt > AIRBORNE_ALT) {
+      this._reposition(link, task);
+    } else {
+      // On the ground: launch first, reposition once at altitude
+      link.pendingTask = task;
+      this._launch(link, task.alt);
+    }
+  }
+
+  // ---- Private: transport ----
+
+  _open() {
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (err) {
+      console.warn(`[MAVLINK] Connect failed: ${err.message}`);
+      this._scheduleReconnect();
+      return;
+    }
+    this.socket.binaryType = 'arraybuffer';
+
+    this.socket.onopen = () => {
+      this._reconnectDelay = RECONNECT_MIN_MS;
+      console.log(`[MAVLINK] Relay connected: ${this.url}`);
+      this._sendGcsHeartbeat();
+    };
+    this.socket.onmessage = (event) => {
+      if (!(event.data instanceof ArrayBuffer)) return;
+      for (const frame of this.parser.push(event.data)) this._handleFrame(frame);
+    };
+    this.socket.onerror = () => console.warn('[MAVLINK] Relay socket error');
+    this.socket.onclose = () => {
+      this.socket = null;
+      if (this._wanted) this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (!this._wanted || this._reconnectTimer) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open();
+    }, this._reconnectDelay);
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  _send(name, fields) {
+    if (!this.isConnected()) return false;
+    this.socket.send(encodeMessage(name, fields, { sysid: GCS_SYSID, compid: GCS_COMPID, seq: this._seq++ }));
+    return true;
+  }
+
+  _sendGcsHeartbeat() {
+    this._send('HEARTBEAT', {
+      type: MAV_TYPE_GCS, autopilot: MAV_AUTOPILOT.INVALID,
+      base_mode: 0, custom_mode: 0, system_status: 4, mavlink_version: 3
+    });
+  }
+
+  // ---- Private: inbound ----
+
+  _handleFrame({ name, sysid, compid, msg }) {
+    if (sysid === GCS_SYSID) return;
+    // Telemetry from the autopilot only (cameras, gimbals share the sysid)
+    if (compid !== AUTOPILOT_COMPID && name !== 'COMMAND_ACK') return;
+
+    const link = this._link(sysid);
+    switch (name) {
+      case 'HEARTBEAT': {
+        if (msg.type === MAV_TYPE_GCS) return;
+        link.lastHeartbeat = Date.now();
+        link.autopilot = msg.autopilot;
+        link.customMode = msg.custom_mode;
+        link.armed = !!(msg.base_mode & MAV_MODE_FLAG_SAFETY_ARMED);
+        link.comms = 'GREEN';
+        if (!link.droneId) this._autoBind(link);
+        this._apply(link, { armed: link.armed });
+        break;
+      }
+      case 'GLOBAL_POSITION_INT': {
+        link.relativeAlt = msg.relative_alt / 1000;
+        link.homeAlt = (msg.alt - msg.relative_alt) / 1000;   // AMSL
+        this._apply(link, {
+          geo: { lat: msg.lat / 1e7, lon: msg.lon / 1e7 },
+          altitude: link.relativeAlt,
+          heading: msg.hdg === 65535 ? undefined : msg.hdg / 100,
+          groundSpeed: Math.hypot(msg.vx, msg.vy) / 100
+        });
+        this._maybeDispatchPending(link);
+        break;
+      }
+      case 'BATTERY_STATUS':
+        if (msg.battery_remaining >= 0) this._apply(link, { battery: msg.battery_remaining });
+        break;
+      case 'COMMAND_ACK':
+        this._handleAck(sysid, msg);
+        break;
+    }
+  }
+
+  _handleAck(sysid, msg) {
+    if (msg.result === 5) return; // IN_PROGRESS - final ACK follows
+    const key = `${sysid}:${msg.command}`;
+    const pending = this._pending.get(key);
+    const result = MAV_RESULT[msg.result] || `RESULT_${msg.result}`;
+    if (pending) {
+      clearTimeout(pending.timer);
+      this._pending.delete(key);
+      pending.resolve(result);
+    }
+    if (msg.result !== 0) console.warn(`[MAVLINK] SYS ${sysid} rejected command ${msg.command}: ${result}`);
+  }
+
+  _autoBind(link) {
+    const bound = new Set([...this.links.values()].map(l => l.droneId).filter(Boolean));
+    const drone = droneManager.fleet.find(d => !bound.has(d.id) && !d.link && d.status !== 'LOST');
+    if (!drone) {
+      console.warn(`[MAVLINK] SYS ${link.sysid} has no unbound fleet drone`);
+      return;
+    }
+    this.bind(drone.id, link.sysid);
+  }
+
+  _checkLinks() {
+    const now = Date.now();
+    for (const link of this.links.values()) {
+      if (!link.lastHeartbeat || !link.droneId) continue;
+      const gap = now - link.lastHeartbeat;
+      const comms = gap > LINK_RED_MS ? 'RED' : gap > LINK_AMBER_MS ? 'AMBER' : 'GREEN';
+      if (comms !== link.comms) {
+        link.comms = comms;
+        console.warn(`[MAVLINK] SYS ${link.sysid} link ${comms} (${Math.round(gap / 1000)}s since heartbeat)`);
+        this._apply(link, {});
+      }
+    }
+  }
+
+  _apply(link, telemetry) {
+    if (!link.droneId) return;
+    // Fleet may have been re-initialised (new mission) since binding
+    if (!droneManager.getDrone(link.droneId)) {
+      link.droneId = null;
+      return;
+    }
+    droneManager.applyTelemetry(link.droneId, { ...telemetry, comms: link.comms, link: this._linkSummary(link) });
+  }
+
+  // ---- Private: outbound ----
+
+  _launch(link, alt) {
+    // ArduPilot only accepts external position commands in GUIDED
+    if (link.autopilot === MAV_AUTOPILOT.ARDUPILOTMEGA) {
+      this._command(link, 'COMMAND_LONG', MAV_CMD.DO_SET_MODE, {
+        param1: MAV_MODE_FLAG_CUSTOM_MODE_ENABLED, param2: ARDUPILOT_GUIDED_MODE
+      });
+    }
+    // PX4 reads the takeoff altitude as AMSL (NaN: its default takeoff
+    // altitude), ArduPilot as above home
+    const takeoffAlt = link.autopilot !== MAV_AUTOPILOT.PX4 ? alt
+      : link.homeAlt !== null ? link.homeAlt + alt : NaN;
+    this._command(link, 'COMMAND_LONG', MAV_CMD.COMPONENT_ARM_DISARM, { param1: 1 })
+      .then(result => {
+        if (result === 'ACCEPTED') this._command(link, 'COMMAND_LONG', MAV_CMD.NAV_TAKEOFF, { param7: takeoffAlt });
+      });
+  }
+
+  _maybeDispatchPending(link) {
+    const task = link.pendingTask;
+    if (!task || !link.armed) return;
+    if (link.relativeAlt >= task.alt * TAKEOFF_COMPLETE_RATIO) {
+      link.pendingTask = null;
+      this._reposition(link, task);
+    }
+  }
+
+  // Go to a point and hold there (radius > 0 orbits, where the airframe supports it)
+  _reposition(link, task) {
+    this._command(link, 'COMMAND_INT', MAV_CMD.DO_REPOSITION, {
+      param1: -1,                                   // default ground speed
+      param2: MAV_DO_REPOSITION_FLAGS_CHANGE_MODE,
+      param3: task.radius,
+      param4: NaN,                                  // keep current yaw behaviour
+      x: Math.round(task.lat * 1e7),
+      y: Math.round(task.lon * 1e7),
+      z: task.alt,
+      frame: MAV_FRAME_GLOBAL_RELATIVE_ALT_INT
+    });
+  }
+
+  /**
+   * Send a COMMAND_LONG / COMMAND_INT and wait for its ACK, retrying on timeout.
+   * A repeat of a command still awaiting its ACK supersedes it.
+   * @returns {Promise<string>} MAV_RESULT name, or 'TIMEOUT' / 'NO_LINK' / 'SUPERSEDED'
+   */
+  _command(link, messageName, command, params, attempt = 0) {
+    const fields = {
+      ...params,
+      command,
+      target_system: link.sysid,
+      target_component: AUTOPILOT_COMPID
+    };
+    if (messageName === 'COMMAND_LONG') fields.confirmation = attempt;
+
+    return new Promise(resolve => {
+      if (!this._send(messageName, fields)) {
+        resolve('NO_LINK');
+        return;
+      }
+      const key = `${link.sysid}:${command}`;
+      const previous = this._pending.get(key);
+      if (previous) {
+        clearTimeout(previous.timer);
+        previous.resolve('SUPERSEDED');
+      }
+      const timer = setTimeout(() => {
+        this._pending.delete(key);
+        if (attempt < COMMAND_RETRIES) {
+          resolve(this._command(link, messageName, command, params, attempt + 1));
+        } else {
+          console.warn(`[MAVLINK] SYS ${link.sysid} command ${command} timed out`);
+          resolve('TIMEOUT');
+        }
+      }, ACK_TIMEOUT_MS);
+      this._pending.set(key, { resolve, timer });
+    });
+  }
+
+  // ---- Private: bookkeeping ----
+
+  _link(sysid) {
+    if (!this.links.has(sysid)) {
+      this.links.set(sysid, {
+        sysid, droneId: null, autopilot: null, customMode: 0, armed: false,
+        relativeAlt: 0, homeAlt: null, lastHeartbeat: 0, comms: 'GREEN', pendingTask: null
+      });
+      console.log(`[MAVLINK] Vehicle discovered: SYS ${sysid}`);
+    }
+    return this.links.get(sysid);
+  }
+
+  _linkForDrone(droneId) {
+    for (const link of this.links.values()) {
+      if (link.droneId === droneId) return link;
+    }
+    return null;
+  }
+
+  _linkSummary(link) {
+    return { sysid: link.sysid, armed: link.armed, comms: link.comms };
+  }
+}
+
+export const mavlinkBridge = new MavlinkBridge();
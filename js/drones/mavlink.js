@@ -0,0 +1,256 @@
+// TALOS 2.0 - MAVLink v2 Codec
+// Minimal encoder/stream parser for the handful of common.xml messages the
+// drone bridge needs. Reads v1 and v2 frames, always writes v2 (unsigned).
+
+// --- Protocol constants (common.xml subset) ---
+
+export const MAV_CMD = Object.freeze({
+  NAV_RETURN_TO_LAUNCH: 20,
+  NAV_TAKEOFF: 22,
+  DO_SET_MODE: 176,
+  DO_REPOSITION: 192,
+  COMPONENT_ARM_DISARM: 400
+});
+
+export const MAV_RESULT = Object.freeze({
+  0: 'ACCEPTED', 1: 'TEMPORARILY_REJECTED', 2: 'DENIED', 3: 'UNSUPPORTED',
+  4: 'FAILED', 5: 'IN_PROGRESS', 6: 'CANCELLED'
+});
+
+export const MAV_AUTOPILOT = Object.freeze({ GENERIC: 0, ARDUPILOTMEGA: 3, INVALID: 8, PX4: 12 });
+export const MAV_TYPE_GCS = 6;
+export const MAV_FRAME_GLOBAL_RELATIVE_ALT_INT = 6;
+export const MAV_MODE_FLAG_SAFETY_ARMED = 128;
+export const MAV_MODE_FLAG_CUSTOM_MODE_ENABLED = 1;
+export const MAV_DO_REPOSITION_FLAGS_CHANGE_MODE = 1;
+
+// --- Message definitions: fields in wire order (base fields sorted by size,
+// extensions appended); CRC_EXTRA per message from the generator ---
+
+const MESSAGES = {
+  HEARTBEAT: {
+    id: 0, crcExtra: 50,
+    fields: [['custom_mode', 'uint32'], ['type', 'uint8'], ['autopilot', 'uint8'],
+      ['base_mode', 'uint8'], ['system_status', 'uint8'], ['mavlink_version', 'uint8']]
+  },
+  GLOBAL_POSITION_INT: {
+    id: 33, crcExtra: 104,
+    fields: [['time_boot_ms', 'uint32'], ['lat', 'int32'], ['lon', 'int32'], ['alt', 'int32'],
+      ['relative_alt', 'int32'], ['vx', 'int16'], ['vy', 'int16'], ['vz', 'int16'], ['hdg', 'uint16']]
+  },
+  COMMAND_INT: {
+    id: 75, crcExtra: 158,
+    fields: [['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+      ['x', 'int32'], ['y', 'int32'], ['z', 'float'], ['command', 'uint16'],
+      ['target_system', 'uint8'], ['target_component', 'uint8'], ['frame', 'uint8'],
+      ['current', 'uint8'], ['autocontinue', 'uint8']]
+  },
+  COMMAND_LONG: {
+    id: 76, crcExtra: 152,
+    fields: [['param1', 'float'], ['param2', 'float'], ['param3', 'float'], ['param4', 'float'],
+      ['param5', 'float'], ['param6', 'float'], ['param7', 'float'], ['command', 'uint16'],
+      ['target_system', 'uint8'], ['target_component', 'uint8'], ['confirmation', 'uint8']]
+  },
+  COMMAND_ACK: {
+    id: 77, crcExtra: 143,
+    fields: [['command', 'uint16'], ['result', 'uint8'],
+      ['progress', 'uint8'], ['result_param2', 'int32'], ['target_system', 'uint8'], ['target_component', 'uint8']]
+  },
+  BATTERY_STATUS: {
+    id: 147, crcExtra: 154,
+    fields: [['current_consumed', 'int32'], ['energy_consumed', 'int32'], ['temperature', 'int16'],
+      ['voltages', 'uint16', 10], ['current_battery', 'int16'], ['id', 'uint8'],
+      ['battery_function', 'uint8'], ['type', 'uint8'], ['battery_remaining', 'int8'],
+      ['time_remaining', 'int32'], ['charge_state', 'uint8']]
+  }
+};
+
+const TYPE_SIZES = { float: 4, int32: 4, uint32: 4, int16: 2, uint16: 2, int8: 1, uint8: 1 };
+
+const BY_ID = new Map();
+for (const [name, def] of Object.entries(MESSAGES)) {
+  def.name = name;
+  def.length = def.fields.reduce((n, [, type, count = 1]) => n + TYPE_SIZES[type] * count, 0);
+  BY_ID.set(def.id, def);
+}
+
+const STX_V1 = 0xFE;
+const STX_V2 = 0xFD;
+const V1_HEADER = 6;
+const V2_HEADER = 10;
+const SIGNATURE_LEN = 13;
+const INCOMPAT_SIGNED = 0x01;
+
+// CRC-16/MCRF4XX (X.25) as used by MAVLink
+function crcAccumulate(byte, crc) {
+  let tmp = byte ^ (crc & 0xFF);
+  tmp = (tmp ^ (tmp << 4)) & 0xFF;
+  return ((crc >> 8) ^ (tmp << 8) ^ (tmp << 3) ^ (tmp >> 4)) & 0xFFFF;
+}
+
+function crc(bytes, start, end, extra) {
+  let c = 0xFFFF;
+  for (let i = start; i < end; i++) c = crcAccumulate(bytes[i], c);
+  return crcAccumulate(extra, c);
+}
+
+function readField(view, offset, type) {
+  switch (type) {
+    case 'float': return view.getFloat32(offset, true);
+    case 'int32': return view.getInt32(offset, true);
+    case 'uint32': return view.getUint32(offset, true);
+    case 'int16': return view.getInt16(offset, true);
+    case 'uint16': return view.getUint16(offset, true);
+    case 'int8': return view.getInt8(offset);
+    default: return view.getUint8(offset);
+  }
+}
+
+function writeField(view, offset, type, value) {
+  switch (type) {
+    case 'float': view.setFloat32(offset, value, true); break;
+    case 'int32': view.setInt32(offset, value, true); break;
+    case 'uint32': view.setUint32(offset, value, true); break;
+    case 'int16': view.setInt16(offset, value, true); break;
+    case 'uint16': view.setUint16(offset, value, true); break;
+    case 'int8': view.setInt8(offset, value); break;
+    default: view.setUint8(offset, value);
+  }
+}
+
+function decodePayload(def, bytes) {
+  // v2 senders truncate trailing zero bytes - pad back to full length
+  const payload = new Uint8Array(def.length);
+  payload.set(bytes.subarray(0, def.length));
+  const view = new DataView(payload.buffer);
+  const msg = {};
+  let offset = 0;
+  for (const [field, type, count = 1] of def.fields) {
+    if (count > 1) {
+      msg[field] = [];
+      for (let i = 0; i < count; i++, offset += TYPE_SIZES[type]) msg[field].push(readField(view, offset, type));
+    } else {
+      msg[field] = readField(view, offset, type);
+      offset += TYPE_SIZES[type];
+    }
+  }
+  return msg;
+}
+
+/**
+ * Encode one message as a MAVLink v2 frame.
+ * @param {string} name - Message name, e.g. 'COMMAND_LONG'
+ * @param {Object} fields - Field values (missing fields are zero)
+ * @param {{sysid: number, compid: number, seq: number}} header
+ * @returns {Uint8Array}
+ */
+export function encodeMessage(name, fields, { sysid, compid, seq }) {
+  const def = MESSAGES[name];
+  if (!def) throw new Error(`Unknown MAVLink message: ${name}`);
+
+  const payload = new Uint8Array(def.length);
+  const view = new DataView(payload.buffer);
+  let offset = 0;
+  for (const [field, type, count = 1] of def.fields) {
+    const value = fields[field];
+    for (let i = 0; i < count; i++, offset += TYPE_SIZES[type]) {
+      const v = count > 1 ? value?.[i] : value;
+      writeField(view, offset, type, v ?? 0);
+    }
+  }
+
+  // Trailing-zero truncation (keep at least one byte)
+  let length = payload.length;
+  while (length > 1 && payload[length - 1] === 0) length--;
+
+  const frame = new Uint8Array(V2_HEADER + length + 2);
+  frame[0] = STX_V2;
+  frame[1] = length;
+  frame[2] = 0;                       // incompat flags
+  frame[3] = 0;                       // compat flags
+  frame[4] = seq & 0xFF;
+  frame[5] = sysid;
+  frame[6] = compid;
+  frame[7] = def.id & 0xFF;
+  frame[8] = (def.id >> 8) & 0xFF;
+  frame[9] = (def.id >> 16) & 0xFF;
+  frame.set(payload.subarray(0, length), V2_HEADER);
+  const checksum = crc(frame, 1, V2_HEADER + length, def.crcExtra);
+  frame[V2_HEADER + length] = checksum & 0xFF;
+  frame[V2_HEADER + length + 1] = checksum >> 8;
+  return frame;
+}
+
+/**
+ * Stream parser: feed raw bytes (any chunking), get decoded messages back.
+ * Messages not in the table and frames failing CRC are dropped.
+ */
+export class MavlinkParser {
+  constructor() {
+    this._buffer = new Uint8Array(0);
+    this.stats = { received: 0, crcErrors: 0, unknown: 0 };
+  }
+
+  /**
+   * @param {ArrayBuffer|Uint8Array} chunk
+   * @returns {Array<{name: string, sysid: number, compid: number, seq: number, msg: Object}>}
+   */
+  push(chunk) {
+    const incoming = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+    const buf = new Uint8Array(this._buffer.length + incoming.length);
+    buf.set(this._buffer);
+    buf.set(incoming, this._buffer.length);
+
+    const out = [];
+    let i = 0;
+    while (i < buf.length) {
+      const stx = buf[i];
+      if (stx !== STX_V1 && stx !== STX_V2) { i++; continue; }
+
+      const v2 = stx === STX_V2;
+      const header = v2 ? V2_HEADER : V1_HEADER;
+      if (buf.length - i < header) break;
+
+      const len = buf[i + 1];
+      const signed = v2 && (buf[i + 2] & INCOMPAT_SIGNED);
+      const frameLen = header + len + 2 + (signed ? SIGNATURE_LEN : 0);
+      if (buf.length - i < frameLen) break;
+
+      const msgid = v2 ? buf[i + 7] | (buf[i + 8] << 8) | (buf[i + 9] << 16) : buf[i + 5];
+      const def = BY_ID.get(msgid);
+      if (!def) {
+        // No CRC_EXTRA to verify with - only trust the length if another frame follows
+        const next = i + frameLen;
+        if (next >= buf.length || buf[next] === STX_V1 || buf[next] === STX_V2) {
+          this.stats.unknown++;
+          i = next;
+        } else {
+          i++;
+        }
+        continue;
+      }
+
+      const crcAt = i + header + len;
+      const expected = buf[crcAt] | (buf[crcAt + 1] << 8);
+      if (crc(buf, i + 1, crcAt, def.crcExtra) !== expected) {
+        // Not a real frame start (or corrupted) - resync on the next byte
+        this.stats.crcErrors++;
+        i++;
+        continue;
+      }
+
+      this.stats.received++;
+      out.push({
+        name: def.name,
+        seq: buf[i + (v2 ? 4 : 2)],
+        sysid: buf[i + (v2 ? 5 : 3)],
+        compid: buf[i + (v2 ? 6 : 4)],
+        msg: decodePayload(def, buf.subarray(i + header, crcAt))
+      });
+      i += frameLen;
+    }
+
+    this._buffer = buf.slice(i);
+    return out;
+  }
+}
@@ -2,10 +2,21 @@
 // ASCOPE analysis: Areas, Structures, Capabilities, Organizations, People, Events
 // ROE enforcement, civilian detection, protected structures, collateral damage estimation
 
+import { clock } from '../core/clock.js';
+import { distanceMeters } from '../core/geo.js';
+import { gridFrame } from '../core/grid-frame.js';
+import { findGrids, formatMgrs } from '../core/mgrs.js';
+import { getIntelItems, provenanceLabel } from './sources/intel-source.js';
+
+// Protected structure types named in mission orders
+const ORDER_STRUCTURE_TYPES = ['hospital', 'mosque', 'school', 'church', 'market', 'refugee camp'];
+const DEFAULT_NO_FIRE_RADIUS_M = 200;
+
 class CivilAnalyzer {
   constructor() {
     this.civilianEntities = [];
     this.protectedStructures = [];
+    this.missionStructures = [];       // cited by grid in the ROE (restrictions, special instructions)
     this.roeZones = [];
     this.currentROE = {
       level: 'WEAPONS_TIGHT',
@@ -27,6 +38,10 @@ class CivilAnalyzer {
   setROE(roe) {
     if (roe) {
       this.currentROE = { ...this.currentROE, ...roe };
+      this.missionStructures = this._parseOrderStructures([
+        ...(this.currentROE.restrictions || []),
+        ...(this.currentROE.specialInstructions || [])
+      ]);
     }
   }
 
@@ -45,8 +60,9 @@ class CivilAnalyzer {
     return this.getCivilData();
   }
 
-  // Check if a proposed engagement violates ROE
-  checkROE(targetPosition, engagementType) {
+  // Check if a proposed engagement violates ROE. targetCoords (lat/lon) also
+  // checks the no-fire radii of structures the orders place by grid.
+  checkROE(targetPosition, engagementType, targetCoords = null) {
     const violations = [];
     const warnings = [];
 
@@ -77,6 +93,15 @@ class CivilAnalyzer {
         violations.push(`${structure.type} no-fire zone violation (${structure.label})`);
       }
     }
+    if (targetCoords) {
+      for (const structure of this.protectedStructures) {
+        if (!structure.geo || !structure.noFireRadiusM) continue;
+        const dist = distanceMeters(structure.geo, targetCoords);
+        if (dist < structure.noFireRadiusM) {
+          violations.push(`${structure.type} no-fire zone violation (${Math.round(dist)}m from grid ${formatMgrs(structure.grid)})`);
+        }
+      }
+    }
 
     // Check ROE level
     if (this.currentROE.level === 'WEAPONS_HOLD') {
@@ -125,7 +150,10 @@ class CivilAnalyzer {
       protectedStructures: this.protectedStructures.map(s => ({
         type: s.type,
         position: s.position,
+        geo: s.geo || null,
+        grid: s.grid || null,
         noFireRadius: s.noFireRadius,
+        noFireRadiusM: s.noFireRadiusM || null,
         label: s.label
       })),
       roeZones: [...this.roeZones],
@@ -157,8 +185,11 @@ class CivilAnalyzer {
         classification = 'COMBATANT';
         confidence = 0.7;
       } else {
-        // Heuristic: stationary persons not in tactical formations more likely civilian
-        if (det.movement && det.movement.speed < 0.5 && det.threatLevel < 0.3) {
+        // Heuristic: stationary persons not in tactical formations more likely civilian.
+        // Unranged tracks have no metric speed (null); their image-motion heading says if they move.
+        const speed = det.movement?.speed;
+        const stationary = speed != null ? speed < 0.5 : det.movement?.heading === 'STATIONARY';
+        if (stationary && det.threatLevel < 0.3) {
           classification = 'CIVILIAN';
           confidence = 0.6;
         }
@@ -189,17 +220,19 @@ class CivilAnalyzer {
   _identifyProtectedStructures(detections, mavenIntel) {
     this.protectedStructures = [];
 
-    // From Maven GEOINT data
-    if (mavenIntel && mavenIntel.geoint) {
-      const structures = mavenIntel.geoint.structures || [];
+    // From Maven GEOINT data (every source)
+    for (const geoint of getIntelItems(mavenIntel, 'geoint')) {
+      const structures = geoint.structures || [];
       for (const s of structures) {
         if (['mosque', 'hospital', 'school', 'church', 'refugee_camp'].includes(s.type)) {
           this.protectedStructures.push({
             type: s.type.toUpperCase(),
             position: s.position || [Math.random(), Math.random()],
+            // Real-world location when the report carries one (CoT export)
+            geo: s.lat != null && s.lon != null ? { lat: s.lat, lon: s.lon } : null,
             noFireRadius: s.type === 'hospital' ? 0.15 : 0.1,
             label: `${s.type.toUpperCase()} - NO FIRE ZONE`,
-            source: 'GEOINT'
+            source: `GEOINT/${provenanceLabel(geoint)}`
           });
         }
       }
@@ -215,18 +248,51 @@ class CivilAnalyzer {
         source: 'SIMULATED'
       });
     }
+
+    // From the mission orders: placed by grid, resolved each cycle so they
+    // follow the operator's position fix
+    for (const s of this.missionStructures) {
+      const geo = gridFrame.toGeo(s.grid);
+      this.protectedStructures.push({
+        ...s,
+        position: null,
+        geo: geo ? { lat: geo.lat, lon: geo.lon } : null
+      });
+    }
+  }
+
+  // "Hospital at grid 38RKU4535068200 ... 500m no-fire radius." → structure
+  _parseOrderStructures(lines) {
+    const structures = [];
+    for (const line of lines) {
+      if (typeof line !== 'string' || !/no[- ]fire|no fires/i.test(line)) continue;
+      const [grid] = findGrids(line);
+      if (!grid) continue;
+      const type = ORDER_STRUCTURE_TYPES.find(t => line.toLowerCase().includes(t)) || 'protected';
+      const radius = line.match(/(\d+)\s*m\b/);
+      structures.push({
+        type: type.toUpperCase().replace(' ', '_'),
+        grid,
+        noFireRadiusM: radius ? Number(radius[1]) : DEFAULT_NO_FIRE_RADIUS_M,
+        label: `${type.toUpperCase()} - NO FIRE ZONE`,
+        source: 'ORDERS'
+      });
+    }
+    return structures;
   }
 
   _updateASCOPE(mavenIntel) {
     if (!mavenIntel) return;
 
     // Areas
-    if (mavenIntel.geoint) {
-      this.ascope.areas = [{
-        type: mavenIntel.geoint.terrain_type || 'UNKNOWN',
+    const geoints = getIntelItems(mavenIntel, 'geoint');
+    if (geoints.length > 0) {
+      this.ascope.areas = geoints.map(g => ({
+        type: g.terrainType || 'UNKNOWN',
         significance: 'Operational area',
-        restrictions: []
-      }];
+        restrictions: [],
+        source: provenanceLabel(g)
+      }));
     }
 
     // Structures
@@ -238,7 +304,7 @@ class CivilAnalyzer {
     if (mavenIntel.environment) {
       this.ascope.events = [];
       // Simulate time-based events
-      const hour = new Date().getHours();
+      const hour = clock.date().getHours();
       if (hour >= 5 && hour <= 7) {
         this.ascope.events.push({ type: 'PRAYER_TIME', description: 'Morning prayer - increased foot traffic near mosques' });
       }
@@ -289,7 +355,9 @@ class CivilAnalyzer {
     }
 
     for (const s of this.protectedStructures) {
-      constraints.push(`${s.type} no-fire zone active at ${s.label}`);
+      constraints.push(s.grid
+        ? `${s.type} no-fire zone ${s.noFireRadiusM}m at grid ${formatMgrs(s.grid)}`
+        : `${s.type} no-fire zone active at ${s.label}`);
     }
 
     if (this.currentROE.level === 'WEAPONS_HOLD') {
@@ -0,0 +1,260 @@
+// TALOS 2.0 - Classification Belief
+// Per-track belief over HOSTILE / CIVILIAN / FRIENDLY that accumulates
+// evidence across intel cycles instead of re-deciding from each frame.
+// Evidence (branch match, intel correlation, behaviour, threat band, PIR hits,
+// operator confirmation) enters as likelihood ratios in log space and is
+// forgotten exponentially, so a track needs sustained evidence to reach PID
+// and drifts back toward the prior when the evidence stops. The label is a
+// state machine over HOSTILE / UNKNOWN / CIVILIAN / FRIENDLY: an affiliation
+// is declared once its posterior clears the PID threshold of the current ROE,
+// held until it falls a margin below it, and only changed after the new label
+// has been indicated for a minimum dwell.
+
+import { ROE_LEVELS } from '../mission/mission-context.js';
+
+export const AFFILIATIONS = Object.freeze(['HOSTILE', 'CIVILIAN', 'FRIENDLY']);
+
+// Before any evidence: most of what the sensor sees is not a combatant
+const PRIOR = Object.freeze({ HOSTILE: 0.25, CIVILIAN: 0.55, FRIENDLY: 0.2 });
+
+// Posterior needed to declare an affiliation (PID), per ROE level. Tighter
+// ROE raises the bar for HOSTILE and lowers it for CIVILIAN.
+const PID_THRESHOLDS = Object.freeze({
+  [ROE_LEVELS.WEAPONS_FREE]: Object.freeze({ HOSTILE: 0.7, CIVILIAN: 0.8, FRIENDLY: 0.8 }),
+  [ROE_LEVELS.WEAPONS_TIGHT]: Object.freeze({ HOSTILE: 0.85, CIVILIAN: 0.75, FRIENDLY: 0.8 }),
+  [ROE_LEVELS.WEAPONS_HOLD]: Object.freeze({ HOSTILE: 0.95, CIVILIAN: 0.7, FRIENDLY: 0.8 })
+});
+
+const HYSTERESIS = 0.15;        // a declared label holds down to threshold - this
+const MIN_DWELL_MS = 2000;      // a new label must be indicated this long before it is taken
+const FORGET_MS = 6000;         // time constant of the evidence memory
+const EVIDENCE_GAIN = 2;        // sustained evidence weighs this many times its single-look ratio
+const FIRST_CYCLE_MS = 1000;    // a new track's first update counts as one nominal intel cycle
+
+// Likelihood ratios (relative to an unaffected hypothesis at 1)
+const LR = {
+  enemyUnit: { HOSTILE: 6 },          // reported enemy unit at the track's geo fix
+  friendlyUnit: { FRIENDLY: 8 },      // blue force report at the track's geo fix
+  neutralUnit: { CIVILIAN: 4 },       // reported neutral / civilian element there
+  sigint: { HOSTILE: 2 },             // SIGINT line of bearing through the track
+  humint: { HOSTILE: 1.5 },           // located HUMINT report near the track
+  pir: { HOSTILE: 2 },                // track meets a PIR (PIRs ask about the enemy)
+  hostileBand: { HOSTILE: 1.5 },      // threat score above the profile's HOSTILE threshold
+  lowBand: { CIVILIAN: 1.5 },         // threat score below the profile's UNKNOWN threshold
+  operator: 100                       // operator PID, held until cleared
+};
+
+class ClassificationBelief {
+  constructor() {
+    this.tracks = new Map(); // trackId → { logOdds, label, pending, confirmed, updatedAt }
+    this.roe = ROE_LEVELS.WEAPONS_TIGHT;
+  }
+
+  // ROE level (MissionContext.getROE().level) selecting the PID thresholds
+  setROE(level) {
+    this.roe = PID_THRESHOLDS[level] ? level : ROE_LEVELS.WEAPONS_TIGHT;
+    console.log(`[BELIEF] PID thresholds for ${this.roe}`);
+  }
+
+  getThresholds() {
+    return PID_THRESHOLDS[this.roe];
+  }
+
+  /**
+   * Fold one intel cycle's observation of a track into its belief and step
+   * the label state machine. The observation:
+   *   branch: enemyAnalyzer._matchBranch result (or null)
+   *   direct: true if the detector named the branch (military-object model),
+   *           false if it was mapped from the tactical class
+   *   intel: { enemyUnit, friendlyUnit, neutralUnit, sigint, humint } - booleans
+   *   behavior: behaviour factor score (0.3 idle … 1 fast approach)
+   *   threatBand: 'HOSTILE' | 'UNKNOWN' | 'LOW' from the profile thresholds
+   *   pir: the PIR met, or null
+   * Returns the belief snapshot carried on the assessment.
+   */
+  update(trackId, observation, now) {
+    let track = this.tracks.get(trackId);
+    if (!track) {
+      track = { logOdds: logPrior(), label: 'UNKNOWN', pending: null, confirmed: null, updatedAt: now - FIRST_CYCLE_MS };
+      this.tracks.set(trackId, track);
+    }
+
+    const evidence = this._evidence(observation);
+    if (track.confirmed) {
+      evidence.push({ source: 'OPERATOR', basis: `Operator PID ${track.confirmed}`, ratios: { [track.confirmed]: LR.operator } });
+    }
+
+    // Relax toward prior + gain × evidence (exponential forgetting of older looks)
+    const decay = Math.exp(-Math.max(0, now - track.updatedAt) / FORGET_MS);
+    const prior = logPrior();
+    for (const h of AFFILIATIONS) {
+      let target = prior[h];
+      for (const e of evidence) target += EVIDENCE_GAIN * Math.log(e.ratios[h] || 1);
+      track.logOdds[h] = target + (track.logOdds[h] - target) * decay;
+    }
+    track.updatedAt = now;
+
+    const posterior = normalize(track.logOdds);
+    this._step(track, posterior, now);
+    return this._snapshot(track, posterior, evidence);
+  }
+
+  /**
+   * Operator PID: HOSTILE / CIVILIAN / FRIENDLY, or null to hand the track
+   * back to the evidence. Takes effect at once (no dwell).
+   */
+  confirm(trackId, label) {
+    if (label !== null && !AFFILIATIONS.includes(label)) return null;
+    let track = this.tracks.get(trackId);
+    if (!track) {
+      track = { logOdds: logPrior(), label: 'UNKNOWN', pending: null, confirmed: null, updatedAt: null };
+      this.tracks.set(trackId, track);
+    }
+    track.confirmed = label;
+    track.pending = null;
+    if (label) track.label = label;
+    console.log(`[BELIEF] ${trackId} ${label ? `confirmed ${label}` : 'confirmation cleared'} by operator`);
+    return track.label;
+  }
+
+  // Current label of a track ('UNKNOWN' if it has no belief yet)
+  getLabel(trackId) {
+    return this.tracks.get(trackId)?.label || 'UNKNOWN';
+  }
+
+  forget(trackId) {
+    this.tracks.delete(trackId);
+  }
+
+  reset() {
+    this.tracks.clear();
+  }
+
+  // Every track's belief, for seeding a session recording
+  getState() {
+    return Array.from(this.tracks, ([trackId, t]) => ({
+      trackId,
+      logOdds: { ...t.logOdds },
+      label: t.label,
+      pending: t.pending ? { ...t.pending } : null,
+      confirmed: t.confirmed,
+      updatedAt: t.updatedAt
+    }));
+  }
+
+  // Replace all beliefs with a getState() snapshot (session replay)
+  loadState(state) {
+    this.tracks.clear();
+    for (const { trackId, ...t } of state || []) {
+      this.tracks.set(trackId, { ...t, logOdds: { ...t.logOdds }, pending: t.pending ? { ...t.pending } : null });
+    }
+    console.log(`[BELIEF] Loaded ${this.tracks.size} track beliefs`);
+  }
+
+  // --- Private ---
+
+  _evidence(obs) {
+    const evidence = [];
+
+    const intel = obs.intel || {};
+
+    // A detector that names the branch (tank → ARMOR) sees military
+    // equipment: as likely ours as theirs, unlikely civilian. A branch mapped
+    // from a generic class (vehicle → ARMOR) says nothing by itself; it counts
+    // for the side whose unit is reported at the track.
+    if (obs.branch) {
+      const ratio = obs.branch.confidence / (1 - obs.branch.confidence);
+      const basis = `${obs.branch.primaryBranch} signature (${Math.round(obs.branch.confidence * 100)}%)`;
+      if (obs.direct) {
+        evidence.push({ source: 'BRANCH', basis, ratios: { HOSTILE: ratio, FRIENDLY: ratio } });
+      } else if (intel.enemyUnit || intel.friendlyUnit) {
+        evidence.push({
+          source: 'BRANCH',
+          basis: `${basis} matches reported unit`,
+          ratios: { HOSTILE: intel.enemyUnit ? ratio : 1, FRIENDLY: intel.friendlyUnit ? ratio : 1 }
+        });
+      }
+    }
+
+    if (intel.enemyUnit) evidence.push({ source: 'INTEL', basis: 'Enemy unit reported at track', ratios: LR.enemyUnit });
+    if (intel.friendlyUnit) evidence.push({ source: 'INTEL', basis: 'Friendly unit reported at track', ratios: LR.friendlyUnit });
+    if (intel.neutralUnit) evidence.push({ source: 'INTEL', basis: 'Neutral element reported at track', ratios: LR.neutralUnit });
+    if (intel.sigint) evidence.push({ source: 'INTEL', basis: 'SIGINT LOB on track', ratios: LR.sigint });
+    if (intel.humint) evidence.push({ source: 'INTEL', basis: 'HUMINT report near track', ratios: LR.humint });
+
+    // Closing at speed: up to 1.5:1 toward HOSTILE (behaviour alone never reaches PID)
+    if (obs.behavior > 0.3) {
+      evidence.push({
+        source: 'BEHAVIOR',
+        basis: `Behaviour score ${obs.behavior.toFixed(2)}`,
+        ratios: { HOSTILE: 1 + 0.5 * Math.min(1, (obs.behavior - 0.3) / 0.7) }
+      });
+    }
+
+    if (obs.threatBand === 'HOSTILE') {
+      evidence.push({ source: 'THREAT', basis: 'Threat score in HOSTILE band', ratios: LR.hostileBand });
+    } else if (obs.threatBand === 'LOW') {
+      evidence.push({ source: 'THREAT', basis: 'Threat score below UNKNOWN band', ratios: LR.lowBand });
+    }
+
+    if (obs.pir) evidence.push({ source: 'PIR', basis: obs.pir, ratios: LR.pir });
+    return evidence;
+  }
+
+  // Label state machine: enter at the PID threshold, hold down to threshold
+  // minus the hysteresis margin, switch only after the dwell
+  _step(track, posterior, now) {
+    if (track.confirmed) {
+      track.label = track.confirmed;
+      track.pending = null;
+      return;
+    }
+
+    const thresholds = this.getThresholds();
+    let candidate = track.label;
+    const holds = track.label !== 'UNKNOWN' && posterior[track.label] >= thresholds[track.label] - HYSTERESIS;
+    if (!holds) {
+      candidate = 'UNKNOWN';
+      for (const h of AFFILIATIONS) {
+        if (posterior[h] >= thresholds[h] && (candidate === 'UNKNOWN' || posterior[h] > posterior[candidate])) {
+          candidate = h;
+        }
+      }
+    }
+
+    if (candidate === track.label) {
+      track.pending = null;
+    } else if (track.pending?.label !== candidate) {
+      track.pending = { label: candidate, since: now };
+    } else if (now - track.pending.since >= MIN_DWELL_MS) {
+      track.label = candidate;
+      track.pending = null;
+    }
+  }
+
+  _snapshot(track, posterior, evidence) {
+    return {
+      label: track.label,
+      posterior,
+      roe: this.roe,
+      thresholds: this.getThresholds(),
+      pending: track.pending ? { ...track.pending } : null,
+      confirmed: track.confirmed,
+      evidence: evidence.map(e => ({ source: e.source, basis: e.basis }))
+    };
+  }
+}
+
+export const classificationBelief = new ClassificationBelief();
+
+function logPrior() {
+  return Object.fromEntries(AFFILIATIONS.map(h => [h, Math.log(PRIOR[h])]));
+}
+
+// Log-odds → probabilities (softmax)
+function normalize(logOdds) {
+  const max = Math.max(...AFFILIATIONS.map(h => logOdds[h]));
+  const weights = AFFILIATIONS.map(h => Math.exp(logOdds[h] - max));
+  const total = weights.reduce((sum, w) => sum + w, 0);
+  return Object.fromEntries(AFFILIATIONS.map((h, i) => [h, weights[i] / total]));
+}
@@ -3,6 +3,7 @@
 // Composition, disposition, MPCOA, MDCOA, HVTs, decision points
 
 import { ARMY_BRANCHES } from '../knowledge/army-branches.js';
+import { getIntelItems, provenanceLabel } from './sources/intel-source.js';
 
 class EnemyAnalyzer {
   constructor() {
@@ -95,11 +96,14 @@ class EnemyAnalyzer {
       VEHICLE: ['ARMOR', 'CAVALRY'],
       LIGHT_VEHICLE: ['CAVALRY', 'MILITARY_POLICE'],
       AIRCRAFT: ['AVIATION'],
+      UAS: ['AVIATION', 'MILITARY_INTELLIGENCE'],
       COMMS_EQUIPMENT: ['SIGNAL'],
       SUPPLY: ['QUARTERMASTER', 'TRANSPORTATION']
     };
 
-    const possibleBranches = classMapping[entity.tacticalClass] || ['INFANTRY'];
+    // A military-object model names the branch directly (tank → ARMOR)
+    const direct = entity.branches?.length ? entity.branches : null;
+    const possibleBranches = direct || classMapping[entity.tacticalClass] || ['INFANTRY'];
     const primaryBranch = possibleBranches[0];
 
     // Look up doctrine
@@ -108,7 +112,7 @@ class EnemyAnalyzer {
       primaryBranch,
       possibleBranches,
       doctrine: doctrine || null,
-      confidence: 0.6 // Without more intel, confidence is moderate
+      confidence: direct ? 0.75 : 0.6 // Without more intel, confidence is moderate
     };
   }
 
@@ -196,7 +200,10 @@ class EnemyAnalyzer {
     const movement = entity.movement || {};
     let posture = 'UNKNOWN';
 
-    if (movement.speed > 1.5) posture = 'MOVING';
+    if (movement.speed == null) {
+      // Unranged: no metric speed, only whether it moves in the image
+      posture = movement.heading && movement.heading !== 'STATIONARY' ? 'MOVING' : 'STATIONARY';
+    } else if (movement.speed > 1.5) posture = 'MOVING';
     else if (movement.speed > 0.5) posture = 'CREEPING';
     else posture = 'STATIONARY';
 
@@ -212,7 +219,7 @@ class EnemyAnalyzer {
       posture,
       formation,
       heading: movement.heading || 'UNKNOWN',
-      speed: movement.speed || 0,
+      speed: movement.speed ?? null,
       bearing: movement.bearing || 0,
       onAvenue: entity.onAvenue || null
     };
@@ -347,6 +354,13 @@ class EnemyAnalyzer {
     const hasArmor = analyses.some(a => a.strength.hasArmor);
     const approaching = analyses.filter(a => a.disposition.heading === 'APPROACHING').length;
 
+    // Fuse reported enemy dispositions from every intel source (provenance kept per unit)
+    const reportedUnits = getIntelItems(mavenIntel, 'forceDisposition').flatMap(fd =>
+      (fd.enemy || []).map(u => ({
+        unit: u.unit, type: u.type, status: u.status,
+        range: u.position?.range ?? null, source: provenanceLabel(fd)
+      })));
+
     return {
       enemyCount: totalHostile,
       estimatedStrength: totalStrength,
@@ -355,6 +369,7 @@ class EnemyAnalyzer {
       overallThreat: hasArmor && approaching > 0 ? 'HIGH' :
                      approaching > 2 ? 'HIGH' :
                      totalHostile > 3 ? 'MEDIUM' : 'LOW',
+      reportedUnits,
       summary: totalHostile > 0
         ? `${totalHostile} enemy element(s), ~${totalStrength} PAX${hasArmor ? ' (MECH)' : ''}. ${approaching} approaching.`
         : 'No enemy elements detected.'
@@ -0,0 +1,127 @@
+// TALOS 2.0 - Intelligence Source Registry
+// Owns every IntelSource (simulated Maven, WebSocket, file...), tracks their
+// health and fuses their output into one merged, provenance-tagged intel
+// picture for threatEngine / enemyAnalyzer / civilAnalyzer.
+
+import { SourceHealth } from './sources/intel-source.js';
+import { INTEL_TYPES } from './scenario-format.js';
+
+class IntelRegistry {
+  constructor() {
+    this.sources = new Map();
+    this._listeners = new Map();   // sourceId → bound update listener
+    this._latest = {};             // type → Map(provenance sourceId → item)
+    this._callbacks = [];
+    for (const type of INTEL_TYPES) this._latest[type] = new Map();
+  }
+
+  // Add a source; its updates flow into the merged picture
+  register(source) {
+    if (this.sources.has(source.id)) {
+      console.warn(`[INTEL] Source ${source.id} already registered - replacing`);
+      this.unregister(source.id);
+    }
+    const listener = (type, data) => this.ingest(type, data);
+    source.onUpdate(listener);
+    this.sources.set(source.id, source);
+    this._listeners.set(source.id, listener);
+    console.log(`[INTEL] Registered source: ${source.label} (${source.kind})`);
+    return source;
+  }
+
+  unregister(id) {
+    const source = this.sources.get(id);
+    if (!source) return;
+    source.stop();
+    source.offUpdate(this._listeners.get(id));
+    this.sources.delete(id);
+    this._listeners.delete(id);
+    for (const byType of Object.values(this._latest)) byType.delete(id);
+  }
+
+  get(id) {
+    return this.sources.get(id) || null;
+  }
+
+  list() {
+    return [...this.sources.values()];
+  }
+
+  startAll() {
+    for (const source of this.sources.values()) source.start();
+  }
+
+  stopAll() {
+    for (const source of this.sources.values()) source.stop();
+  }
+
+  // Drop cached items (sources keep running)
+  clear() {
+    for (const byType of Object.values(this._latest)) byType.clear();
+  }
+
+  // Accept a tagged item. Sources call this via register(); session replay
+  // calls it directly with recorded items.
+  ingest(type, item) {
+    if (!this._latest[type] || !item) return;
+    const sourceId = item.provenance?.sourceId || 'unknown';
+    this._latest[type].set(sourceId, item);
+    for (const cb of this._callbacks) {
+      try { cb(type, item); } catch (e) { console.error('[INTEL] Callback error:', e); }
+    }
+  }
+
+  // Callback(type, item) for every item from every source
+  onUpdate(callback) {
+    this._callbacks.push(callback);
+  }
+
+  offUpdate(callback) {
+    this._callbacks = this._callbacks.filter(cb => cb !== callback);
+  }
+
+  // Latest item of each source for a type, newest first
+  getItems(type) {
+    const byType = this._latest[type];
+    if (!byType) return [];
+    return [...byType.values()].sort((a, b) =>
+      (b.provenance?.receivedAt || 0) - (a.provenance?.receivedAt || 0));
+  }
+
+  // Freshest item of a type across all sources
+  getLatest(type) {
+    return this.getItems(type)[0] || null;
+  }
+
+  getHealth() {
+    return this.list().map(s => s.getHealth());
+  }
+
+  // Aggregate status for the HUD: worst-of among started sources
+  getHealthSummary() {
+    const health = this.getHealth();
+    const online = health.filter(h => h.status === SourceHealth.ONLINE).length;
+    const degraded = health.some(h => h.status === SourceHealth.ERROR || h.status === SourceHealth.STALE);
+    return {
+      total: health.length,
+      online,
+      status: online === 0 ? 'RED' : degraded || online < health.length ? 'AMBER' : 'GREEN'
+    };
+  }
+
+  /**
+   * Merged intel picture. Top-level keys hold the freshest item per type
+   * (same shape consumers always used); `items` holds every source's latest
+   * item per type so analyzers can fuse them, each carrying `provenance`.
+   */
+  getMergedIntel() {
+    const merged = { items: {}, sources: this.getHealth() };
+    for (const type of INTEL_TYPES) {
+      merged.items[type] = this.getItems(type);
+      merged[type] = merged.items[type][0] || null;
+    }
+    return merged;
+  }
+}
+
+export const intelRegistry = new IntelRegistry();
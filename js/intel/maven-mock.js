@@ -1,52 +1,29 @@
 // =============================================================================
 // TALOS 2.0 - Maven Smart System (Simulated Intelligence Feed)
 // Generates realistic mock intelligence data at operationally-paced intervals
-// Scenario: Enemy mechanized element approaching from NE along primary avenue
+// Scenario-driven: narrative, tempo and templates come from a scenario
+// definition (default: scenarios/msr-tampa.js). All randomness is drawn from a
+// seeded PRNG on a virtual mission clock, so the same seed + scenario always
+// produces the same intel sequence.
 // =============================================================================
 
-let _nextId = 1;
-function genId(prefix) {
-    return `${prefix}-${String(_nextId++).padStart(4, '0')}`;
-}
-
-function randomInRange(min, max) {
-    return Math.random() * (max - min) + min;
-}
+import { SeededRandom } from '../core/prng.js';
+import { clock } from '../core/clock.js';
+import { destinationPoint } from '../core/geo.js';
+import { fromMgrs, toMgrs } from '../core/mgrs.js';
+import { MSR_TAMPA_SCENARIO } from './scenarios/msr-tampa.js';
+import {
+    INTEL_TYPES, validateScenario, fetchScenario,
+    interpolateCurve, phaseForState, resolveRange, fillTemplate
+} from './scenario-format.js';
 
-function randomInt(min, max) {
-    return Math.floor(randomInRange(min, max + 1));
-}
+// Live mode advances the virtual clock in small steps; intel timing is
+// resolved against virtual time so tick jitter never changes the output.
+const LIVE_TICK_MS = 250;
 
-function pick(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
-}
-
-function generateGridCoord() {
-    // MGRS-like grid: zone 38S, 100km square KU, easting/northing
-    const easting = String(randomInt(10000, 99999)).padStart(5, '0');
-    const northing = String(randomInt(10000, 99999)).padStart(5, '0');
-    return `38SKU${easting}${northing}`;
-}
-
-function timestamp() {
-    return new Date().toISOString();
-}
-
-// ---- Scenario Narrative State ----
-// Enemy mechanized element approaching from NE along primary avenue (MSR TAMPA).
-// Over time, SIGINT shows increasing radio chatter, GEOINT picks up vehicle staging,
-// and HUMINT sources report enemy movement. Tempo escalates.
-
-const SCENARIO = {
-    enemyBearing: 45, // NE
-    approachAxis: 'MSR TAMPA',
-    enemyComposition: 'Mechanized Infantry Company (BTR-82A)',
-    friendlyPosition: '38SKU4523067890',
-    phaseIndex: 0, // increases over time: 0=initial, 1=buildup, 2=advance, 3=contact
-    phaseLabels: ['INITIAL INDICATORS', 'BUILDUP', 'ENEMY ADVANCE', 'IMMINENT CONTACT'],
-    distanceKm: 15, // enemy distance, decreases over time
-    lastPhaseChange: Date.now()
-};
+// Generated grids (GEOINT imagery, HUMINT locations) fall within this radius
+// of the scenario's friendly position
+const GRID_AREA_M = 5000;
 
 /**
  * Simulated Maven Smart System.
@@ -55,19 +32,19 @@ const SCENARIO = {
  * Data types: SIGINT, GEOINT, HUMINT, threatAssessment, forceDisposition, environment
  */
 export class MavenMock {
+    /**
+     * @param {Object} [config]
+     * @param {Object} [config.scenario] - Scenario definition (default MSR TAMPA)
+     * @param {string|number} [config.seed] - PRNG seed (default: scenario.seed)
+     * @param {number} [config.startTime] - Epoch ms for mission H-hour (default: now at start())
+     */
     constructor(config = {}) {
-        /** @type {number} Base update interval in ms */
-        this._baseInterval = config.interval || 10000;
-
         /** @type {boolean} Running state */
         this._running = false;
 
-        /** @type {number|null} Main timer ID */
+        /** @type {number|null} Live tick timer ID */
         this._timerId = null;
 
-        /** @type {Object} Timer IDs for each data type */
-        this._typeTimers = {};
-
         /** @type {Function[]} Update callbacks */
         this._callbacks = [];
 
@@ -84,50 +61,84 @@ export class MavenMock {
         /** @type {Object[]} Full history of all intel */
         this._history = [];
 
-        /** @type {number} Scenario start time */
-        this._scenarioStart = Date.now();
+        /** @type {number|null} Fixed H-hour override (epoch ms) */
+        this._fixedStartTime = config.startTime ?? null;
+
+        /** @type {string|number|null} Seed override (null → scenario seed) */
+        this._seedOverride = config.seed ?? null;
+
+        this.loadScenario(config.scenario || MSR_TAMPA_SCENARIO);
 
         console.log('[MAVEN] Maven Smart System initialized (SIMULATED)');
     }
 
     /**
-     * Start intelligence generation.
-     * SIGINT: every 5-15s, GEOINT: every 20-40s, HUMINT: every 30-60s,
-     * threatAssessment: every 15-25s, forceDisposition: every 20-30s,
-     * environment: every 45-90s
+     * Load a scenario definition. Resets the simulation (restarting it if it
+     * was running).
+     *
+     * @param {Object} scenario
+     */
+    loadScenario(scenario) {
+        const wasRunning = this._running;
+        if (wasRunning) this.stop();
+
+        this._scenario = validateScenario(scenario);
+        this._reset();
+        console.log(`[MAVEN] Scenario loaded: ${scenario.name || scenario.id} (seed: ${this._seed})`);
+
+        if (wasRunning) this.start();
+    }
+
+    /**
+     * Fetch a trainer-authored scenario JSON file and load it.
+     *
+     * @param {string} url
+     */
+    async loadScenarioFromUrl(url) {
+        this.loadScenario(await fetchScenario(url));
+    }
+
+    /**
+     * Change the PRNG seed. Resets the simulation.
+     *
+     * @param {string|number} seed
+     */
+    setSeed(seed) {
+        this._seedOverride = seed;
+        this._reset();
+    }
+
+    /** @returns {Object} Active scenario definition */
+    getScenario() {
+        return this._scenario;
+    }
+
+    /**
+     * Start intelligence generation on the live clock.
+     * Cadence per type comes from scenario.cadence (MSR TAMPA: SIGINT 5-15s,
+     * GEOINT 20-40s, HUMINT 30-60s, threatAssessment 15-25s,
+     * forceDisposition 20-30s, environment 45-90s).
      */
     start() {
         if (this._running) {
             console.warn('[MAVEN] Already running');
             return;
         }
+        this._reset();
         this._running = true;
-        this._scenarioStart = Date.now();
-        SCENARIO.phaseIndex = 0;
-        SCENARIO.distanceKm = 15;
-        SCENARIO.lastPhaseChange = Date.now();
 
         console.log('[MAVEN] Intelligence feed ACTIVE');
-        console.log('[MAVEN] Scenario: Enemy mechanized element (BTR-82A company) approaching from NE along MSR TAMPA');
+        console.log(`[MAVEN] Scenario: ${this._scenario.description || this._scenario.name || this._scenario.id}`);
 
-        // Generate initial data for all types
-        this._generateSigint();
-        this._generateGeoint();
-        this._generateHumint();
-        this._generateThreatAssessment();
-        this._generateForceDisposition();
-        this._generateEnvironment();
+        // Initial report of every type goes out immediately
+        this.advance(0);
 
-        // Schedule recurring generation at realistic operational tempo
-        this._scheduleType('sigint', 5000, 15000, () => this._generateSigint());
-        this._scheduleType('geoint', 20000, 40000, () => this._generateGeoint());
-        this._scheduleType('humint', 30000, 60000, () => this._generateHumint());
-        this._scheduleType('threatAssessment', 15000, 25000, () => this._generateThreatAssessment());
-        this._scheduleType('forceDisposition', 20000, 30000, () => this._generateForceDisposition());
-        this._scheduleType('environment', 45000, 90000, () => this._generateEnvironment());
-
-        // Scenario progression timer
-        this._timerId = setInterval(() => this._advanceScenario(), 5000);
+        this._lastWall = clock.now();
+        this._timerId = setInterval(() => {
+            const now = clock.now();
+            this.advance(now - this._lastWall);
+            this._lastWall = now;
+        }, LIVE_TICK_MS);
     }
 
     /**
@@ -139,13 +150,30 @@ export class MavenMock {
             clearInterval(this._timerId);
             this._timerId = null;
         }
-        for (const key of Object.keys(this._typeTimers)) {
-            clearTimeout(this._typeTimers[key]);
-            delete this._typeTimers[key];
-        }
         console.log('[MAVEN] Intelligence feed STOPPED');
     }
 
+    /**
+     * Advance the virtual mission clock, emitting every scenario tick, inject
+     * and intel report that falls due, in time order. Deterministic: the same
+     * total advance produces the same sequence however it is split up.
+     * Driven by the live timer, or called directly by tests / offline tooling.
+     *
+     * @param {number} ms
+     */
+    advance(ms) {
+        if (!this._started) this._begin();
+        const target = this._elapsedMs + Math.max(0, ms);
+
+        for (;;) {
+            const next = this._nextEvent();
+            if (next.at > target) break;
+            this._elapsedMs = next.at;
+            next.run();
+        }
+        this._elapsedMs = target;
+    }
+
     /**
      * Get the latest data for all or a specific type.
      *
@@ -196,32 +224,100 @@ export class MavenMock {
     /**
      * Get current scenario phase info.
      *
-     * @returns {{ phase: number, label: string, enemyDistance: number, elapsed: number }}
+     * @returns {{ phase: number, label: string, enemyDistance: number, elapsed: number, scenario: string, seed: string|number }}
      */
     getScenarioStatus() {
         return {
-            phase: SCENARIO.phaseIndex,
-            label: SCENARIO.phaseLabels[SCENARIO.phaseIndex] || 'UNKNOWN',
-            enemyDistance: SCENARIO.distanceKm,
-            elapsed: Math.floor((Date.now() - this._scenarioStart) / 1000)
+            phase: this._phaseIndex,
+            label: this._scenario.phases[this._phaseIndex]?.label || 'UNKNOWN',
+            enemyDistance: this._distanceKm,
+            elapsed: Math.floor(this._elapsedMs / 1000),
+            scenario: this._scenario.id,
+            seed: this._seed
         };
     }
 
     // ---- Private Methods ----
 
-    _scheduleType(typeName, minMs, maxMs, generator) {
-        if (!this._running) return;
-        const delay = randomInRange(minMs, maxMs);
-        this._typeTimers[typeName] = setTimeout(() => {
-            if (!this._running) return;
-            generator();
-            this._scheduleType(typeName, minMs, maxMs, generator);
-        }, delay);
+    _reset() {
+        const sc = this._scenario;
+        this._seed = this._seedOverride ?? sc.seed ?? sc.id;
+
+        // Independent streams so one type's consumption never shifts another's
+        const root = new SeededRandom(this._seed);
+        this._rng = {};
+        this._cadenceRng = {};
+        for (const type of INTEL_TYPES) {
+            this._rng[type] = root.fork(type);
+            this._cadenceRng[type] = root.fork(`cadence:${type}`);
+        }
+        this._distanceRng = root.fork('distance');
+
+        // Grids are generated around the friendly position when the scenario has one
+        const ref = fromMgrs(sc.friendlyPosition);
+        this._reference = ref ? { lat: ref.lat, lon: ref.lon } : null;
+
+        this._nextId = 1;
+        this._elapsedMs = 0;
+        this._started = false;
+        this._startWall = 0;
+        this._phaseIndex = 0;
+        this._distanceKm = interpolateCurve(sc.distance.curve, 0);
+        this._nextDue = {};
+        this._nextScenarioTick = 0;
+        this._pendingInjects = [...(sc.injects || [])].sort((a, b) => a.atSec - b.atSec);
+        for (const key of Object.keys(this._latest)) this._latest[key] = null;
+        this._history = [];
+    }
+
+    // H-hour: emit an initial report of every type and schedule the rest
+    _begin() {
+        this._started = true;
+        this._startWall = this._fixedStartTime ?? clock.now();
+        for (const type of INTEL_TYPES) {
+            this._generate(type);
+            this._scheduleType(type);
+        }
+        this._nextScenarioTick = this._scenario.distance.tickSec * 1000;
+    }
+
+    _scheduleType(type) {
+        const [minSec, maxSec] = this._scenario.cadence[type];
+        this._nextDue[type] = this._elapsedMs + this._cadenceRng[type].range(minSec, maxSec) * 1000;
+    }
+
+    // Earliest pending event; ties resolve scenario tick → injects → intel types
+    _nextEvent() {
+        let best = {
+            at: this._nextScenarioTick,
+            run: () => {
+                this._advanceScenario();
+                this._nextScenarioTick += this._scenario.distance.tickSec * 1000;
+            }
+        };
+
+        const inject = this._pendingInjects[0];
+        if (inject && inject.atSec * 1000 < best.at) {
+            best = { at: inject.atSec * 1000, run: () => this._fireInject(this._pendingInjects.shift()) };
+        }
+
+        for (const type of INTEL_TYPES) {
+            if (this._nextDue[type] < best.at) {
+                best = {
+                    at: this._nextDue[type],
+                    run: () => {
+                        this._generate(type);
+                        this._scheduleType(type);
+                    }
+                };
+            }
+        }
+        return best;
     }
 
     _emit(type, data) {
         this._latest[type] = data;
-        this._history.push({ type, data, received: Date.now() });
+        this._history.push({ type, data, received: this._startWall + this._elapsedMs });
         // Keep history bounded
         if (this._history.length > 500) {
             this._history = this._history.slice(-300);
@@ -236,408 +332,209 @@ export class MavenMock {
     }
 
     _advanceScenario() {
-        const elapsed = (Date.now() - this._scenarioStart) / 1000;
-
-        // Decrease enemy distance over time (approach speed ~3-5 km per real-minute for simulation)
-        SCENARIO.distanceKm = Math.max(0.5, 15 - (elapsed / 60) * randomInRange(3, 5));
-
-        // Advance phases based on distance
-        const prevPhase = SCENARIO.phaseIndex;
-        if (SCENARIO.distanceKm < 2) {
-            SCENARIO.phaseIndex = 3;
-        } else if (SCENARIO.distanceKm < 6) {
-            SCENARIO.phaseIndex = 2;
-        } else if (SCENARIO.distanceKm < 10) {
-            SCENARIO.phaseIndex = 1;
-        } else {
-            SCENARIO.phaseIndex = 0;
+        const sc = this._scenario;
+        const elapsedSec = this._elapsedMs / 1000;
+
+        // Follow the distance curve, with jitter on how much ground has been closed
+        const startKm = interpolateCurve(sc.distance.curve, 0);
+        const curveKm = interpolateCurve(sc.distance.curve, elapsedSec);
+        const jitter = sc.distance.jitter || 0;
+        const closed = (startKm - curveKm) * (1 + this._distanceRng.range(-jitter, jitter));
+        this._distanceKm = Math.max(sc.distance.minKm ?? 0, startKm - closed);
+
+        // Advance phases based on distance / time triggers
+        const prevPhase = this._phaseIndex;
+        this._phaseIndex = phaseForState(sc.phases, this._distanceKm, elapsedSec);
+
+        if (this._phaseIndex !== prevPhase) {
+            console.log(`[MAVEN] Scenario phase: ${sc.phases[this._phaseIndex].label} (enemy at ${this._distanceKm.toFixed(1)} km)`);
         }
+    }
 
-        if (SCENARIO.phaseIndex !== prevPhase) {
-            SCENARIO.lastPhaseChange = Date.now();
-            console.log(`[MAVEN] Scenario phase: ${SCENARIO.phaseLabels[SCENARIO.phaseIndex]} (enemy at ${SCENARIO.distanceKm.toFixed(1)} km)`);
-        }
+    _fireInject(inject) {
+        console.log(`[MAVEN] Inject @${inject.atSec}s: ${inject.type}`);
+        this._generate(inject.type, inject.data);
+    }
+
+    _generate(type, override = null) {
+        const generators = {
+            sigint: () => this._generateSigint(),
+            geoint: () => this._generateGeoint(),
+            humint: () => this._generateHumint(),
+            threatAssessment: () => this._generateThreatAssessment(),
+            forceDisposition: () => this._generateForceDisposition(),
+            environment: () => this._generateEnvironment()
+        };
+        const data = generators[type]();
+        this._emit(type, override ? { ...data, ...override } : data);
+    }
+
+    // ---- Generation helpers (virtual clock + seeded streams) ----
+
+    _genId(prefix) {
+        return `${prefix}-${String(this._nextId++).padStart(4, '0')}`;
+    }
+
+    _now() {
+        return new Date(this._startWall + this._elapsedMs);
+    }
+
+    _timestamp() {
+        return this._now().toISOString();
+    }
+
+    _generateGridCoord(rng) {
+        // Somewhere in the exercise area around the friendly position
+        if (this._reference) return this._gridAt(rng.range(0, 360), rng.range(0, GRID_AREA_M));
+
+        // MGRS-like grid: scenario zone + 100km square, easting/northing
+        const easting = String(rng.int(10000, 99999)).padStart(5, '0');
+        const northing = String(rng.int(10000, 99999)).padStart(5, '0');
+        return `${this._scenario.gridPrefix || '38RKU'}${easting}${northing}`;
+    }
+
+    // Grid of a point at bearing/range from the scenario's friendly position
+    _gridAt(bearing, range) {
+        const p = destinationPoint(this._reference, bearing, range);
+        return toMgrs(p.lat, p.lon);
     }
 
     _generateSigint() {
-        const phase = SCENARIO.phaseIndex;
-        const frequencies = [
-            { freq: '148.500', type: 'VHF_FM', desc: 'Tactical net' },
-            { freq: '225.000', type: 'UHF', desc: 'Command net' },
-            { freq: '305.125', type: 'UHF', desc: 'Logistics net' },
-            { freq: '462.750', type: 'UHF', desc: 'FRS channel activity' },
-            { freq: '121.500', type: 'VHF_AM', desc: 'Guard frequency' },
-            { freq: '38.200', type: 'HF', desc: 'HF tactical net' },
-            { freq: '2.4GHz', type: 'WIFI', desc: 'Wireless data link' },
-            { freq: '5.8GHz', type: 'DRONE_LINK', desc: 'UAS control link' }
-        ];
-
-        const phaseNarratives = [
-            // Phase 0: Initial indicators
-            [
-                'Intermittent VHF transmissions detected, routine traffic pattern',
-                'Brief HF check-in detected, standard communications check',
-                'Low-power UHF burst detected, likely coordination message',
-                'Encrypted data burst on tactical frequency, short duration'
-            ],
-            // Phase 1: Buildup
-            [
-                'Increased radio traffic volume on tactical net, multiple stations active',
-                'Command net activation detected, authentication exchange observed',
-                'Logistics coordination traffic detected, supply point references',
-                'Multiple VHF stations conducting radio checks simultaneously',
-                'UAS control link detected bearing NE, consistent with reconnaissance'
-            ],
-            // Phase 2: Enemy advance
-            [
-                'Heavy tactical radio traffic, movement coordination language detected',
-                'Fire support coordination net activated, target reference points discussed',
-                'Multiple UHF transmissions indicating unit movement orders',
-                'Frequency changes detected - units shifting to alternate tactical nets',
-                'Encrypted burst transmissions at 30-second intervals, movement updates'
-            ],
-            // Phase 3: Imminent contact
-            [
-                'FLASH traffic on command net - attack coordination orders detected',
-                'Fire support net extremely active, fire mission coordination',
-                'Short-range tactical communications indicate close proximity',
-                'Radio discipline breaking down, plain-language transmissions intercepted',
-                'Electronic attack preparations detected on friendly frequencies'
-            ]
-        ];
-
-        const selectedFreq = pick(frequencies);
-        const bearing = SCENARIO.enemyBearing + randomInRange(-15, 15);
-
-        const data = {
-            id: genId('SIG'),
-            timestamp: timestamp(),
+        const rng = this._rng.sigint;
+        const phase = this._phaseIndex;
+        const tpl = this._scenario.templates.sigint;
+        const enemy = this._scenario.enemy || { bearing: 0, bearingJitter: 0 };
+        const conf = tpl.confidence;
+
+        const selectedFreq = rng.pick(tpl.frequencies);
+        const bearing = enemy.bearing + rng.range(-enemy.bearingJitter, enemy.bearingJitter);
+
+        return {
+            id: this._genId('SIG'),
+            timestamp: this._timestamp(),
             frequency: selectedFreq.freq,
             type: selectedFreq.type,
             bearing: Math.round(bearing),
-            contentSummary: pick(phaseNarratives[phase]),
-            confidence: Math.min(0.5 + phase * 0.15 + randomInRange(-0.1, 0.1), 0.99),
-            source: `SIGINT-${pick(['PROPHET', 'LLVI', 'COMINT', 'ELINT'])}`
+            contentSummary: rng.pick(tpl.narratives[phase]),
+            confidence: Math.min(conf.base + phase * conf.perPhase + rng.range(-conf.jitter, conf.jitter), conf.max),
+            source: `SIGINT-${rng.pick(tpl.sources)}`
         };
-
-        this._emit('sigint', data);
     }
 
     _generateGeoint() {
-        const phase = SCENARIO.phaseIndex;
-
-        const terrainTypes = ['URBAN_EDGE', 'ROAD_INTERSECTION', 'TREE_LINE', 'OPEN_FIELD', 'HILLTOP', 'RIVER_CROSSING'];
-        const structuresByPhase = [
-            // Phase 0
-            [
-                { type: 'building_cluster', count: randomInt(3, 8), assessment: 'Civilian structures, no military activity' },
-                { type: 'road_intersection', count: 1, assessment: 'Key road junction along MSR TAMPA' }
-            ],
-            // Phase 1
-            [
-                { type: 'vehicle_staging', count: randomInt(4, 10), assessment: 'Vehicle congregation NE of AO, possible staging area' },
-                { type: 'fighting_position', count: randomInt(2, 4), assessment: 'Earthworks detected, possible hasty fighting positions' }
-            ],
-            // Phase 2
-            [
-                { type: 'vehicle_column', count: randomInt(8, 15), assessment: 'Mechanized column moving SW along MSR TAMPA' },
-                { type: 'support_position', count: randomInt(2, 5), assessment: 'Support vehicles establishing logistics point' }
-            ],
-            // Phase 3
-            [
-                { type: 'attack_formation', count: randomInt(10, 20), assessment: 'Vehicles in attack formation, assault imminent' },
-                { type: 'mortar_position', count: randomInt(1, 3), assessment: 'Indirect fire positions identified' }
-            ]
-        ];
-
-        const data = {
-            id: genId('GEO'),
-            timestamp: timestamp(),
-            gridCoord: generateGridCoord(),
-            terrainType: pick(terrainTypes),
-            structures: structuresByPhase[phase],
-            overheadTimestamp: new Date(Date.now() - randomInt(300, 7200) * 1000).toISOString(),
-            resolution: pick(['0.3m', '0.5m', '1.0m', '2.0m'])
-        };
+        const rng = this._rng.geoint;
+        const tpl = this._scenario.templates.geoint;
 
-        this._emit('geoint', data);
+        return {
+            id: this._genId('GEO'),
+            timestamp: this._timestamp(),
+            gridCoord: this._generateGridCoord(rng),
+            terrainType: rng.pick(tpl.terrainTypes),
+            structures: tpl.structures[this._phaseIndex].map(s => ({
+                ...s,
+                count: resolveRange(s.count, rng)
+            })),
+            overheadTimestamp: new Date(this._now().getTime() - resolveRange(tpl.overheadAgeSec, rng) * 1000).toISOString(),
+            resolution: rng.pick(tpl.resolutions)
+        };
     }
 
     _generateHumint() {
-        const phase = SCENARIO.phaseIndex;
-
-        const sourceReliabilities = ['A', 'B', 'B', 'C', 'C', 'D', 'F'];
-        const infoConfidences = ['1', '2', '2', '3', '3', '4', '5'];
-
-        const narrativesByPhase = [
-            // Phase 0
-            [
-                'Local source reports unusual military vehicle movement on roads NE of sector within last 48 hours.',
-                'Market vendor states soldiers were buying supplies in village 12km NE two days ago.',
-                'Shepherd reports hearing engine noise at night from NE direction.'
-            ],
-            // Phase 1
-            [
-                'Reliable source confirms mechanized infantry company staged at former factory complex NE of AO. BTR-type vehicles observed.',
-                'Village elder reports soldiers establishing checkpoint on MSR TAMPA NE of sector.',
-                'Source with access reports enemy unit received orders for offensive operation within 24 hours.',
-                'Farmer displaced from NE area reports soldiers occupying his property, multiple armored vehicles.'
-            ],
-            // Phase 2
-            [
-                'Source reports enemy vehicles moving in column toward friendly positions. Estimated company-size element.',
-                'Civilian fleeing area reports soldiers are advancing on foot alongside vehicles. Aggressive posture.',
-                'Local police source confirms enemy forces passed through village 5km NE, heading SW on MSR TAMPA.',
-                'NGO worker reports enemy soldiers warned civilians to evacuate area, suggesting imminent combat.'
-            ],
-            // Phase 3
-            [
-                'FLASH: Source in contact reports enemy assault imminent. Soldiers observed loading weapons and mounting vehicles.',
-                'Civilian escaped from enemy formation reports orders to attack friendly positions at grid reference near OBJ ALPHA.',
-                'Source reports enemy commander directing forces to bypass obstacles and attack from multiple directions.',
-                'Multiple sources confirm enemy assault force within 2km of friendly positions, final coordination underway.'
-            ]
-        ];
-
-        const data = {
-            id: genId('HUM'),
-            timestamp: timestamp(),
-            sourceReliability: pick(sourceReliabilities),
-            infoConfidence: pick(infoConfidences),
-            narrative: pick(narrativesByPhase[phase]),
-            location: generateGridCoord()
-        };
+        const rng = this._rng.humint;
+        const tpl = this._scenario.templates.humint;
 
-        this._emit('humint', data);
+        return {
+            id: this._genId('HUM'),
+            timestamp: this._timestamp(),
+            sourceReliability: rng.pick(tpl.sourceReliabilities),
+            infoConfidence: rng.pick(tpl.infoConfidences),
+            narrative: rng.pick(tpl.narratives[this._phaseIndex]),
+            location: this._generateGridCoord(rng)
+        };
     }
 
     _generateThreatAssessment() {
-        const phase = SCENARIO.phaseIndex;
-        const areaLevels = ['LOW', 'GUARDED', 'ELEVATED', 'HIGH', 'SEVERE'];
-        const activityLevels = ['MINIMAL', 'ROUTINE', 'INCREASED', 'SIGNIFICANT', 'INTENSE'];
-
-        const knownUnitsByPhase = [
-            // Phase 0
-            [
-                { designation: 'UNKNOWN UNIT', type: 'UNKNOWN', size: 'UNKNOWN', confidence: 0.3 }
-            ],
-            // Phase 1
-            [
-                { designation: '3rd MR Company', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.5 },
-                { designation: 'UNKNOWN RECON', type: 'RECONNAISSANCE', size: 'SECTION', confidence: 0.4 }
-            ],
-            // Phase 2
-            [
-                { designation: '3rd MR Company', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.75 },
-                { designation: 'Mortar Section', type: 'INDIRECT_FIRE', size: 'SECTION', confidence: 0.6 },
-                { designation: 'Recon Element', type: 'RECONNAISSANCE', size: 'SQUAD', confidence: 0.7 }
-            ],
-            // Phase 3
-            [
-                { designation: '3rd MR Company (-)', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.9 },
-                { designation: 'Attached Mortar Plt', type: 'INDIRECT_FIRE', size: 'PLATOON', confidence: 0.8 },
-                { designation: 'Lead Recon Squad', type: 'RECONNAISSANCE', size: 'SQUAD', confidence: 0.85 },
-                { designation: 'AT Section', type: 'ANTI_ARMOR', size: 'SECTION', confidence: 0.6 }
-            ]
-        ];
-
-        const data = {
-            areaLevel: areaLevels[Math.min(phase + 1, areaLevels.length - 1)],
-            knownUnits: knownUnitsByPhase[phase],
-            forceRatio: parseFloat((1.0 + phase * 0.5 + randomInRange(-0.2, 0.3)).toFixed(2)),
-            activityLevel: activityLevels[Math.min(phase + 1, activityLevels.length - 1)],
-            lastUpdated: timestamp()
-        };
+        const rng = this._rng.threatAssessment;
+        const phase = this._phaseIndex;
+        const tpl = this._scenario.templates.threatAssessment;
+        const fr = tpl.forceRatio;
 
-        this._emit('threatAssessment', data);
+        return {
+            areaLevel: tpl.areaLevels[Math.min(phase + 1, tpl.areaLevels.length - 1)],
+            knownUnits: tpl.knownUnits[phase],
+            forceRatio: parseFloat((fr.base + phase * fr.perPhase + rng.range(fr.jitter[0], fr.jitter[1])).toFixed(2)),
+            activityLevel: tpl.activityLevels[Math.min(phase + 1, tpl.activityLevels.length - 1)],
+            lastUpdated: this._timestamp()
+        };
     }
 
     _generateForceDisposition() {
-        const phase = SCENARIO.phaseIndex;
-
-        const friendly = [
-            {
-                unit: '1st PLT, A CO',
-                type: 'INFANTRY',
-                position: { grid: '38SKU4520067800', bearing: 0, range: 0 },
-                strength: 'GREEN',
-                status: 'DEFENDING',
-                element: 'MAIN_BODY'
-            },
-            {
-                unit: '2nd PLT, A CO',
-                type: 'INFANTRY',
-                position: { grid: '38SKU4530068100', bearing: 90, range: 200 },
-                strength: 'GREEN',
-                status: 'DEFENDING',
-                element: 'SUPPORT'
-            },
-            {
-                unit: 'Weapons SQD',
-                type: 'WEAPONS',
-                position: { grid: '38SKU4525067950', bearing: 45, range: 100 },
-                strength: 'GREEN',
-                status: 'OVERWATCH',
-                element: 'SUPPORT'
-            }
-        ];
-
-        const enemyByPhase = [
-            // Phase 0
-            [
-                {
-                    unit: 'UNKNOWN',
-                    type: 'UNKNOWN',
-                    position: { grid: generateGridCoord(), bearing: 45, range: 15000 },
-                    strength: 'UNKNOWN',
-                    status: 'UNKNOWN',
-                    element: 'UNKNOWN'
-                }
-            ],
-            // Phase 1
-            [
-                {
-                    unit: '3rd MR CO (PROBABLE)',
-                    type: 'MECHANIZED_INFANTRY',
-                    position: { grid: generateGridCoord(), bearing: 42, range: 10000 },
-                    strength: 'ESTIMATED 80-100 PAX, 10-12 VEH',
-                    status: 'STAGING',
-                    element: 'MAIN_BODY'
-                },
-                {
-                    unit: 'RECON ELEMENT',
-                    type: 'RECONNAISSANCE',
-                    position: { grid: generateGridCoord(), bearing: 38, range: 7000 },
-                    strength: 'ESTIMATED 4-6 PAX, 1-2 VEH',
-                    status: 'MOVING',
-                    element: 'ADVANCE_GUARD'
-                }
-            ],
-            // Phase 2
-            [
-                {
-                    unit: '3rd MR CO MAIN BODY',
-                    type: 'MECHANIZED_INFANTRY',
-                    position: { grid: generateGridCoord(), bearing: 44, range: 5000 },
-                    strength: 'ESTIMATED 80-100 PAX, 10-12 BTR-82A',
-                    status: 'ADVANCING',
-                    element: 'MAIN_BODY'
-                },
-                {
-                    unit: 'RECON SQUAD',
-                    type: 'RECONNAISSANCE',
-                    position: { grid: generateGridCoord(), bearing: 40, range: 3000 },
-                    strength: 'ESTIMATED 6-8 PAX, 2 VEH',
-                    status: 'SCREENING',
-                    element: 'ADVANCE_GUARD'
-                },
-                {
-                    unit: 'MORTAR SECTION',
-                    type: 'INDIRECT_FIRE',
-                    position: { grid: generateGridCoord(), bearing: 50, range: 6000 },
-                    strength: 'ESTIMATED 8-10 PAX, 2-3 TUBES',
-                    status: 'DISPLACING',
-                    element: 'SUPPORT'
-                }
-            ],
-            // Phase 3
-            [
-                {
-                    unit: '3rd MR CO (-) ASSAULT',
-                    type: 'MECHANIZED_INFANTRY',
-                    position: { grid: generateGridCoord(), bearing: 43, range: 1500 },
-                    strength: 'CONFIRMED 90+ PAX, 11 BTR-82A',
-                    status: 'ATTACKING',
-                    element: 'MAIN_BODY'
-                },
-                {
-                    unit: 'LEAD RECON',
-                    type: 'RECONNAISSANCE',
-                    position: { grid: generateGridCoord(), bearing: 38, range: 800 },
-                    strength: '6 PAX, 1 VEH',
-                    status: 'IN_CONTACT',
-                    element: 'ADVANCE_GUARD'
-                },
-                {
-                    unit: 'MORTAR PLT',
-                    type: 'INDIRECT_FIRE',
-                    position: { grid: generateGridCoord(), bearing: 55, range: 4000 },
-                    strength: '12 PAX, 4 TUBES',
-                    status: 'FIRING',
-                    element: 'SUPPORT'
-                },
-                {
-                    unit: 'AT SECTION',
-                    type: 'ANTI_ARMOR',
-                    position: { grid: generateGridCoord(), bearing: 35, range: 2000 },
-                    strength: '4 PAX, 2 ATGM',
-                    status: 'SET',
-                    element: 'SUPPORT'
-                }
-            ]
-        ];
-
-        const neutral = [
-            {
-                unit: 'CIVILIAN TRAFFIC',
-                type: 'CIVILIAN',
-                position: { grid: generateGridCoord(), bearing: randomInt(0, 359), range: randomInt(500, 3000) },
-                strength: `${randomInt(5, 30)} PAX, ${randomInt(2, 10)} VEH`,
-                status: phase >= 2 ? 'FLEEING' : 'NORMAL_ACTIVITY',
-                element: 'N/A'
+        const rng = this._rng.forceDisposition;
+        const phase = this._phaseIndex;
+        const tpl = this._scenario.templates.forceDisposition;
+
+        // Resolve ranges, {min-max} placeholders and missing grids in a unit template
+        const buildUnit = (u) => {
+            const { statusFromPhase, ...unit } = u;
+            let status = unit.status;
+            for (const [fromPhase, s] of Object.entries(statusFromPhase || {})) {
+                if (phase >= Number(fromPhase)) status = s;
             }
-        ];
-
-        const data = {
-            friendly,
-            enemy: enemyByPhase[phase],
-            neutral
+            const bearing = resolveRange(unit.position?.bearing ?? 0, rng);
+            const range = resolveRange(unit.position?.range ?? 0, rng);
+            // A unit reported by bearing/range gets the grid that matches it
+            const grid = unit.position?.grid ||
+                (this._reference ? this._gridAt(bearing, range) : this._generateGridCoord(rng));
+            return {
+                ...unit,
+                position: { grid, bearing, range },
+                strength: fillTemplate(unit.strength, rng),
+                status
+            };
         };
 
-        this._emit('forceDisposition', data);
+        return {
+            friendly: tpl.friendly.map(u => ({ ...u, position: { ...u.position } })),
+            enemy: tpl.enemy[phase].map(buildUnit),
+            neutral: (tpl.neutral || []).map(buildUnit)
+        };
     }
 
     _generateEnvironment() {
-        const weatherConditions = [
-            'CLEAR', 'PARTLY_CLOUDY', 'OVERCAST', 'LIGHT_RAIN',
-            'HAZE', 'FOG_PATCHES', 'DUST'
-        ];
+        const rng = this._rng.environment;
+        const tpl = this._scenario.templates.environment;
 
-        const hour = new Date().getHours();
+        const hour = this._now().getHours();
         const isNight = hour < 6 || hour >= 20;
         const isDusk = hour >= 18 && hour < 20;
         const isDawn = hour >= 5 && hour < 7;
 
         let visibility;
         if (isNight) {
-            visibility = randomInt(50, 500) + 'm (night)';
+            visibility = resolveRange(tpl.visibilityM.night, rng) + 'm (night)';
         } else if (isDusk || isDawn) {
-            visibility = randomInt(500, 2000) + 'm (twilight)';
+            visibility = resolveRange(tpl.visibilityM.twilight, rng) + 'm (twilight)';
         } else {
-            visibility = randomInt(2000, 10000) + 'm';
+            visibility = resolveRange(tpl.visibilityM.day, rng) + 'm';
         }
 
-        const windDirections = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
-
-        const data = {
-            weather: pick(weatherConditions),
+        return {
+            weather: rng.pick(tpl.weather),
             visibility,
             wind: {
-                direction: pick(windDirections),
-                speed: randomInt(2, 25),
+                direction: rng.pick(tpl.windDirections),
+                speed: resolveRange(tpl.windSpeedKph, rng),
                 unit: 'kph'
             },
             temperature: {
-                current: randomInt(15, 38),
+                current: resolveRange(tpl.temperatureC, rng),
                 unit: 'C'
             },
-            moonIllum: randomInt(0, 100) + '%',
-            terrainClass: pick(['SEMI_ARID', 'MIXED_URBAN_RURAL', 'ROLLING_TERRAIN', 'OPEN_DESERT']),
+            moonIllum: rng.int(0, 100) + '%',
+            terrainClass: rng.pick(tpl.terrainClasses),
             lightConditions: isNight ? 'NIGHT' : isDusk || isDawn ? 'TWILIGHT' : 'DAY',
-            timestamp: timestamp()
+            timestamp: this._timestamp()
         };
-
-        this._emit('environment', data);
     }
 }
 
@@ -0,0 +1,173 @@
+// =============================================================================
+// TALOS 2.0 - Maven Scenario Definition Format
+// Validation and evaluation helpers for data-driven MavenMock exercises.
+//
+// A scenario is plain JSON (see scenarios/msr-tampa.js for a full example):
+//   phases     [{ label, enterKm?, enterAtSec? }]  - escalation ladder
+//   distance   { curve: [[sec, km], ...], minKm, jitter, tickSec }
+//   cadence    { <intelType>: [minSec, maxSec] }
+//   injects    [{ atSec, type, data }]  - scripted one-shot messages
+//   templates  { sigint, geoint, humint, threatAssessment, forceDisposition, environment }
+// Phase-indexed template arrays must have one entry per phase.
+// =============================================================================
+
+export const SCENARIO_FORMAT_VERSION = 1;
+
+export const INTEL_TYPES = Object.freeze([
+    'sigint', 'geoint', 'humint', 'threatAssessment', 'forceDisposition', 'environment'
+]);
+
+// Template fields that hold one entry per phase
+const PHASED_FIELDS = {
+    sigint: ['narratives'],
+    geoint: ['structures'],
+    humint: ['narratives'],
+    threatAssessment: ['knownUnits'],
+    forceDisposition: ['enemy']
+};
+
+/**
+ * Validate a scenario definition. Throws with every problem found.
+ *
+ * @param {Object} def
+ * @returns {Object} The same definition (for chaining)
+ */
+export function validateScenario(def) {
+    const errors = [];
+    if (!def || typeof def !== 'object') {
+        throw new Error('Scenario must be an object');
+    }
+    if (def.formatVersion !== SCENARIO_FORMAT_VERSION) {
+        errors.push(`formatVersion must be ${SCENARIO_FORMAT_VERSION}`);
+    }
+    if (!def.id) errors.push('id is required');
+
+    const phaseCount = Array.isArray(def.phases) ? def.phases.length : 0;
+    if (phaseCount === 0) errors.push('phases must be a non-empty array');
+
+    const curve = def.distance?.curve;
+    const badPoint = Array.isArray(curve)
+        ? curve.findIndex(p => !Array.isArray(p) || p.length !== 2 || !p.every(Number.isFinite))
+        : -1;
+    if (!Array.isArray(curve) || curve.length === 0) {
+        errors.push('distance.curve must contain at least one [sec, km] point');
+    } else if (badPoint >= 0) {
+        errors.push(`distance.curve[${badPoint}] must be a numeric [sec, km] pair`);
+    } else {
+        for (let i = 1; i < curve.length; i++) {
+            if (curve[i][0] <= curve[i - 1][0]) {
+                errors.push('distance.curve times must be strictly increasing');
+                break;
+            }
+        }
+    }
+    // Scenario tick interval; zero or negative would never advance the clock
+    const tickSec = def.distance?.tickSec;
+    if (!Number.isFinite(tickSec) || tickSec <= 0) {
+        errors.push('distance.tickSec must be a positive number of seconds');
+    }
+
+    for (const type of INTEL_TYPES) {
+        const cadence = def.cadence?.[type];
+        if (!Array.isArray(cadence) || cadence.length !== 2 || cadence[0] > cadence[1] || cadence[0] <= 0) {
+            errors.push(`cadence.${type} must be [minSec, maxSec]`);
+        }
+        if (!def.templates?.[type]) {
+            errors.push(`templates.${type} is required`);
+            continue;
+        }
+        for (const field of PHASED_FIELDS[type] || []) {
+            const arr = def.templates[type][field];
+            if (!Array.isArray(arr) || arr.length !== phaseCount) {
+                errors.push(`templates.${type}.${field} needs one entry per phase (${phaseCount})`);
+            }
+        }
+    }
+
+    for (const [i, inject] of (def.injects || []).entries()) {
+        if (typeof inject.atSec !== 'number' || !INTEL_TYPES.includes(inject.type)) {
+            errors.push(`injects[${i}] needs numeric atSec and a valid intel type`);
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scenario "${def.id || '?'}": ${errors.join('; ')}`);
+    }
+    return def;
+}
+
+/**
+ * Fetch and validate a scenario JSON file.
+ *
+ * @param {string} url
+ * @returns {Promise<Object>}
+ */
+export async function fetchScenario(url) {
+    const resp = await fetch(url);
+    if (!resp.ok) throw new Error(`Scenario fetch failed: HTTP ${resp.status}`);
+    return validateScenario(await resp.json());
+}
+
+/**
+ * Evaluate the distance curve at an elapsed time (linear interpolation,
+ * clamped to the first/last point).
+ *
+ * @param {number[][]} curve - [[sec, km], ...]
+ * @param {number} sec
+ * @returns {number} km
+ */
+export function interpolateCurve(curve, sec) {
+    if (sec <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+        const [t1, v1] = curve[i];
+        if (sec <= t1) {
+            const [t0, v0] = curve[i - 1];
+            return v0 + (v1 - v0) * ((sec - t0) / (t1 - t0));
+        }
+    }
+    return curve[curve.length - 1][1];
+}
+
+/**
+ * Highest phase whose entry trigger has been met.
+ *
+ * @param {Object[]} phases
+ * @param {number} distanceKm
+ * @param {number} elapsedSec
+ * @returns {number}
+ */
+export function phaseForState(phases, distanceKm, elapsedSec) {
+    let index = 0;
+    for (let i = 1; i < phases.length; i++) {
+        const p = phases[i];
+        const byDistance = typeof p.enterKm === 'number' && distanceKm < p.enterKm;
+        const byTime = typeof p.enterAtSec === 'number' && elapsedSec >= p.enterAtSec;
+        if (byDistance || byTime) index = i;
+    }
+    return index;
+}
+
+/**
+ * Resolve a template value: [min, max] → random integer, anything else as-is.
+ *
+ * @param {*} value
+ * @param {import('../core/prng.js').SeededRandom} rng
+ */
+export function resolveRange(value, rng) {
+    if (Array.isArray(value) && value.length === 2 && value.every(v => typeof v === 'number')) {
+        return rng.int(value[0], value[1]);
+    }
+    return value;
+}
+
+/**
+ * Replace {min-max} placeholders in a template string with random integers.
+ *
+ * @param {string} str
+ * @param {import('../core/prng.js').SeededRandom} rng
+ * @returns {string}
+ */
+export function fillTemplate(str, rng) {
+    if (typeof str !== 'string') return str;
+    return str.replace(/\{(\d+)-(\d+)\}/g, (_, min, max) => String(rng.int(Number(min), Number(max))));
+}
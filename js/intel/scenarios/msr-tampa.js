@@ -0,0 +1,245 @@
+// =============================================================================
+// TALOS 2.0 - Default Maven Scenario: MSR TAMPA Mechanized Approach
+// Enemy mechanized element approaching from NE along primary avenue (MSR TAMPA).
+// Over time, SIGINT shows increasing radio chatter, GEOINT picks up vehicle staging,
+// and HUMINT sources report enemy movement. Tempo escalates.
+//
+// Plain JSON-compatible data: trainers can copy this into a .json file, edit it
+// and load it with MavenMock.loadScenarioFromUrl() - see scenario-format.js.
+// =============================================================================
+
+export const MSR_TAMPA_SCENARIO = {
+    formatVersion: 1,
+    id: 'MSR_TAMPA_MECH',
+    name: 'Mechanized Approach - MSR TAMPA',
+    description: 'Enemy mechanized element (BTR-82A company) approaching from NE along MSR TAMPA',
+    seed: 'msr-tampa',
+
+    gridPrefix: '38RKU',
+    friendlyPosition: '38RKU4523067890',
+
+    enemy: {
+        bearing: 45, // NE
+        bearingJitter: 15,
+        approachAxis: 'MSR TAMPA',
+        composition: 'Mechanized Infantry Company (BTR-82A)'
+    },
+
+    // Enemy distance curve: [elapsedSeconds, km] points, linearly interpolated.
+    // jitter scales the distance closed so far by ±25% each scenario tick.
+    distance: {
+        curve: [[0, 15], [217, 0.5]],
+        minKm: 0.5,
+        jitter: 0.25,
+        tickSec: 5
+    },
+
+    // Phase i is active once the enemy is closer than enterKm (or elapsed > enterAtSec)
+    phases: [
+        { label: 'INITIAL INDICATORS' },
+        { label: 'BUILDUP', enterKm: 10 },
+        { label: 'ENEMY ADVANCE', enterKm: 6 },
+        { label: 'IMMINENT CONTACT', enterKm: 2 }
+    ],
+
+    // Generation interval per intel type, seconds [min, max]
+    cadence: {
+        sigint: [5, 15],
+        geoint: [20, 40],
+        humint: [30, 60],
+        threatAssessment: [15, 25],
+        forceDisposition: [20, 30],
+        environment: [45, 90]
+    },
+
+    // One-shot messages at fixed mission times; data overrides the generated record
+    injects: [],
+
+    templates: {
+        sigint: {
+            frequencies: [
+                { freq: '148.500', type: 'VHF_FM', desc: 'Tactical net' },
+                { freq: '225.000', type: 'UHF', desc: 'Command net' },
+                { freq: '305.125', type: 'UHF', desc: 'Logistics net' },
+                { freq: '462.750', type: 'UHF', desc: 'FRS channel activity' },
+                { freq: '121.500', type: 'VHF_AM', desc: 'Guard frequency' },
+                { freq: '38.200', type: 'HF', desc: 'HF tactical net' },
+                { freq: '2.4GHz', type: 'WIFI', desc: 'Wireless data link' },
+                { freq: '5.8GHz', type: 'DRONE_LINK', desc: 'UAS control link' }
+            ],
+            // Indexed by phase
+            narratives: [
+                [
+                    'Intermittent VHF transmissions detected, routine traffic pattern',
+                    'Brief HF check-in detected, standard communications check',
+                    'Low-power UHF burst detected, likely coordination message',
+                    'Encrypted data burst on tactical frequency, short duration'
+                ],
+                [
+                    'Increased radio traffic volume on tactical net, multiple stations active',
+                    'Command net activation detected, authentication exchange observed',
+                    'Logistics coordination traffic detected, supply point references',
+                    'Multiple VHF stations conducting radio checks simultaneously',
+                    'UAS control link detected bearing NE, consistent with reconnaissance'
+                ],
+                [
+                    'Heavy tactical radio traffic, movement coordination language detected',
+                    'Fire support coordination net activated, target reference points discussed',
+                    'Multiple UHF transmissions indicating unit movement orders',
+                    'Frequency changes detected - units shifting to alternate tactical nets',
+                    'Encrypted burst transmissions at 30-second intervals, movement updates'
+                ],
+                [
+                    'FLASH traffic on command net - attack coordination orders detected',
+                    'Fire support net extremely active, fire mission coordination',
+                    'Short-range tactical communications indicate close proximity',
+                    'Radio discipline breaking down, plain-language transmissions intercepted',
+                    'Electronic attack preparations detected on friendly frequencies'
+                ]
+            ],
+            sources: ['PROPHET', 'LLVI', 'COMINT', 'ELINT'],
+            confidence: { base: 0.5, perPhase: 0.15, jitter: 0.1, max: 0.99 }
+        },
+
+        geoint: {
+            terrainTypes: ['URBAN_EDGE', 'ROAD_INTERSECTION', 'TREE_LINE', 'OPEN_FIELD', 'HILLTOP', 'RIVER_CROSSING'],
+            resolutions: ['0.3m', '0.5m', '1.0m', '2.0m'],
+            overheadAgeSec: [300, 7200],
+            // Indexed by phase; count is a fixed number or [min, max]
+            structures: [
+                [
+                    { type: 'building_cluster', count: [3, 8], assessment: 'Civilian structures, no military activity' },
+                    { type: 'road_intersection', count: 1, assessment: 'Key road junction along MSR TAMPA' }
+                ],
+                [
+                    { type: 'vehicle_staging', count: [4, 10], assessment: 'Vehicle congregation NE of AO, possible staging area' },
+                    { type: 'fighting_position', count: [2, 4], assessment: 'Earthworks detected, possible hasty fighting positions' }
+                ],
+                [
+                    { type: 'vehicle_column', count: [8, 15], assessment: 'Mechanized column moving SW along MSR TAMPA' },
+                    { type: 'support_position', count: [2, 5], assessment: 'Support vehicles establishing logistics point' }
+                ],
+                [
+                    { type: 'attack_formation', count: [10, 20], assessment: 'Vehicles in attack formation, assault imminent' },
+                    { type: 'mortar_position', count: [1, 3], assessment: 'Indirect fire positions identified' }
+                ]
+            ]
+        },
+
+        humint: {
+            sourceReliabilities: ['A', 'B', 'B', 'C', 'C', 'D', 'F'],
+            infoConfidences: ['1', '2', '2', '3', '3', '4', '5'],
+            narratives: [
+                [
+                    'Local source reports unusual military vehicle movement on roads NE of sector within last 48 hours.',
+                    'Market vendor states soldiers were buying supplies in village 12km NE two days ago.',
+                    'Shepherd reports hearing engine noise at night from NE direction.'
+                ],
+                [
+                    'Reliable source confirms mechanized infantry company staged at former factory complex NE of AO. BTR-type vehicles observed.',
+                    'Village elder reports soldiers establishing checkpoint on MSR TAMPA NE of sector.',
+                    'Source with access reports enemy unit received orders for offensive operation within 24 hours.',
+                    'Farmer displaced from NE area reports soldiers occupying his property, multiple armored vehicles.'
+                ],
+                [
+                    'Source reports enemy vehicles moving in column toward friendly positions. Estimated company-size element.',
+                    'Civilian fleeing area reports soldiers are advancing on foot alongside vehicles. Aggressive posture.',
+                    'Local police source confirms enemy forces passed through village 5km NE, heading SW on MSR TAMPA.',
+                    'NGO worker reports enemy soldiers warned civilians to evacuate area, suggesting imminent combat.'
+                ],
+                [
+                    'FLASH: Source in contact reports enemy assault imminent. Soldiers observed loading weapons and mounting vehicles.',
+                    'Civilian escaped from enemy formation reports orders to attack friendly positions at grid reference near OBJ ALPHA.',
+                    'Source reports enemy commander directing forces to bypass obstacles and attack from multiple directions.',
+                    'Multiple sources confirm enemy assault force within 2km of friendly positions, final coordination underway.'
+                ]
+            ]
+        },
+
+        threatAssessment: {
+            areaLevels: ['LOW', 'GUARDED', 'ELEVATED', 'HIGH', 'SEVERE'],
+            activityLevels: ['MINIMAL', 'ROUTINE', 'INCREASED', 'SIGNIFICANT', 'INTENSE'],
+            knownUnits: [
+                [
+                    { designation: 'UNKNOWN UNIT', type: 'UNKNOWN', size: 'UNKNOWN', confidence: 0.3 }
+                ],
+                [
+                    { designation: '3rd MR Company', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.5 },
+                    { designation: 'UNKNOWN RECON', type: 'RECONNAISSANCE', size: 'SECTION', confidence: 0.4 }
+                ],
+                [
+                    { designation: '3rd MR Company', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.75 },
+                    { designation: 'Mortar Section', type: 'INDIRECT_FIRE', size: 'SECTION', confidence: 0.6 },
+                    { designation: 'Recon Element', type: 'RECONNAISSANCE', size: 'SQUAD', confidence: 0.7 }
+                ],
+                [
+                    { designation: '3rd MR Company (-)', type: 'MECHANIZED_INFANTRY', size: 'COMPANY', confidence: 0.9 },
+                    { designation: 'Attached Mortar Plt', type: 'INDIRECT_FIRE', size: 'PLATOON', confidence: 0.8 },
+                    { designation: 'Lead Recon Squad', type: 'RECONNAISSANCE', size: 'SQUAD', confidence: 0.85 },
+                    { designation: 'AT Section', type: 'ANTI_ARMOR', size: 'SECTION', confidence: 0.6 }
+                ]
+            ],
+            forceRatio: { base: 1.0, perPhase: 0.5, jitter: [-0.2, 0.3] }
+        },
+
+        forceDisposition: {
+            friendly: [
+                {
+                    unit: '1st PLT, A CO', type: 'INFANTRY',
+                    position: { grid: '38RKU4520067800', bearing: 0, range: 0 },
+                    strength: 'GREEN', status: 'DEFENDING', element: 'MAIN_BODY'
+                },
+                {
+                    unit: '2nd PLT, A CO', type: 'INFANTRY',
+                    position: { grid: '38RKU4530068100', bearing: 90, range: 200 },
+                    strength: 'GREEN', status: 'DEFENDING', element: 'SUPPORT'
+                },
+                {
+                    unit: 'Weapons SQD', type: 'WEAPONS',
+                    position: { grid: '38RKU4525067950', bearing: 45, range: 100 },
+                    strength: 'GREEN', status: 'OVERWATCH', element: 'SUPPORT'
+                }
+            ],
+            // Indexed by phase; a position without grid gets a generated one
+            enemy: [
+                [
+                    { unit: 'UNKNOWN', type: 'UNKNOWN', position: { bearing: 45, range: 15000 }, strength: 'UNKNOWN', status: 'UNKNOWN', element: 'UNKNOWN' }
+                ],
+                [
+                    { unit: '3rd MR CO (PROBABLE)', type: 'MECHANIZED_INFANTRY', position: { bearing: 42, range: 10000 }, strength: 'ESTIMATED 80-100 PAX, 10-12 VEH', status: 'STAGING', element: 'MAIN_BODY' },
+                    { unit: 'RECON ELEMENT', type: 'RECONNAISSANCE', position: { bearing: 38, range: 7000 }, strength: 'ESTIMATED 4-6 PAX, 1-2 VEH', status: 'MOVING', element: 'ADVANCE_GUARD' }
+                ],
+                [
+                    { unit: '3rd MR CO MAIN BODY', type: 'MECHANIZED_INFANTRY', position: { bearing: 44, range: 5000 }, strength: 'ESTIMATED 80-100 PAX, 10-12 BTR-82A', status: 'ADVANCING', element: 'MAIN_BODY' },
+                    { unit: 'RECON SQUAD', type: 'RECONNAISSANCE', position: { bearing: 40, range: 3000 }, strength: 'ESTIMATED 6-8 PAX, 2 VEH', status: 'SCREENING', element: 'ADVANCE_GUARD' },
+                    { unit: 'MORTAR SECTION', type: 'INDIRECT_FIRE', position: { bearing: 50, range: 6000 }, strength: 'ESTIMATED 8-10 PAX, 2-3 TUBES', status: 'DISPLACING', element: 'SUPPORT' }
+                ],
+                [
+                    { unit: '3rd MR CO (-) ASSAULT', type: 'MECHANIZED_INFANTRY', position: { bearing: 43, range: 1500 }, strength: 'CONFIRMED 90+ PAX, 11 BTR-82A', status: 'ATTACKING', element: 'MAIN_BODY' },
+                    { unit: 'LEAD RECON', type: 'RECONNAISSANCE', position: { bearing: 38, range: 800 }, strength: '6 PAX, 1 VEH', status: 'IN_CONTACT', element: 'ADVANCE_GUARD' },
+                    { unit: 'MORTAR PLT', type: 'INDIRECT_FIRE', position: { bearing: 55, range: 4000 }, strength: '12 PAX, 4 TUBES', status: 'FIRING', element: 'SUPPORT' },
+                    { unit: 'AT SECTION', type: 'ANTI_ARMOR', position: { bearing: 35, range: 2000 }, strength: '4 PAX, 2 ATGM', status: 'SET', element: 'SUPPORT' }
+                ]
+            ],
+            // bearing/range may be [min, max]; {min-max} in strings is replaced by a random integer
+            neutral: [
+                {
+                    unit: 'CIVILIAN TRAFFIC', type: 'CIVILIAN',
+                    position: { bearing: [0, 359], range: [500, 3000] },
+                    strength: '{5-30} PAX, {2-10} VEH',
+                    status: 'NORMAL_ACTIVITY', statusFromPhase: { 2: 'FLEEING' },
+                    element: 'N/A'
+                }
+            ]
+        },
+
+        environment: {
+            weather: ['CLEAR', 'PARTLY_CLOUDY', 'OVERCAST', 'LIGHT_RAIN', 'HAZE', 'FOG_PATCHES', 'DUST'],
+            windDirections: ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'],
+            windSpeedKph: [2, 25],
+            temperatureC: [15, 38],
+            terrainClasses: ['SEMI_ARID', 'MIXED_URBAN_RURAL', 'ROLLING_TERRAIN', 'OPEN_DESERT'],
+            visibilityM: { night: [50, 500], twilight: [500, 2000], day: [2000, 10000] }
+        }
+    }
+};
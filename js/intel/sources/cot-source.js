@@ -0,0 +1,110 @@
+// =============================================================================
+// TALOS 2.0 - Cursor-on-Target Intel Source
+// Adapts inbound CoT (ATAK/WinTAK users, via the CoT bridge) to the
+// IntelSource interface. Live CoT contacts are kept by uid until their stale
+// time and published as a Maven-style forceDisposition roster.
+// =============================================================================
+
+import { IntelSource, SourceHealth } from './intel-source.js';
+import { distanceMeters, initialBearing } from '../../core/geo.js';
+import { clock } from '../../core/clock.js';
+
+const PUBLISH_MS = 2000;
+const DEFAULT_STALE_MS = 60000;
+
+export class CotIntelSource extends IntelSource {
+    /**
+     * @param {import('../../cot/cot-bridge.js').cotBridge} bridge
+     * @param {Object} [config]
+     */
+    constructor(bridge, config = {}) {
+        super({ id: 'cot', label: 'COT', kind: 'cot', ...config });
+
+        /** @type {import('../../cot/cot-bridge.js').cotBridge} */
+        this.bridge = bridge;
+
+        /** @type {Map<string, Object>} uid → contact */
+        this._contacts = new Map();
+
+        /** @type {boolean} Roster changed since the last publish */
+        this._dirty = false;
+
+        /** @type {number|null} */
+        this._timer = null;
+
+        this.bridge.onEvent((event, desc) => {
+            if (this._health.status !== SourceHealth.OFFLINE) this._ingest(event, desc);
+        });
+    }
+
+    start() {
+        super.start();
+        this._timer = setInterval(() => this._publish(), PUBLISH_MS);
+    }
+
+    stop() {
+        clearInterval(this._timer);
+        this._timer = null;
+        this._contacts.clear();
+        super.stop();
+    }
+
+    // ---- Private ----
+
+    _ingest(event, desc) {
+        this._contacts.set(event.uid, {
+            event,
+            desc,
+            expires: event.stale || clock.now() + DEFAULT_STALE_MS
+        });
+        this._dirty = true;
+    }
+
+    _publish() {
+        const now = clock.now();
+        for (const [uid, c] of this._contacts) {
+            if (c.expires <= now) {
+                this._contacts.delete(uid);
+                this._dirty = true;
+            }
+        }
+        if (!this._dirty) return;
+        this._dirty = false;
+
+        // Unknown contacts are listed apart: reported, but no evidence of an enemy
+        const roster = { friendly: [], enemy: [], neutral: [], unknown: [] };
+        for (const { event, desc } of this._contacts.values()) {
+            const unit = this._toUnit(event, desc);
+            if (desc.affiliation === 'FRIENDLY') roster.friendly.push(unit);
+            else if (desc.affiliation === 'NEUTRAL') roster.neutral.push(unit);
+            else if (desc.affiliation === 'UNKNOWN') roster.unknown.push(unit);
+            else roster.enemy.push(unit);   // hostile and suspect are treated as threats
+        }
+        this._emit('forceDisposition', roster);
+    }
+
+    /**
+     * Maven forceDisposition unit shape. Bearing/range are from the operator
+     * when their position is known.
+     */
+    _toUnit(event, desc) {
+        const origin = this.bridge.position;
+        const point = { lat: event.lat, lon: event.lon };
+        return {
+            unit: event.callsign || event.uid,
+            type: desc.unitType,
+            position: {
+                grid: null,
+                lat: event.lat,
+                lon: event.lon,
+                bearing: origin ? Math.round(initialBearing(origin, point)) : null,
+                range: origin ? Math.round(distanceMeters(origin, point)) : null
+            },
+            strength: 'UNKNOWN',
+            status: desc.affiliation,
+            element: event.type,
+            remarks: event.remarks,
+            timestamp: new Date(event.time || clock.now()).toISOString()
+        };
+    }
+}
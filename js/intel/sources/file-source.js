@@ -0,0 +1,90 @@
+// =============================================================================
+// TALOS 2.0 - File-Based Intel Source
+// Plays a prepared intel script from a JSON file, paced by each item's time
+// offset. Useful for classroom exercises and for feeding known inputs.
+//   { "loop": false, "items": [{ "atSec": 0, "type": "sigint", "data": { ... } }, ...] }
+// A bare array of items is accepted too.
+// =============================================================================
+
+import { IntelSource, SourceHealth } from './intel-source.js';
+import { INTEL_TYPES } from '../scenario-format.js';
+
+export class FileIntelSource extends IntelSource {
+    /**
+     * @param {Object} config
+     * @param {string} [config.url] - JSON file to fetch on start()
+     * @param {Object|Object[]} [config.script] - Inline script instead of a URL
+     * @param {string} [config.id]
+     * @param {string} [config.label]
+     */
+    constructor(config) {
+        super({ id: `file:${config.url || 'inline'}`, label: 'FILE-FEED', kind: 'file', ...config });
+
+        /** @type {string|null} */
+        this.url = config.url || null;
+
+        /** @type {{loop: boolean, items: Object[]}|null} */
+        this._script = config.script ? this._normalize(config.script) : null;
+
+        /** @type {number[]} Pending timer IDs */
+        this._timers = [];
+
+        /** @type {boolean} */
+        this._playing = false;
+
+        // Recorded items keep the source they were captured from
+        this.keepsProvenance = true;
+    }
+
+    async start() {
+        super.start();
+        this._playing = true;
+
+        if (!this._script) {
+            try {
+                const resp = await fetch(this.url);
+                if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+                this._script = this._normalize(await resp.json());
+            } catch (err) {
+                this._setStatus(SourceHealth.ERROR, `load failed: ${err.message}`);
+                return;
+            }
+        }
+        if (this._playing) this._playOnce();
+    }
+
+    stop() {
+        this._playing = false;
+        for (const id of this._timers) clearTimeout(id);
+        this._timers = [];
+        super.stop();
+    }
+
+    // ---- Private ----
+
+    _normalize(script) {
+        const items = (Array.isArray(script) ? script : script.items || [])
+            .filter(item => INTEL_TYPES.includes(item.type) && item.data)
+            .sort((a, b) => (a.atSec || 0) - (b.atSec || 0));
+        return { loop: !Array.isArray(script) && !!script.loop, items };
+    }
+
+    _playOnce() {
+        const { items, loop } = this._script;
+        if (items.length === 0) {
+            this._setStatus(SourceHealth.ERROR, 'script has no valid items');
+            return;
+        }
+
+        this._timers = items.map(item => setTimeout(() => {
+            if (this._playing) this._emit(item.type, item.data);
+        }, (item.atSec || 0) * 1000));
+
+        if (loop) {
+            const lastSec = items[items.length - 1].atSec || 0;
+            this._timers.push(setTimeout(() => {
+                if (this._playing) this._playOnce();
+            }, (lastSec + 1) * 1000));
+        }
+    }
+}
@@ -0,0 +1,203 @@
+// =============================================================================
+// TALOS 2.0 - Intelligence Source Interface
+// Base class for every feed behind the intel registry (simulated Maven, JSON
+// over WebSocket, recorded files, ...). Handles callbacks, latest/history
+// bookkeeping, provenance tagging and health so adapters only have to
+// connect to their transport and call _emit(type, data).
+//
+// Interface: start() / stop() / getLatest(type) / onUpdate(cb) / offUpdate(cb)
+//            getHistory(type, limit) / getHealth()
+// =============================================================================
+
+import { clock } from '../../core/clock.js';
+import { destinationPoint } from '../../core/geo.js';
+import { gridFrame } from '../../core/grid-frame.js';
+
+export const SourceHealth = Object.freeze({
+    OFFLINE: 'OFFLINE',        // Not started
+    CONNECTING: 'CONNECTING',  // Started, no data yet / reconnecting
+    ONLINE: 'ONLINE',          // Receiving data
+    STALE: 'STALE',            // Running but quiet longer than staleAfterMs
+    ERROR: 'ERROR'             // Transport or parse failure
+});
+
+/**
+ * Read the items of one intel type from a merged intel object
+ * (intelRegistry.getMergedIntel()), falling back to a single latest item.
+ *
+ * @param {Object|null} intel
+ * @param {string} type
+ * @returns {Object[]}
+ */
+export function getIntelItems(intel, type) {
+    if (!intel) return [];
+    if (intel.items?.[type]) return intel.items[type];
+    return intel[type] ? [intel[type]] : [];
+}
+
+/**
+ * Short provenance label for display, e.g. "MAVEN-SIM".
+ *
+ * @param {Object} item
+ * @returns {string}
+ */
+export function provenanceLabel(item) {
+    return item?.provenance?.sourceLabel || item?.provenance?.sourceId || 'UNKNOWN';
+}
+
+/**
+ * World position of an intel report's location: explicit lat/lon, else an
+ * MGRS grid (through the exercise grid frame), else bearing/range from the
+ * operator. A bare string is read as a grid (HUMINT `location`).
+ *
+ * @param {{lat?: number, lon?: number, grid?: string, bearing?: number, range?: number}|string|null} position
+ * @param {{lat: number, lon: number}|null} origin - Operator position
+ * @returns {{lat: number, lon: number}|null}
+ */
+export function intelPosition(position, origin) {
+    if (!position) return null;
+    if (typeof position === 'string') position = { grid: position };
+    if (Number.isFinite(position.lat) && Number.isFinite(position.lon)) {
+        return { lat: position.lat, lon: position.lon };
+    }
+    const fromGrid = position.grid ? gridFrame.toGeo(position.grid) : null;
+    if (fromGrid) return { lat: fromGrid.lat, lon: fromGrid.lon };
+    if (origin && Number.isFinite(position.bearing) && position.range > 0) {
+        return destinationPoint(origin, position.bearing, position.range);
+    }
+    return null;
+}
+
+export class IntelSource {
+    /**
+     * @param {Object} config
+     * @param {string} config.id - Unique source id (registry key)
+     * @param {string} [config.label] - Display label
+     * @param {string} config.kind - Adapter kind ('mock', 'websocket', 'file', ...)
+     * @param {number} [config.staleAfterMs=120000] - Quiet period before STALE
+     */
+    constructor(config) {
+        /** @type {string} */
+        this.id = config.id;
+
+        /** @type {string} */
+        this.label = config.label || config.id;
+
+        /** @type {string} */
+        this.kind = config.kind;
+
+        /** @type {number} */
+        this.staleAfterMs = config.staleAfterMs ?? 120000;
+
+        /** @type {boolean} Items may carry their recorded provenance (files only) */
+        this.keepsProvenance = false;
+
+        /** @type {Function[]} Update callbacks */
+        this._callbacks = [];
+
+        /** @type {Object} Latest item per intel type */
+        this._latest = {};
+
+        /** @type {Object[]} Bounded history of { type, data, received } */
+        this._history = [];
+
+        /** @type {{status: string, lastUpdate: number, messageCount: number, error: string|null}} */
+        this._health = { status: SourceHealth.OFFLINE, lastUpdate: 0, messageCount: 0, error: null };
+    }
+
+    /** Begin producing intel. Subclasses call super.start() first. */
+    start() {
+        this._setStatus(SourceHealth.CONNECTING);
+    }
+
+    /** Stop producing intel. Subclasses call super.stop() last. */
+    stop() {
+        this._setStatus(SourceHealth.OFFLINE);
+    }
+
+    /**
+     * @param {string} [type]
+     * @returns {Object|null} Latest item of a type, or all types
+     */
+    getLatest(type) {
+        if (type) return this._latest[type] || null;
+        return { ...this._latest };
+    }
+
+    /**
+     * @param {Function} callback - Called with (type, data, source)
+     */
+    onUpdate(callback) {
+        if (typeof callback === 'function') {
+            this._callbacks.push(callback);
+        }
+    }
+
+    offUpdate(callback) {
+        this._callbacks = this._callbacks.filter(cb => cb !== callback);
+    }
+
+    /**
+     * @param {string} [type]
+     * @param {number} [limit=50]
+     * @returns {Object[]}
+     */
+    getHistory(type, limit = 50) {
+        const filtered = type ? this._history.filter(h => h.type === type) : this._history;
+        return filtered.slice(-limit);
+    }
+
+    /**
+     * @returns {{id: string, label: string, kind: string, status: string, lastUpdate: number, messageCount: number, error: string|null}}
+     */
+    getHealth() {
+        const h = { ...this._health };
+        if (h.status === SourceHealth.ONLINE && clock.now() - h.lastUpdate > this.staleAfterMs) {
+            h.status = SourceHealth.STALE;
+        }
+        return { id: this.id, label: this.label, kind: this.kind, ...h };
+    }
+
+    // ---- For subclasses ----
+
+    /**
+     * Publish one intel item tagged with this source's provenance. A peer's
+     * own provenance is overwritten so it cannot take another source's slot;
+     * only sources that keepsProvenance (recorded files) pass it through.
+     */
+    _emit(type, data) {
+        if (!data || typeof data !== 'object') return;
+        const now = clock.now();
+        const item = this.keepsProvenance && data.provenance ? data : {
+            ...data,
+            provenance: { sourceId: this.id, sourceLabel: this.label, sourceKind: this.kind, receivedAt: now }
+        };
+
+        this._latest[type] = item;
+        this._history.push({ type, data: item, received: now });
+        if (this._history.length > 500) {
+            this._history = this._history.slice(-300);
+        }
+
+        this._health.lastUpdate = now;
+        this._health.messageCount++;
+        this._health.error = null;
+        this._health.status = SourceHealth.ONLINE;
+
+        for (const cb of this._callbacks) {
+            try {
+                cb(type, item, this);
+            } catch (err) {
+                console.error(`[INTEL] ${this.id} callback error:`, err);
+            }
+        }
+    }
+
+    _setStatus(status, error = null) {
+        this._health.status = status;
+        if (error) {
+            this._health.error = error;
+            console.warn(`[INTEL] ${this.id}: ${status} - ${error}`);
+        }
+    }
+}
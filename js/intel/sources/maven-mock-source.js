@@ -0,0 +1,33 @@
+// =============================================================================
+// TALOS 2.0 - Simulated Maven Intel Source
+// Adapts a MavenMock (scenario-driven simulator) to the IntelSource interface.
+// =============================================================================
+
+import { IntelSource, SourceHealth } from './intel-source.js';
+
+export class MavenMockSource extends IntelSource {
+    /**
+     * @param {import('../maven-mock.js').MavenMock} maven
+     * @param {Object} [config]
+     */
+    constructor(maven, config = {}) {
+        super({ id: 'maven-sim', label: 'MAVEN-SIM', kind: 'mock', ...config });
+
+        /** @type {import('../maven-mock.js').MavenMock} */
+        this.maven = maven;
+
+        this.maven.onUpdate((type, data) => {
+            if (this._health.status !== SourceHealth.OFFLINE) this._emit(type, data);
+        });
+    }
+
+    start() {
+        super.start();
+        this.maven.start();
+    }
+
+    stop() {
+        this.maven.stop();
+        super.stop();
+    }
+}
@@ -0,0 +1,115 @@
+// =============================================================================
+// TALOS 2.0 - JSON-over-WebSocket Intel Source
+// Local stand-in for a live intelligence feed. Each message is JSON:
+//   { "type": "sigint", "data": { ... } }
+//   { "type": "sigint", "items": [{ ... }, { ... }] }
+// Reconnects with exponential backoff while started.
+// =============================================================================
+
+import { IntelSource, SourceHealth } from './intel-source.js';
+import { INTEL_TYPES } from '../scenario-format.js';
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+export class WebSocketIntelSource extends IntelSource {
+    /**
+     * @param {Object} config
+     * @param {string} config.url - ws:// or wss:// endpoint
+     * @param {string} [config.id]
+     * @param {string} [config.label]
+     */
+    constructor(config) {
+        super({ id: `ws:${config.url}`, label: 'WS-FEED', kind: 'websocket', ...config });
+
+        /** @type {string} */
+        this.url = config.url;
+
+        /** @type {WebSocket|null} */
+        this._socket = null;
+
+        /** @type {number|null} */
+        this._reconnectTimer = null;
+
+        /** @type {number} */
+        this._reconnectDelay = RECONNECT_MIN_MS;
+
+        /** @type {boolean} */
+        this._wanted = false;
+    }
+
+    start() {
+        super.start();
+        this._wanted = true;
+        this._connect();
+    }
+
+    stop() {
+        this._wanted = false;
+        if (this._reconnectTimer) {
+            clearTimeout(this._reconnectTimer);
+            this._reconnectTimer = null;
+        }
+        if (this._socket) {
+            this._socket.close();
+            this._socket = null;
+        }
+        super.stop();
+    }
+
+    // ---- Private ----
+
+    _connect() {
+        try {
+            this._socket = new WebSocket(this.url);
+        } catch (err) {
+            this._setStatus(SourceHealth.ERROR, err.message);
+            this._scheduleReconnect();
+            return;
+        }
+
+        this._socket.onopen = () => {
+            this._reconnectDelay = RECONNECT_MIN_MS;
+            console.log(`[INTEL] ${this.id} connected`);
+        };
+
+        this._socket.onmessage = (event) => this._handleMessage(event.data);
+
+        this._socket.onerror = () => {
+            this._setStatus(SourceHealth.ERROR, 'socket error');
+        };
+
+        this._socket.onclose = () => {
+            this._socket = null;
+            if (this._wanted) {
+                if (this._health.status !== SourceHealth.ERROR) this._setStatus(SourceHealth.CONNECTING);
+                this._scheduleReconnect();
+            }
+        };
+    }
+
+    _scheduleReconnect() {
+        if (!this._wanted || this._reconnectTimer) return;
+        this._reconnectTimer = setTimeout(() => {
+            this._reconnectTimer = null;
+            this._connect();
+        }, this._reconnectDelay);
+        this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_MS);
+    }
+
+    _handleMessage(raw) {
+        let msg;
+        try {
+            msg = JSON.parse(raw);
+        } catch {
+            this._setStatus(SourceHealth.ERROR, 'unparseable message');
+            return;
+        }
+        if (!INTEL_TYPES.includes(msg?.type)) {
+            console.warn(`[INTEL] ${this.id}: ignoring message of type "${msg?.type}"`);
+            return;
+        }
+        const items = Array.isArray(msg.items) ? msg.items : [msg.data];
+        for (const item of items) this._emit(msg.type, item);
+    }
+}
@@ -1,6 +1,21 @@
 // TALOS 2.0 - Terrain Analysis Engine (T - Terrain in METT-TC)
 // Computational OAKOC analysis using depth map + detections
 // Thinks like a Combat Engineer: observation, avenues, key terrain, obstacles, cover
+// With a ground-plane estimate, dead space, slope and high ground are geometric
+// (meters above the operator's ground); without one they fall back to depth heuristics.
+
+import { SurfaceClass } from '../perception/ground-plane.js';
+
+// Ground this far above the operator's ground (m) is high ground
+const HIGH_GROUND_M = 3;
+// A block this much above its neighbours (m) is a local rise
+const RELIEF_M = 2;
+// Ground hidden behind a crest or obstacle: a jump in ground distance of at least
+// this (m) and this many times the spacing flat ground would have between those rows
+const DEAD_SPACE_MIN_M = 10;
+const DEAD_SPACE_MIN_RATIO = 2;
+// Steeper ground stops wheeled and most tracked vehicles (deg, ~60% grade)
+const VEHICLE_MAX_SLOPE_DEG = 30;
 
 class TerrainAnalyzer {
   constructor() {
@@ -9,8 +24,8 @@ class TerrainAnalyzer {
     this.frameCounter = 0;
   }
 
-  // Full OAKOC terrain analysis
-  analyze(depthMap, depthWidth, depthHeight, detections, sceneType) {
+  // Full OAKOC terrain analysis. ground: GroundPlaneEstimator result (optional)
+  analyze(depthMap, depthWidth, depthHeight, detections, sceneType, ground = null) {
     this.frameCounter++;
     // Only run full analysis periodically (expensive)
     if (this.lastAnalysis && this.frameCounter % this.analysisInterval !== 0) {
@@ -21,9 +36,11 @@ class TerrainAnalyzer {
       return this._emptyAnalysis(sceneType);
     }
 
-    const observation = this._analyzeObservation(depthMap, depthWidth, depthHeight);
+    const observation = this._analyzeObservation(depthMap, depthWidth, depthHeight, ground);
     const avenues = this._analyzeAvenues(depthMap, depthWidth, depthHeight, sceneType);
-    const keyTerrain = this._analyzeKeyTerrain(depthMap, depthWidth, depthHeight, avenues);
+    const keyTerrain = ground
+      ? this._groundKeyTerrain(ground, avenues)
+      : this._analyzeKeyTerrain(depthMap, depthWidth, depthHeight, avenues);
     const obstacles = this._analyzeObstacles(depthMap, depthWidth, depthHeight, detections);
     const coverAndConcealment = this._analyzeCoverConcealment(depthMap, depthWidth, depthHeight, detections);
 
@@ -36,7 +53,8 @@ class TerrainAnalyzer {
         obstacles,
         coverAndConcealment
       },
-      mobility: this._assessMobility(avenues, obstacles),
+      ground: ground ? { horizon: ground.horizon, cameraHeight: ground.cameraHeight, slope: ground.plane?.slope ?? null } : null,
+      mobility: this._assessMobility(avenues, obstacles, ground),
       countermobility: this._assessCountermobility(avenues, obstacles),
       survivability: this._assessSurvivability(coverAndConcealment, observation)
     };
@@ -50,7 +68,7 @@ class TerrainAnalyzer {
 
   // --- OBSERVATION & FIELDS OF FIRE ---
 
-  _analyzeObservation(depthMap, w, h) {
+  _analyzeObservation(depthMap, w, h, ground) {
     const fieldsOfFire = [];
     const deadSpace = [];
     const bestObservationPoints = [];
@@ -69,8 +87,8 @@ class TerrainAnalyzer {
         blockedBy: ray.blockType
       });
 
-      // Dead space behind obstacles
-      if (ray.blocked && ray.blockPosition) {
+      // Dead space behind obstacles (geometric below when the ground is known)
+      if (!ground && ray.blocked && ray.blockPosition) {
         deadSpace.push({
           region: [ray.blockPosition[0] - 0.05, ray.blockPosition[1] - 0.05, 0.1, 0.1],
           behindObstacle: ray.blockType || 'OBSTACLE'
@@ -78,6 +96,12 @@ class TerrainAnalyzer {
       }
     }
 
+    if (ground) {
+      deadSpace.push(...this._groundDeadSpace(ground));
+      bestObservationPoints.push(...this._groundObservationPoints(ground));
+      return { fieldsOfFire, deadSpace, bestObservationPoints };
+    }
+
     // Best observation points: high depth values near top of frame (elevated)
     const sampleStep = Math.max(1, Math.floor(w / 20));
     for (let sx = 0; sx < w; sx += sampleStep) {
@@ -107,6 +131,74 @@ class TerrainAnalyzer {
     return { fieldsOfFire, deadSpace, bestObservationPoints };
   }
 
+  // Ground hidden from the operator: walking up each image column, a jump in
+  // ground distance well beyond flat-ground perspective means the ground in
+  // between is behind the nearer surface
+  _groundDeadSpace(ground) {
+    const { cols, rows, rowAngle, classes, distance } = ground.grid;
+    const band = 4;
+    const deadSpace = [];
+
+    for (let gx = 0; gx < cols; gx += band) {
+      let lastDist = null, lastRow = -1, lastClass = null;
+      for (let gy = rows - 1; gy >= 0; gy--) {
+        const i = gy * cols + gx + Math.floor(band / 2);
+        const cls = classes[i];
+        if (cls === SurfaceClass.SKY) break;
+        if (cls !== SurfaceClass.GROUND && cls !== SurfaceClass.VERTICAL) continue;
+
+        const dist = distance[i];
+        if (cls === SurfaceClass.GROUND && lastDist !== null) {
+          const gap = dist - lastDist;
+          // Flat ground: d(range)/d(angle) = range² / eye height
+          const flatGap = lastDist * lastDist * rowAngle * (lastRow - gy) / ground.cameraHeight;
+          if (gap > DEAD_SPACE_MIN_M && gap > flatGap * DEAD_SPACE_MIN_RATIO) {
+            deadSpace.push({
+              region: [gx / cols, lastRow / rows - 0.03, band / cols, 0.06],
+              behindObstacle: lastClass === SurfaceClass.VERTICAL ? 'OBSTACLE' : 'ELEVATED_TERRAIN',
+              fromM: Math.round(lastDist),
+              toM: Math.round(dist)
+            });
+          }
+        }
+        if (lastDist === null || dist > lastDist) {
+          lastDist = dist;
+          lastRow = gy;
+          lastClass = cls;
+        }
+      }
+    }
+
+    deadSpace.sort((a, b) => (b.toM - b.fromM) - (a.toM - a.fromM));
+    return deadSpace.slice(0, 6);
+  }
+
+  // Elevated ground above the operator's ground, highest first, spread apart
+  _groundObservationPoints(ground) {
+    const { cols, rows, classes, height } = ground.grid;
+    const candidates = [];
+    for (let gy = 0; gy < rows; gy += 2) {
+      for (let gx = 0; gx < cols; gx += 2) {
+        const i = gy * cols + gx;
+        if (classes[i] !== SurfaceClass.GROUND || height[i] < HIGH_GROUND_M) continue;
+        candidates.push({
+          position: [(gx + 0.5) / cols, (gy + 0.5) / rows],
+          advantage: Math.min(1, height[i] / 10),
+          elevation: Math.round(height[i])
+        });
+      }
+    }
+
+    candidates.sort((a, b) => b.advantage - a.advantage);
+    const points = [];
+    for (const c of candidates) {
+      if (points.some(p => Math.hypot(p.position[0] - c.position[0], p.position[1] - c.position[1]) < 0.1)) continue;
+      points.push(c);
+      if (points.length === 3) break;
+    }
+    return points;
+  }
+
   // --- AVENUES OF APPROACH ---
 
   _analyzeAvenues(depthMap, w, h, sceneType) {
@@ -246,6 +338,69 @@ class TerrainAnalyzer {
     return keyTerrain.slice(0, 5);
   }
 
+  // High ground by height: 8x8 blocks of ground cells, each above the operator's
+  // ground or rising above its neighbours
+  _groundKeyTerrain(ground, avenues) {
+    const { cols, rows, classes, height } = ground.grid;
+    const gridSize = 8;
+    const cellW = Math.floor(cols / gridSize);
+    const cellH = Math.floor(rows / gridSize);
+
+    const blocks = [];
+    for (let by = 0; by < gridSize; by++) {
+      for (let bx = 0; bx < gridSize; bx++) {
+        let sum = 0, count = 0;
+        for (let dy = 0; dy < cellH; dy++) {
+          for (let dx = 0; dx < cellW; dx++) {
+            const i = (by * cellH + dy) * cols + (bx * cellW + dx);
+            if (classes[i] === SurfaceClass.GROUND) { sum += height[i]; count++; }
+          }
+        }
+        // Mostly sky, walls or no depth: not terrain
+        if (count < cellW * cellH * 0.25) continue;
+        blocks.push({ bx, by, cx: (bx + 0.5) / gridSize, cy: (by + 0.5) / gridSize, height: sum / count });
+      }
+    }
+
+    const keyTerrain = [];
+    for (const block of blocks) {
+      const neighbors = blocks.filter(b =>
+        Math.abs(b.bx - block.bx) <= 1 && Math.abs(b.by - block.by) <= 1 && b !== block
+      );
+      const avgNeighborHeight = neighbors.length > 0
+        ? neighbors.reduce((s, n) => s + n.height, 0) / neighbors.length
+        : 0;
+      const relief = block.height - avgNeighborHeight;
+      if (block.height < HIGH_GROUND_M && relief < RELIEF_M) continue;
+
+      const controlsAvenues = avenues
+        .filter(a => Math.abs(a.center[0] - block.cx) < 0.3 && Math.abs(a.center[1] - block.cy) < 0.3)
+        .map(a => a.id);
+
+      keyTerrain.push({
+        position: [block.cx, block.cy],
+        type: 'HIGH_GROUND',
+        elevation: Math.round(block.height),
+        controlsAvenues,
+        tacticalValue: Math.min(1, Math.max(block.height, relief) / 10 + controlsAvenues.length * 0.2)
+      });
+    }
+
+    for (const ave of avenues) {
+      for (const cp of ave.chokePoints) {
+        keyTerrain.push({
+          position: cp.position,
+          type: 'CHOKEPOINT',
+          controlsAvenues: [ave.id],
+          tacticalValue: 0.75
+        });
+      }
+    }
+
+    keyTerrain.sort((a, b) => b.tacticalValue - a.tacticalValue);
+    return keyTerrain.slice(0, 5);
+  }
+
   // --- OBSTACLES ---
 
   _analyzeObstacles(depthMap, w, h, detections) {
@@ -400,13 +555,20 @@ class TerrainAnalyzer {
 
   // --- MOBILITY / COUNTERMOBILITY / SURVIVABILITY ---
 
-  _assessMobility(avenues, obstacles) {
+  _assessMobility(avenues, obstacles, ground) {
     const mountedRoutes = avenues.filter(a => a.type === 'MOUNTED').length;
     const dismountedRoutes = avenues.length;
     const blockingObstacles = obstacles.filter(o => o.breachable);
+    const levels = ['UNRESTRICTED', 'RESTRICTED', 'SEVERELY_RESTRICTED'];
+    let level = mountedRoutes > 1 ? 0 : mountedRoutes === 1 ? 1 : 2;
+
+    // Much of the ground too steep for vehicles restricts mobility a level
+    const slope = ground ? this._slopeStats(ground) : null;
+    if (slope && slope.steepFraction > 0.3) level = Math.min(2, level + 1);
 
     return {
-      assessment: mountedRoutes > 1 ? 'UNRESTRICTED' : mountedRoutes === 1 ? 'RESTRICTED' : 'SEVERELY_RESTRICTED',
+      assessment: levels[level],
+      slope,
       mountedRoutes,
       dismountedRoutes,
       breachSites: blockingObstacles.map(o => ({
@@ -417,6 +579,19 @@ class TerrainAnalyzer {
     };
   }
 
+  _slopeStats(ground) {
+    const { classes, slope } = ground.grid;
+    let sum = 0, steep = 0, count = 0;
+    for (let i = 0; i < classes.length; i++) {
+      if (classes[i] !== SurfaceClass.GROUND) continue;
+      sum += slope[i];
+      if (slope[i] > VEHICLE_MAX_SLOPE_DEG) steep++;
+      count++;
+    }
+    if (count === 0) return null;
+    return { meanDeg: Math.round(sum / count), steepFraction: steep / count };
+  }
+
   _assessCountermobility(avenues, obstacles) {
     return {
       recommendedObstacles: avenues
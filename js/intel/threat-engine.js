@@ -9,28 +9,33 @@ import { sceneClassifier } from './scene-classifier.js';
 import { droneManager } from '../drones/drone-manager.js';
 import { timeManager } from '../mission/time-manager.js';
 import { ARMY_BRANCHES } from '../knowledge/army-branches.js';
-
-// Scoring weights for threat calculation
-const WEIGHTS = {
-  classification: 0.15,
-  proximity: 0.20,
-  behavior: 0.15,
-  intelCorrelation: 0.10,
-  exposure: 0.05,
-  terrainAdvantage: 0.10,
-  avenueControl: 0.08,
-  keyTerrainProximity: 0.05,
-  missionRelevance: 0.07,
-  timeUrgency: 0.05
-};
+import { getIntelItems, intelPosition, provenanceLabel } from './sources/intel-source.js';
+import { bearingDiff, distanceMeters } from '../core/geo.js';
+import { clock } from '../core/clock.js';
+import { FACTOR_LABELS, threatProfiles } from './threat-profiles.js';
+import { classificationBelief } from './classification-belief.js';
+
+// Area threat level (Maven threatAssessment.areaLevel) → correlation score
+const AREA_LEVEL_SCORES = { SEVERE: 0.9, HIGH: 0.8, ELEVATED: 0.5, GUARDED: 0.35, LOW: 0.3 };
+
+// Spatial intel correlation gates
+const UNIT_CORRELATION_MIN_M = 150;   // reported unit within this of a track's geo fix
+const LOB_CORRELATION_DEG = 10;       // SIGINT line of bearing within this of the track
+const HUMINT_CORRELATION_M = 500;     // located HUMINT report within this of the track
+const ASSESSMENT_MEMORY_MS = 60000;   // keep an unseen track's assessment (re-ID after occlusion)
+const WIDE_PASS_M = 100;              // closest approach beyond this is not an urgent ETA
+const SCORE_HISTORY_MS = 120000;      // per-track threat level series kept for the sparkline
 
 class ThreatEngine {
   constructor() {
-    this.assessments = new Map(); // trackId → full assessment
+    this.assessments = new Map(); // trackId → { ...full assessment, assessedAt }
+    this.scoreHistory = new Map(); // trackId → [{ t, threatLevel }] over SCORE_HISTORY_MS
     this.missionContext = null;
     this.lastMavenIntel = null;
     this.osintData = null;       // Raw OSINT feed data (weather, aircraft, etc.)
     this.osintSummary = null;    // Tactical summary of OSINT
+    this.operatorPosition = null; // { lat, lon } - origin for spatial intel correlation
+    this.profile = threatProfiles.getActive(); // weights + thresholds (mission profile)
   }
 
   setMissionContext(context) {
@@ -46,15 +51,32 @@ class ThreatEngine {
     this.osintSummary = summary;
   }
 
+  // Weight profile for scoring (threatProfiles entry, or one recorded in a session)
+  setProfile(profile) {
+    this.profile = profile;
+  }
+
+  // Operator GPS fix: resolves bearing/range intel reports to world positions
+  setOperatorPosition(lat, lon) {
+    this.operatorPosition = { lat, lon };
+  }
+
   // Main analysis entry point - processes all tracked entities
   analyze(trackedEntities, depthMap, depthWidth, depthHeight, mavenIntel) {
     this.lastMavenIntel = mavenIntel;
 
-    if (!trackedEntities || trackedEntities.length === 0) {
-      this.assessments.clear();
-      return [];
+    // Tracks out of view keep their last assessment for a while
+    const now = clock.now();
+    for (const [id, a] of this.assessments) {
+      if (now - a.assessedAt > ASSESSMENT_MEMORY_MS) {
+        this.assessments.delete(id);
+        this.scoreHistory.delete(id);
+        classificationBelief.forget(id);
+      }
     }
 
+    if (!trackedEntities || trackedEntities.length === 0) return [];
+
     // Run sub-analyzers
     const scene = sceneClassifier.getCurrentScene();
     const terrainData = terrainAnalyzer.getLastAnalysis();
@@ -78,7 +100,8 @@ class ThreatEngine {
 
       const enemyAnalysis = enemyAnalyses.find(a => a.entityId === entity.id);
       const assessment = this._assessEntity(entity, enemyAnalysis, terrainData, civilData, timeData, mavenIntel, scene);
-      this.assessments.set(entity.id, assessment);
+      assessment.history = this._recordHistory(entity.id, now, assessment.threatLevel);
+      this.assessments.set(entity.id, { ...assessment, assessedAt: now });
       results.push(assessment);
     }
 
@@ -87,6 +110,12 @@ class ThreatEngine {
     return results;
   }
 
+  // Drop every track's assessment and score series (new mission, session replay)
+  reset() {
+    this.assessments.clear();
+    this.scoreHistory.clear();
+  }
+
   getAssessment(trackId) {
     return this.assessments.get(trackId) || null;
   }
@@ -98,20 +127,28 @@ class ThreatEngine {
   // --- Private: Full METT-TC Entity Assessment ---
 
   _assessEntity(entity, enemyAnalysis, terrainData, civilData, timeData, mavenIntel, scene) {
-    // Calculate composite threat score
-    const scores = this._calculateScores(entity, enemyAnalysis, terrainData, mavenIntel, scene);
-    const threatLevel = Object.entries(scores).reduce(
-      (sum, [key, val]) => sum + (WEIGHTS[key] || 0) * val, 0
-    );
-
-    // Determine classification
-    const classification = threatLevel > 0.7 ? 'HOSTILE' :
-                           threatLevel > 0.3 ? 'UNKNOWN' :
-                           entity.classification || 'UNKNOWN';
+    // Calculate composite threat score, keeping each factor's share and inputs
+    const factors = this._weighFactors(this._calculateScores(entity, enemyAnalysis, terrainData, mavenIntel, scene));
+    const threatLevel = factors.reduce((sum, f) => sum + f.contribution, 0);
 
     // Mission impact
     const missionImpact = this._assessMissionImpact(entity, enemyAnalysis, terrainData);
 
+    // Intel correlation
+    const intel = this._correlateIntel(entity, mavenIntel);
+
+    // Classification: the track's accumulated belief, labelled against the ROE's PID thresholds
+    const { hostile, unknown } = this.profile.thresholds;
+    const belief = classificationBelief.update(entity.id, {
+      branch: enemyAnalysis?.branchAssessment || null,
+      direct: !!entity.branches?.length,
+      intel: intel.matches,
+      behavior: factors.find(f => f.key === 'behavior')?.score ?? 0,
+      threatBand: threatLevel > hostile ? 'HOSTILE' : threatLevel > unknown ? 'UNKNOWN' : 'LOW',
+      pir: missionImpact.pir
+    }, clock.now());
+    const classification = belief.label;
+
     // Terrain context
     const terrainContext = this._assessTerrainContext(entity, terrainData);
 
@@ -126,9 +163,6 @@ class ThreatEngine {
     // Civil warnings
     const civilWarnings = this._getCivilWarnings(entity, civilData);
 
-    // Intel correlation
-    const intelCorrelation = this._correlateIntel(entity, mavenIntel);
-
     // Distance and movement
     const distance = entity.distance || { meters: 0, confidence: 0.5, zone: 'UNKNOWN' };
     const movement = entity.movement || {};
@@ -140,9 +174,15 @@ class ThreatEngine {
       id: entity.id,
       trackId: entity.trackId,
       threatLevel: Math.min(1, Math.max(0, threatLevel)),
+      factors,
+      profile: { id: this.profile.id, version: this.profile.version, thresholds: this.profile.thresholds },
       classification,
+      belief,
       category: enemyAnalysis?.composition?.label || entity.tacticalClass || 'UNKNOWN',
+      tacticalClass: entity.tacticalClass || 'UNKNOWN',
       bbox: entity.bbox,
+      geo: entity.geo || null,
+      geoError: entity.geoError || null,
 
       missionImpact,
       osintContext,
@@ -173,7 +213,9 @@ class ThreatEngine {
         zone: distance.zone
       },
       movement: {
-        speed: movement.speed ? `${movement.speed.toFixed(1)} m/s` : '--',
+        speed: movement.speed != null ? `${movement.speed.toFixed(1)} m/s` : '--',
+        closing: entity.kinematics ? `${entity.kinematics.closingSpeed.toFixed(1)} m/s` : '--',
+        closestApproach: timeData.enemyETAs[entity.id]?.closestApproach ?? null,
         heading: movement.heading || 'UNKNOWN',
         bearing: movement.bearing || 0,
         onAvenue: entity.onAvenue || null,
@@ -183,11 +225,13 @@ class ThreatEngine {
       analysis,
       coursesOfAction,
       civilWarnings,
-      intelCorrelation
+      intelCorrelation: intel.text
     };
   }
 
   // --- Score Calculations ---
+  // Each factor scores 0-1 and says what it was scored on: basis is the
+  // operator-readable reason, inputs the values behind it.
 
   _calculateScores(entity, enemyAnalysis, terrainData, mavenIntel, scene) {
     return {
@@ -207,113 +251,200 @@ class ThreatEngine {
   _scoreClassification(entity) {
     const threatMap = {
       PERSONNEL: 0.6, VEHICLE: 0.85, LIGHT_VEHICLE: 0.5,
-      AIRCRAFT: 0.9, COMMS_EQUIPMENT: 0.3, SUPPLY: 0.2
+      AIRCRAFT: 0.9, UAS: 0.8, COMMS_EQUIPMENT: 0.3, SUPPLY: 0.2
+    };
+    const tacticalClass = entity.tacticalClass || null;
+    return {
+      score: threatMap[tacticalClass] || 0.4,
+      basis: tacticalClass ? `${tacticalClass} (${entity.class || 'detected'})` : 'Unclassified',
+      inputs: { tacticalClass, detectedClass: entity.class || null }
     };
-    return threatMap[entity.tacticalClass] || 0.4;
   }
 
   _scoreProximity(entity) {
-    const dist = entity.distance?.meters || 200;
-    if (dist < 25) return 1.0;
-    if (dist < 50) return 0.85;
-    if (dist < 100) return 0.6;
-    if (dist < 200) return 0.4;
-    return 0.2;
+    const meters = entity.distance?.meters || null;
+    const dist = meters || 200;
+    const score = dist < 25 ? 1.0 : dist < 50 ? 0.85 : dist < 100 ? 0.6 : dist < 200 ? 0.4 : 0.2;
+    return {
+      score,
+      basis: meters ? `${Math.round(meters)}m ${entity.distance.zone || ''}`.trim() : 'No range (200m assumed)',
+      inputs: { meters, zone: entity.distance?.zone || null, confidence: entity.distance?.confidence ?? null }
+    };
   }
 
   _scoreBehavior(entity) {
-    const speed = entity.movement?.speed || 0;
+    const speed = entity.movement?.speed ?? null;   // null: unranged, no metric speed
     const heading = entity.movement?.heading || '';
     let score = 0.3;
     if (heading === 'APPROACHING') score += 0.4;
     if (speed > 2) score += 0.2;
     if (speed > 4) score += 0.1;
-    return Math.min(1, score);
+    return {
+      score: Math.min(1, score),
+      basis: `${heading || 'NO HEADING'}, ${speed != null ? `${speed.toFixed(1)} m/s` : 'speed unknown'}`,
+      inputs: { heading: heading || null, speed }
+    };
   }
 
   _scoreIntelCorrelation(entity, mavenIntel) {
     let score = 0.3;
-
-    // Maven intel correlation
-    if (mavenIntel) {
-      const threat = mavenIntel.threat;
-      if (threat && threat.area_threat_level === 'HIGH') score = 0.8;
-      else if (threat && threat.area_threat_level === 'MEDIUM') score = 0.5;
+    const matches = [];
+
+    // Maven intel correlation - fuse every source, take the most severe area assessment
+    let area = null;
+    for (const threat of getIntelItems(mavenIntel, 'threatAssessment')) {
+      const areaScore = AREA_LEVEL_SCORES[threat.areaLevel] ?? 0.3;
+      if (areaScore > score) {
+        score = areaScore;
+        area = threat;
+      }
     }
+    if (area) matches.push(`Area ${area.areaLevel} [${provenanceLabel(area)}]`);
 
     // OSINT: Military aircraft nearby elevates area threat
     if (this.osintSummary) {
       if (this.osintSummary.militaryAircraft > 0) {
         score = Math.min(1, score + 0.15); // Military air activity = elevated threat
+        matches.push(`${this.osintSummary.militaryAircraft} MIL aircraft`);
       }
       if (this.osintSummary.emergencyAircraft > 0) {
         score = Math.min(1, score + 0.1);  // Emergency aircraft = heightened awareness
+        matches.push('EMERGENCY aircraft');
       }
       // Poor visibility from weather = harder to detect threats = higher risk
       if (this.osintSummary.tacticalImpact === 'SEVERE') {
         score = Math.min(1, score + 0.1);
+        matches.push('SEVERE weather');
       }
     }
 
-    return score;
+    return {
+      score,
+      basis: matches.join(', ') || 'No correlating intel',
+      inputs: { areaLevel: area?.areaLevel || null, matches }
+    };
   }
 
   _scoreExposure(entity) {
+    // A locked target's mask gives its visible silhouette; a box also counts
+    // whatever is hiding part of it
+    if (entity.exposedArea != null) {
+      return {
+        score: Math.min(1, entity.exposedArea * 10),
+        basis: `Mask ${(entity.exposedArea * 100).toFixed(1)}% of frame`,
+        inputs: { source: 'MASK', area: entity.exposedArea }
+      };
+    }
     // Without segmentation data, use bbox size as proxy
-    if (!entity.bbox) return 0.5;
+    if (!entity.bbox) return { score: 0.5, basis: 'No box', inputs: { source: null, area: null } };
     const area = entity.bbox[2] * entity.bbox[3];
-    return Math.min(1, area * 10); // Larger = more exposed
+    return {
+      score: Math.min(1, area * 10), // Larger = more exposed
+      basis: `Box ${(area * 100).toFixed(1)}% of frame`,
+      inputs: { source: 'BOX', area }
+    };
   }
 
   _scoreTerrainAdvantage(entity, terrainData) {
-    if (!terrainData?.oakoc?.coverAndConcealment) return 0.5;
-    // Check if entity is in a strong terrain position
-    const ex = entity.bbox ? entity.bbox[0] + entity.bbox[2] / 2 : 0.5;
-    const ey = entity.bbox ? entity.bbox[1] + entity.bbox[3] / 2 : 0.5;
-
-    for (const cover of terrainData.oakoc.coverAndConcealment.coverPositions) {
-      const dist = Math.sqrt(Math.pow(ex - cover.position[0], 2) + Math.pow(ey - cover.position[1], 2));
-      if (dist < 0.08) return 0.8; // In cover = higher threat (harder to neutralize)
+    if (!terrainData?.oakoc?.coverAndConcealment) {
+      return { score: 0.5, basis: 'No terrain analysis', inputs: { inCover: null } };
     }
-    return 0.3;
+    // In cover = higher threat (harder to neutralize)
+    const inCover = this._isInCover(entity, terrainData);
+    return {
+      score: inCover ? 0.8 : 0.3,
+      basis: inCover ? 'In cover' : 'Exposed',
+      inputs: { inCover }
+    };
   }
 
   _scoreAvenueControl(entity, terrainData) {
-    if (!entity.onAvenue || !terrainData?.oakoc?.avenues) return 0.3;
+    if (!entity.onAvenue || !terrainData?.oakoc?.avenues) {
+      return { score: 0.3, basis: 'Off avenue', inputs: { avenue: null, threatAxis: false } };
+    }
     const avenue = terrainData.oakoc.avenues.find(a => a.id === entity.onAvenue);
-    if (avenue?.threatAxis) return 0.9;
-    return 0.5;
+    const threatAxis = !!avenue?.threatAxis;
+    return {
+      score: threatAxis ? 0.9 : 0.5,
+      basis: `${threatAxis ? 'Threat axis' : 'On avenue'} ${entity.onAvenue}`,
+      inputs: { avenue: entity.onAvenue, threatAxis }
+    };
   }
 
   _scoreKeyTerrainProximity(entity, terrainData) {
-    if (!terrainData?.oakoc?.keyTerrain || !entity.bbox) return 0.3;
+    if (!terrainData?.oakoc?.keyTerrain || !entity.bbox) {
+      return { score: 0.3, basis: 'No key terrain analysis', inputs: { keyTerrain: null } };
+    }
     const ex = entity.bbox[0] + entity.bbox[2] / 2;
     const ey = entity.bbox[1] + entity.bbox[3] / 2;
 
     for (const kt of terrainData.oakoc.keyTerrain) {
       const dist = Math.sqrt(Math.pow(ex - kt.position[0], 2) + Math.pow(ey - kt.position[1], 2));
-      if (dist < 0.15) return kt.tacticalValue;
+      if (dist < 0.15) {
+        return {
+          score: kt.tacticalValue,
+          basis: `Near ${kt.type} (value ${kt.tacticalValue.toFixed(2)})`,
+          inputs: { keyTerrain: kt.type, tacticalValue: kt.tacticalValue }
+        };
+      }
     }
-    return 0.2;
+    return { score: 0.2, basis: 'Away from key terrain', inputs: { keyTerrain: null } };
   }
 
   _scoreMissionRelevance(entity) {
-    if (!this.missionContext) return 0.5;
+    if (!this.missionContext) return { score: 0.5, basis: 'No mission loaded', inputs: { missionType: null } };
     const heading = entity.movement?.heading || '';
     const mission = this.missionContext.missionType;
+    const inputs = { missionType: mission };
 
-    if (mission === 'DEFENSE' && heading === 'APPROACHING') return 0.9;
-    if (mission === 'OFFENSE' && entity.tacticalClass === 'VEHICLE') return 0.8;
-    if (mission === 'STABILITY') return 0.4; // Lower base threat in stability ops
-    return 0.5;
+    if (mission === 'DEFENSE' && heading === 'APPROACHING') {
+      return { score: 0.9, basis: 'DEFENSE, target approaching', inputs };
+    }
+    if (mission === 'OFFENSE' && entity.tacticalClass === 'VEHICLE') {
+      return { score: 0.8, basis: 'OFFENSE, vehicle', inputs };
+    }
+    if (mission === 'STABILITY') {
+      return { score: 0.4, basis: 'STABILITY ops', inputs }; // Lower base threat in stability ops
+    }
+    return { score: 0.5, basis: mission || 'Mission type unset', inputs };
   }
 
   _scoreTimeUrgency(entity) {
     const eta = timeManager.enemyETAs[entity.id];
-    if (!eta) return 0.3;
-    if (eta.etaSeconds < 30) return 1.0;
-    if (eta.etaSeconds < 120) return 0.7;
-    return 0.4;
+    if (!eta) return { score: 0.3, basis: 'Not closing', inputs: { etaSeconds: null, closestApproach: null } };
+    const inputs = { etaSeconds: eta.etaSeconds, closestApproach: eta.closestApproach };
+    if (eta.closestApproach > WIDE_PASS_M) {
+      // closing, but passes well clear
+      return { score: 0.4, basis: `Passes clear (CPA ${Math.round(eta.closestApproach)}m)`, inputs };
+    }
+    const score = eta.etaSeconds < 30 ? 1.0 : eta.etaSeconds < 120 ? 0.7 : 0.4;
+    return { score, basis: `TCPA ${Math.round(eta.etaSeconds)}s`, inputs };
+  }
+
+  // Weighted factor list, largest contribution first
+  _weighFactors(scores) {
+    return Object.entries(scores)
+      .map(([key, f]) => {
+        const weight = this.profile.weights[key] || 0;
+        return {
+          key,
+          label: FACTOR_LABELS[key] || key,
+          score: f.score,
+          weight,
+          contribution: weight * f.score,
+          basis: f.basis,
+          inputs: f.inputs
+        };
+      })
+      .sort((a, b) => b.contribution - a.contribution);
+  }
+
+  // Append to a track's threat level series and return a copy of it
+  _recordHistory(trackId, now, threatLevel) {
+    const series = (this.scoreHistory.get(trackId) || []).filter(p => now - p.t <= SCORE_HISTORY_MS);
+    series.push({ t: now, threatLevel });
+    this.scoreHistory.set(trackId, series);
+    return series.slice();
   }
 
   // --- Mission Impact ---
@@ -456,9 +587,19 @@ class ThreatEngine {
     const targetPos = entity.bbox
       ? [entity.bbox[0] + entity.bbox[2] / 2, entity.bbox[1] + entity.bbox[3] / 2]
       : null;
+    const targetRange = entity.distance?.meters || null;
+    // Geo-projected fix, when available, beats re-deriving one from screen x
+    const targetCoords = entity.geo || null;
+
+    // Physics time-to-effect for a specific drone (flight sim + current wind)
+    const droneTiming = (drone, taskType, coaType) => {
+      const estimate = droneManager.estimateTask(drone.id, taskType, { targetPosition: targetPos, targetRange, targetCoords });
+      return timeManager.isTimeFeasible(coaType, urgentETA?.etaSeconds, estimate?.seconds);
+    };
+    const fmtTime = (tf, fallback) => tf.timeToExecute != null ? `~${Math.round(tf.timeToExecute)}s` : fallback;
 
     // Check ROE for this target
-    const roeCheck = civilData ? civilAnalyzer.checkROE(targetPos, 'DIRECT_FIRE') : { clear: true, warnings: [] };
+    const roeCheck = civilData ? civilAnalyzer.checkROE(targetPos, 'DIRECT_FIRE', targetCoords) : { clear: true, warnings: [] };
 
     // OSINT: Weather impact on drone operations
     const droneOpsStatus = this.osintSummary?.droneOps || 'GREEN';
@@ -470,9 +611,9 @@ class ThreatEngine {
 
     // COA 1: Strike drone engagement (if hostile + strike available)
     if (classification === 'HOSTILE' && threatLevel > 0.5) {
-      const strikeDrone = droneManager.getBestDroneForTask('ENGAGE', targetPos);
+      const strikeDrone = droneManager.getBestDroneForTask('ENGAGE', targetPos, targetRange, targetCoords);
       if (strikeDrone) {
-        const timeFeasible = timeManager.isTimeFeasible('DRONE_STRIKE', urgentETA?.etaSeconds);
+        const timeFeasible = droneTiming(strikeDrone, 'ENGAGE', 'DRONE_STRIKE');
         const civilImpact = roeCheck.clear ? 'NONE' : roeCheck.violations[0] || roeCheck.warnings[0] || 'CHECK ROE';
 
         // OSINT: Weather affects strike confidence
@@ -500,19 +641,23 @@ class ThreatEngine {
           wff: 'FIRES',
           missionAlignment: this._getMissionAlignment('ENGAGE', entity),
           fleetFeasibility: `${strikeDrone.callsign} ready, ${strikeDrone.battery}% battery`,
-          timeToExecute: timeFeasible.timeToExecute ? `${timeFeasible.timeToExecute}s` : '~55s',
+          timeToExecute: fmtTime(timeFeasible, '~55s'),
+          timeFeasibility: timeFeasible,
           terrainReasoning: 'Drone strike from altitude - terrain does not restrict',
           civilImpact,
           weatherImpact: weatherWarning || 'CLEAR - No weather restrictions',
           targetTrackId: entity.id,
-          targetPosition: targetPos
+          targetPosition: targetPos,
+          targetRange,
+          targetCoords
         });
       }
     }
 
     // COA 2: ISR overwatch
-    const isrDrone = droneManager.getBestDroneForTask('OVERWATCH', targetPos);
+    const isrDrone = droneManager.getBestDroneForTask('OVERWATCH', targetPos, targetRange, targetCoords);
     if (isrDrone) {
+      const isrTiming = droneTiming(isrDrone, 'OVERWATCH', 'DRONE_OVERWATCH');
       let isrConfidence = 0.88;
       let isrWeatherNote = 'CLEAR - No weather restrictions';
       if (weatherRestricted) {
@@ -534,19 +679,23 @@ class ThreatEngine {
         wff: 'INTELLIGENCE',
         missionAlignment: this._getMissionAlignment('OVERWATCH', entity),
         fleetFeasibility: `${isrDrone.callsign} available, ${isrDrone.battery}% battery`,
-        timeToExecute: '~30s',
+        timeToExecute: fmtTime(isrTiming, '~30s'),
+        timeFeasibility: isrTiming,
         terrainReasoning: 'ISR drone can observe from altitude above terrain obstacles',
         civilImpact: 'NONE',
         weatherImpact: isrWeatherNote,
         targetTrackId: entity.id,
-        targetPosition: targetPos
+        targetPosition: targetPos,
+        targetRange,
+        targetCoords
       });
     }
 
     // COA 3: EW jamming (if hostile with comms)
     if (classification === 'HOSTILE' || threatLevel > 0.6) {
-      const ewDrone = droneManager.getBestDroneForTask('JAM', targetPos);
+      const ewDrone = droneManager.getBestDroneForTask('JAM', targetPos, targetRange, targetCoords);
       if (ewDrone) {
+        const ewTiming = droneTiming(ewDrone, 'JAM', 'DRONE_JAM');
         let ewConfidence = 0.75;
         let ewWeatherNote = 'CLEAR - No weather restrictions';
         if (weatherRestricted) {
@@ -568,11 +717,14 @@ class ThreatEngine {
           wff: 'PROTECTION',
           missionAlignment: 'Degrades enemy C2, prevents coordination',
           fleetFeasibility: `${ewDrone.callsign} available, jamming capable`,
-          timeToExecute: '~15s',
+          timeToExecute: fmtTime(ewTiming, '~15s'),
+          timeFeasibility: ewTiming,
           terrainReasoning: 'EW drone should position behind terrain mask for survivability',
           civilImpact: 'CAUTION: May affect civilian communications',
           weatherImpact: ewWeatherNote,
-          targetPosition: targetPos
+          targetPosition: targetPos,
+          targetRange,
+          targetCoords
         });
       }
     }
@@ -608,8 +760,9 @@ class ThreatEngine {
 
     // COA 5: Screen with screening drone
     if (threatLevel > 0.4) {
-      const screenDrone = droneManager.getBestDroneForTask('SCREEN', targetPos);
+      const screenDrone = droneManager.getBestDroneForTask('SCREEN', targetPos, targetRange, targetCoords);
       if (screenDrone) {
+        const screenTiming = droneTiming(screenDrone, 'SCREEN', 'DRONE_SCREEN');
         let screenConfidence = 0.65;
         let screenWeatherNote = 'CLEAR - No weather restrictions';
         if (weatherRestricted) {
@@ -631,11 +784,53 @@ class ThreatEngine {
           wff: 'MOVEMENT_AND_MANEUVER',
           missionAlignment: 'Early warning for approaching threats',
           fleetFeasibility: `${screenDrone.callsign} available, ${screenDrone.battery}% battery`,
-          timeToExecute: '~40s',
+          timeToExecute: fmtTime(screenTiming, '~40s'),
+          timeFeasibility: screenTiming,
           terrainReasoning: 'Screen drone operates low to ground, uses terrain for concealment',
           civilImpact: 'NONE',
           weatherImpact: screenWeatherNote,
-          targetPosition: targetPos
+          targetPosition: targetPos,
+          targetRange,
+          targetCoords
+        });
+      }
+    }
+
+    // COA 6: Counter-UAS intercept (small UAS from the sky detector)
+    if (entity.tacticalClass === 'UAS' && (classification === 'HOSTILE' || classification === 'UNKNOWN')) {
+      const cuasDrone = droneManager.getBestDroneForTask('COUNTER_UAS', targetPos, targetRange, targetCoords);
+      if (cuasDrone) {
+        const cuasTiming = droneTiming(cuasDrone, 'COUNTER_UAS', 'DRONE_COUNTER_UAS');
+        let cuasConfidence = 0.85;
+        let cuasWeatherNote = 'CLEAR - No weather restrictions';
+        if (weatherRestricted) {
+          cuasConfidence *= 0.4;
+          cuasWeatherNote = `WEATHER RED: ${wxDesc || 'Severe'} - Intercept flight restricted.`;
+        } else if (weatherDegraded) {
+          cuasConfidence *= 0.8;
+          cuasWeatherNote = `WEATHER AMBER: Wind ${windSpeed}mph - Intercept geometry degraded.`;
+        }
+
+        coas.push({
+          action: `Task ${cuasDrone.callsign} (${cuasDrone.type}) to counter UAS ${entity.id}`,
+          confidence: cuasConfidence,
+          risk: weatherRestricted ? 'MEDIUM' : 'LOW',
+          droneAsset: {
+            id: cuasDrone.id, callsign: cuasDrone.callsign,
+            type: cuasDrone.type, battery: cuasDrone.battery
+          },
+          wff: 'PROTECTION',
+          missionAlignment: this._getMissionAlignment('COUNTER_UAS', entity),
+          fleetFeasibility: `${cuasDrone.callsign} available, ${cuasDrone.battery}% battery`,
+          timeToExecute: fmtTime(cuasTiming, '~20s'),
+          timeFeasibility: cuasTiming,
+          terrainReasoning: 'Airborne target - terrain does not mask the intercept',
+          civilImpact: 'CAUTION: Debris and RF effects may reach civilians below',
+          weatherImpact: cuasWeatherNote,
+          targetTrackId: entity.id,
+          targetPosition: targetPos,
+          targetRange,
+          targetCoords
         });
       }
     }
@@ -644,10 +839,18 @@ class ThreatEngine {
     this._rankCOAsByMission(coas);
 
     // Filter by time feasibility
-    if (urgentETA && urgentETA.etaSeconds < 60) {
+    for (const coa of coas) {
+      // Drone COAs carry a physics estimate for the assigned airframe
+      if (coa.timeFeasibility) {
+        if (!coa.timeFeasibility.feasible) {
+          coa.confidence *= 0.5;
+          coa.timeWarning = `WARNING: ${coa.timeFeasibility.reason}`;
+        }
+        continue;
+      }
       // Only keep fast COAs when time is critical
-      for (const coa of coas) {
-        const execTime = parseInt(coa.timeToExecute) || 60;
+      if (urgentETA && urgentETA.etaSeconds < 60) {
+        const execTime = parseInt(String(coa.timeToExecute).replace('~', '')) || 60;
         if (execTime > urgentETA.etaSeconds) {
           coa.confidence *= 0.5;
           coa.timeWarning = `WARNING: May not complete before threat arrives (${urgentETA.toOurPosition})`;
@@ -669,25 +872,29 @@ class ThreatEngine {
         ENGAGE: 'Destroys threat to defensive position',
         OVERWATCH: 'Maintains observation of engagement area',
         JAM: 'Degrades enemy assault coordination',
-        SCREEN: 'Early warning of approaching forces'
+        SCREEN: 'Early warning of approaching forces',
+        COUNTER_UAS: 'Denies enemy observation and attack from the air'
       },
       OFFENSE: {
         ENGAGE: 'Eliminates obstacle to advance',
         OVERWATCH: 'Develops situation before contact',
         JAM: 'Disrupts enemy defensive coordination',
-        SCREEN: 'Secures flank during movement'
+        SCREEN: 'Secures flank during movement',
+        COUNTER_UAS: 'Protects the advance from enemy air observation'
       },
       STABILITY: {
         ENGAGE: 'Neutralizes confirmed hostile - PID verified',
         OVERWATCH: 'Continuous monitoring for escalation',
         JAM: 'Prevents hostile coordination',
-        SCREEN: 'Monitors area for suspicious activity'
+        SCREEN: 'Monitors area for suspicious activity',
+        COUNTER_UAS: 'Removes hostile aerial surveillance'
       },
       RECON: {
         ENGAGE: 'Self-defense engagement only in recon',
         OVERWATCH: 'Develops intelligence on target',
         JAM: 'Prevents detection of recon element',
-        SCREEN: 'Provides security during reconnaissance'
+        SCREEN: 'Provides security during reconnaissance',
+        COUNTER_UAS: 'Denies enemy ISR of the recon element'
       }
     };
 
@@ -799,22 +1006,54 @@ class ThreatEngine {
 
   // --- Intel Correlation (Maven + OSINT Fused) ---
 
+  // Operator-readable correlation text, plus which reports matched the track
+  // (classification evidence)
   _correlateIntel(entity, mavenIntel) {
     const parts = [];
-
-    // Maven intel
-    if (mavenIntel) {
-      if (mavenIntel.sigint) {
-        parts.push(`SIGINT: ${mavenIntel.sigint.content_summary || 'Activity detected on monitored frequencies'}`);
-      }
-      if (mavenIntel.threat) {
-        parts.push(`THREAT: Area threat level ${mavenIntel.threat.area_threat_level}`);
-      }
-      if (mavenIntel.humint) {
-        parts.push(`HUMINT (${mavenIntel.humint.source_reliability}${mavenIntel.humint.info_confidence}): ${mavenIntel.humint.narrative || 'Report on file'}`);
+    const matches = { enemyUnit: false, friendlyUnit: false, neutralUnit: false, sigint: false, humint: false };
+
+    // Reported units near the track's geo fix (gate widens with its error ellipse)
+    if (entity.geo) {
+      const gate = Math.max(UNIT_CORRELATION_MIN_M, 3 * (entity.geoError?.semiMajor || 0));
+      for (const roster of getIntelItems(mavenIntel, 'forceDisposition')) {
+        for (const side of ['enemy', 'neutral', 'friendly', 'unknown']) {
+          for (const unit of roster[side] || []) {
+            const pos = intelPosition(unit.position, this.operatorPosition);
+            if (!pos) continue;
+            const miss = distanceMeters(entity.geo, pos);
+            if (miss <= gate) {
+              // An unknown-affiliation contact is shown but is no evidence either way
+              if (side !== 'unknown') matches[`${side}Unit`] = true;
+              const prefix = side === 'friendly' ? 'FRIENDLY ' : side === 'unknown' ? 'UNKNOWN ' : '';
+              parts.push(`${prefix}UNIT [${provenanceLabel(roster)}]: ${unit.unit} (${unit.type || unit.status}) ${Math.round(miss)}m from track`);
+            }
+          }
+        }
       }
     }
 
+    // Maven intel - one line per source, tagged with provenance.
+    // SIGINT lines of bearing only count when they pass through the track.
+    for (const sig of getIntelItems(mavenIntel, 'sigint')) {
+      const onBearing = entity.bearing != null && Number.isFinite(sig.bearing);
+      if (onBearing && Math.abs(bearingDiff(sig.bearing, entity.bearing)) > LOB_CORRELATION_DEG) continue;
+      if (onBearing) matches.sigint = true;
+      const lob = onBearing ? ` LOB ${sig.bearing}° on track` : '';
+      parts.push(`SIGINT [${provenanceLabel(sig)}]${lob}: ${sig.contentSummary || 'Activity detected on monitored frequencies'}`);
+    }
+    for (const threat of getIntelItems(mavenIntel, 'threatAssessment')) {
+      parts.push(`THREAT [${provenanceLabel(threat)}]: Area threat level ${threat.areaLevel}`);
+    }
+    // HUMINT with a resolvable location only counts near the track
+    for (const hum of getIntelItems(mavenIntel, 'humint')) {
+      const where = entity.geo ? intelPosition(hum.location, this.operatorPosition) : null;
+      const miss = where ? distanceMeters(entity.geo, where) : null;
+      if (miss !== null && miss > HUMINT_CORRELATION_M) continue;
+      if (miss !== null) matches.humint = true;
+      const near = miss !== null ? ` ${Math.round(miss)}m from track` : '';
+      parts.push(`HUMINT [${provenanceLabel(hum)}] (${hum.sourceReliability}${hum.infoConfidence})${near}: ${hum.narrative || 'Report on file'}`);
+    }
+
     // OSINT correlation
     if (this.osintSummary) {
       // Military aircraft data
@@ -836,7 +1075,7 @@ class ThreatEngine {
       }
     }
 
-    return parts.join(' | ') || 'No correlating intelligence';
+    return { text: parts.join(' | ') || 'No correlating intelligence', matches };
   }
 }
 
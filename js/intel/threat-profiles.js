@@ -0,0 +1,262 @@
+// TALOS 2.0 - Threat Model Profiles
+// Factor weights and classification thresholds per mission type. Each
+// MISSION_TYPES entry has a doctrinal profile and activating a mission
+// selects it. Operators can tune any profile; the tuned copy is kept per
+// mission type in localStorage with a revision number, so every assessment
+// names the exact profile version that produced it.
+
+import { MISSION_TYPES } from '../mission/mission-context.js';
+
+// Bump when the built-in tables below change
+const PROFILE_SET_VERSION = 1;
+
+const STORAGE_KEY = 'talos.threatProfiles';
+
+// Factor keys in display order, with their short names
+export const FACTOR_LABELS = Object.freeze({
+  classification: 'CLASS',
+  proximity: 'RANGE',
+  behavior: 'BEHAVIOR',
+  intelCorrelation: 'INTEL',
+  exposure: 'EXPOSURE',
+  terrainAdvantage: 'TERRAIN',
+  avenueControl: 'AVENUE',
+  keyTerrainProximity: 'KEY TERRAIN',
+  missionRelevance: 'MISSION',
+  timeUrgency: 'TIME'
+});
+
+// Threat level above hostile → HOSTILE, above unknown → UNKNOWN
+const DEFAULT_THRESHOLDS = { hostile: 0.7, unknown: 0.3 };
+
+// Weights without a mission loaded
+const BASE_WEIGHTS = {
+  classification: 0.15,
+  proximity: 0.20,
+  behavior: 0.15,
+  intelCorrelation: 0.10,
+  exposure: 0.05,
+  terrainAdvantage: 0.10,
+  avenueControl: 0.08,
+  keyTerrainProximity: 0.05,
+  missionRelevance: 0.07,
+  timeUrgency: 0.05
+};
+
+// Doctrinal profiles (weights sum to 1)
+const PROFILES = {
+  // Key terrain, engagement areas, early warning
+  [MISSION_TYPES.AREA_DEFENSE]: {
+    label: 'AREA DEFENSE',
+    weights: {
+      classification: 0.12, proximity: 0.18, behavior: 0.12, intelCorrelation: 0.10, exposure: 0.04,
+      terrainAdvantage: 0.10, avenueControl: 0.12, keyTerrainProximity: 0.10, missionRelevance: 0.06, timeUrgency: 0.06
+    },
+    thresholds: DEFAULT_THRESHOLDS
+  },
+  // Find the enemy, read the avenues, exploit exposed elements
+  [MISSION_TYPES.MOVEMENT_TO_CONTACT]: {
+    label: 'MOVEMENT TO CONTACT',
+    weights: {
+      classification: 0.20, proximity: 0.18, behavior: 0.12, intelCorrelation: 0.12, exposure: 0.08,
+      terrainAdvantage: 0.08, avenueControl: 0.08, keyTerrainProximity: 0.04, missionRelevance: 0.06, timeUrgency: 0.04
+    },
+    thresholds: DEFAULT_THRESHOLDS
+  },
+  // Known enemy: what it is, what intel says, how exposed and dug in it is
+  [MISSION_TYPES.ATTACK]: {
+    label: 'ATTACK',
+    weights: {
+      classification: 0.20, proximity: 0.15, behavior: 0.10, intelCorrelation: 0.15, exposure: 0.10,
+      terrainAdvantage: 0.10, avenueControl: 0.06, keyTerrainProximity: 0.06, missionRelevance: 0.05, timeUrgency: 0.03
+    },
+    thresholds: DEFAULT_THRESHOLDS
+  },
+  // Trading space for time: arrival times and avenues dominate
+  [MISSION_TYPES.DELAY]: {
+    label: 'DELAY',
+    weights: {
+      classification: 0.12, proximity: 0.18, behavior: 0.12, intelCorrelation: 0.08, exposure: 0.04,
+      terrainAdvantage: 0.08, avenueControl: 0.12, keyTerrainProximity: 0.06, missionRelevance: 0.06, timeUrgency: 0.14
+    },
+    thresholds: DEFAULT_THRESHOLDS
+  },
+  // Hostile intent over equipment type; higher bar before HOSTILE (ROE)
+  [MISSION_TYPES.STABILITY_OPS]: {
+    label: 'STABILITY OPS',
+    weights: {
+      classification: 0.08, proximity: 0.15, behavior: 0.25, intelCorrelation: 0.15, exposure: 0.03,
+      terrainAdvantage: 0.07, avenueControl: 0.05, keyTerrainProximity: 0.04, missionRelevance: 0.10, timeUrgency: 0.08
+    },
+    thresholds: { hostile: 0.8, unknown: 0.35 }
+  },
+  // Maximum detection while staying undetected: who is close, what intel says, who holds the OPs
+  [MISSION_TYPES.RECONNAISSANCE]: {
+    label: 'RECONNAISSANCE',
+    weights: {
+      classification: 0.15, proximity: 0.22, behavior: 0.12, intelCorrelation: 0.15, exposure: 0.04,
+      terrainAdvantage: 0.10, avenueControl: 0.06, keyTerrainProximity: 0.08, missionRelevance: 0.04, timeUrgency: 0.04
+    },
+    thresholds: DEFAULT_THRESHOLDS
+  }
+};
+
+// Mission panel missions carry a broad type; their ids may not be mission types
+const BROAD_TYPE_PROFILES = {
+  DEFENSE: MISSION_TYPES.AREA_DEFENSE,
+  OFFENSE: MISSION_TYPES.MOVEMENT_TO_CONTACT,
+  STABILITY: MISSION_TYPES.STABILITY_OPS,
+  RECON: MISSION_TYPES.RECONNAISSANCE
+};
+
+const DEFAULT_PROFILE = 'DEFAULT';
+
+class ThreatProfiles {
+  constructor() {
+    this.overrides = this._loadOverrides(); // profile id → { revision, weights?, thresholds? }
+    this.active = this.get(DEFAULT_PROFILE);
+    this._callbacks = [];
+  }
+
+  // Mission-type profile ids
+  list() {
+    return Object.keys(PROFILES);
+  }
+
+  // Profile with any operator override applied:
+  // { id, label, version, customized, weights, thresholds }
+  get(id) {
+    const base = PROFILES[id] || { label: 'DEFAULT', weights: BASE_WEIGHTS, thresholds: DEFAULT_THRESHOLDS };
+    const override = this.overrides[id];
+    const customized = !!override?.weights;
+    return Object.freeze({
+      id: PROFILES[id] ? id : DEFAULT_PROFILE,
+      label: base.label,
+      version: `${PROFILES[id] ? id : DEFAULT_PROFILE}@${PROFILE_SET_VERSION}${customized ? `.op${override.revision}` : ''}`,
+      customized,
+      weights: Object.freeze({ ...(customized ? override.weights : base.weights) }),
+      thresholds: Object.freeze({ ...(customized ? override.thresholds : base.thresholds) })
+    });
+  }
+
+  // Built-in values of a profile (settings screen "defaults")
+  getDefaults(id) {
+    const base = PROFILES[id] || { weights: BASE_WEIGHTS, thresholds: DEFAULT_THRESHOLDS };
+    return { weights: { ...base.weights }, thresholds: { ...base.thresholds } };
+  }
+
+  // Profile id for a mission: its id if that is a mission type, else its broad type
+  resolveType(mission) {
+    if (!mission) return DEFAULT_PROFILE;
+    if (PROFILES[mission.id]) return mission.id;
+    return BROAD_TYPE_PROFILES[mission.missionType] || DEFAULT_PROFILE;
+  }
+
+  // Select the mission's profile. A recorded profile (session replay) is used
+  // as-is so replays score exactly as the sortie did.
+  activate(mission, recorded = null) {
+    this.active = recorded ? Object.freeze({ ...recorded }) : this.get(this.resolveType(mission));
+    console.log(`[THREAT] Profile ${this.active.version} (${this.active.label})`);
+    return this.active;
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  /**
+   * Store operator-tuned weights and thresholds for a profile. Weights are
+   * normalized to sum to 1; thresholds must satisfy 0 < unknown < hostile < 1.
+   * Returns the updated profile, or null if the values are unusable.
+   */
+  save(id, { weights, thresholds }) {
+    if (!PROFILES[id]) return null;
+    const values = normalizeValues(weights, thresholds);
+    if (values.error) {
+      console.warn(`[THREAT] ${values.error}`);
+      return null;
+    }
+    this.overrides[id] = { revision: (this.overrides[id]?.revision || 0) + 1, ...values };
+    return this._commit(id);
+  }
+
+  // Drop the operator override (the revision count is kept, versions stay unique)
+  reset(id) {
+    if (!this.overrides[id]?.weights) return this.get(id);
+    this.overrides[id] = { revision: this.overrides[id].revision };
+    return this._commit(id);
+  }
+
+  // Called with the new profile when the active one is edited
+  onChange(callback) {
+    this._callbacks.push(callback);
+  }
+
+  // --- Private ---
+
+  _commit(id) {
+    this._persist();
+    const profile = this.get(id);
+    console.log(`[THREAT] Profile ${profile.version} saved`);
+    if (this.active.id === id) {
+      this.active = profile;
+      for (const cb of this._callbacks) cb(profile);
+    }
+    return profile;
+  }
+
+  // Stored overrides pass the same checks as save(); bad entries are dropped
+  _loadOverrides() {
+    let stored;
+    try {
+      stored = JSON.parse(globalThis.localStorage?.getItem(STORAGE_KEY) || '{}') || {};
+    } catch {
+      return {};
+    }
+    const overrides = {};
+    for (const [id, entry] of Object.entries(stored)) {
+      if (!PROFILES[id] || !entry || typeof entry !== 'object') continue;
+      const revision = Number.isInteger(entry.revision) ? entry.revision : 0;
+      if (!entry.weights) {
+        overrides[id] = { revision };
+        continue;
+      }
+      const values = normalizeValues(entry.weights, entry.thresholds || {});
+      if (values.error) {
+        console.warn(`[THREAT] Stored ${id} override dropped: ${values.error}`);
+        overrides[id] = { revision };
+        continue;
+      }
+      overrides[id] = { revision, ...values };
+    }
+    return overrides;
+  }
+
+  _persist() {
+    try {
+      globalThis.localStorage?.setItem(STORAGE_KEY, JSON.stringify(this.overrides));
+    } catch (err) {
+      console.warn('[THREAT] Profile overrides not saved:', err.message);
+    }
+  }
+}
+
+export const threatProfiles = new ThreatProfiles();
+
+// Weights normalized to sum to 1 and thresholds with 0 < unknown < hostile < 1,
+// or { error } if the values are unusable
+function normalizeValues(weights, thresholds) {
+  const total = Object.keys(FACTOR_LABELS).reduce((sum, k) => sum + Math.max(0, Number(weights[k]) || 0), 0);
+  if (!(total > 0)) return { error: 'Profile needs at least one non-zero weight' };
+  const hostile = Number(thresholds.hostile);
+  const unknown = Number(thresholds.unknown);
+  if (!(unknown > 0 && unknown < hostile && hostile < 1)) {
+    return { error: `Invalid thresholds: unknown ${unknown}, hostile ${hostile}` };
+  }
+
+  const normalized = {};
+  for (const k of Object.keys(FACTOR_LABELS)) {
+    normalized[k] = Math.round(Math.max(0, Number(weights[k]) || 0) / total * 10000) / 10000;
+  }
+  return { weights: normalized, thresholds: { hostile, unknown } };
+}
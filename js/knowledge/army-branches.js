@@ -1339,16 +1339,22 @@ export const ARMY_BRANCHES = Object.freeze({
 });
 
 /**
- * Look up branches by detection signature (YOLO COCO class name).
+ * Look up branches by detection signature (detector class label).
  * Returns an array of branch keys that could match the given detection class.
+ * A custom detector's own label → branch map takes precedence over the
+ * COCO detection signatures.
  *
- * @param {string} cocoClass - YOLO COCO class name (e.g., 'person', 'truck')
+ * @param {string} detectionClass - Detector label (e.g., 'person', 'truck', 'tank')
+ * @param {Object<string, string[]>|null} [branchMap] - Model label → ARMY_BRANCHES keys
  * @returns {string[]} Array of ARMY_BRANCHES keys
  */
-export function getBranchesByDetection(cocoClass) {
+export function getBranchesByDetection(detectionClass, branchMap = null) {
+    if (branchMap?.[detectionClass]) {
+        return branchMap[detectionClass].filter(key => key in ARMY_BRANCHES);
+    }
     const matches = [];
     for (const [key, branch] of Object.entries(ARMY_BRANCHES)) {
-        if (branch.detectionSignatures.includes(cocoClass)) {
+        if (branch.detectionSignatures.includes(detectionClass)) {
             matches.push(key);
         }
     }
@@ -107,8 +107,8 @@ const SCENARIOS = Object.freeze({
                 'Minimize collateral damage at all times.'
             ],
             specialInstructions: [
-                'Hospital at grid 38SKU4535068200 is a protected structure - 500m no-fire radius.',
-                'Mosque at grid 38SKU4518067700 is a protected structure - 200m no-fire radius.',
+                'Hospital at grid 38RKU4535068200 is a protected structure - 500m no-fire radius.',
+                'Mosque at grid 38RKU4518067700 is a protected structure - 200m no-fire radius.',
                 'Civilian evacuation corridor runs N-S along Phase Line BLUE.',
                 'ROE escalation to WEAPONS_FREE requires Battalion CDR approval.'
             ]
@@ -128,6 +128,11 @@ const SCENARIOS = Object.freeze({
         engagementAreas: [
             { name: 'EA STEEL', bearing: 45, range: 2000, width: 500 },
             { name: 'EA IRON', bearing: 30, range: 1500, width: 400 }
+        ],
+        controlMeasures: [
+            { type: 'OBJECTIVE', name: 'OBJ ALPHA', grid: '38RKU4523067890', radius: 300 },
+            { type: 'PHASE_LINE', name: 'PL BLUE', phaseLine: 'EA_ACTIVE', grids: ['38RKU46287054', '38RKU47946881'] },
+            { type: 'PHASE_LINE', name: 'PL GOLD', phaseLine: 'FALLBACK', grids: ['38RKU45266930', '38RKU46646785'] }
         ]
     },
 
@@ -199,7 +204,7 @@ const SCENARIOS = Object.freeze({
                 'Civilian evacuation takes priority when feasible.'
             ],
             specialInstructions: [
-                'School complex near OBJ BRAVO at grid 38SKU5000070000 - 300m no-fire radius.',
+                'School complex near OBJ BRAVO at grid 38RKU5000070000 - 300m no-fire radius.',
                 'Known civilian population in village along Axis LION.',
                 'Upon escalation to WEAPONS_FREE, engage all hostile forces without further clearance.'
             ]
@@ -216,7 +221,13 @@ const SCENARIOS = Object.freeze({
                 'Drone reconnaissance pattern.'
             ]
         },
-        engagementAreas: []
+        engagementAreas: [],
+        controlMeasures: [
+            { type: 'PHASE_LINE', name: 'PL BLUE', grids: ['38RKU45856977', '38RKU47016700'] },
+            { type: 'PHASE_LINE', name: 'PL RED', grids: ['38RKU47057026', '38RKU48216750'] },
+            { type: 'PHASE_LINE', name: 'PL BLACK', grids: ['38RKU48257076', '38RKU49416800'] },
+            { type: 'OBJECTIVE', name: 'OBJ BRAVO', grid: '38RKU49856981', radius: 400 }
+        ]
     },
 
     STABILITY_OPS: {
@@ -286,7 +297,7 @@ const SCENARIOS = Object.freeze({
                 'No offensive drone strikes without company CDR approval and JAG review.'
             ],
             specialInstructions: [
-                'Market area (grid 38SKU4500067500) is a no-fire zone during market hours (0600-1800).',
+                'Market area (grid 38RKU4500067500) is a no-fire zone during market hours (0600-1800).',
                 'Hospital, mosque, and school are permanent no-fire zones.',
                 'All use of force incidents require immediate reporting.',
                 'Detainees must be processed IAW detention SOP within 12 hours.',
@@ -305,7 +316,8 @@ const SCENARIOS = Object.freeze({
                 'Intelligence sources and methods.'
             ]
         },
-        engagementAreas: []
+        engagementAreas: [],
+        controlMeasures: []
     }
 });
 
@@ -456,6 +468,17 @@ export class MissionContext {
         return this._mission ? this._mission.engagementAreas : [];
     }
 
+    /**
+     * Get graphic control measures (phase lines, objectives) for the current
+     * mission. Points are MGRS grids; `phaseLine` links a line to a
+     * timeManager phase line of a different name.
+     *
+     * @returns {Object[]}
+     */
+    getControlMeasures() {
+        return this._mission ? this._mission.controlMeasures : [];
+    }
+
     /**
      * Check if a detection matches any PIR.
      * A detection matches a PIR if:
@@ -0,0 +1,196 @@
+// TALOS 2.0 - Tactical Graphics
+// Mission control measures as geo-shapes: phase lines, objectives and
+// engagement areas. Detects the operator and hostile tracks crossing them and
+// reports crossings to the time manager (phase-line status, decision points).
+
+import { destinationPoint, distanceMeters } from '../core/geo.js';
+import { gridFrame } from '../core/grid-frame.js';
+import { timeManager } from './time-manager.js';
+
+export const MeasureType = Object.freeze({
+  PHASE_LINE: 'PHASE_LINE',
+  OBJECTIVE: 'OBJECTIVE',
+  ENGAGEMENT_AREA: 'ENGAGEMENT_AREA'
+});
+
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON = 111320;
+
+class TacticalGraphics {
+  constructor() {
+    this.measures = [];              // as defined by the mission (grids / bearing-range)
+    this.engagementAreas = [];
+    this.shapes = [];                // resolved geo-shapes
+    this._relocated = null;          // gridFrame state the shapes were resolved under
+    this._lastOperator = null;
+    this._lastTracks = new Map();    // track id → last geo
+  }
+
+  /**
+   * @param {Object[]} measures - MissionContext.getControlMeasures()
+   * @param {Object[]} [engagementAreas] - MissionContext.getEngagementAreas()
+   *        (bearing/range/width from the friendly position)
+   */
+  load(measures, engagementAreas = []) {
+    this.measures = measures || [];
+    this.engagementAreas = engagementAreas || [];
+    this._resolve();
+    console.log(`[TACTICAL] ${this.shapes.length} control measures (${this.shapes.map(s => s.name).join(', ') || 'none'})`);
+  }
+
+  getShapes() {
+    return this.shapes;
+  }
+
+  /**
+   * Check for crossings since the last call.
+   * @param {{lat: number, lon: number}|null} position - Operator fix
+   * @param {Object[]} tracks - Detections with geo + classification
+   * @returns {Object[]} Events: { type, name, side, trackId?, triggered: Object[] }
+   */
+  update(position, tracks = []) {
+    if (this.shapes.length === 0) return [];
+
+    // Exercise grids move once when the grid frame relocates to the operator
+    if (gridFrame.isRelocated() !== this._relocated) this._resolve();
+
+    const events = [];
+    if (position) {
+      if (this._lastOperator) events.push(...this._checkMover(this._lastOperator, position, 'FRIENDLY'));
+      this._lastOperator = { lat: position.lat, lon: position.lon };
+    }
+
+    const seen = new Set();
+    for (const t of tracks) {
+      if (!t.geo || t.classification !== 'HOSTILE') continue;
+      seen.add(t.id);
+      const last = this._lastTracks.get(t.id);
+      if (last) events.push(...this._checkMover(last, t.geo, 'ENEMY', t.id));
+      this._lastTracks.set(t.id, { lat: t.geo.lat, lon: t.geo.lon });
+    }
+    for (const id of this._lastTracks.keys()) {
+      if (!seen.has(id)) this._lastTracks.delete(id);
+    }
+
+    // Occupancy for display; phase-line status mirrors the timeline
+    for (const shape of this.shapes) {
+      if (shape.type === MeasureType.ENGAGEMENT_AREA) {
+        shape.occupied = tracks.filter(t => t.geo && t.classification === 'HOSTILE' &&
+          this._inside(shape, t.geo)).length;
+      }
+      const pl = timeManager.getPhaseLine(shape.timeline);
+      if (pl) shape.status = pl.status;
+    }
+
+    for (const e of events) {
+      console.log(`[TACTICAL] ${e.side === 'FRIENDLY' ? 'Operator' : e.trackId} ${e.type === MeasureType.PHASE_LINE ? 'crossed' : 'entered'} ${e.name}` +
+        (e.triggered.length ? ` - decision point: ${e.triggered.map(dp => dp.description).join('; ')}` : ''));
+    }
+    return events;
+  }
+
+  // ---- Private ----
+
+  _resolve() {
+    const lastOperator = this._lastOperator;
+    this._relocated = gridFrame.isRelocated();
+    this._lastOperator = null;
+    this._lastTracks.clear();
+    this.shapes = [];
+
+    for (const m of this.measures) {
+      const shape = { type: m.type, name: m.name, timeline: m.phaseLine || m.name, status: 'UPCOMING', occupied: 0 };
+      if (m.type === MeasureType.PHASE_LINE) {
+        shape.points = (m.grids || []).map(g => gridFrame.toGeo(g)).filter(Boolean);
+        if (shape.points.length < 2) continue;
+      } else if (m.type === MeasureType.OBJECTIVE || m.type === MeasureType.ENGAGEMENT_AREA) {
+        if (m.grids) {
+          shape.points = m.grids.map(g => gridFrame.toGeo(g)).filter(Boolean);
+          if (shape.points.length < 3) continue;
+        } else {
+          const center = gridFrame.toGeo(m.grid);
+          if (!center) continue;
+          shape.center = { lat: center.lat, lon: center.lon };
+          shape.radius = m.radius || 200;
+        }
+      } else {
+        continue;
+      }
+      if (timeManager.linkPhaseLine(shape.timeline)) shape.linked = true;
+      this.shapes.push(shape);
+    }
+
+    // Engagement areas: a box across the bearing, centred at range from the friendly position
+    const origin = gridFrame.toGeo(gridFrame.referenceGrid) || lastOperator;
+    if (origin) {
+      for (const ea of this.engagementAreas) {
+        const center = destinationPoint(origin, ea.bearing, ea.range);
+        const half = ea.width / 2;
+        const corner = (along, across) =>
+          destinationPoint(destinationPoint(center, ea.bearing, along), ea.bearing + 90, across);
+        this.shapes.push({
+          type: MeasureType.ENGAGEMENT_AREA, name: ea.name, timeline: ea.name, status: 'UPCOMING', occupied: 0,
+          points: [corner(half, -half), corner(half, half), corner(-half, half), corner(-half, -half)]
+        });
+      }
+    }
+  }
+
+  // Crossings of one mover's step a → b
+  _checkMover(a, b, side, trackId) {
+    const events = [];
+    for (const shape of this.shapes) {
+      let crossed = false;
+      if (shape.type === MeasureType.PHASE_LINE) {
+        crossed = this._crossesLine(a, b, shape.points);
+      } else if (side === 'ENEMY' ? shape.type === MeasureType.ENGAGEMENT_AREA : shape.type === MeasureType.OBJECTIVE) {
+        crossed = !this._inside(shape, a) && this._inside(shape, b);
+      }
+      if (!crossed) continue;
+      const { triggered } = timeManager.reportCrossing(shape.timeline, side);
+      events.push({ type: shape.type, name: shape.name, side, trackId, triggered });
+    }
+    return events;
+  }
+
+  // Local metres about a reference point
+  _local(ref, p) {
+    return {
+      x: (p.lon - ref.lon) * M_PER_DEG_LON * Math.cos(ref.lat * Math.PI / 180),
+      y: (p.lat - ref.lat) * M_PER_DEG_LAT
+    };
+  }
+
+  _crossesLine(a, b, points) {
+    const ref = a;
+    const p = this._local(ref, a), q = this._local(ref, b);
+    if (p.x === q.x && p.y === q.y) return false;
+    for (let i = 0; i < points.length - 1; i++) {
+      const r = this._local(ref, points[i]), s = this._local(ref, points[i + 1]);
+      const d1 = this._side(r, s, p), d2 = this._side(r, s, q);
+      const d3 = this._side(p, q, r), d4 = this._side(p, q, s);
+      if (d1 * d2 < 0 && d3 * d4 < 0) return true;
+    }
+    return false;
+  }
+
+  _side(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  }
+
+  _inside(shape, geo) {
+    if (shape.center) return distanceMeters(shape.center, geo) <= shape.radius;
+    // Ray casting in local metres
+    const pts = shape.points.map(pt => this._local(geo, pt));
+    let inside = false;
+    for (let i = 0, j = pts.length - 1; i < pts.length; j = i++) {
+      if ((pts[i].y > 0) !== (pts[j].y > 0) &&
+          0 < (pts[j].x - pts[i].x) * (0 - pts[i].y) / (pts[j].y - pts[i].y) + pts[i].x) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+}
+
+export const tacticalGraphics = new TacticalGraphics();
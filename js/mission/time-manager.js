@@ -1,6 +1,8 @@
 // TALOS 2.0 - Time Manager (T - Time Available in METT-TC)
 // Mission timeline, decision points, ETA calculations, time-feasibility filtering
 
+import { clock } from '../core/clock.js';
+
 class TimeManager {
   constructor() {
     this.missionTime = {
@@ -17,6 +19,7 @@ class TimeManager {
       DRONE_OVERWATCH: 30,      // seconds to get on station
       DRONE_RECON: 45,          // seconds
       DRONE_JAM: 15,            // seconds to activate
+      DRONE_COUNTER_UAS: 20,    // seconds to intercept
       DRONE_SCREEN: 40,         // seconds to establish
       OPERATOR_REPOSITION: 20,  // seconds (short move to cover)
       CALL_FOR_FIRE: 480,       // 3-8 minutes
@@ -29,7 +32,7 @@ class TimeManager {
 
   // Initialize from mission context
   init(missionConfig) {
-    this.missionTime.startTime = Date.now();
+    this.missionTime.startTime = clock.now();
     this.missionTime.hHour = new Date(this.missionTime.startTime);
     this.missionTime.currentPhase = missionConfig.phase || 'PREPARATION';
     this.missionTime.elapsedSeconds = 0;
@@ -40,7 +43,7 @@ class TimeManager {
         { name: 'PL_BLUE', offsetMin: 15, status: 'UPCOMING' },
         { name: 'PL_RED', offsetMin: 30, status: 'UPCOMING' },
         { name: 'PL_BLACK', offsetMin: 45, status: 'UPCOMING' },
-        { name: 'OBJ_ALPHA', offsetMin: 60, status: 'UPCOMING' }
+        { name: 'OBJ_BRAVO', offsetMin: 60, status: 'UPCOMING' }
       ],
       DEFENSE: [
         { name: 'STAND_TO', offsetMin: 0, status: 'PASSED' },
@@ -74,6 +77,7 @@ class TimeManager {
       {
         description: `Commit reserve if enemy breaches ${this.missionTime.phaseLines[1]?.name || 'PL'}`,
         triggerCondition: `Enemy past ${this.missionTime.phaseLines[1]?.name || 'PL'}`,
+        triggerMeasure: this.missionTime.phaseLines[1]?.name || null,
         timeWindow: `H+${(this.missionTime.phaseLines[1]?.offsetMin || 10) - 5} to H+${(this.missionTime.phaseLines[1]?.offsetMin || 10) + 5}`,
         status: 'PENDING'
       },
@@ -86,42 +90,51 @@ class TimeManager {
     ];
   }
 
-  // Update enemy ETAs from tracker data
+  // Update enemy ETAs from the tracker's metric kinematics: time to closest
+  // approach (with its 1-sigma interval) for closing tracks
   updateEnemyETAs(trackedEntities, depthData) {
     this.enemyETAs = {};
     if (!trackedEntities) return;
 
     for (const entity of trackedEntities) {
-      if (!entity.movement || !entity.distance) continue;
+      const k = entity.kinematics;
+      if (!k || k.tcpa === null) continue;
       if (entity.classification !== 'HOSTILE' && entity.classification !== 'UNKNOWN') continue;
 
-      const speed = entity.movement.speed || 0;
-      const dist = entity.distance.meters || 0;
-      const heading = entity.movement.heading || '';
-
-      if (speed > 0.5 && heading === 'APPROACHING') {
-        const etaSeconds = dist / speed;
+      if (k.closingSpeed > 0.5 && entity.movement?.heading === 'APPROACHING') {
+        const etaSeconds = k.tcpa;
+        const [lo, hi] = k.tcpaInterval || [etaSeconds, etaSeconds];
         this.enemyETAs[entity.id] = {
-          toOurPosition: this._formatETA(etaSeconds),
+          toOurPosition: `${this._formatETA(etaSeconds)} (${this._formatETA(lo, false)}-${hi !== null ? this._formatETA(hi, false) : '?'})`,
           etaSeconds,
-          speed: speed.toFixed(1) + ' m/s',
+          etaInterval: [lo, hi],
+          closestApproach: Math.round(k.cpa),
+          speed: k.closingSpeed.toFixed(1) + ' m/s',
           urgency: etaSeconds < 30 ? 'CRITICAL' : etaSeconds < 120 ? 'HIGH' : 'MEDIUM'
         };
       }
     }
   }
 
-  // Check if a COA is time-feasible
-  isTimeFeasible(coaType, urgentThreatETA) {
-    const estimatedTime = this.coaTimeEstimates[coaType];
-    if (!estimatedTime) return { feasible: true, reason: 'Unknown time estimate' };
-    if (!urgentThreatETA) return { feasible: true, timeToExecute: estimatedTime };
+  // Check if a COA is time-feasible. executionSeconds, when given, is a
+  // physics estimate for the specific asset (droneManager.estimateTask) and
+  // replaces the planning constant for that COA type.
+  isTimeFeasible(coaType, urgentThreatETA, executionSeconds) {
+    const physics = executionSeconds != null;
+    const estimatedTime = physics ? executionSeconds : this.coaTimeEstimates[coaType];
+    if (estimatedTime == null) return { feasible: true, reason: 'Unknown time estimate' };
+    if (!isFinite(estimatedTime)) {
+      return { feasible: false, timeToExecute: estimatedTime, basis: 'PHYSICS', reason: 'Asset cannot reach the target' };
+    }
+    const basis = physics ? 'PHYSICS' : 'PLANNING';
+    if (!urgentThreatETA) return { feasible: true, timeToExecute: estimatedTime, basis };
 
     const feasible = estimatedTime < urgentThreatETA * 0.8; // 80% safety margin
     return {
       feasible,
       timeToExecute: estimatedTime,
       threatArrival: urgentThreatETA,
+      basis,
       reason: feasible
         ? `Completes in ${this._formatETA(estimatedTime)} (threat arrives ${this._formatETA(urgentThreatETA)})`
         : `Takes ${this._formatETA(estimatedTime)} but threat arrives in ${this._formatETA(urgentThreatETA)}`
@@ -143,13 +156,13 @@ class TimeManager {
 
   // Get current mission time data
   getTimeData() {
-    const elapsed = (Date.now() - (this.missionTime.startTime || Date.now())) / 1000;
+    const now = clock.now();
+    const elapsed = (now - (this.missionTime.startTime || now)) / 1000;
     this.missionTime.elapsedSeconds = elapsed;
 
-    // Update phase line statuses
-    const now = Date.now();
+    // Update phase line statuses (lines on the ground pass when crossed)
     for (const pl of this.missionTime.phaseLines) {
-      if (pl.absoluteTime && now >= pl.absoluteTime.getTime()) {
+      if (pl.status === 'UPCOMING' && !pl.geographic && pl.absoluteTime && now >= pl.absoluteTime.getTime()) {
         pl.status = 'PASSED';
       }
     }
@@ -163,6 +176,52 @@ class TimeManager {
     };
   }
 
+  // Mark a phase line as drawn on the ground: from now on it passes when
+  // crossed rather than on the clock. Names match across spaces/underscores.
+  linkPhaseLine(name) {
+    const pl = this._findPhaseLine(name);
+    if (pl) pl.geographic = true;
+    return pl;
+  }
+
+  getPhaseLine(name) {
+    return this._findPhaseLine(name);
+  }
+
+  /**
+   * A control measure was crossed. FRIENDLY passes the phase line; ENEMY
+   * marks it breached and fires any decision point keyed to it.
+   * @param {string} name - Phase line / control measure name
+   * @param {'FRIENDLY'|'ENEMY'} side
+   * @returns {{phaseLine: Object|null, triggered: Object[]}}
+   */
+  reportCrossing(name, side) {
+    const now = clock.now();
+    const pl = this._findPhaseLine(name);
+    const triggered = [];
+
+    if (side === 'FRIENDLY') {
+      if (pl && pl.status !== 'PASSED') {
+        pl.status = 'PASSED';
+        pl.crossedAt = now;
+      }
+    } else {
+      if (pl && pl.status === 'UPCOMING') {
+        pl.status = 'BREACHED';
+        pl.crossedAt = now;
+      }
+      const key = this._lineKey(name);
+      for (const dp of this.decisionPoints) {
+        if (dp.status === 'PENDING' && dp.triggerMeasure && this._lineKey(dp.triggerMeasure) === key) {
+          dp.status = 'TRIGGERED';
+          dp.triggeredAt = now;
+          triggered.push(dp);
+        }
+      }
+    }
+    return { phaseLine: pl, triggered };
+  }
+
   // Start update loop
   startUpdates() {
     this.updateInterval = setInterval(() => {
@@ -174,12 +233,22 @@ class TimeManager {
     if (this.updateInterval) clearInterval(this.updateInterval);
   }
 
-  _formatETA(seconds) {
-    if (seconds < 60) return `~${Math.round(seconds)}s`;
-    if (seconds < 3600) return `~${Math.round(seconds / 60)}min`;
+  _lineKey(name) {
+    return String(name).trim().toUpperCase().replace(/\s+/g, '_');
+  }
+
+  _findPhaseLine(name) {
+    const key = this._lineKey(name);
+    return this.missionTime.phaseLines.find(pl => this._lineKey(pl.name) === key) || null;
+  }
+
+  _formatETA(seconds, approx = true) {
+    const p = approx ? '~' : '';
+    if (seconds < 60) return `${p}${Math.round(seconds)}s`;
+    if (seconds < 3600) return `${p}${Math.round(seconds / 60)}min`;
     const h = Math.floor(seconds / 3600);
     const m = Math.round((seconds % 3600) / 60);
-    return `~${h}h ${m}m`;
+    return `${p}${h}h ${m}m`;
   }
 }
 
@@ -0,0 +1,118 @@
+// =============================================================================
+// TALOS 2.0 - Appearance Descriptor
+// Lightweight colour signature for track re-identification: an HSV histogram
+// of the upper and lower halves of a bounding box (clothing / paint), compared
+// with the Bhattacharyya coefficient
+// =============================================================================
+
+/** Hue bins for saturated pixels. */
+const HUE_BINS = 8;
+
+/** Saturation split within each hue (muted / vivid). */
+const SAT_BINS = 2;
+
+/** Brightness bins for unsaturated (grey) pixels. */
+const GREY_BINS = 4;
+
+/** Pixels below this saturation are binned by brightness only. */
+const GREY_SAT = 0.2;
+
+/** Sample grid per box half (N x N). */
+const SAMPLES = 12;
+
+/** Bins in one half; the descriptor holds two halves. */
+const HALF_BINS = HUE_BINS * SAT_BINS + GREY_BINS;
+
+/** Length of a descriptor. */
+export const DESCRIPTOR_LENGTH = HALF_BINS * 2;
+
+/**
+ * Extract the appearance descriptor of one box.
+ *
+ * @param {ImageData} image - Frame (any size; bbox is normalized)
+ * @param {number[]} bbox - Normalized [x, y, w, h]
+ * @returns {Float32Array|null} L1-normalized (sums to 1), or null if the box is off-frame
+ */
+export function extractAppearance(image, bbox) {
+    if (!image || !bbox) return null;
+    const { width, height, data } = image;
+
+    // Central 60% of the width skips most background at the box sides
+    const x0 = (bbox[0] + bbox[2] * 0.2) * width;
+    const x1 = (bbox[0] + bbox[2] * 0.8) * width;
+    const y0 = bbox[1] * height;
+    const y1 = (bbox[1] + bbox[3]) * height;
+    if (x1 - x0 < 2 || y1 - y0 < 4) return null;
+
+    const desc = new Float32Array(DESCRIPTOR_LENGTH);
+    let counted = 0;
+
+    for (let half = 0; half < 2; half++) {
+        const hy0 = y0 + (y1 - y0) * half / 2;
+        for (let j = 0; j < SAMPLES; j++) {
+            const py = Math.floor(hy0 + (y1 - y0) / 2 * (j + 0.5) / SAMPLES);
+            if (py < 0 || py >= height) continue;
+            for (let i = 0; i < SAMPLES; i++) {
+                const px = Math.floor(x0 + (x1 - x0) * (i + 0.5) / SAMPLES);
+                if (px < 0 || px >= width) continue;
+                const idx = (py * width + px) * 4;
+                desc[half * HALF_BINS + binOf(data[idx], data[idx + 1], data[idx + 2])]++;
+                counted++;
+            }
+        }
+    }
+
+    if (counted === 0) return null;
+    for (let k = 0; k < desc.length; k++) desc[k] /= counted;
+    return desc;
+}
+
+/**
+ * Appearance distance: 1 - Bhattacharyya coefficient.
+ *
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number} 0 (identical) .. 1 (disjoint)
+ */
+export function appearanceDistance(a, b) {
+    let bc = 0;
+    for (let k = 0; k < a.length; k++) bc += Math.sqrt(a[k] * b[k]);
+    return Math.max(0, 1 - bc);
+}
+
+/**
+ * Blend a new observation into a running descriptor (in place).
+ *
+ * @param {Float32Array} running
+ * @param {Float32Array} observed
+ * @param {number} alpha - Weight kept on the running descriptor
+ */
+export function blendAppearance(running, observed, alpha) {
+    for (let k = 0; k < running.length; k++) {
+        running[k] = alpha * running[k] + (1 - alpha) * observed[k];
+    }
+}
+
+/**
+ * Histogram bin of one RGB pixel.
+ * @private
+ */
+function binOf(r, g, b) {
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const sat = max > 0 ? (max - min) / max : 0;
+
+    if (sat < GREY_SAT) {
+        return HUE_BINS * SAT_BINS + Math.min(GREY_BINS - 1, Math.floor(max / 256 * GREY_BINS));
+    }
+
+    let hue;
+    const d = max - min;
+    if (max === r) hue = ((g - b) / d + 6) % 6;
+    else if (max === g) hue = (b - r) / d + 2;
+    else hue = (r - g) / d + 4;
+
+    const hueBin = Math.min(HUE_BINS - 1, Math.floor(hue / 6 * HUE_BINS));
+    const satBin = sat < 0.55 ? 0 : 1;
+    return hueBin * SAT_BINS + satBin;
+}
@@ -0,0 +1,211 @@
+// =============================================================================
+// TALOS 2.0 - Depth Fusion
+// Keeps one depth map current between depth-model passes. Between passes the
+// fused map is warped with the operator's camera motion (ego-motion); each new
+// estimate is blended in per pixel, weighted by the map's and the estimate's
+// uncertainty (a per-pixel Kalman filter). Uncertainty grows with time and
+// motion, is highest where the warp uncovered new ground, and is exposed
+// alongside the map.
+// =============================================================================
+
+/** Estimate noise (std, normalized depth) on smooth surfaces. */
+const MEASUREMENT_STD = 0.05;
+
+/** Estimates are less reliable across depth edges: noise × (1 + gain × |gradient|). */
+const EDGE_NOISE_GAIN = 20;
+
+/** Uncertainty added per warp (std), the scene itself may have changed. */
+const AGING_STD = 0.01;
+
+/** Uncertainty added per normalized frame of camera motion (std). */
+const MOTION_STD = 0.2;
+
+/** Uncertainty of pixels the warp brought in from outside the old frame (std). */
+const UNCOVERED_STD = 0.5;
+
+/** A pixel this many sigmas off the fused value takes the estimate outright (moved object). */
+const INNOVATION_GATE = 3;
+
+/** Motion below this (depth-map pixels) is accumulated rather than warped. */
+const MIN_WARP_PX = 0.25;
+
+export class DepthFusion {
+    constructor() {
+        /** @type {Float32Array|null} Fused depth (0-1, higher = farther) */
+        this._depth = null;
+
+        /** @type {Float32Array|null} Per-pixel variance of _depth */
+        this._variance = null;
+
+        this._width = 0;
+        this._height = 0;
+        this._metersPerUnit = 1.0;
+        this._calibrated = false;
+
+        /** @type {{dx: number, dy: number, scale: number}} Motion not yet applied */
+        this._pending = { dx: 0, dy: 0, scale: 0 };
+    }
+
+    hasDepth() { return !!this._depth; }
+
+    /**
+     * Move the fused map with the camera. Motion is in EgoMotion's
+     * normalized form: a background point at (x, y) moved to
+     * (0.5 + (1 + scale)(x - 0.5) + dx, 0.5 + (1 + scale)(y - 0.5) + dy).
+     *
+     * @param {{dx: number, dy: number, scale: number}|null} cameraMotion
+     * @returns {boolean} True if the map changed
+     */
+    warp(cameraMotion) {
+        if (!this._depth || !cameraMotion) return false;
+
+        // Compose with motion held back from earlier small steps
+        const p = this._pending;
+        const s = 1 + cameraMotion.scale;
+        p.dx = s * p.dx + cameraMotion.dx;
+        p.dy = s * p.dy + cameraMotion.dy;
+        p.scale = (1 + p.scale) * s - 1;
+
+        const size = Math.max(this._width, this._height);
+        const shiftPx = (Math.hypot(p.dx, p.dy) + Math.abs(p.scale) / 2) * size;
+        if (shiftPx < MIN_WARP_PX) return false;
+
+        this._resample(p.dx, p.dy, p.scale);
+        this._pending = { dx: 0, dy: 0, scale: 0 };
+        return true;
+    }
+
+    /**
+     * Blend a new depth estimate into the fused map.
+     *
+     * @param {{depthMap: Float32Array, width: number, height: number, metersPerUnit: number, calibrated: boolean}} estimate
+     */
+    fuse(estimate) {
+        const { depthMap, width, height } = estimate;
+        this._metersPerUnit = estimate.metersPerUnit;
+        this._calibrated = estimate.calibrated;
+
+        const noise = this._measurementVariance(depthMap, width, height);
+        if (!this._depth || width !== this._width || height !== this._height) {
+            this._depth = Float32Array.from(depthMap);
+            this._variance = noise;
+            this._width = width;
+            this._height = height;
+            this._pending = { dx: 0, dy: 0, scale: 0 };
+            return;
+        }
+
+        // Motion since the last warp is small enough to ignore once fresh depth arrives
+        this._pending = { dx: 0, dy: 0, scale: 0 };
+
+        const gate = INNOVATION_GATE * INNOVATION_GATE;
+        for (let i = 0; i < depthMap.length; i++) {
+            const p = this._variance[i];
+            const r = noise[i];
+            const innovation = depthMap[i] - this._depth[i];
+            if (innovation * innovation > gate * (p + r)) {
+                this._depth[i] = depthMap[i];
+                this._variance[i] = r;
+                continue;
+            }
+            const k = p / (p + r);
+            this._depth[i] += k * innovation;
+            this._variance[i] = (1 - k) * p;
+        }
+    }
+
+    /**
+     * Copy of the fused map (safe to transfer to another thread).
+     *
+     * @returns {{depthMap: Float32Array, uncertainty: Float32Array, width: number, height: number, metersPerUnit: number, calibrated: boolean}|null}
+     *          uncertainty is the per-pixel std of depthMap
+     */
+    getResult() {
+        if (!this._depth) return null;
+        const uncertainty = new Float32Array(this._variance.length);
+        for (let i = 0; i < uncertainty.length; i++) uncertainty[i] = Math.sqrt(this._variance[i]);
+        return {
+            depthMap: Float32Array.from(this._depth),
+            uncertainty,
+            width: this._width,
+            height: this._height,
+            metersPerUnit: this._metersPerUnit,
+            calibrated: this._calibrated
+        };
+    }
+
+    /**
+     * Forget the map (camera switched).
+     */
+    reset() {
+        this._depth = null;
+        this._variance = null;
+        this._pending = { dx: 0, dy: 0, scale: 0 };
+    }
+
+    // ---- Private ----
+
+    /**
+     * Inverse-map every pixel into the previous map and sample it bilinearly;
+     * variance is carried along and grows with the motion.
+     */
+    _resample(dx, dy, scale) {
+        const w = this._width, h = this._height;
+        const depth = new Float32Array(w * h);
+        const variance = new Float32Array(w * h);
+        const motion = Math.hypot(dx, dy) + Math.abs(scale) / 2;
+        const added = AGING_STD * AGING_STD + (MOTION_STD * motion) ** 2;
+        const uncovered = UNCOVERED_STD * UNCOVERED_STD;
+        const inv = 1 / (1 + scale);
+
+        for (let y = 0; y < h; y++) {
+            // Pixel centres in normalized coordinates, back to where they were
+            const sy = (0.5 + ((y + 0.5) / h - 0.5 - dy) * inv) * h - 0.5;
+            for (let x = 0; x < w; x++) {
+                const sx = (0.5 + ((x + 0.5) / w - 0.5 - dx) * inv) * w - 0.5;
+                const i = y * w + x;
+                if (sx < -0.5 || sy < -0.5 || sx > w - 0.5 || sy > h - 0.5) {
+                    // New ground: nearest edge value as a guess
+                    depth[i] = this._depth[clamp(Math.round(sy), 0, h - 1) * w + clamp(Math.round(sx), 0, w - 1)];
+                    variance[i] = uncovered;
+                    continue;
+                }
+                const x0 = clamp(Math.floor(sx), 0, w - 1), x1 = Math.min(x0 + 1, w - 1);
+                const y0 = clamp(Math.floor(sy), 0, h - 1), y1 = Math.min(y0 + 1, h - 1);
+                const fx = clamp(sx - x0, 0, 1), fy = clamp(sy - y0, 0, 1);
+                const w00 = (1 - fx) * (1 - fy), w10 = fx * (1 - fy), w01 = (1 - fx) * fy, w11 = fx * fy;
+                const i00 = y0 * w + x0, i10 = y0 * w + x1, i01 = y1 * w + x0, i11 = y1 * w + x1;
+                depth[i] = w00 * this._depth[i00] + w10 * this._depth[i10] +
+                           w01 * this._depth[i01] + w11 * this._depth[i11];
+                variance[i] = w00 * this._variance[i00] + w10 * this._variance[i10] +
+                              w01 * this._variance[i01] + w11 * this._variance[i11] + added;
+            }
+        }
+
+        this._depth = depth;
+        this._variance = variance;
+    }
+
+    /**
+     * Per-pixel estimate variance: the model blurs depth edges, so noise
+     * rises with the local depth gradient.
+     */
+    _measurementVariance(depthMap, width, height) {
+        const variance = new Float32Array(width * height);
+        for (let y = 0; y < height; y++) {
+            const up = Math.max(0, y - 1) * width, down = Math.min(height - 1, y + 1) * width;
+            for (let x = 0; x < width; x++) {
+                const left = Math.max(0, x - 1), right = Math.min(width - 1, x + 1);
+                const gx = (depthMap[y * width + right] - depthMap[y * width + left]) / 2;
+                const gy = (depthMap[down + x] - depthMap[up + x]) / 2;
+                const std = MEASUREMENT_STD * (1 + EDGE_NOISE_GAIN * Math.hypot(gx, gy));
+                variance[y * width + x] = std * std;
+            }
+        }
+        return variance;
+    }
+}
+
+function clamp(v, lo, hi) {
+    return v < lo ? lo : v > hi ? hi : v;
+}
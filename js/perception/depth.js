@@ -3,17 +3,31 @@
 // Relative depth estimation with optional metric calibration via known objects
 // =============================================================================
 
+import { loadOnnxRuntime } from './model-registry.js';
+import { modelAssets } from './model-assets.js';
+
 /**
  * Known real-world sizes (meters) for metric depth calibration.
  * Used to convert relative depth to absolute distance when known objects are detected.
  */
-const KNOWN_SIZES = {
+export const KNOWN_SIZES = {
     person:     1.7,
     car:        4.5,
     truck:      6.0,
     bicycle:    1.8
 };
 
+/**
+ * Typical standing heights (meters), for ranging an object from its box
+ * height. Vehicles are longer than tall, so these differ from KNOWN_SIZES.
+ */
+export const KNOWN_HEIGHTS = {
+    person:     1.7,
+    car:        1.5,
+    truck:      3.0,
+    bicycle:    1.1
+};
+
 /**
  * ImageNet normalization constants used by Depth Anything V2.
  */
@@ -39,6 +53,9 @@ export class DepthEstimator {
         /** @type {number} Current meters-per-unit calibration factor */
         this._metersPerUnit = 1.0;
 
+        /** @type {boolean} Whether metersPerUnit has been calibrated from a known-size object */
+        this._calibrated = false;
+
         /** @type {boolean} Whether depth output needs inversion (lower=farther -> higher=farther) */
         this._invertDepth = true;
     }
@@ -53,18 +70,16 @@ export class DepthEstimator {
         console.log('[DEPTH] Initializing Depth Anything V2 Small...');
 
         // Lazy-load ONNX Runtime if not already loaded
-        if (typeof ort === 'undefined') {
-            console.log('[DEPTH] Loading ONNX Runtime Web...');
-            await new Promise((resolve, reject) => {
-                const script = document.createElement('script');
-                script.src = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.20.1/dist/ort.min.js';
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
-        }
+        await loadOnnxRuntime();
 
-        const modelPath = 'https://huggingface.co/onnx-community/depth-anything-v2-small/resolve/main/onnx/model_quantized.onnx';
+        let model;
+        try {
+            model = await modelAssets.load('depth-anything-v2-small');
+        } catch (err) {
+            console.error('[DEPTH] Model unavailable:', err.message);
+            this._ready = false;
+            return false;
+        }
         const backends = ['webgpu', 'wasm'];
 
         for (const backend of backends) {
@@ -76,7 +91,7 @@ export class DepthEstimator {
                     graphOptimizationLevel: 'all'
                 };
 
-                this._session = await ort.InferenceSession.create(modelPath, options);
+                this._session = await ort.InferenceSession.create(model, options);
                 this._backend = backend;
                 this._ready = true;
 
@@ -101,7 +116,7 @@ export class DepthEstimator {
      * @param {ImageData} imageData - Raw pixel data from canvas
      * @param {Array} [detections] - Optional detections for metric calibration.
      *   Each should have { class: string, bbox: [x,y,w,h] }
-     * @returns {Promise<{depthMap: Float32Array, width: number, height: number, metersPerUnit: number}|null>}
+     * @returns {Promise<{depthMap: Float32Array, width: number, height: number, metersPerUnit: number, calibrated: boolean}|null>}
      */
     async estimate(imageData, detections) {
         if (!this._ready || !this._session) {
@@ -143,7 +158,8 @@ export class DepthEstimator {
                 depthMap: resizedDepth,
                 width,
                 height,
-                metersPerUnit: this._metersPerUnit
+                metersPerUnit: this._metersPerUnit,
+                calibrated: this._calibrated
             };
         } catch (err) {
             console.error('[DEPTH] Estimation error:', err);
@@ -326,7 +342,9 @@ export class DepthEstimator {
             const median = calibrationSamples[Math.floor(calibrationSamples.length / 2)];
 
             // Exponential moving average to smooth calibration over time
-            this._metersPerUnit = this._metersPerUnit * 0.7 + median * 0.3;
+            // (the first sample replaces the uncalibrated default outright)
+            this._metersPerUnit = this._calibrated ? this._metersPerUnit * 0.7 + median * 0.3 : median;
+            this._calibrated = true;
         }
     }
 
@@ -355,36 +373,7 @@ export class DepthEstimator {
      * @returns {number} Average depth value (raw, multiply by metersPerUnit for meters)
      */
     getAverageDepthInBox(depthMap, bbox, mapWidth) {
-        if (!depthMap) return -1;
-
-        const [bx, by, bw, bh] = bbox;
-        const x0 = Math.max(0, Math.round(bx));
-        const y0 = Math.max(0, Math.round(by));
-        const x1 = Math.min(mapWidth - 1, Math.round(bx + bw));
-        const mapHeight = depthMap.length / mapWidth;
-        const y1 = Math.min(mapHeight - 1, Math.round(by + bh));
-
-        let sum = 0;
-        let count = 0;
-
-        // Sample center region (avoid edges which may include background)
-        const margin = Math.min(bw, bh) * 0.2;
-        const sx0 = Math.round(x0 + margin);
-        const sy0 = Math.round(y0 + margin);
-        const sx1 = Math.round(x1 - margin);
-        const sy1 = Math.round(y1 - margin);
-
-        for (let y = sy0; y <= sy1; y++) {
-            for (let x = sx0; x <= sx1; x++) {
-                const idx = y * mapWidth + x;
-                if (idx >= 0 && idx < depthMap.length) {
-                    sum += depthMap[idx];
-                    count++;
-                }
-            }
-        }
-
-        return count > 0 ? sum / count : -1;
+        return averageDepthInBox(depthMap, bbox, mapWidth);
     }
 
     /**
@@ -419,3 +408,46 @@ export class DepthEstimator {
         console.log('[DEPTH] Depth estimator destroyed');
     }
 }
+
+/**
+ * Average depth within a bounding box, sampling its centre region. Usable
+ * without an estimator instance (e.g. on the main thread when depth runs in
+ * the perception worker).
+ *
+ * @param {Float32Array} depthMap
+ * @param {number[]} bbox - [x, y, w, h] in depth-map pixels
+ * @param {number} mapWidth
+ * @returns {number} Average depth value (raw, multiply by metersPerUnit for meters)
+ */
+export function averageDepthInBox(depthMap, bbox, mapWidth) {
+    if (!depthMap) return -1;
+
+    const [bx, by, bw, bh] = bbox;
+    const x0 = Math.max(0, Math.round(bx));
+    const y0 = Math.max(0, Math.round(by));
+    const x1 = Math.min(mapWidth - 1, Math.round(bx + bw));
+    const mapHeight = depthMap.length / mapWidth;
+    const y1 = Math.min(mapHeight - 1, Math.round(by + bh));
+
+    let sum = 0;
+    let count = 0;
+
+    // Sample center region (avoid edges which may include background)
+    const margin = Math.min(bw, bh) * 0.2;
+    const sx0 = Math.round(x0 + margin);
+    const sy0 = Math.round(y0 + margin);
+    const sx1 = Math.round(x1 - margin);
+    const sy1 = Math.round(y1 - margin);
+
+    for (let y = sy0; y <= sy1; y++) {
+        for (let x = sx0; x <= sx1; x++) {
+            const idx = y * mapWidth + x;
+            if (idx >= 0 && idx < depthMap.length) {
+                sum += depthMap[idx];
+                count++;
+            }
+        }
+    }
+
+    return count > 0 ? sum / count : -1;
+}
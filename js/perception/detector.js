@@ -1,101 +1,66 @@
 // =============================================================================
-// TALOS 2.0 - Object Detector via MediaPipe Tasks Vision
-// Dynamically loaded, GPU-accelerated, synchronous detectForVideo()
-// EfficientDet-Lite0: purpose-built for mobile real-time detection
+// TALOS 2.0 - Object Detector
+// Runs the active model from the model registry: MediaPipe Tasks Vision for
+// TFLite models (GPU-accelerated, synchronous detectForVideo) or ONNX Runtime
+// Web for YOLO-style ONNX exports. EfficientDet-Lite0 (COCO) is the fallback
+// when a custom military-object model is not configured or fails to load.
 // =============================================================================
 
-const TACTICAL_MAP = {
-    'person':       'PERSONNEL',
-    'bicycle':      'LIGHT_VEHICLE',
-    'car':          'VEHICLE',
-    'motorcycle':   'LIGHT_VEHICLE',
-    'airplane':     'AIRCRAFT',
-    'bus':          'VEHICLE',
-    'train':        'VEHICLE',
-    'truck':        'VEHICLE',
-    'boat':         'WATERCRAFT',
-    'cell phone':   'COMMS_EQUIPMENT',
-    'laptop':       'COMMS_EQUIPMENT',
-    'backpack':     'SUPPLY_PACK',
-    'suitcase':     'SUPPLY_PACK',
-    'handbag':      'SUPPLY_PACK',
-    'knife':        'EDGED_WEAPON',
-    'scissors':     'EDGED_WEAPON'
-};
-
-const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
-const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/object_detector/efficientdet_lite0/float16/1/efficientdet_lite0.tflite';
+import { getBranchesByDetection } from '../knowledge/army-branches.js';
+import { loadOnnxRuntime, ModelFormat, modelRegistry } from './model-registry.js';
+import { modelAssets, MEDIAPIPE_CDN } from './model-assets.js';
+import { UAS_CLASS } from './sky-detector.js';
+
+/** Most detections returned per frame. */
+const MAX_RESULTS = 20;
+
+/** Same-class boxes overlapping more than this are suppressed (ONNX models). */
+const NMS_IOU = 0.45;
+
+/** Letterbox fill (YOLO convention). */
+const PAD_COLOR = 'rgb(114, 114, 114)';
 
 export class Detector {
     constructor() {
-        this._detector = null;
+        this._detector = null;      // MediaPipe ObjectDetector
+        this._session = null;       // ONNX InferenceSession
+        this._model = null;         // Active registry entry
         this._ready = false;
         this._backend = 'unknown';
         this._confThreshold = 0.3;
+        this._canvas = null;        // ONNX letterbox canvas
+        this._ctx = null;
     }
 
     /**
-     * Initialize MediaPipe Object Detector.
-     * Dynamically imports the library - no upfront script tag needed.
+     * Load a detection model, falling back to the built-in COCO model if it
+     * cannot be loaded.
+     *
+     * @param {Object} [model] - modelRegistry entry (default: the COCO fallback)
+     * @returns {Promise<boolean>} True if any model loaded
      */
-    async init() {
-        console.log('[DETECTOR] Loading MediaPipe Tasks Vision...');
-
-        try {
-            // Dynamically import MediaPipe (no script tag needed)
-            const vision = await import(`${MEDIAPIPE_CDN}/vision_bundle.mjs`);
-            const { ObjectDetector, FilesetResolver } = vision;
-
-            console.log('[DETECTOR] Initializing WASM runtime...');
-            const filesetResolver = await FilesetResolver.forVisionTasks(
-                `${MEDIAPIPE_CDN}/wasm`
-            );
-
-            // Try GPU delegate first, fall back to CPU
-            try {
-                this._detector = await ObjectDetector.createFromOptions(filesetResolver, {
-                    baseOptions: {
-                        modelAssetPath: MODEL_URL,
-                        delegate: 'GPU'
-                    },
-                    scoreThreshold: this._confThreshold,
-                    maxResults: 20,
-                    runningMode: 'VIDEO'
-                });
-                this._backend = 'GPU';
-            } catch (gpuErr) {
-                console.warn('[DETECTOR] GPU delegate failed, using CPU:', gpuErr.message);
-                this._detector = await ObjectDetector.createFromOptions(filesetResolver, {
-                    baseOptions: {
-                        modelAssetPath: MODEL_URL
-                    },
-                    scoreThreshold: this._confThreshold,
-                    maxResults: 20,
-                    runningMode: 'VIDEO'
-                });
-                this._backend = 'CPU';
-            }
-
-            this._ready = true;
-            console.log(`[DETECTOR] EfficientDet-Lite0 loaded (${this._backend})`);
-            return true;
-        } catch (err) {
-            console.error('[DETECTOR] Failed to load:', err);
-            this._ready = false;
-            return false;
+    async init(model = modelRegistry.getFallback()) {
+        const fallback = modelRegistry.getFallback();
+        if (model !== fallback) {
+            if (await this._load(model)) return true;
+            console.warn(`[DETECTOR] ${model.name} unavailable - falling back to ${fallback.name}`);
         }
+        return this._load(fallback);
     }
 
     /**
      * Run detection on video element.
-     * detectForVideo is SYNCHRONOUS - fastest possible, no async overhead.
+     * MediaPipe detectForVideo is SYNCHRONOUS; ONNX models resolve asynchronously,
+     * so callers should await the result.
      *
-     * @param {HTMLVideoElement} video
-     * @returns {Array}
+     * @param {HTMLVideoElement|ImageBitmap|VideoFrame|OffscreenCanvas} video - Frame source
+     * @returns {Array|Promise<Array>} { classId, class, tacticalClass, branches, score, bbox } in source pixels
      */
     detect(video) {
-        if (!this._ready || !this._detector) return [];
+        if (!this._ready) return [];
         if (!video || video.readyState < 2) return [];
+        if (this._session) return this._detectOnnx(video);
+        if (!this._detector) return [];
 
         try {
             // Synchronous detection - no await needed
@@ -106,13 +71,8 @@ export class Detector {
             return results.detections.map(d => {
                 const cat = d.categories[0];
                 const bb = d.boundingBox;
-                return {
-                    classId: cat.index,
-                    class: cat.categoryName,
-                    tacticalClass: TACTICAL_MAP[cat.categoryName] || 'OBJECT',
-                    score: cat.score,
-                    bbox: [bb.originX, bb.originY, bb.width, bb.height]
-                };
+                const label = cat.categoryName || this._model.labels?.[cat.index] || String(cat.index);
+                return this._toDetection(cat.index, label, cat.score, [bb.originX, bb.originY, bb.width, bb.height]);
             });
         } catch (err) {
             console.error('[DETECTOR] Detection error:', err);
@@ -120,12 +80,26 @@ export class Detector {
         }
     }
 
+    /**
+     * Tactical category and Army branches of a label under the active model.
+     *
+     * @param {string} label
+     * @returns {{tacticalClass: string, branches: string[]|null}}
+     */
+    classify(label) {
+        return classifyDetection(this._model || modelRegistry.getFallback(), label);
+    }
+
     isReady() { return this._ready; }
     getBackend() { return this._backend; }
+    getModel() { return this._model; }
 
     setThresholds(confidence) {
         if (confidence !== undefined) {
             this._confThreshold = Math.max(0, Math.min(1, confidence));
+            // MediaPipe filters inside detectForVideo; ONNX decoding reads _confThreshold
+            this._detector?.setOptions({ scoreThreshold: this._confThreshold })
+                .catch(err => console.warn('[DETECTOR] Threshold update failed:', err.message));
         }
     }
 
@@ -134,6 +108,193 @@ export class Detector {
             this._detector.close();
             this._detector = null;
         }
+        if (this._session) {
+            await this._session.release?.();
+            this._session = null;
+        }
         this._ready = false;
     }
+
+    // ---- Private ----
+
+    async _load(model) {
+        await this.destroy();
+        this._confThreshold = model.scoreThreshold;
+        try {
+            if (model.format === ModelFormat.ONNX) await this._loadOnnx(model);
+            else await this._loadMediaPipe(model);
+            this._model = model;
+            this._ready = true;
+            console.log(`[DETECTOR] ${model.name} loaded (${this._backend})`);
+            return true;
+        } catch (err) {
+            console.error(`[DETECTOR] Failed to load ${model.name}:`, err);
+            this._ready = false;
+            return false;
+        }
+    }
+
+    async _loadMediaPipe(model) {
+        console.log('[DETECTOR] Loading MediaPipe Tasks Vision...');
+
+        // Dynamically import MediaPipe (no script tag needed)
+        const vision = await import(`${MEDIAPIPE_CDN}/vision_bundle.mjs`);
+        const { ObjectDetector, FilesetResolver } = vision;
+
+        console.log('[DETECTOR] Initializing WASM runtime...');
+        const filesetResolver = await FilesetResolver.forVisionTasks(
+            `${MEDIAPIPE_CDN}/wasm`
+        );
+
+        // Verified bytes from the asset cache, not a URL the runtime fetches itself
+        const modelAssetBuffer = await modelAssets.load(model);
+        const options = (delegate) => ({
+            baseOptions: delegate ? { modelAssetBuffer, delegate } : { modelAssetBuffer },
+            scoreThreshold: this._confThreshold,
+            maxResults: MAX_RESULTS,
+            runningMode: 'VIDEO'
+        });
+
+        // Try GPU delegate first, fall back to CPU
+        try {
+            this._detector = await ObjectDetector.createFromOptions(filesetResolver, options('GPU'));
+            this._backend = 'GPU';
+        } catch (gpuErr) {
+            console.warn('[DETECTOR] GPU delegate failed, using CPU:', gpuErr.message);
+            this._detector = await ObjectDetector.createFromOptions(filesetResolver, options(null));
+            this._backend = 'CPU';
+        }
+    }
+
+    async _loadOnnx(model) {
+        await loadOnnxRuntime();
+        const bytes = await modelAssets.load(model);
+        let lastErr = null;
+        for (const backend of ['webgpu', 'wasm']) {
+            try {
+                this._session = await ort.InferenceSession.create(bytes, {
+                    executionProviders: [backend],
+                    graphOptimizationLevel: 'all'
+                });
+                this._backend = backend.toUpperCase();
+                return;
+            } catch (err) {
+                console.warn(`[DETECTOR] ${backend.toUpperCase()} backend failed:`, err.message);
+                lastErr = err;
+            }
+        }
+        throw lastErr;
+    }
+
+    /**
+     * Letterbox the frame to the model input, run it, decode YOLO output
+     * ([1, 4 + classes, anchors] or its transpose; boxes as centre/size in
+     * input pixels) and apply per-class NMS.
+     */
+    async _detectOnnx(video) {
+        const model = this._model;
+        const size = model.inputSize;
+        const vw = video.videoWidth || video.displayWidth || video.width;
+        const vh = video.videoHeight || video.displayHeight || video.height;
+        if (!vw || !vh) return [];
+
+        try {
+            if (!this._canvas || this._canvas.width !== size) {
+                this._canvas = new OffscreenCanvas(size, size);
+                this._ctx = this._canvas.getContext('2d', { willReadFrequently: true });
+            }
+            const scale = Math.min(size / vw, size / vh);
+            const padX = (size - vw * scale) / 2;
+            const padY = (size - vh * scale) / 2;
+            this._ctx.fillStyle = PAD_COLOR;
+            this._ctx.fillRect(0, 0, size, size);
+            this._ctx.drawImage(video, padX, padY, vw * scale, vh * scale);
+            const { data } = this._ctx.getImageData(0, 0, size, size);
+
+            // RGBA → planar RGB, 0..1
+            const plane = size * size;
+            const input = new Float32Array(3 * plane);
+            for (let i = 0; i < plane; i++) {
+                input[i] = data[i * 4] / 255;
+                input[plane + i] = data[i * 4 + 1] / 255;
+                input[2 * plane + i] = data[i * 4 + 2] / 255;
+            }
+
+            const feeds = { [this._session.inputNames[0]]: new ort.Tensor('float32', input, [1, 3, size, size]) };
+            const results = await this._session.run(feeds);
+            const output = results[this._session.outputNames[0]];
+
+            const classes = model.labels.length;
+            const channelsFirst = output.dims[1] === 4 + classes;
+            const anchors = channelsFirst ? output.dims[2] : output.dims[1];
+            const at = channelsFirst
+                ? (a, c) => output.data[c * anchors + a]
+                : (a, c) => output.data[a * (4 + classes) + c];
+
+            const candidates = [];
+            for (let a = 0; a < anchors; a++) {
+                let best = 0, cls = -1;
+                for (let c = 0; c < classes; c++) {
+                    const s = at(a, 4 + c);
+                    if (s > best) { best = s; cls = c; }
+                }
+                if (best < this._confThreshold) continue;
+                const w = at(a, 2), h = at(a, 3);
+                candidates.push({
+                    cls, score: best,
+                    bbox: [(at(a, 0) - w / 2 - padX) / scale, (at(a, 1) - h / 2 - padY) / scale, w / scale, h / scale]
+                });
+            }
+
+            return this._nms(candidates).map(d => this._toDetection(d.cls, model.labels[d.cls], d.score, d.bbox));
+        } catch (err) {
+            console.error('[DETECTOR] Detection error:', err);
+            return [];
+        }
+    }
+
+    _nms(candidates) {
+        candidates.sort((a, b) => b.score - a.score);
+        const kept = [];
+        for (const c of candidates) {
+            if (kept.length >= MAX_RESULTS) break;
+            if (kept.some(k => k.cls === c.cls && iou(k.bbox, c.bbox) > NMS_IOU)) continue;
+            kept.push(c);
+        }
+        return kept;
+    }
+
+    _toDetection(classId, label, score, bbox) {
+        return { classId, class: label, ...this.classify(label), score, bbox };
+    }
+}
+
+/**
+ * Tactical category and Army branches of a label under a model. Models
+ * without their own branch map leave branch matching to the tactical category
+ * (COCO). Sky-detector hits are UAS under any model.
+ *
+ * @param {Object} model - modelRegistry entry
+ * @param {string} label
+ * @returns {{tacticalClass: string, branches: string[]|null}}
+ */
+export function classifyDetection(model, label) {
+    return {
+        tacticalClass: model.tactical[label] || (label === UAS_CLASS ? 'UAS' : 'UNKNOWN'),
+        branches: model.branches ? getBranchesByDetection(label, model.branches) : null
+    };
+}
+
+/**
+ * Intersection over union of two [x, y, w, h] boxes.
+ * @private
+ */
+function iou(a, b) {
+    const x0 = Math.max(a[0], b[0]);
+    const y0 = Math.max(a[1], b[1]);
+    const x1 = Math.min(a[0] + a[2], b[0] + b[2]);
+    const y1 = Math.min(a[1] + a[3], b[1] + b[3]);
+    const inter = Math.max(0, x1 - x0) * Math.max(0, y1 - y0);
+    const union = a[2] * a[3] + b[2] * b[3] - inter;
+    return union > 0 ? inter / union : 0;
 }
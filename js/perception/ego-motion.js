@@ -0,0 +1,236 @@
+// =============================================================================
+// TALOS 2.0 - Ego-Motion Estimator
+// Global image motion caused by the operator: panning, tilting and walking.
+// It is estimated from sparse block-matching optical flow on the background
+// between detection frames, with the DeviceMotion gyro as a fallback. The
+// tracker subtracts it so that track velocities are the target's own motion.
+// =============================================================================
+
+const DEG = Math.PI / 180;
+
+/** Side of the grey frame used for optical flow (px). */
+const FLOW_SIZE = 96;
+
+/** Block size for matching (px at FLOW_SIZE). */
+const PATCH = 8;
+
+/** Search radius (px at FLOW_SIZE): ±8% of the frame per detection interval. */
+const SEARCH = 8;
+
+/** Candidate patches per axis (PATCH_GRID x PATCH_GRID over the frame). */
+const PATCH_GRID = 6;
+
+/** Mean absolute gradient a patch needs to be matched reliably. */
+const MIN_TEXTURE = 6;
+
+/** Background patches needed to trust the flow estimate. */
+const MIN_PATCHES = 6;
+
+/** Patch displacement further than this from the fit is an outlier (px). */
+const OUTLIER_PX = 1.5;
+
+/** Gyro readings older than this are not used (ms). */
+const GYRO_STALE_MS = 500;
+
+export const EgoSource = Object.freeze({
+    FLOW: 'FLOW',      // Optical flow on background patches
+    GYRO: 'GYRO',      // Integrated DeviceMotion rotation rate
+    NONE: 'NONE'
+});
+
+export class EgoMotion {
+    constructor() {
+        /** @type {Float32Array|null} Grey frame from the previous estimate */
+        this._prevGray = null;
+
+        /** @type {{yaw: number, pitch: number}} Rotation since the last estimate (deg) */
+        this._gyro = { yaw: 0, pitch: 0 };
+
+        /** @type {number} performance.now() of the last DeviceMotion sample */
+        this._lastMotionAt = 0;
+
+        /** @type {{dx: number, dy: number, scale: number, source: string}} */
+        this.lastShift = { dx: 0, dy: 0, scale: 0, source: EgoSource.NONE };
+    }
+
+    /**
+     * DeviceMotion handler: integrate the rotation rate. Assumes the device is
+     * held roughly upright in portrait (rear camera), so yaw is rotation about
+     * the device Y axis (gamma) and pitch about its X axis (beta).
+     *
+     * @param {DeviceMotionEvent} event
+     */
+    addMotion(event) {
+        const rate = event.rotationRate;
+        if (!rate || rate.beta == null || rate.gamma == null) return;
+        // Spec says milliseconds; older iOS reports seconds
+        const interval = event.interval || 16;
+        const dt = interval > 1 ? interval / 1000 : interval;
+        this._gyro.yaw += rate.gamma * dt;
+        this._gyro.pitch += rate.beta * dt;
+        this._lastMotionAt = performance.now();
+    }
+
+    /**
+     * Image motion since the previous call, in normalized frame units: a
+     * background point at (x, y) moved to
+     * (0.5 + (1 + scale)(x - 0.5) + dx, 0.5 + (1 + scale)(y - 0.5) + dy).
+     *
+     * @param {ImageData|null} frame - Current frame (any size, full field of view)
+     * @param {number[][]} excludeBoxes - Normalized [x, y, w, h] of moving targets
+     * @param {{hfov: number, aspect: number}} camera - For converting gyro angles
+     * @returns {{dx: number, dy: number, scale: number, source: string}}
+     */
+    estimate(frame, excludeBoxes, camera) {
+        const gray = frame ? this._toGray(frame) : null;
+        const flow = gray && this._prevGray ? this._flow(this._prevGray, gray, excludeBoxes) : null;
+        if (gray) this._prevGray = gray;
+
+        // Small-angle projection of the camera rotation into the image
+        const tanH = Math.tan((camera?.hfov || 60) / 2 * DEG);
+        const tanV = tanH * (camera?.aspect || 16 / 9);
+        const gyroFresh = performance.now() - this._lastMotionAt < GYRO_STALE_MS;
+        const gyro = {
+            dx: this._gyro.yaw * DEG / (2 * tanH),      // turning left moves the scene right
+            dy: this._gyro.pitch * DEG / (2 * tanV),    // tilting up moves the scene down
+            scale: 0,
+            source: EgoSource.GYRO
+        };
+        this._gyro = { yaw: 0, pitch: 0 };
+
+        this.lastShift = flow || (gyroFresh ? gyro : { dx: 0, dy: 0, scale: 0, source: EgoSource.NONE });
+        return this.lastShift;
+    }
+
+    /** Forget the previous frame (e.g. after a pause). */
+    reset() {
+        this._prevGray = null;
+        this._gyro = { yaw: 0, pitch: 0 };
+    }
+
+    /**
+     * Downsample to a FLOW_SIZE² grey image.
+     * @private
+     */
+    _toGray(frame) {
+        const { width, height, data } = frame;
+        const gray = new Float32Array(FLOW_SIZE * FLOW_SIZE);
+        for (let y = 0; y < FLOW_SIZE; y++) {
+            const sy = Math.floor((y + 0.5) * height / FLOW_SIZE);
+            for (let x = 0; x < FLOW_SIZE; x++) {
+                const i = (sy * width + Math.floor((x + 0.5) * width / FLOW_SIZE)) * 4;
+                gray[y * FLOW_SIZE + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+            }
+        }
+        return gray;
+    }
+
+    /**
+     * Block-match background patches from prev to cur, then fit translation +
+     * zoom about the frame centre by least squares with outlier rejection.
+     * @private
+     */
+    _flow(prev, cur, excludeBoxes) {
+        const samples = [];
+        const margin = SEARCH + 1;
+        const step = (FLOW_SIZE - 2 * margin - PATCH) / (PATCH_GRID - 1);
+
+        for (let gy = 0; gy < PATCH_GRID; gy++) {
+            for (let gx = 0; gx < PATCH_GRID; gx++) {
+                const px = Math.round(margin + gx * step);
+                const py = Math.round(margin + gy * step);
+                if (this._overlaps(px, py, excludeBoxes)) continue;
+                if (this._texture(prev, px, py) < MIN_TEXTURE) continue;
+                const d = this._match(prev, cur, px, py);
+                if (d) samples.push({ x: px + PATCH / 2 - FLOW_SIZE / 2, y: py + PATCH / 2 - FLOW_SIZE / 2, dx: d.dx, dy: d.dy });
+            }
+        }
+        if (samples.length < MIN_PATCHES) return null;
+
+        let fit = this._fitSimilarity(samples);
+        const inliers = samples.filter(s =>
+            Math.hypot(s.dx - fit.tx - fit.s * s.x, s.dy - fit.ty - fit.s * s.y) <= OUTLIER_PX);
+        if (inliers.length < MIN_PATCHES) return null;
+        fit = this._fitSimilarity(inliers);
+
+        return { dx: fit.tx / FLOW_SIZE, dy: fit.ty / FLOW_SIZE, scale: fit.s, source: EgoSource.FLOW };
+    }
+
+    /**
+     * d = t + s·p over patch centres p (relative to the frame centre).
+     * @private
+     */
+    _fitSimilarity(samples) {
+        const n = samples.length;
+        let mx = 0, my = 0, mdx = 0, mdy = 0;
+        for (const s of samples) { mx += s.x; my += s.y; mdx += s.dx; mdy += s.dy; }
+        mx /= n; my /= n; mdx /= n; mdy /= n;
+
+        let num = 0, den = 0;
+        for (const s of samples) {
+            const qx = s.x - mx, qy = s.y - my;
+            num += qx * (s.dx - mdx) + qy * (s.dy - mdy);
+            den += qx * qx + qy * qy;
+        }
+        const scale = den > 0 ? num / den : 0;
+        return { tx: mdx - scale * mx, ty: mdy - scale * my, s: scale };
+    }
+
+    /**
+     * Best SAD offset of one patch, refined to sub-pixel with a parabola.
+     * @private
+     */
+    _match(prev, cur, px, py) {
+        const sad = (ox, oy) => {
+            let sum = 0;
+            for (let y = 0; y < PATCH; y++) {
+                const a = (py + y) * FLOW_SIZE + px;
+                const b = (py + y + oy) * FLOW_SIZE + px + ox;
+                for (let x = 0; x < PATCH; x++) sum += Math.abs(prev[a + x] - cur[b + x]);
+            }
+            return sum;
+        };
+
+        const size = 2 * SEARCH + 1;
+        const costs = new Float32Array(size * size);
+        let best = Infinity, bx = 0, by = 0;
+        for (let oy = -SEARCH; oy <= SEARCH; oy++) {
+            for (let ox = -SEARCH; ox <= SEARCH; ox++) {
+                const c = sad(ox, oy);
+                costs[(oy + SEARCH) * size + ox + SEARCH] = c;
+                if (c < best) { best = c; bx = ox; by = oy; }
+            }
+        }
+        // A best match on the search border may lie outside it
+        if (Math.abs(bx) === SEARCH || Math.abs(by) === SEARCH) return null;
+
+        const at = (ox, oy) => costs[(oy + SEARCH) * size + ox + SEARCH];
+        const refine = (m, c, p) => {
+            const den = m - 2 * c + p;
+            return den > 0 ? 0.5 * (m - p) / den : 0;
+        };
+        return {
+            dx: bx + refine(at(bx - 1, by), best, at(bx + 1, by)),
+            dy: by + refine(at(bx, by - 1), best, at(bx, by + 1))
+        };
+    }
+
+    /** Mean absolute gradient inside a patch. @private */
+    _texture(img, px, py) {
+        let sum = 0;
+        for (let y = 0; y < PATCH; y++) {
+            for (let x = 0; x < PATCH; x++) {
+                const i = (py + y) * FLOW_SIZE + px + x;
+                sum += Math.abs(img[i + 1] - img[i]) + Math.abs(img[i + FLOW_SIZE] - img[i]);
+            }
+        }
+        return sum / (PATCH * PATCH);
+    }
+
+    /** Patch (with its search window) touches a target box. @private */
+    _overlaps(px, py, boxes) {
+        const x0 = (px - SEARCH) / FLOW_SIZE, x1 = (px + PATCH + SEARCH) / FLOW_SIZE;
+        const y0 = (py - SEARCH) / FLOW_SIZE, y1 = (py + PATCH + SEARCH) / FLOW_SIZE;
+        return boxes.some(([bx, by, bw, bh]) => bx < x1 && bx + bw > x0 && by < y1 && by + bh > y0);
+    }
+}
@@ -0,0 +1,320 @@
+// =============================================================================
+// TALOS 2.0 - Geo Projector
+// Projects camera-space tracks to world coordinates. Combines the operator's
+// GPS fix, compass heading, device pitch/roll (DeviceOrientation), the camera
+// field of view and the DepthEstimator's metric range. Each track gets a
+// lat/lon plus a 1-sigma uncertainty ellipse. Tracks that leave the frame are
+// remembered at their last world position for a while.
+// =============================================================================
+
+import { CAMERA_HFOV_DEG, destinationPoint, distanceMeters, initialBearing, normalizeBearing } from '../core/geo.js';
+import { clock } from '../core/clock.js';
+
+const DEG = Math.PI / 180;
+
+/** Eye height of a handheld / head-mounted camera above the ground (m). */
+const CAMERA_HEIGHT_M = 1.6;
+
+/** Compass error (deg, 1-sigma) - dominates cross-range error. */
+const HEADING_SIGMA_DEG = 5;
+
+/** Device pitch error (deg, 1-sigma) for the flat-ground range estimate. */
+const PITCH_SIGMA_DEG = 2;
+
+/** Relative range error of metric depth (calibrated / uncalibrated). */
+const DEPTH_SIGMA = { calibrated: 0.2, uncalibrated: 0.5 };
+
+/** Flat-ground ranging needs the foot point at least this far below horizon. */
+const MIN_DEPRESSION_DEG = 1;
+
+/** Farthest range accepted from either method (m). */
+const MAX_RANGE_M = 2000;
+
+/** How long an off-screen track is remembered (ms). */
+const MEMORY_MS = 5 * 60 * 1000;
+
+export const RangeMethod = Object.freeze({
+    DEPTH: 'DEPTH',        // DepthEstimator metric range along the ray
+    GROUND: 'GROUND',      // Foot-point ray intersected with flat ground
+    NONE: 'NONE'
+});
+
+export class GeoProjector {
+    constructor() {
+        /** @type {{lat: number, lon: number}|null} */
+        this._position = null;
+
+        /** @type {number} GPS horizontal accuracy (m, 1-sigma) */
+        this._positionSigma = 10;
+
+        /** @type {number} Compass heading of the camera axis (deg true) */
+        this._heading = 0;
+
+        /** @type {number} Camera elevation above horizon (deg, + = up) */
+        this._pitch = 0;
+
+        /** @type {number} Clockwise rotation of the image about the camera axis (deg) */
+        this._roll = 0;
+
+        /** @type {number} Horizontal field of view (deg) */
+        this._hfov = CAMERA_HFOV_DEG;
+
+        /** @type {number} Frame height / width */
+        this._aspect = 16 / 9;
+
+        /** @type {Map<string, Object>} Track id → last world fix */
+        this._memory = new Map();
+    }
+
+    /**
+     * @param {number} lat
+     * @param {number} lon
+     * @param {number} [accuracy] - GPS accuracy (m), treated as 1-sigma
+     */
+    setPosition(lat, lon, accuracy) {
+        this._position = { lat, lon };
+        if (Number.isFinite(accuracy) && accuracy > 0) this._positionSigma = accuracy;
+    }
+
+    getPosition() {
+        return this._position;
+    }
+
+    setHeading(heading) {
+        this._heading = heading || 0;
+    }
+
+    /**
+     * Camera pitch and roll from DeviceOrientation beta/gamma (portrait, rear
+     * camera). Uses the W3C Z-X'-Y'' rotation; alpha is irrelevant for tilt.
+     *
+     * @param {number|null} beta - Front/back tilt (deg, 90 = upright)
+     * @param {number|null} gamma - Left/right tilt (deg)
+     */
+    setOrientation(beta, gamma) {
+        if (beta == null || gamma == null) return;
+        const b = beta * DEG, g = gamma * DEG;
+
+        // Vertical components of the device axes after R = Rx(beta)·Ry(gamma).
+        // Working from vectors sidesteps the Euler-angle jumps near upright.
+        const forwardZ = -Math.cos(g) * Math.cos(b);   // rear camera axis, R·(0,0,-1)
+        const upZ = Math.sin(b);                       // image up, R·(0,1,0)
+        const rightZ = -Math.sin(g) * Math.cos(b);     // image right, R·(1,0,0)
+
+        this._pitch = Math.asin(Math.max(-1, Math.min(1, forwardZ))) / DEG;
+        this._roll = Math.atan2(-rightZ, upZ) / DEG;
+    }
+
+    /**
+     * @param {number} hfovDeg - Horizontal field of view of the frame
+     * @param {number} width - Frame width (any unit)
+     * @param {number} height - Frame height
+     */
+    setCamera(hfovDeg, width, height) {
+        if (hfovDeg) this._hfov = hfovDeg;
+        if (width > 0 && height > 0) this._aspect = height / width;
+    }
+
+    /**
+     * @returns {{position: Object|null, positionSigma: number, heading: number, pitch: number, roll: number, hfov: number, aspect: number}}
+     */
+    getPose() {
+        return {
+            position: this._position, positionSigma: this._positionSigma,
+            heading: this._heading, pitch: this._pitch, roll: this._roll,
+            hfov: this._hfov, aspect: this._aspect
+        };
+    }
+
+    /**
+     * Restore a pose captured with getPose() (session replay).
+     *
+     * @param {Object} pose
+     */
+    setPose(pose) {
+        this._position = pose.position;
+        this._positionSigma = pose.positionSigma;
+        this._heading = pose.heading;
+        this._pitch = pose.pitch;
+        this._roll = pose.roll;
+        this._hfov = pose.hfov;
+        this._aspect = pose.aspect;
+    }
+
+    /**
+     * Direction of a normalized image point: bearing (deg true) and elevation
+     * (deg above horizon), correcting for roll and pitch.
+     *
+     * @param {number} x - 0..1 across the frame
+     * @param {number} y - 0..1 down the frame
+     * @returns {{bearing: number, elevation: number}}
+     */
+    rayAt(x, y) {
+        const tanH = Math.tan(this._hfov / 2 * DEG);
+        const tanV = tanH * this._aspect;
+        const px = (x - 0.5) * 2 * tanH;
+        const py = (0.5 - y) * 2 * tanV;
+
+        // Undo image roll
+        const r = this._roll * DEG;
+        const rx = px * Math.cos(r) + py * Math.sin(r);
+        const ry = -px * Math.sin(r) + py * Math.cos(r);
+
+        // Tilt by pitch: camera frame (right, up, forward) → level frame
+        const p = this._pitch * DEG;
+        const forward = Math.cos(p) - ry * Math.sin(p);
+        const up = ry * Math.cos(p) + Math.sin(p);
+
+        return {
+            bearing: normalizeBearing(this._heading + Math.atan2(rx, forward) / DEG),
+            elevation: Math.atan2(up, Math.hypot(rx, forward)) / DEG
+        };
+    }
+
+    /**
+     * Inverse of rayAt for a world point: where it appears in the frame.
+     *
+     * @param {{lat: number, lon: number}} geo
+     * @param {number} [heightM=0] - Height above the ground the operator stands on
+     * @returns {{x: number, y: number, range: number}|null} Normalized frame
+     *          coordinates (may fall outside 0..1), or null when behind the camera
+     */
+    worldToImage(geo, heightM = 0) {
+        if (!this._position) return null;
+        const range = distanceMeters(this._position, geo);
+        const rel = (initialBearing(this._position, geo) - this._heading) * DEG;
+
+        // Level frame (right, up, forward) → camera frame: undo pitch
+        const right = range * Math.sin(rel);
+        const forward = range * Math.cos(rel);
+        const up = heightM - CAMERA_HEIGHT_M;
+        const p = this._pitch * DEG;
+        const camUp = up * Math.cos(p) - forward * Math.sin(p);
+        const camForward = up * Math.sin(p) + forward * Math.cos(p);
+        if (camForward <= 0.1) return null;
+
+        // Perspective divide, then re-apply image roll
+        const rx = right / camForward;
+        const ry = camUp / camForward;
+        const r = this._roll * DEG;
+        const px = rx * Math.cos(r) - ry * Math.sin(r);
+        const py = rx * Math.sin(r) + ry * Math.cos(r);
+
+        const tanH = Math.tan(this._hfov / 2 * DEG);
+        const tanV = tanH * this._aspect;
+        return { x: 0.5 + px / (2 * tanH), y: 0.5 - py / (2 * tanV), range };
+    }
+
+    /**
+     * Project one detection to the ground.
+     *
+     * @param {{bbox: number[], distance?: {meters: number, calibrated?: boolean}|null}} det
+     * @returns {{geo: {lat: number, lon: number}, bearing: number, groundRange: number,
+     *            method: string, ellipse: {semiMajor: number, semiMinor: number, orientation: number}}|null}
+     */
+    project(det) {
+        if (!this._position || !det.bbox) return null;
+        const [bx, by, bw, bh] = det.bbox;
+
+        // Centre ray for bearing/depth; foot point (bbox bottom) for ground ranging
+        const centre = this.rayAt(bx + bw / 2, by + bh / 2);
+        const foot = this.rayAt(bx + bw / 2, by + bh);
+
+        let groundRange = null;
+        let rangeSigma = null;
+        let method = RangeMethod.NONE;
+
+        if (det.distance?.meters > 0) {
+            groundRange = det.distance.meters * Math.cos(centre.elevation * DEG);
+            rangeSigma = groundRange * (det.distance.calibrated ? DEPTH_SIGMA.calibrated : DEPTH_SIGMA.uncalibrated);
+            method = RangeMethod.DEPTH;
+        }
+
+        // Flat ground: better than an uncalibrated depth guess when the foot is well below horizon
+        const depression = -foot.elevation;
+        if (depression > MIN_DEPRESSION_DEG && !det.distance?.calibrated) {
+            const d = depression * DEG;
+            const range = CAMERA_HEIGHT_M / Math.tan(d);
+            const sigma = CAMERA_HEIGHT_M / (Math.sin(d) ** 2) * PITCH_SIGMA_DEG * DEG;
+            if (range <= MAX_RANGE_M && (rangeSigma === null || sigma < rangeSigma)) {
+                groundRange = range;
+                rangeSigma = sigma;
+                method = RangeMethod.GROUND;
+            }
+        }
+
+        if (groundRange === null || groundRange > MAX_RANGE_M) return null;
+
+        const crossSigma = groundRange * HEADING_SIGMA_DEG * DEG;
+        const along = Math.hypot(rangeSigma, this._positionSigma);
+        const cross = Math.hypot(crossSigma, this._positionSigma);
+
+        return {
+            geo: destinationPoint(this._position, centre.bearing, groundRange),
+            bearing: centre.bearing,
+            groundRange,
+            method,
+            ellipse: {
+                semiMajor: Math.max(along, cross),
+                semiMinor: Math.min(along, cross),
+                // Major axis along the line of sight when range error dominates
+                orientation: along >= cross ? centre.bearing : normalizeBearing(centre.bearing + 90)
+            }
+        };
+    }
+
+    /**
+     * Project every detection in place (adds det.geo, det.geoError, det.bearing)
+     * and refresh the track memory.
+     *
+     * @param {Object[]} detections
+     * @returns {Object[]} The same detections
+     */
+    update(detections) {
+        const now = clock.now();
+        const visible = new Set();
+
+        for (const det of detections) {
+            const fix = this.project(det);
+            det.geo = fix ? fix.geo : null;
+            det.geoError = fix ? { ...fix.ellipse, method: fix.method } : null;
+            det.bearing = fix ? Math.round(fix.bearing) : null;
+            if (!fix || det.state === 'LOST') continue;
+
+            visible.add(det.id);
+            this._memory.set(det.id, {
+                id: det.id,
+                class: det.class,
+                tacticalClass: det.tacticalClass,
+                classification: det.classification,
+                threatLevel: det.threatLevel,
+                geo: fix.geo,
+                geoError: det.geoError,
+                lastSeen: now
+            });
+        }
+
+        for (const [id, rec] of this._memory) {
+            rec.visible = visible.has(id);
+            if (rec.visible) continue;
+            // Forget stale memories, and ones a visible track of the same class now covers
+            const reacquired = detections.some(d => d.geo && d.class === rec.class &&
+                distanceMeters(d.geo, rec.geo) <= rec.geoError.semiMajor);
+            if (now - rec.lastSeen > MEMORY_MS || reacquired) this._memory.delete(id);
+        }
+        return detections;
+    }
+
+    /**
+     * Tracks no longer in the frame, at their last world position.
+     *
+     * @returns {Object[]} { id, class, tacticalClass, classification, threatLevel, geo, geoError, lastSeen }
+     */
+    getRememberedTracks() {
+        return [...this._memory.values()].filter(r => !r.visible);
+    }
+
+    clear() {
+        this._memory.clear();
+    }
+}
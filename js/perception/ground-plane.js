@@ -0,0 +1,272 @@
+// =============================================================================
+// TALOS 2.0 - Ground Plane Estimator
+// Scene geometry from the fused depth map and the device gravity vector
+// (DeviceOrientation pitch/roll). Depth pixels are back-projected into a
+// level, gravity-aligned frame; a plane fitted to the ground below the
+// horizon gives the operator's ground, its slope and the camera height. Each
+// cell of a coarse grid is classified ground / vertical / sky and gets its
+// height above the operator's ground, surface slope and horizontal distance,
+// so terrain analysis can work geometrically.
+// =============================================================================
+
+const DEG = Math.PI / 180;
+
+/** Grid cells per side sampled from the depth map. */
+const GRID = 48;
+
+/** Eye height assumed when depth is uncalibrated (m); sets the metric scale. */
+const CAMERA_HEIGHT_M = 1.6;
+
+/** Normalized depth at or above this, above the horizon, is sky. */
+const SKY_DEPTH = 0.95;
+
+/** Depth below this is no return (normalized). */
+const MIN_DEPTH = 0.01;
+
+/** Plane fit uses cells at least this far below the horizon (deg). */
+const MIN_DEPRESSION_DEG = 2;
+
+/** Cells within this fraction of the camera height of the plane are inliers. */
+const INLIER_TOLERANCE = 0.15;
+
+/** Refit passes over the inliers of the previous fit. */
+const FIT_PASSES = 3;
+
+/** Fewer ground inliers than this: no plane fit. */
+const MIN_GROUND_CELLS = 30;
+
+/** Steeper fitted plane is rejected as not the operator's ground (deg). */
+const MAX_PLANE_SLOPE_DEG = 25;
+
+/** Surfaces steeper than this are vertical (walls, faces), not ground (deg). */
+const MAX_GROUND_SLOPE_DEG = 45;
+
+export const SurfaceClass = Object.freeze({
+    UNKNOWN: 0,
+    GROUND: 1,
+    VERTICAL: 2,
+    SKY: 3
+});
+
+export class GroundPlaneEstimator {
+    constructor() {
+        /** @type {Object|null} Last estimate */
+        this._last = null;
+    }
+
+    /**
+     * Estimate the scene geometry for one depth map.
+     *
+     * @param {Float32Array} depthMap - Normalized depth (0-1, higher = farther)
+     * @param {number} width
+     * @param {number} height
+     * @param {{pitch: number, roll: number, hfov: number, aspect: number}} pose - GeoProjector pose
+     * @param {number|null} metersPerUnit - Depth calibration, null if uncalibrated
+     * @returns {{horizon: {y0: number, y1: number, angle: number},
+     *            plane: {slope: number, inliers: number}|null,
+     *            cameraHeight: number, heightSource: string,
+     *            grid: {cols: number, rows: number, rowAngle: number, classes: Uint8Array,
+     *                   height: Float32Array, slope: Float32Array, distance: Float32Array}}|null}
+     *          horizon y0/y1 are its normalized y at the left/right frame edges; grid
+     *          heights (above the operator's ground) and distances are in meters,
+     *          rowAngle is the vertical angle per grid row (rad)
+     */
+    estimate(depthMap, width, height, pose, metersPerUnit = null) {
+        if (!depthMap || !width || !height || !pose) return null;
+
+        const tanH = Math.tan(pose.hfov / 2 * DEG);
+        const tanV = tanH * pose.aspect;
+        const sinP = Math.sin(pose.pitch * DEG), cosP = Math.cos(pose.pitch * DEG);
+        const sinR = Math.sin(pose.roll * DEG), cosR = Math.cos(pose.roll * DEG);
+
+        // Back-project cell centres: level frame (right, up, forward), relative depth units
+        const cells = GRID * GRID;
+        const right = new Float32Array(cells);
+        const up = new Float32Array(cells);
+        const forward = new Float32Array(cells);
+        const valid = new Uint8Array(cells);
+        const sky = new Uint8Array(cells);
+        const below = [];
+
+        for (let gy = 0; gy < GRID; gy++) {
+            const v = (gy + 0.5) / GRID;
+            for (let gx = 0; gx < GRID; gx++) {
+                const u = (gx + 0.5) / GRID;
+                const i = gy * GRID + gx;
+                const depth = depthMap[Math.floor(v * height) * width + Math.floor(u * width)];
+
+                const px = (u - 0.5) * 2 * tanH;
+                const py = (0.5 - v) * 2 * tanV;
+                const rx = px * cosR + py * sinR;
+                const ry = -px * sinR + py * cosR;
+                const dirUp = ry * cosP + sinP;
+                const dirForward = cosP - ry * sinP;
+                const elevation = Math.atan2(dirUp, Math.hypot(rx, dirForward)) / DEG;
+
+                if (elevation > 0 && depth >= SKY_DEPTH) {
+                    sky[i] = 1;
+                    continue;
+                }
+                if (!(depth > MIN_DEPTH)) continue;
+
+                // Depth is range along the ray
+                const range = depth / Math.hypot(px, py, 1);
+                right[i] = rx * range;
+                up[i] = dirUp * range;
+                forward[i] = dirForward * range;
+                valid[i] = 1;
+                if (elevation < -MIN_DEPRESSION_DEG) below.push(i);
+            }
+        }
+
+        const plane = fitGroundPlane(below, right, up, forward);
+
+        // Metric scale: calibrated depth, else the fitted camera height is taken as eye height
+        let scale = metersPerUnit;
+        let heightSource = 'DEPTH';
+        if (!scale) {
+            if (!plane) return null;
+            scale = CAMERA_HEIGHT_M / plane.height;
+            heightSource = 'NOMINAL';
+        }
+        const cameraHeight = plane ? plane.height * scale : CAMERA_HEIGHT_M;
+        // Without a fit the operator's ground is level at eye height below the camera
+        const groundAt = plane
+            ? (i) => plane.c + plane.a * right[i] + plane.b * forward[i]
+            : () => -CAMERA_HEIGHT_M / scale;
+
+        const classes = new Uint8Array(cells);
+        const heightAbove = new Float32Array(cells);
+        const slope = new Float32Array(cells);
+        const distance = new Float32Array(cells);
+
+        for (let gy = 0; gy < GRID; gy++) {
+            for (let gx = 0; gx < GRID; gx++) {
+                const i = gy * GRID + gx;
+                if (sky[i]) {
+                    classes[i] = SurfaceClass.SKY;
+                    continue;
+                }
+                if (!valid[i]) continue;
+
+                heightAbove[i] = (up[i] - groundAt(i)) * scale;
+                distance[i] = Math.hypot(right[i], forward[i]) * scale;
+
+                // Surface normal from the neighbouring cells
+                const l = gx > 0 && valid[i - 1] ? i - 1 : i;
+                const r = gx < GRID - 1 && valid[i + 1] ? i + 1 : i;
+                const t = gy > 0 && valid[i - GRID] ? i - GRID : i;
+                const b = gy < GRID - 1 && valid[i + GRID] ? i + GRID : i;
+                if (l === r || t === b) {
+                    classes[i] = SurfaceClass.UNKNOWN;
+                    continue;
+                }
+                const ax = right[r] - right[l], ay = up[r] - up[l], az = forward[r] - forward[l];
+                const bx = right[b] - right[t], by = up[b] - up[t], bz = forward[b] - forward[t];
+                const nx = ay * bz - az * by;
+                const ny = az * bx - ax * bz;
+                const nz = ax * by - ay * bx;
+                const norm = Math.hypot(nx, ny, nz);
+                slope[i] = norm > 0 ? Math.acos(Math.min(1, Math.abs(ny) / norm)) / DEG : 90;
+                classes[i] = slope[i] < MAX_GROUND_SLOPE_DEG ? SurfaceClass.GROUND : SurfaceClass.VERTICAL;
+            }
+        }
+
+        this._last = {
+            horizon: horizonLine(pose, tanH, tanV),
+            plane: plane ? { slope: plane.slope, inliers: plane.inliers } : null,
+            cameraHeight,
+            heightSource,
+            grid: {
+                cols: GRID, rows: GRID, rowAngle: 2 * Math.atan(tanV) / GRID,
+                classes, height: heightAbove, slope, distance
+            }
+        };
+        return this._last;
+    }
+
+    getLast() { return this._last; }
+}
+
+/**
+ * Grid cell index for a normalized frame point.
+ *
+ * @param {{cols: number, rows: number}} grid
+ * @param {number} x - 0..1 across the frame
+ * @param {number} y - 0..1 down the frame
+ * @returns {number}
+ */
+export function gridIndexAt(grid, x, y) {
+    const gx = Math.min(grid.cols - 1, Math.max(0, Math.floor(x * grid.cols)));
+    const gy = Math.min(grid.rows - 1, Math.max(0, Math.floor(y * grid.rows)));
+    return gy * grid.cols + gx;
+}
+
+/**
+ * Gravity horizon (elevation 0) across the frame.
+ * @private
+ */
+function horizonLine(pose, tanH, tanV) {
+    const tanP = Math.tan(pose.pitch * DEG);
+    const sinR = Math.sin(pose.roll * DEG), cosR = Math.cos(pose.roll * DEG);
+    // Roll-undone image y of the horizon is -tan(pitch) at every x
+    const yAt = (px) => 0.5 - ((-tanP + px * sinR) / cosR) / (2 * tanV);
+    const y0 = yAt(-tanH), y1 = yAt(tanH);
+    return { y0, y1, angle: Math.atan((y1 - y0) * pose.aspect) / DEG };
+}
+
+/**
+ * Robust least-squares fit of up = c + a·right + b·forward to the cells
+ * below the horizon, refitting on the inliers of the previous pass.
+ * @private
+ */
+function fitGroundPlane(candidates, right, up, forward) {
+    if (candidates.length < MIN_GROUND_CELLS) return null;
+
+    // Start from the lowest cells: level ground at their median height
+    const sorted = candidates.map(i => up[i]).sort((x, y) => x - y);
+    let plane = { a: 0, b: 0, c: sorted[Math.floor(sorted.length / 4)] };
+    let inliers = candidates;
+
+    for (let pass = 0; pass < FIT_PASSES; pass++) {
+        const tolerance = INLIER_TOLERANCE * Math.abs(plane.c);
+        inliers = candidates.filter(i =>
+            Math.abs(up[i] - (plane.c + plane.a * right[i] + plane.b * forward[i])) < tolerance);
+        if (inliers.length < MIN_GROUND_CELLS) return null;
+        const fit = leastSquaresPlane(inliers, right, up, forward);
+        if (!fit) return null;
+        plane = fit;
+    }
+
+    const slope = Math.atan(Math.hypot(plane.a, plane.b)) / DEG;
+    if (plane.c >= 0 || slope > MAX_PLANE_SLOPE_DEG) return null;
+    return {
+        ...plane,
+        height: -plane.c / Math.hypot(1, plane.a, plane.b),
+        slope,
+        inliers: inliers.length
+    };
+}
+
+/** @private */
+function leastSquaresPlane(cells, right, up, forward) {
+    // Normal equations for [c, a, b]
+    let n = 0, sr = 0, sf = 0, srr = 0, sff = 0, srf = 0, su = 0, sru = 0, sfu = 0;
+    for (const i of cells) {
+        const r = right[i], f = forward[i], u = up[i];
+        n++; sr += r; sf += f; srr += r * r; sff += f * f; srf += r * f;
+        su += u; sru += r * u; sfu += f * u;
+    }
+    const m = [[n, sr, sf], [sr, srr, srf], [sf, srf, sff]];
+    const det = det3(m);
+    if (Math.abs(det) < 1e-12) return null;
+    const rhs = [su, sru, sfu];
+    const solve = (col) => det3(m.map((row, k) => row.map((v, j) => (j === col ? rhs[k] : v)))) / det;
+    return { c: solve(0), a: solve(1), b: solve(2) };
+}
+
+function det3(m) {
+    return m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+           m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+           m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+}
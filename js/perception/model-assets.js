@@ -0,0 +1,357 @@
+// =============================================================================
+// TALOS 2.0 - Model Assets
+// Every model and model runtime the suit downloads, in one versioned manifest.
+// Assets are fetched once with progress, checked against their SHA-256 and
+// kept in Cache Storage, so a suit that booted online once runs its models
+// with no network. Model bytes are verified again when first loaded in a
+// session; runtime scripts and WASM are verified when cached and served from
+// the cache by the service worker.
+//
+// Manifest assets carry a pinned sha256 and are verified before first use.
+// Trust on first use (the digest of the first complete download is recorded
+// and later loads must match it) is for models the operator adds to the
+// registry, and for manifest entries still awaiting a pin, which warn.
+// =============================================================================
+
+/** Cache Storage bucket for verified assets (kept across app-shell versions). */
+export const MODEL_CACHE = 'talos-models';
+
+export const MEDIAPIPE_CDN = 'https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.14';
+export const ORT_CDN = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.20.1/dist';
+
+/** Response headers the verified digest and version are stored under. */
+const DIGEST_HEADER = 'x-talos-sha256';
+const VERSION_HEADER = 'x-talos-version';
+
+/**
+ * Asset manifest. size is the expected download in bytes (progress before
+ * the server reports a length); sha256 is the pinned hex digest or null.
+ * Bump version to replace a cached copy.
+ */
+export const MODEL_ASSETS = Object.freeze([
+    {
+        id: 'onnxruntime-web', name: 'ONNX Runtime Web', version: '1.20.1', kind: 'runtime',
+        url: `${ORT_CDN}/ort.min.js`, size: 446284,
+        sha256: 'be6e560b64c03c99252eedc0e1989e9e51e44d9f191e7655c9bf011bf9f576c8'
+    },
+    {
+        id: 'onnxruntime-web-wasm', name: 'ONNX Runtime WASM', version: '1.20.1', kind: 'runtime',
+        url: `${ORT_CDN}/ort-wasm-simd-threaded.jsep.wasm`, size: 21663894,
+        sha256: '185b0861a6cd6cbdfb057289338090436483cc59e10a7bc83bd167b15531a51b'
+    },
+    {
+        id: 'onnxruntime-web-glue', name: 'ONNX Runtime WASM glue', version: '1.20.1', kind: 'runtime',
+        url: `${ORT_CDN}/ort-wasm-simd-threaded.jsep.mjs`, size: 46839,
+        sha256: '2fb14505d39926e4c544de8c57fe59a2f2bc74caba6f71890be9afecc5046758'
+    },
+    {
+        id: 'mediapipe-vision', name: 'MediaPipe Tasks Vision', version: '0.10.14', kind: 'runtime',
+        url: `${MEDIAPIPE_CDN}/vision_bundle.mjs`, size: 136870,
+        sha256: 'e77f281f9619150d937023c355bae170e9120e3b9e43f1e23a2a7bee07197669'
+    },
+    {
+        id: 'mediapipe-vision-glue', name: 'MediaPipe WASM glue', version: '0.10.14', kind: 'runtime',
+        url: `${MEDIAPIPE_CDN}/wasm/vision_wasm_internal.js`, size: 209826,
+        sha256: '9440cf0cc0cea21800e31581ec32aeedcc5fbf9df4509796bbc7d3f99e52ab9c'
+    },
+    {
+        id: 'mediapipe-vision-wasm', name: 'MediaPipe WASM', version: '0.10.14', kind: 'runtime',
+        url: `${MEDIAPIPE_CDN}/wasm/vision_wasm_internal.wasm`, size: 9423986,
+        sha256: 'f82a8e6c05e08a44cc9f9e7ec5f845935bcbb1b1500ebe8c2f4812fb4e2917dc'
+    },
+    // Digests of the model files below still need pinning (trusted on first use until then)
+    {
+        id: 'coco-efficientdet-lite0', name: 'EfficientDet-Lite0 (COCO)', version: 'float16-1', kind: 'model',
+        url: 'https://storage.googleapis.com/mediapipe-models/object_detector/efficientdet_lite0/float16/1/efficientdet_lite0.tflite',
+        size: 4600000, sha256: null
+    },
+    {
+        id: 'depth-anything-v2-small', name: 'Depth Anything V2 Small', version: 'quantized-1', kind: 'model',
+        url: 'https://huggingface.co/onnx-community/depth-anything-v2-small/resolve/main/onnx/model_quantized.onnx',
+        size: 27000000, sha256: null
+    },
+    {
+        id: 'mobilesam-encoder', name: 'MobileSAM encoder', version: '1', kind: 'model',
+        url: 'https://huggingface.co/Acly/MobileSAM/resolve/main/mobile_sam_image_encoder.onnx',
+        size: 28000000, sha256: null
+    },
+    {
+        id: 'mobilesam-decoder', name: 'MobileSAM decoder', version: '1', kind: 'model',
+        url: 'https://huggingface.co/Acly/MobileSAM/resolve/main/sam_mask_decoder_single.onnx',
+        size: 16500000, sha256: null
+    }
+].map(asset => Object.freeze(asset)));
+
+export const AssetState = Object.freeze({
+    MISSING: 'MISSING',         // Not cached
+    STALE: 'STALE',             // Cached under another version or digest
+    VERIFIED: 'VERIFIED',       // Cached, and its bytes matched the digest when cached or loaded
+    FAILED: 'FAILED'            // Download or verification failed
+});
+
+export class ModelAssetStore {
+    constructor() {
+        /** @type {Map<string, string>} Asset URL → state this session */
+        this._states = new Map();
+
+        /** @type {Map<string, Promise<Uint8Array>>} Loads in flight, by URL */
+        this._loading = new Map();
+
+        /** @type {Set<string>} URLs whose cached bytes were hashed this session */
+        this._hashed = new Set();
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null} Manifest entry
+     */
+    get(id) {
+        return MODEL_ASSETS.find(a => a.id === id) || null;
+    }
+
+    /** @returns {Object[]} */
+    list() {
+        return [...MODEL_ASSETS];
+    }
+
+    /**
+     * @param {string} id
+     * @returns {string} State of a manifest asset this session (AssetState)
+     */
+    getState(id) {
+        const asset = this.get(id);
+        return (asset && this._states.get(asset.url)) || AssetState.MISSING;
+    }
+
+    /**
+     * True once every manifest asset is cached and verified.
+     *
+     * @returns {boolean}
+     */
+    isOfflineReady() {
+        return MODEL_ASSETS.every(a => this._states.get(a.url) === AssetState.VERIFIED);
+    }
+
+    /**
+     * Verified bytes of an asset: the cached copy, or a fresh download that
+     * is verified and cached first.
+     *
+     * @param {string|{url: string, sha256?: string, version?: string, name?: string}} source -
+     *        Manifest asset id, or any asset with a URL (e.g. a model registry entry)
+     * @param {Function} [onProgress] - (loadedBytes, totalBytes) while downloading
+     * @returns {Promise<Uint8Array>}
+     */
+    load(source, onProgress = null) {
+        const asset = this._resolve(source);
+        if (!this._loading.has(asset.url)) {
+            const loading = this._load(asset, onProgress)
+                .finally(() => this._loading.delete(asset.url));
+            this._loading.set(asset.url, loading);
+        }
+        return this._loading.get(asset.url);
+    }
+
+    /**
+     * Cache every manifest asset, downloading and verifying what is missing
+     * or stale (in the background after boot). Assets already cached under
+     * their version and verified digest are not read again; their bytes are
+     * hashed when a model loads them. Failures are recorded and skipped; the
+     * models they belong to load from the network later, or not at all offline.
+     *
+     * @param {Function} [onProgress] - ({loaded, total, asset}) as bytes arrive
+     * @returns {Promise<{verified: number, downloaded: number, failed: Object[]}>}
+     */
+    async prepare(onProgress = null) {
+        const summary = { verified: 0, downloaded: 0, failed: [] };
+        const total = MODEL_ASSETS.reduce((sum, a) => sum + a.size, 0);
+        let done = 0;
+
+        for (const asset of MODEL_ASSETS) {
+            const wasCached = await this._isCurrent(asset);
+            if (wasCached && (this._states.get(asset.url) === AssetState.VERIFIED || await this._isVerifiedInCache(asset))) {
+                this._states.set(asset.url, AssetState.VERIFIED);
+                summary.verified++;
+                done += asset.size;
+                onProgress?.({ loaded: done, total, asset });
+                continue;
+            }
+            try {
+                await this.load(asset, (loaded) => {
+                    onProgress?.({ loaded: done + Math.min(loaded, asset.size), total, asset });
+                });
+                if (!wasCached) summary.downloaded++;
+                summary.verified++;
+                done += asset.size;
+            } catch (err) {
+                console.warn(`[ASSETS] ${asset.name} unavailable: ${err.message}`);
+                summary.failed.push(asset);
+                done += asset.size;
+            }
+            onProgress?.({ loaded: done, total, asset });
+        }
+
+        console.log(`[ASSETS] ${summary.verified}/${MODEL_ASSETS.length} verified ` +
+            `(${summary.downloaded} downloaded)${this.isOfflineReady() ? ' - offline ready' : ''}`);
+        return summary;
+    }
+
+    /**
+     * Drop every cached asset (forces fresh downloads on the next load).
+     *
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        if (typeof caches !== 'undefined') await caches.delete(MODEL_CACHE);
+        this._states.clear();
+        this._hashed.clear();
+    }
+
+    // ---- Private ----
+
+    _resolve(source) {
+        if (typeof source === 'string') {
+            const asset = this.get(source);
+            if (!asset) throw new Error(`Unknown model asset: ${source}`);
+            return asset;
+        }
+        // Registry entries pointing at a manifest URL use the manifest's digest and version
+        const known = MODEL_ASSETS.find(a => a.url === source.url);
+        return known || {
+            id: source.id || source.url,
+            name: source.name || source.url,
+            url: source.url,
+            version: source.version || '1',
+            size: source.size || 0,
+            sha256: source.sha256 || null,
+            operatorAdded: true
+        };
+    }
+
+    async _load(asset, onProgress) {
+        if (!asset.sha256 && !asset.operatorAdded) {
+            console.warn(`[ASSETS] ${asset.name} has no pinned SHA-256 - trusting first download`);
+        }
+        const cache = await openCache();
+
+        if (cache) {
+            const cached = await cache.match(asset.url);
+            if (cached && cached.headers.get(VERSION_HEADER) === asset.version) {
+                const bytes = new Uint8Array(await cached.arrayBuffer());
+                // Hashed once per session; later loads of the same URL reuse that check
+                if (this._hashed.has(asset.url)) return bytes;
+                const expected = asset.sha256 || cached.headers.get(DIGEST_HEADER);
+                if (expected && await sha256(bytes) === expected.toLowerCase()) {
+                    this._states.set(asset.url, AssetState.VERIFIED);
+                    this._hashed.add(asset.url);
+                    return bytes;
+                }
+                // Corrupted or truncated on disk: fetch it again
+                console.warn(`[ASSETS] ${asset.name} failed verification - re-downloading`);
+                await cache.delete(asset.url);
+            } else if (cached) {
+                console.log(`[ASSETS] ${asset.name} cached at ${cached.headers.get(VERSION_HEADER)} - updating to ${asset.version}`);
+                this._states.set(asset.url, AssetState.STALE);
+                // Out of the cache first, or the service worker would serve it back
+                await cache.delete(asset.url);
+            }
+        }
+
+        try {
+            const { bytes, contentType } = await download(asset, onProgress);
+            const digest = await sha256(bytes);
+            if (asset.sha256 && digest !== asset.sha256.toLowerCase()) {
+                throw new Error(`SHA-256 mismatch (got ${digest.slice(0, 12)}…)`);
+            }
+            if (cache) {
+                await cache.put(asset.url, new Response(bytes, {
+                    headers: {
+                        'content-type': contentType,
+                        'content-length': String(bytes.byteLength),
+                        [DIGEST_HEADER]: digest,
+                        [VERSION_HEADER]: asset.version
+                    }
+                }));
+            }
+            this._states.set(asset.url, cache ? AssetState.VERIFIED : AssetState.MISSING);
+            if (cache) this._hashed.add(asset.url);
+            console.log(`[ASSETS] ${asset.name} ${asset.version} downloaded (${(bytes.byteLength / 1e6).toFixed(1)} MB, sha256 ${digest.slice(0, 12)}…)`);
+            return bytes;
+        } catch (err) {
+            this._states.set(asset.url, AssetState.FAILED);
+            throw err;
+        }
+    }
+
+    async _isCurrent(asset) {
+        const cache = await openCache();
+        const cached = cache && await cache.match(asset.url);
+        return !!cached && cached.headers.get(VERSION_HEADER) === asset.version;
+    }
+
+    // Cached copy was verified when it was stored: against the pin, or
+    // (unpinned) its first-use digest was recorded
+    async _isVerifiedInCache(asset) {
+        const cache = await openCache();
+        const digest = cache && (await cache.match(asset.url))?.headers.get(DIGEST_HEADER);
+        if (!digest) return false;
+        return !asset.sha256 || digest === asset.sha256.toLowerCase();
+    }
+}
+
+export const modelAssets = new ModelAssetStore();
+
+/**
+ * Cache Storage needs a secure context; without it assets still load and
+ * verify, they are just not kept.
+ * @private
+ */
+async function openCache() {
+    if (typeof caches === 'undefined') return null;
+    try {
+        return await caches.open(MODEL_CACHE);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch an asset, reporting bytes as they stream in.
+ * @private
+ */
+async function download(asset, onProgress) {
+    const resp = await fetch(asset.url, { cache: 'no-store' });
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    const contentType = resp.headers.get('content-type') || 'application/octet-stream';
+    const total = Number(resp.headers.get('content-length')) || asset.size;
+
+    if (!resp.body) {
+        const bytes = new Uint8Array(await resp.arrayBuffer());
+        onProgress?.(bytes.byteLength, total);
+        return { bytes, contentType };
+    }
+
+    const reader = resp.body.getReader();
+    const chunks = [];
+    let loaded = 0;
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        loaded += value.byteLength;
+        onProgress?.(loaded, total);
+    }
+
+    const bytes = new Uint8Array(loaded);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return { bytes, contentType };
+}
+
+/** @private */
+async function sha256(bytes) {
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    return Array.from(digest, b => b.toString(16).padStart(2, '0')).join('');
+}
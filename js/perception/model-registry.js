@@ -0,0 +1,193 @@
+// =============================================================================
+// TALOS 2.0 - Detector Model Registry
+// Detection models with their labels and class → tactical / Army branch maps.
+// The built-in COCO model is always present as the fallback. Custom models
+// (tanks, APCs, technicals, UAS, weapons) are hosted locally and described by
+// a JSON manifest:
+//
+//   {
+//     "id": "mil-v1", "name": "Military objects v1",
+//     "format": "onnx",                  // "onnx" (YOLO export) or "tflite" (MediaPipe)
+//     "url": "mil-v1.onnx",              // relative to the manifest
+//     "sha256": "9f2c…",                 // optional: pinned digest, checked before use
+//     "version": "1",                    // optional: bump to replace a cached copy
+//     "labels": "mil-v1.labels.txt",     // one label per line, or an inline array
+//     "inputSize": 640,                  // onnx only
+//     "scoreThreshold": 0.35,
+//     "tactical": { "tank": "VEHICLE", "uas": "AIRCRAFT", "rifle": "WEAPON" },
+//     "branches": { "tank": ["ARMOR"], "apc": ["INFANTRY", "ARMOR"] }
+//   }
+// =============================================================================
+
+import { modelAssets, ORT_CDN } from './model-assets.js';
+
+export const ModelFormat = Object.freeze({
+    TFLITE: 'tflite',    // MediaPipe ObjectDetector (labels from model metadata or label file)
+    ONNX: 'onnx'         // ONNX Runtime Web, YOLO-style output [1, 4 + classes, anchors]
+});
+
+const ORT_URL = modelAssets.get('onnxruntime-web').url;
+
+/** COCO class → tactical category. */
+const COCO_TACTICAL = {
+    'person':       'PERSONNEL',
+    'bicycle':      'LIGHT_VEHICLE',
+    'car':          'VEHICLE',
+    'motorcycle':   'LIGHT_VEHICLE',
+    'airplane':     'AIRCRAFT',
+    'bus':          'VEHICLE',
+    'train':        'VEHICLE',
+    'truck':        'VEHICLE',
+    'boat':         'WATERCRAFT',
+    'cell phone':   'COMMS_EQUIPMENT',
+    'laptop':       'COMMS_EQUIPMENT',
+    'backpack':     'SUPPLY',
+    'suitcase':     'SUPPLY',
+    'handbag':      'SUPPLY',
+    'knife':        'EDGED_WEAPON',
+    'scissors':     'EDGED_WEAPON'
+};
+
+/** Built-in fallback: EfficientDet-Lite0 (COCO) via MediaPipe. */
+const COCO_MODEL = Object.freeze({
+    id: 'coco-efficientdet-lite0',
+    name: 'EfficientDet-Lite0 (COCO)',
+    format: ModelFormat.TFLITE,
+    url: modelAssets.get('coco-efficientdet-lite0').url,
+    sha256: null,           // verified against the asset manifest
+    version: null,
+    labels: null,
+    inputSize: null,
+    scoreThreshold: 0.3,
+    tactical: COCO_TACTICAL,
+    branches: null          // COCO classes use the branches' detectionSignatures
+});
+
+export class ModelRegistry {
+    constructor() {
+        /** @type {Map<string, Object>} */
+        this._models = new Map([[COCO_MODEL.id, COCO_MODEL]]);
+    }
+
+    /**
+     * Add a model description (see the file header for the fields).
+     *
+     * @param {Object} config
+     * @returns {Object} The registered model
+     */
+    register(config) {
+        if (!config?.id || !config.url) throw new Error('Model needs an id and a url');
+        if (!Object.values(ModelFormat).includes(config.format)) {
+            throw new Error(`Unsupported model format: ${config.format}`);
+        }
+        if (config.format === ModelFormat.ONNX && !Array.isArray(config.labels)) {
+            throw new Error('ONNX models need a label list');
+        }
+        const model = Object.freeze({
+            id: config.id,
+            name: config.name || config.id,
+            format: config.format,
+            url: config.url,
+            sha256: config.sha256 || null,
+            version: config.version || null,
+            labels: config.labels || null,
+            inputSize: config.inputSize || 640,
+            scoreThreshold: config.scoreThreshold ?? 0.3,
+            tactical: config.tactical || {},
+            branches: config.branches || null
+        });
+        this._models.set(model.id, model);
+        console.log(`[MODELS] Registered ${model.name} (${model.format}, ${model.labels?.length ?? 'embedded'} labels)`);
+        return model;
+    }
+
+    /**
+     * Fetch a manifest, resolve its model and label URLs, and register it.
+     *
+     * @param {string} url - Manifest URL
+     * @returns {Promise<Object|null>} The model, or null if the manifest is unusable
+     */
+    async loadManifest(url) {
+        try {
+            const base = new URL(url, location.href);
+            const resp = await fetch(base);
+            if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+            const manifest = await resp.json();
+
+            let labels = manifest.labels || null;
+            if (typeof labels === 'string') {
+                const labelResp = await fetch(new URL(labels, base));
+                if (!labelResp.ok) throw new Error(`labels HTTP ${labelResp.status}`);
+                labels = (await labelResp.text()).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+            }
+            return this.register({ ...manifest, url: new URL(manifest.url, base).href, labels });
+        } catch (err) {
+            console.warn(`[MODELS] Manifest ${url} unusable: ${err.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * @param {string} id
+     * @returns {Object|null}
+     */
+    get(id) {
+        return this._models.get(id) || null;
+    }
+
+    /** @returns {Object[]} */
+    list() {
+        return [...this._models.values()];
+    }
+
+    /** @returns {Object} The built-in COCO model */
+    getFallback() {
+        return COCO_MODEL;
+    }
+}
+
+export const modelRegistry = new ModelRegistry();
+
+/** @type {Promise<void>|null} In-flight ONNX Runtime script load */
+let ortLoading = null;
+
+/**
+ * Load ONNX Runtime Web once (shared by the depth estimator and ONNX detectors).
+ * The perception worker is a classic worker without a document and loads it
+ * with importScripts. WASM binaries come from the versioned CDN path the
+ * asset manifest caches.
+ *
+ * @returns {Promise<void>}
+ */
+export function loadOnnxRuntime() {
+    if (typeof ort !== 'undefined') return Promise.resolve();
+    if (typeof document === 'undefined') {
+        console.log('[MODELS] Loading ONNX Runtime Web (worker)...');
+        try {
+            importScripts(ORT_URL);
+            setWasmPaths();
+            return Promise.resolve();
+        } catch (err) {
+            return Promise.reject(err);
+        }
+    }
+    if (!ortLoading) {
+        console.log('[MODELS] Loading ONNX Runtime Web...');
+        ortLoading = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = ORT_URL;
+            script.onload = () => {
+                setWasmPaths();
+                resolve();
+            };
+            script.onerror = reject;
+            document.head.appendChild(script);
+        });
+    }
+    return ortLoading;
+}
+
+/** @private */
+function setWasmPaths() {
+    ort.env.wasm.wasmPaths = `${ORT_CDN}/`;
+}
@@ -0,0 +1,291 @@
+// =============================================================================
+// TALOS 2.0 - Night Vision / Thermal Enhancement
+// Low-light and thermal view modes. Each camera frame is enhanced once (gamma
+// lift, contrast stretch and CLAHE on luminance) and shared by the renderer
+// and the perception pipeline: detection sees the enhanced frame (grey
+// "white-hot" in thermal mode), the display gets an ironbow false-colour
+// rendering in thermal mode.
+// =============================================================================
+
+export const ViewMode = Object.freeze({
+    DAY: 'DAY',             // Camera frames untouched
+    LOW_LIGHT: 'LOW_LIGHT', // Gamma + CLAHE, colour kept
+    THERMAL: 'THERMAL'      // Grey for detection, false colour on the display
+});
+
+export const HudPalette = Object.freeze({
+    DAY: 'DAY',
+    NIGHT_RED: 'NIGHT_RED',      // Preserves dark adaptation
+    NIGHT_GREEN: 'NIGHT_GREEN'   // Matches NVG phosphor
+});
+
+/**
+ * Per-mode detector threshold scale (enhanced and thermal frames score lower
+ * than daylight frames for the same object) and default HUD palette.
+ */
+export const MODE_SETTINGS = Object.freeze({
+    DAY:       { thresholdScale: 1.0, palette: HudPalette.DAY },
+    LOW_LIGHT: { thresholdScale: 0.8, palette: HudPalette.NIGHT_RED },
+    THERMAL:   { thresholdScale: 0.7, palette: HudPalette.NIGHT_RED }
+});
+
+/** Canvas tint per palette (null: overlays keep their own colours). */
+export const PALETTE_TINT = Object.freeze({
+    DAY: null,
+    NIGHT_RED: '#ff2a1a',
+    NIGHT_GREEN: '#3cff5a'
+});
+
+/** Typical horizontal FOV of phone-attached thermal cores (FLIR One, InfiRay P2). */
+export const THERMAL_HFOV_DEG = 50;
+
+/** Video input labels that identify an external thermal camera. */
+const THERMAL_LABEL = /thermal|flir|seek|infiray|topdon|hikmicro|\bp2\b/i;
+
+/** Width of the enhanced frame (px); height keeps the video aspect. */
+const ENHANCE_WIDTH = 480;
+
+/** Enhancement runs at most this often (ms); frames in between reuse the last result. */
+const ENHANCE_INTERVAL_MS = 66;
+
+/** Global stretch: percentiles mapped to 0 / 255, with the gain capped so noise is not blown up. */
+const STRETCH_LOW = 0.005;
+const STRETCH_HIGH = 0.995;
+const STRETCH_MAX_GAIN = 4;
+
+/** Gamma applied before CLAHE in low-light mode (< 1 lifts shadows). */
+const LOW_LIGHT_GAMMA = 0.6;
+
+/** CLAHE tile grid (per axis) and clip limit (multiple of the mean bin count). */
+const CLAHE_TILES = 8;
+const CLAHE_CLIP = 3.0;
+
+/** Ironbow colour stops: [position 0..1, r, g, b]. */
+const IRONBOW_STOPS = [
+    [0.00, 0, 0, 0],
+    [0.20, 32, 0, 140],
+    [0.45, 190, 0, 150],
+    [0.70, 255, 110, 0],
+    [0.90, 255, 220, 50],
+    [1.00, 255, 255, 255]
+];
+
+/**
+ * @param {string} label - MediaDeviceInfo label
+ * @returns {boolean} True if the device looks like a thermal camera
+ */
+export function isThermalSource(label) {
+    return THERMAL_LABEL.test(label || '');
+}
+
+export class ImageEnhancer {
+    constructor() {
+        this._mode = ViewMode.DAY;
+
+        /** @type {OffscreenCanvas|null} Scaled camera frame (read back) */
+        this._work = null;
+        this._workCtx = null;
+
+        /** @type {OffscreenCanvas|null} Enhanced frame for perception */
+        this._detection = null;
+        this._detectionCtx = null;
+
+        /** @type {OffscreenCanvas|null} False-colour frame for the display (thermal) */
+        this._display = null;
+        this._displayCtx = null;
+
+        /** @type {number} video.currentTime of the cached result */
+        this._lastTime = -1;
+
+        /** @type {number} performance.now() of the cached result */
+        this._lastAt = 0;
+
+        /** @type {{detection: *, display: *}|null} */
+        this._last = null;
+
+        this._gammaLut = buildGammaLut(LOW_LIGHT_GAMMA);
+        this._ironbow = buildIronbow();
+    }
+
+    /**
+     * @param {string} mode - ViewMode
+     */
+    setMode(mode) {
+        if (!ViewMode[mode] || mode === this._mode) return;
+        this._mode = mode;
+        this._lastTime = -1;
+        this._last = null;
+        console.log(`[NIGHT] View mode ${mode}`);
+    }
+
+    getMode() { return this._mode; }
+
+    /**
+     * Enhanced frames for the current video frame. Repeated calls within one
+     * camera frame (or ENHANCE_INTERVAL_MS) return the cached result, so the
+     * renderer and perception share one enhancement pass.
+     *
+     * @param {HTMLVideoElement} video
+     * @returns {{detection: CanvasImageSource, display: CanvasImageSource}} The video
+     *          itself in DAY mode or before the stream has data
+     */
+    apply(video) {
+        if (this._mode === ViewMode.DAY || !video || video.readyState < 2 || !video.videoWidth) {
+            return { detection: video, display: video };
+        }
+        if (this._last && (video.currentTime === this._lastTime ||
+            performance.now() - this._lastAt < ENHANCE_INTERVAL_MS)) return this._last;
+
+        const width = ENHANCE_WIDTH;
+        const height = Math.max(1, Math.round(width * video.videoHeight / video.videoWidth));
+        this._ensureCanvases(width, height);
+
+        this._workCtx.drawImage(video, 0, 0, width, height);
+        const frame = this._workCtx.getImageData(0, 0, width, height);
+        const { data } = frame;
+        const n = width * height;
+
+        const luma = new Uint8Array(n);
+        for (let i = 0; i < n; i++) {
+            luma[i] = (0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]) | 0;
+        }
+        // Thermal frames are already high-contrast heat maps; only lift real low light
+        const lifted = this._mode === ViewMode.LOW_LIGHT ? luma.map(v => this._gammaLut[v]) : luma;
+        const enhanced = clahe(stretch(lifted), width, height);
+
+        if (this._mode === ViewMode.LOW_LIGHT) {
+            // Scale RGB by the luminance gain so colour survives
+            for (let i = 0; i < n; i++) {
+                const gain = enhanced[i] / Math.max(1, luma[i]);
+                data[i * 4] = Math.min(255, data[i * 4] * gain);
+                data[i * 4 + 1] = Math.min(255, data[i * 4 + 1] * gain);
+                data[i * 4 + 2] = Math.min(255, data[i * 4 + 2] * gain);
+            }
+            this._detectionCtx.putImageData(frame, 0, 0);
+            this._last = { detection: this._detection, display: this._detection };
+        } else {
+            const display = new ImageData(width, height);
+            for (let i = 0; i < n; i++) {
+                const v = enhanced[i];
+                data[i * 4] = data[i * 4 + 1] = data[i * 4 + 2] = v;
+                display.data[i * 4] = this._ironbow[v * 3];
+                display.data[i * 4 + 1] = this._ironbow[v * 3 + 1];
+                display.data[i * 4 + 2] = this._ironbow[v * 3 + 2];
+                display.data[i * 4 + 3] = 255;
+            }
+            this._detectionCtx.putImageData(frame, 0, 0);
+            this._displayCtx.putImageData(display, 0, 0);
+            this._last = { detection: this._detection, display: this._display };
+        }
+
+        this._lastTime = video.currentTime;
+        this._lastAt = performance.now();
+        return this._last;
+    }
+
+    /** @private */
+    _ensureCanvases(width, height) {
+        if (this._work && this._work.width === width && this._work.height === height) return;
+        this._work = new OffscreenCanvas(width, height);
+        this._workCtx = this._work.getContext('2d', { willReadFrequently: true });
+        this._detection = new OffscreenCanvas(width, height);
+        this._detectionCtx = this._detection.getContext('2d', { willReadFrequently: true });
+        this._display = new OffscreenCanvas(width, height);
+        this._displayCtx = this._display.getContext('2d');
+    }
+}
+
+// ---- Helpers ----
+
+function buildGammaLut(gamma) {
+    const lut = new Uint8Array(256);
+    for (let v = 0; v < 256; v++) lut[v] = Math.round(255 * Math.pow(v / 255, gamma));
+    return lut;
+}
+
+// 256 RGB triples interpolated between the ironbow stops
+function buildIronbow() {
+    const lut = new Uint8Array(256 * 3);
+    for (let v = 0; v < 256; v++) {
+        const t = v / 255;
+        let k = 1;
+        while (k < IRONBOW_STOPS.length - 1 && IRONBOW_STOPS[k][0] < t) k++;
+        const [t0, ...c0] = IRONBOW_STOPS[k - 1];
+        const [t1, ...c1] = IRONBOW_STOPS[k];
+        const f = Math.min(1, Math.max(0, (t - t0) / (t1 - t0)));
+        for (let c = 0; c < 3; c++) lut[v * 3 + c] = Math.round(c0[c] + f * (c1[c] - c0[c]));
+    }
+    return lut;
+}
+
+// Map the STRETCH_LOW..STRETCH_HIGH percentiles to the full range (in place)
+function stretch(gray) {
+    const hist = new Uint32Array(256);
+    for (const v of gray) hist[v]++;
+    let lo = 0, hi = 255, cum = 0;
+    for (let b = 0; b < 256; b++) {
+        cum += hist[b];
+        if (cum <= gray.length * STRETCH_LOW) lo = b + 1;
+        if (cum < gray.length * STRETCH_HIGH) hi = b + 1;
+    }
+    const gain = Math.min(STRETCH_MAX_GAIN, 255 / Math.max(1, hi - lo));
+    const lut = new Uint8Array(256);
+    for (let v = 0; v < 256; v++) lut[v] = Math.max(0, Math.min(255, Math.round((v - lo) * gain)));
+    for (let i = 0; i < gray.length; i++) gray[i] = lut[gray[i]];
+    return gray;
+}
+
+/**
+ * Contrast-limited adaptive histogram equalization: per-tile clipped
+ * histogram CDFs, bilinearly interpolated between tile centres.
+ * @private
+ */
+function clahe(gray, width, height) {
+    const tilesX = Math.min(CLAHE_TILES, width), tilesY = Math.min(CLAHE_TILES, height);
+    const tileW = width / tilesX, tileH = height / tilesY;
+    const luts = new Uint8Array(tilesX * tilesY * 256);
+    const hist = new Uint32Array(256);
+
+    for (let ty = 0; ty < tilesY; ty++) {
+        for (let tx = 0; tx < tilesX; tx++) {
+            hist.fill(0);
+            const x0 = Math.floor(tx * tileW), x1 = Math.floor((tx + 1) * tileW);
+            const y0 = Math.floor(ty * tileH), y1 = Math.floor((ty + 1) * tileH);
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) hist[gray[y * width + x]]++;
+            }
+            const count = (x1 - x0) * (y1 - y0);
+            if (count === 0) continue;
+
+            // Clip and spread the excess evenly
+            const limit = Math.max(1, Math.floor(CLAHE_CLIP * count / 256));
+            let excess = 0;
+            for (let b = 0; b < 256; b++) {
+                if (hist[b] > limit) { excess += hist[b] - limit; hist[b] = limit; }
+            }
+            const spread = excess / 256;
+
+            const lut = (ty * tilesX + tx) * 256;
+            let cdf = 0;
+            for (let b = 0; b < 256; b++) {
+                cdf += hist[b] + spread;
+                luts[lut + b] = Math.min(255, Math.round(cdf * 255 / count));
+            }
+        }
+    }
+
+    const out = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        const gy = Math.min(tilesY - 1, Math.max(0, (y + 0.5) / tileH - 0.5));
+        const ty0 = Math.floor(gy), ty1 = Math.min(tilesY - 1, ty0 + 1), fy = gy - ty0;
+        for (let x = 0; x < width; x++) {
+            const gx = Math.min(tilesX - 1, Math.max(0, (x + 0.5) / tileW - 0.5));
+            const tx0 = Math.floor(gx), tx1 = Math.min(tilesX - 1, tx0 + 1), fx = gx - tx0;
+            const v = gray[y * width + x];
+            const a = luts[(ty0 * tilesX + tx0) * 256 + v], b = luts[(ty0 * tilesX + tx1) * 256 + v];
+            const c = luts[(ty1 * tilesX + tx0) * 256 + v], d = luts[(ty1 * tilesX + tx1) * 256 + v];
+            out[y * width + x] = Math.round((a * (1 - fx) + b * fx) * (1 - fy) + (c * (1 - fx) + d * fx) * fy);
+        }
+    }
+    return out;
+}
@@ -0,0 +1,175 @@
+// =============================================================================
+// TALOS 2.0 - Perception Pipeline
+// Detector → camera-motion estimate → sky detector → tracker, plus depth
+// (fused over time and warped with camera motion between estimates), on one
+// frame. Hosted by the perception worker; the perception service runs it
+// on the main thread when workers are unavailable. Frames may be an
+// ImageBitmap, a VideoFrame, a canvas or the video element itself.
+// =============================================================================
+
+import { Detector } from './detector.js';
+import { DepthEstimator } from './depth.js';
+import { DepthFusion } from './depth-fusion.js';
+import { Tracker } from './tracker.js';
+import { EgoMotion } from './ego-motion.js';
+import { SkyDetector, SKY_CROP_WIDTH } from './sky-detector.js';
+
+/** Side of the square frame for ego-motion, appearance and depth (px). */
+const FRAME_SIZE = 256;
+
+export class PerceptionPipeline {
+    constructor() {
+        this.detector = new Detector();
+        this.depth = new DepthEstimator();
+        this.depthFusion = new DepthFusion();
+        this.tracker = new Tracker();
+        this.egoMotion = new EgoMotion();
+        this.skyDetector = new SkyDetector();
+
+        /** @type {OffscreenCanvas|null} Square frame capture */
+        this._frameCanvas = null;
+        this._frameCtx = null;
+
+        /** @type {OffscreenCanvas|null} Sky crop capture */
+        this._regionCanvas = null;
+        this._regionCtx = null;
+    }
+
+    /**
+     * @param {Object|null} model - modelRegistry entry, or null for the COCO fallback
+     * @returns {Promise<{ok: boolean, modelId: string|null, backend: string}>}
+     */
+    async loadDetector(model) {
+        const ok = await this.detector.init(model || undefined);
+        return { ok, modelId: this.detector.getModel()?.id || null, backend: this.detector.getBackend() };
+    }
+
+    /** @returns {Promise<boolean>} */
+    async loadDepth() {
+        return this.depth.init();
+    }
+
+    /**
+     * Run detection and/or depth on one frame.
+     *
+     * @param {CanvasImageSource} source
+     * @param {Object} options
+     * @param {boolean} options.detect - Run detector, sky detector and tracker
+     * @param {boolean} options.depth - Run depth estimation
+     * @param {Object} options.pose - Camera pose (pitch, roll, hfov, aspect) for sky region and gyro
+     * @param {number[][]} [options.excludeBoxes] - Normalized boxes of current targets (not background)
+     * @param {Array<{class: string, bbox: number[]}>} [options.calibration] - Normalized
+     *        detections for metric depth calibration
+     * @returns {Promise<{detections: Array|null, tracks: Array|null, depth: Object|null}>}
+     *          depth is the fused map (DepthFusion.getResult) whenever it changed;
+     *          depth.fresh is true if a new estimate went into it
+     */
+    async process(source, options) {
+        const result = { detections: null, tracks: null, depth: null };
+        const { width, height } = sourceSize(source);
+        if (!width || !height) return result;
+
+        let frame = null;
+        let depthMoved = false;
+        if (options.detect && this.detector.isReady()) {
+            const raw = await this.detector.detect(source);
+
+            // Normalize bboxes to 0-1 range for tracker and overlays
+            const detections = raw.map(d => ({
+                ...d,
+                bbox: [d.bbox[0] / width, d.bbox[1] / height, d.bbox[2] / width, d.bbox[3] / height]
+            }));
+
+            // Camera motion is measured on the background around the boxes and removed
+            // from the tracks, so approach/retreat is the target's motion, not the operator's.
+            frame = this._captureFrame(source);
+            const targetBoxes = [...detections.map(d => d.bbox), ...(options.excludeBoxes || [])];
+            const cameraMotion = this.egoMotion.estimate(frame, targetBoxes, options.pose);
+            depthMoved = this.depthFusion.warp(cameraMotion);
+
+            // Small UAS: a higher-resolution crop of the sky above the horizon
+            const skyRegion = this.skyDetector.getRegion(options.pose);
+            const skyHits = this.skyDetector.detect(
+                skyRegion ? this._captureRegion(source, width, height, skyRegion) : null, skyRegion, cameraMotion);
+            detections.push(...skyHits);
+
+            // The frame gives each box an appearance signature for re-ID
+            result.detections = detections;
+            result.tracks = this.tracker.update(detections, frame, cameraMotion);
+        }
+
+        if (options.depth && this.depth.isReady()) {
+            const input = frame || this._captureFrame(source);
+            // Known-size detections (in depth-input pixels) calibrate metric range
+            const calibration = (options.calibration || []).map(d => ({
+                class: d.class, bbox: d.bbox.map(v => v * FRAME_SIZE)
+            }));
+            const estimate = await this.depth.estimate(input, calibration);
+            if (estimate) {
+                this.depthFusion.fuse(estimate);
+                result.depth = { ...this.depthFusion.getResult(), fresh: true };
+            }
+        }
+        if (!result.depth && depthMoved) {
+            result.depth = { ...this.depthFusion.getResult(), fresh: false };
+        }
+
+        return result;
+    }
+
+    /**
+     * Reset frame-to-frame state after a camera or view change.
+     */
+    reset() {
+        this.tracker.reset();
+        this.depthFusion.reset();
+        this.resetMotion();
+    }
+
+    /**
+     * Reset the frame-differencing estimators only (tracks survive), for a
+     * change in how frames look rather than in the camera.
+     */
+    resetMotion() {
+        this.egoMotion.reset();
+        this.skyDetector.reset();
+    }
+
+    /** @private */
+    _captureFrame(source) {
+        if (!this._frameCanvas) {
+            this._frameCanvas = new OffscreenCanvas(FRAME_SIZE, FRAME_SIZE);
+            this._frameCtx = this._frameCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        this._frameCtx.drawImage(source, 0, 0, FRAME_SIZE, FRAME_SIZE);
+        return this._frameCtx.getImageData(0, 0, FRAME_SIZE, FRAME_SIZE);
+    }
+
+    /**
+     * A normalized region of the source at SKY_CROP_WIDTH (height keeps the
+     * region's pixel aspect).
+     * @private
+     */
+    _captureRegion(source, width, height, region) {
+        const sx = region.x * width, sy = region.y * height, sw = region.w * width, sh = region.h * height;
+        const outWidth = SKY_CROP_WIDTH;
+        const outHeight = Math.max(1, Math.round(outWidth * sh / sw));
+        if (!this._regionCanvas || this._regionCanvas.height !== outHeight) {
+            this._regionCanvas = new OffscreenCanvas(outWidth, outHeight);
+            this._regionCtx = this._regionCanvas.getContext('2d', { willReadFrequently: true });
+        }
+        this._regionCtx.drawImage(source, sx, sy, sw, sh, 0, 0, outWidth, outHeight);
+        return this._regionCtx.getImageData(0, 0, outWidth, outHeight);
+    }
+}
+
+/**
+ * Pixel size of any frame source.
+ * @private
+ */
+function sourceSize(source) {
+    return {
+        width: source?.videoWidth || source?.displayWidth || source?.width || 0,
+        height: source?.videoHeight || source?.displayHeight || source?.height || 0
+    };
+}
@@ -0,0 +1,259 @@
+// =============================================================================
+// TALOS 2.0 - Perception Service
+// Main-thread front end of the perception pipeline. The pipeline runs in the
+// perception worker with each frame transferred as an ImageBitmap, so
+// detection, depth and tracking never block the renderer. Where a worker
+// cannot host it (no OffscreenCanvas / createImageBitmap, or the worker fails
+// to load models) the same pipeline runs on the main thread.
+// =============================================================================
+
+import { PerceptionPipeline } from './perception-pipeline.js';
+import { classifyDetection } from './detector.js';
+import { modelRegistry } from './model-registry.js';
+
+export class PerceptionService {
+    constructor() {
+        /** @type {Worker|null} */
+        this._worker = null;
+
+        /** @type {PerceptionPipeline|null} In-thread fallback */
+        this._pipeline = null;
+
+        /** @type {Map<number, {resolve: Function, reject: Function}>} Requests awaiting a reply */
+        this._pending = new Map();
+        this._nextId = 1;
+
+        /** @type {{hfov: number, width: number, height: number}|null} Replayed to a new pipeline */
+        this._camera = null;
+
+        /** @type {number|null} Detector confidence, replayed to a new pipeline */
+        this._threshold = null;
+
+        /** @type {{detector: Object|null|undefined, depth: boolean}} Models to reload after a worker crash */
+        this._loaded = { detector: undefined, depth: false };
+
+        /** @type {Object|null} Active detector model (main-thread registry entry) */
+        this._model = null;
+        this._backend = 'unknown';
+    }
+
+    /**
+     * Start the worker, or the in-thread pipeline where workers cannot host it.
+     *
+     * @returns {boolean} True if perception runs in a worker
+     */
+    start() {
+        if (this._worker || this._pipeline) return this.isWorker();
+
+        const capable = typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap === 'function';
+        if (capable) {
+            try {
+                // Classic worker: MediaPipe and ONNX Runtime need importScripts
+                this._worker = new Worker(new URL('./perception-worker.js', import.meta.url));
+                this._worker.onmessage = (e) => this._onMessage(e.data);
+                this._worker.onerror = (e) => {
+                    // Uncaught in the worker: nothing will answer this or any later request
+                    console.error('[PERCEPTION] Worker error:', e.message);
+                    this._recoverInThread();
+                };
+                console.log('[PERCEPTION] Pipeline running in worker');
+                return true;
+            } catch (err) {
+                console.warn('[PERCEPTION] Worker unavailable:', err.message);
+                this._worker = null;
+            }
+        }
+        this._runInThread();
+        return false;
+    }
+
+    isWorker() { return !!this._worker; }
+    getModel() { return this._model; }
+    getBackend() { return this._backend; }
+
+    /**
+     * Load a detection model (falls back to COCO inside the detector).
+     *
+     * @param {Object} model - modelRegistry entry
+     * @returns {Promise<boolean>} True if any model loaded
+     */
+    async loadDetector(model) {
+        // The fallback is rebuilt on the other side; custom entries are cloned across
+        const request = model === modelRegistry.getFallback() ? null : model;
+        const inWorker = !!this._worker;
+        let reply;
+        try {
+            reply = inWorker
+                ? await this._call('loadDetector', { model: request })
+                : await this._pipeline.loadDetector(request);
+        } catch (err) {
+            if (!inWorker) throw err;
+            console.warn(`[PERCEPTION] Worker failed: ${err.message}`);
+            reply = { ok: false };
+        }
+        if (!reply.ok && inWorker) {
+            // Some browsers cannot run the model runtimes in a worker
+            console.warn('[PERCEPTION] No detector in the worker - retrying on the main thread');
+            if (this._worker) this._runInThread();
+            reply = await this._pipeline.loadDetector(request);
+        }
+        this._applyDetector(reply);
+        if (reply.ok) this._loaded.detector = request;
+        return reply.ok;
+    }
+
+    /** @returns {Promise<boolean>} True if the depth model loaded */
+    async loadDepth() {
+        let ok;
+        if (this._worker) {
+            try {
+                ok = await this._call('loadDepth');
+            } catch (err) {
+                // Only a dead worker (the in-thread pipeline has taken over) is retried
+                if (this._worker) throw err;
+                console.warn(`[PERCEPTION] Worker failed: ${err.message}`);
+                ok = await this._pipeline.loadDepth();
+            }
+        } else {
+            ok = await this._pipeline.loadDepth();
+        }
+        if (ok) this._loaded.depth = true;
+        return ok;
+    }
+
+    /**
+     * Run the pipeline on one frame. See PerceptionPipeline.process.
+     *
+     * @param {CanvasImageSource} source - Video element or enhanced frame canvas
+     * @param {Object} options
+     * @returns {Promise<{detections: Array|null, tracks: Array|null, depth: Object|null}>}
+     */
+    async process(source, options) {
+        if (!this._worker) return this._pipeline.process(source, options);
+        const frame = await createImageBitmap(source);
+        return this._call('process', { frame, options }, [frame]);
+    }
+
+    /**
+     * Tactical category and branches of a label under the active model.
+     *
+     * @param {string} label
+     * @returns {{tacticalClass: string, branches: string[]|null}}
+     */
+    classify(label) {
+        return classifyDetection(this._model || modelRegistry.getFallback(), label);
+    }
+
+    setCamera(hfov, width, height) {
+        this._camera = { hfov, width, height };
+        if (this._worker) this._post('setCamera', { hfov, width, height });
+        else this._pipeline.tracker.setCamera(hfov, width, height);
+    }
+
+    setThreshold(confidence) {
+        this._threshold = confidence;
+        if (this._worker) this._post('setThreshold', { confidence });
+        else this._pipeline.detector.setThresholds(confidence);
+    }
+
+    /**
+     * Fuse an external range (depth map) into a track.
+     */
+    observeRange(trackId, meters, calibrated) {
+        if (this._worker) this._post('observeRange', { trackId, meters, calibrated });
+        else this._pipeline.tracker.observeRange(trackId, meters, calibrated);
+    }
+
+    /**
+     * Forward a DeviceMotion sample to the ego-motion estimate.
+     *
+     * @param {DeviceMotionEvent} event
+     */
+    addMotion(event) {
+        if (!this._worker) {
+            this._pipeline.egoMotion.addMotion(event);
+            return;
+        }
+        const rate = event.rotationRate;
+        if (!rate) return;
+        this._post('motion', { rotationRate: { beta: rate.beta, gamma: rate.gamma }, interval: event.interval });
+    }
+
+    /**
+     * Reset frame-to-frame state after a camera or view change.
+     */
+    reset() {
+        if (this._worker) this._post('reset');
+        else this._pipeline.reset();
+    }
+
+    /**
+     * Reset camera-motion and sky estimators only (tracks survive), after a
+     * view-mode change.
+     */
+    resetMotion() {
+        if (this._worker) this._post('resetMotion');
+        else this._pipeline.resetMotion();
+    }
+
+    // ---- Private ----
+
+    _runInThread() {
+        if (this._worker) {
+            this._worker.terminate();
+            this._worker = null;
+            this._rejectPending(new Error('Worker terminated'));
+        }
+        this._pipeline = new PerceptionPipeline();
+        if (this._camera) this._pipeline.tracker.setCamera(this._camera.hfov, this._camera.width, this._camera.height);
+        if (this._threshold !== null) this._pipeline.detector.setThresholds(this._threshold);
+        console.log('[PERCEPTION] Pipeline running on the main thread');
+    }
+
+    // Worker crashed: carry on in-thread and reload the models it had
+    _recoverInThread() {
+        this._runInThread();
+        const { detector, depth } = this._loaded;
+        if (detector !== undefined) {
+            this._pipeline.loadDetector(detector)
+                .then(reply => this._applyDetector(reply))
+                .catch(err => console.warn('[PERCEPTION] Detector reload failed:', err.message));
+        }
+        if (depth) {
+            this._pipeline.loadDepth()
+                .catch(err => console.warn('[PERCEPTION] Depth reload failed:', err.message));
+        }
+    }
+
+    _applyDetector(reply) {
+        this._model = reply.ok ? modelRegistry.get(reply.modelId) : null;
+        this._backend = reply.backend;
+    }
+
+    _call(type, payload = null, transfer = []) {
+        const id = this._nextId++;
+        return new Promise((resolve, reject) => {
+            this._pending.set(id, { resolve, reject });
+            this._worker.postMessage({ id, type, payload }, transfer);
+        });
+    }
+
+    _rejectPending(err) {
+        for (const { reject } of this._pending.values()) reject(err);
+        this._pending.clear();
+    }
+
+    _post(type, payload = null) {
+        this._worker.postMessage({ type, payload });
+    }
+
+    _onMessage({ id, result, error }) {
+        const pending = this._pending.get(id);
+        if (!pending) return;
+        this._pending.delete(id);
+        if (error) pending.reject(new Error(error));
+        else pending.resolve(result);
+    }
+}
@@ -0,0 +1,69 @@
+// =============================================================================
+// TALOS 2.0 - Perception Worker
+// Hosts the perception pipeline (detector, depth, tracker) off the main
+// thread. A classic worker, not a module worker: MediaPipe and ONNX Runtime
+// load their WASM glue with importScripts. The pipeline modules come in with
+// dynamic import().
+//
+// Protocol: { id?, type, payload } in; { id, result } or { id, error } out
+// for messages that carry an id. Frames arrive as transferred ImageBitmaps
+// or VideoFrames and are closed here.
+// =============================================================================
+
+let pipeline = null;
+
+const ready = import('./perception-pipeline.js').then(module => {
+    pipeline = new module.PerceptionPipeline();
+    console.log('[PERCEPTION-WORKER] Pipeline ready');
+});
+
+self.onmessage = async (event) => {
+    const { id, type, payload } = event.data;
+    try {
+        await ready;
+        let result = null;
+        let transfer = [];
+
+        switch (type) {
+            case 'loadDetector':
+                result = await pipeline.loadDetector(payload.model);
+                break;
+            case 'loadDepth':
+                result = await pipeline.loadDepth();
+                break;
+            case 'process':
+                try {
+                    result = await pipeline.process(payload.frame, payload.options);
+                } finally {
+                    payload.frame.close();
+                }
+                if (result.depth) transfer = [result.depth.depthMap.buffer, result.depth.uncertainty.buffer];
+                break;
+            case 'setCamera':
+                pipeline.tracker.setCamera(payload.hfov, payload.width, payload.height);
+                break;
+            case 'setThreshold':
+                pipeline.detector.setThresholds(payload.confidence);
+                break;
+            case 'observeRange':
+                pipeline.tracker.observeRange(payload.trackId, payload.meters, payload.calibrated);
+                break;
+            case 'motion':
+                pipeline.egoMotion.addMotion(payload);
+                break;
+            case 'reset':
+                pipeline.reset();
+                break;
+            case 'resetMotion':
+                pipeline.resetMotion();
+                break;
+            default:
+                throw new Error(`Unknown message type: ${type}`);
+        }
+
+        if (id) self.postMessage({ id, result }, transfer);
+    } catch (err) {
+        console.error(`[PERCEPTION-WORKER] ${type} failed:`, err);
+        if (id) self.postMessage({ id, error: err.message });
+    }
+};
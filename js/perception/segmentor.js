@@ -1,8 +1,12 @@
 // =============================================================================
 // TALOS 2.0 - MobileSAM On-Demand Segmentation
-// Point-prompt segmentation using split encoder/decoder architecture
+// Point- and box-prompt segmentation using split encoder/decoder architecture.
+// One encoded frame serves many prompts (e.g. a locked track's box each frame).
 // =============================================================================
 
+import { loadOnnxRuntime } from './model-registry.js';
+import { modelAssets } from './model-assets.js';
+
 /**
  * SAM normalization constants.
  */
@@ -34,6 +38,9 @@ export class Segmentor {
         /** @type {number} Frame ID of cached embedding for invalidation */
         this._cachedFrameId = -1;
 
+        /** @type {number} performance.now() when the cached embedding was computed */
+        this._encodedAt = 0;
+
         /** @type {number} Monotonically increasing frame counter */
         this._frameCounter = 0;
 
@@ -54,19 +61,17 @@ export class Segmentor {
         console.log('[SEGMENT] Initializing MobileSAM segmentation...');
 
         // Lazy-load ONNX Runtime if not already loaded
-        if (typeof ort === 'undefined') {
-            console.log('[SEGMENT] Loading ONNX Runtime Web...');
-            await new Promise((resolve, reject) => {
-                const script = document.createElement('script');
-                script.src = 'https://cdn.jsdelivr.net/npm/onnxruntime-web@1.20.1/dist/ort.min.js';
-                script.onload = resolve;
-                script.onerror = reject;
-                document.head.appendChild(script);
-            });
-        }
+        await loadOnnxRuntime();
 
-        const encoderPath = 'https://huggingface.co/Acly/MobileSAM/resolve/main/mobile_sam_image_encoder.onnx';
-        const decoderPath = 'https://huggingface.co/Acly/MobileSAM/resolve/main/sam_mask_decoder_single.onnx';
+        let encoderModel, decoderModel;
+        try {
+            encoderModel = await modelAssets.load('mobilesam-encoder');
+            decoderModel = await modelAssets.load('mobilesam-decoder');
+        } catch (err) {
+            console.error('[SEGMENT] Model unavailable:', err.message);
+            this._ready = false;
+            return false;
+        }
 
         const backends = ['webgpu', 'wasm'];
         let loaded = false;
@@ -82,14 +87,14 @@ export class Segmentor {
 
                 // Load encoder
                 console.log('[SEGMENT] Loading encoder model...');
-                this._encoder = await ort.InferenceSession.create(encoderPath, options);
+                this._encoder = await ort.InferenceSession.create(encoderModel, options);
                 console.log(`[SEGMENT] Encoder loaded (${backend.toUpperCase()})`);
                 console.log(`[SEGMENT] Encoder inputs: ${JSON.stringify(this._encoder.inputNames)}`);
                 console.log(`[SEGMENT] Encoder outputs: ${JSON.stringify(this._encoder.outputNames)}`);
 
                 // Load decoder
                 console.log('[SEGMENT] Loading decoder model...');
-                this._decoder = await ort.InferenceSession.create(decoderPath, options);
+                this._decoder = await ort.InferenceSession.create(decoderModel, options);
                 console.log(`[SEGMENT] Decoder loaded (${backend.toUpperCase()})`);
                 console.log(`[SEGMENT] Decoder inputs: ${JSON.stringify(this._decoder.inputNames)}`);
                 console.log(`[SEGMENT] Decoder outputs: ${JSON.stringify(this._decoder.outputNames)}`);
@@ -149,8 +154,8 @@ export class Segmentor {
             // Cache the image embedding
             this._cachedEmbedding = results[this._encoder.outputNames[0]];
             this._cachedFrameId = this._frameCounter;
+            this._encodedAt = performance.now();
 
-            console.log(`[SEGMENT] Frame encoded, embedding shape: ${JSON.stringify(this._cachedEmbedding.dims)}`);
             return true;
         } catch (err) {
             console.error('[SEGMENT] Encoding error:', err);
@@ -168,6 +173,33 @@ export class Segmentor {
      * @returns {Promise<{mask: Uint8Array, width: number, height: number}|null>}
      */
     async segment(pointX, pointY) {
+        // Include a background point as padding (SAM convention)
+        return this._decode([pointX, pointY, 0, 0], [1, -1]);
+    }
+
+    /**
+     * Segment the object inside a box prompt using the cached embedding. The
+     * embedding may be from an earlier frame; callers re-encode when the
+     * scene has moved too far from it.
+     *
+     * @param {number[]} box - [x, y, w, h] in original image space
+     * @returns {Promise<{mask: Uint8Array, width: number, height: number}|null>}
+     */
+    async segmentBox(box) {
+        const [x, y, w, h] = box;
+        // Box corners: labels 2 (top-left) and 3 (bottom-right)
+        return this._decode([x, y, x + w, y + h], [2, 3]);
+    }
+
+    /**
+     * Run the decoder for a prompt.
+     *
+     * @param {number[]} coords - Flat [x0, y0, x1, y1, ...] in original image space
+     * @param {number[]} labels - SAM point label per coordinate pair
+     * @returns {Promise<{mask: Uint8Array, width: number, height: number}|null>}
+     * @private
+     */
+    async _decode(coords, labels) {
         if (!this._ready || !this._decoder) {
             console.warn('[SEGMENT] Decoder not ready');
             return null;
@@ -179,12 +211,12 @@ export class Segmentor {
         }
 
         try {
-            // Scale point coordinates from original image space to encoder input space (1024x1024)
-            const scaledX = (pointX / this._origWidth) * ENCODER_SIZE;
-            const scaledY = (pointY / this._origHeight) * ENCODER_SIZE;
+            // Scale coordinates from original image space to encoder input space (1024x1024)
+            const scaled = coords.map((v, i) =>
+                v / (i % 2 === 0 ? this._origWidth : this._origHeight) * ENCODER_SIZE);
 
             // Build decoder inputs
-            const feeds = this._buildDecoderFeeds(scaledX, scaledY);
+            const feeds = this._buildDecoderFeeds(scaled, labels);
 
             // Run decoder
             const results = await this._decoder.run(feeds);
@@ -263,12 +295,12 @@ export class Segmentor {
     /**
      * Build the feed dictionary for the MobileSAM decoder.
      *
-     * @param {number} px - Point X in encoder space (0-1024)
-     * @param {number} py - Point Y in encoder space (0-1024)
+     * @param {number[]} coords - Flat prompt coordinates in encoder space (0-1024)
+     * @param {number[]} labels - Label per point
      * @returns {Object} Feed dictionary for decoder session
      * @private
      */
-    _buildDecoderFeeds(px, py) {
+    _buildDecoderFeeds(coords, labels) {
         const feeds = {};
 
         // Image embedding from encoder
@@ -285,11 +317,10 @@ export class Segmentor {
                 feeds[name] = this._cachedEmbedding;
             } else if (lower.includes('point_coord') || lower.includes('points')) {
                 // Point coordinates: [1, N, 2] where N = number of points
-                // Include a background point as padding (SAM convention)
-                feeds[name] = new ort.Tensor('float32', new Float32Array([px, py, 0, 0]), [1, 2, 2]);
+                feeds[name] = new ort.Tensor('float32', Float32Array.from(coords), [1, labels.length, 2]);
             } else if (lower.includes('point_label') || lower.includes('labels')) {
-                // Point labels: 1 = foreground, -1 = padding/background
-                feeds[name] = new ort.Tensor('float32', new Float32Array([1, -1]), [1, 2]);
+                // Point labels: 1 = foreground, -1 = padding, 2/3 = box corners
+                feeds[name] = new ort.Tensor('float32', Float32Array.from(labels), [1, labels.length]);
             } else if (lower.includes('mask_input') || lower === 'mask') {
                 // No prior mask: zeros
                 feeds[name] = new ort.Tensor('float32', new Float32Array(256 * 256).fill(0), [1, 1, 256, 256]);
@@ -391,6 +422,22 @@ export class Segmentor {
         return this._cachedEmbedding !== null;
     }
 
+    /**
+     * Size of the frame behind the cached embedding (the space prompts are in).
+     * @returns {{width: number, height: number}|null}
+     */
+    getFrameSize() {
+        return this._cachedEmbedding ? { width: this._origWidth, height: this._origHeight } : null;
+    }
+
+    /**
+     * Age of the cached embedding.
+     * @returns {number} ms since encode(), Infinity without one
+     */
+    getEmbeddingAge() {
+        return this._cachedEmbedding ? performance.now() - this._encodedAt : Infinity;
+    }
+
     /**
      * Get the backend being used.
      * @returns {string}
@@ -0,0 +1,301 @@
+// =============================================================================
+// TALOS 2.0 - Sky Detector (small UAS)
+// Dedicated path for small aerial objects, which the main detector misses at
+// a few pixels across. Works on a higher-resolution crop of the sky above the
+// horizon: local-contrast and motion-saliency candidates against smooth sky,
+// a tiny logistic classifier, and persistence over several frames before a
+// hit is confirmed.
+// =============================================================================
+
+/** Class label of confirmed sky detections. */
+export const UAS_CLASS = 'uas';
+
+const DEG = Math.PI / 180;
+
+/** Width of the sky crop (px); height follows the region's aspect. */
+export const SKY_CROP_WIDTH = 480;
+
+/** Crop stops this far (frame heights) above the horizon. */
+const HORIZON_MARGIN = 0.03;
+
+/** Sky regions shorter than this (frame heights) are not searched. */
+const MIN_SKY_HEIGHT = 0.12;
+
+/** Background box-blur radius (px) for local contrast. */
+const BG_RADIUS = 4;
+
+/** Window radius (px) for sky smoothness; the inner BG_RADIUS box (the object itself) is left out. */
+const SKY_RADIUS = 12;
+
+/** Grey-level standard deviation above which a window is not smooth sky. */
+const SKY_MAX_STD = 16;
+
+/** Local contrast (grey levels) for a candidate pixel. */
+const CONTRAST_MIN = 14;
+
+/** Candidate blob size limits (px). */
+const MIN_BLOB = 2;
+const MAX_BLOB = 150;
+
+/** Tiny classifier: logistic weights over [contrast, motion, compactness, smoothness, size]. */
+const CLASSIFIER = { weights: [3.0, 2.5, 1.0, 1.5, 0.5], bias: -4.0 };
+
+/** Candidate score needed to count as a hit. */
+const HIT_SCORE = 0.5;
+
+/** Hits within the recent window needed to confirm. */
+const CONFIRM_HITS = 3;
+const HISTORY = 5;
+
+/** Candidate association radius (normalized frame units). */
+const ASSOCIATE_DIST = 0.04;
+
+/** Reported boxes are padded to this size so the tracker can overlap them. */
+const MIN_BOX = 0.015;
+
+export class SkyDetector {
+    constructor() {
+        /** @type {Float32Array|null} Previous crop (grey) */
+        this._prevGray = null;
+
+        /** @type {{x: number, y: number, w: number, h: number}|null} Region of the previous crop */
+        this._prevRegion = null;
+
+        /** @type {Object[]} Candidate tracks: { x, y, w, h, history: boolean[], scores: number[], confirmed } */
+        this._candidates = [];
+    }
+
+    /**
+     * Sky region above the horizon for the current pose.
+     *
+     * @param {{pitch: number, roll: number, hfov: number, aspect: number}} pose
+     * @returns {{x: number, y: number, w: number, h: number}|null} Normalized, or null
+     *          when the camera looks too far down for any sky
+     */
+    getRegion(pose) {
+        const tanH = Math.tan((pose?.hfov || 60) / 2 * DEG);
+        const tanV = tanH * (pose?.aspect || 16 / 9);
+        const horizon = 0.5 + Math.tan((pose?.pitch || 0) * DEG) / (2 * tanV);
+        // A rolled horizon rises at one edge of the frame
+        const tilt = Math.abs(Math.tan((pose?.roll || 0) * DEG)) * tanH / tanV / 2;
+        const bottom = Math.min(1, horizon - tilt - HORIZON_MARGIN);
+        if (bottom < MIN_SKY_HEIGHT) return null;
+        return { x: 0, y: 0, w: 1, h: bottom };
+    }
+
+    /**
+     * Search one sky crop.
+     *
+     * @param {ImageData|null} crop - The region from getRegion(), SKY_CROP_WIDTH wide
+     * @param {{x: number, y: number, w: number, h: number}} region
+     * @param {{dx: number, dy: number}|null} cameraMotion - Image motion since the previous call
+     * @returns {Array<{class: string, score: number, bbox: number[]}>} Confirmed small-UAS
+     *          detections (normalized frame bboxes)
+     */
+    detect(crop, region, cameraMotion = null) {
+        if (!crop || !region) {
+            this.reset();
+            return [];
+        }
+        const { width, height } = crop;
+        const gray = toGray(crop);
+
+        // Previous crop, shifted by the camera motion, for motion saliency
+        let shiftX = 0, shiftY = 0;
+        const comparable = this._prevGray && this._prevRegion && this._prevGray.length === gray.length &&
+            Math.abs(this._prevRegion.h - region.h) < 0.01;
+        if (comparable && cameraMotion) {
+            shiftX = Math.round(cameraMotion.dx / region.w * width);
+            shiftY = Math.round(cameraMotion.dy / region.h * height);
+        }
+
+        const sum = integral(gray, width, height, false);
+        const sumSq = integral(gray, width, height, true);
+        const mask = new Uint8Array(width * height);
+        const contrast = new Float32Array(width * height);
+        const smooth = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const inner = boxSum(sum, width, height, x, y, BG_RADIUS);
+                const c = gray[i] - inner.total / inner.count;
+                // Sky smoothness over the ring around the object
+                const outer = boxSum(sum, width, height, x, y, SKY_RADIUS);
+                const n = outer.count - inner.count;
+                const mean = (outer.total - inner.total) / n;
+                const sq = (boxSum(sumSq, width, height, x, y, SKY_RADIUS).total -
+                    boxSum(sumSq, width, height, x, y, BG_RADIUS).total) / n;
+                const std = Math.sqrt(Math.max(0, sq - mean * mean));
+                contrast[i] = c;
+                smooth[i] = std;
+                if (Math.abs(c) >= CONTRAST_MIN && std < SKY_MAX_STD) mask[i] = 1;
+            }
+        }
+
+        const blobs = components(mask, width, height);
+        const found = [];
+        for (const blob of blobs) {
+            if (blob.pixels.length < MIN_BLOB || blob.pixels.length > MAX_BLOB) continue;
+
+            let c = 0, m = 0, s = 0, moving = 0;
+            for (const i of blob.pixels) {
+                c += Math.abs(contrast[i]);
+                s += smooth[i];
+                if (comparable) {
+                    const px = (i % width) - shiftX, py = Math.floor(i / width) - shiftY;
+                    if (px >= 0 && px < width && py >= 0 && py < height) {
+                        m += Math.abs(gray[i] - this._prevGray[py * width + px]);
+                        moving++;
+                    }
+                }
+            }
+            const n = blob.pixels.length;
+            const bw = blob.maxX - blob.minX + 1, bh = blob.maxY - blob.minY + 1;
+            const features = [
+                Math.min(1, c / n / 64),
+                moving ? Math.min(1, m / moving / 48) : 0,
+                n / (bw * bh),
+                1 - Math.min(1, s / n / SKY_MAX_STD),
+                Math.min(1, n / 20)
+            ];
+            const score = classify(features);
+
+            found.push({
+                score,
+                x: region.x + (blob.minX + bw / 2) / width * region.w,
+                y: region.y + (blob.minY + bh / 2) / height * region.h,
+                w: bw / width * region.w,
+                h: bh / height * region.h
+            });
+        }
+
+        this._prevGray = gray;
+        this._prevRegion = region;
+        return this._associate(found, cameraMotion);
+    }
+
+    /** Drop candidates and the previous crop. */
+    reset() {
+        this._prevGray = null;
+        this._prevRegion = null;
+        this._candidates = [];
+    }
+
+    /**
+     * Persistence: each candidate track must score a hit in CONFIRM_HITS of the
+     * last HISTORY crops before it is reported.
+     * @private
+     */
+    _associate(found, cameraMotion) {
+        const used = new Set();
+        for (const cand of this._candidates) {
+            // Candidates move with the camera between crops
+            if (cameraMotion) { cand.x += cameraMotion.dx; cand.y += cameraMotion.dy; }
+            let best = -1, bestDist = ASSOCIATE_DIST;
+            found.forEach((f, k) => {
+                if (used.has(k)) return;
+                const d = Math.hypot(f.x - cand.x, f.y - cand.y);
+                if (d < bestDist) { best = k; bestDist = d; }
+            });
+            if (best >= 0) {
+                used.add(best);
+                const f = found[best];
+                Object.assign(cand, { x: f.x, y: f.y, w: f.w, h: f.h });
+                cand.history.push(f.score >= HIT_SCORE);
+                cand.scores.push(f.score);
+            } else {
+                cand.history.push(false);
+                cand.scores.push(0);
+            }
+            if (cand.history.length > HISTORY) { cand.history.shift(); cand.scores.shift(); }
+        }
+        found.forEach((f, k) => {
+            if (!used.has(k) && f.score >= HIT_SCORE) {
+                this._candidates.push({ x: f.x, y: f.y, w: f.w, h: f.h, history: [true], scores: [f.score], confirmed: false });
+            }
+        });
+        this._candidates = this._candidates.filter(c => c.history.some(Boolean));
+
+        const confirmed = [];
+        for (const cand of this._candidates) {
+            const hits = cand.history.filter(Boolean).length;
+            if (hits >= CONFIRM_HITS && !cand.confirmed) {
+                cand.confirmed = true;
+                console.log(`[SKY] Small UAS confirmed at (${cand.x.toFixed(2)}, ${cand.y.toFixed(2)})`);
+            }
+            if (!cand.confirmed || !cand.history[cand.history.length - 1]) continue;
+            const w = Math.max(MIN_BOX, cand.w), h = Math.max(MIN_BOX, cand.h);
+            const score = cand.scores.reduce((a, b) => a + b, 0) / cand.scores.length;
+            confirmed.push({ class: UAS_CLASS, score: Math.max(score, 0.6), bbox: [cand.x - w / 2, cand.y - h / 2, w, h] });
+        }
+        return confirmed;
+    }
+}
+
+// ---- Image helpers ----
+
+function toGray(image) {
+    const { width, height, data } = image;
+    const gray = new Float32Array(width * height);
+    for (let i = 0; i < gray.length; i++) {
+        gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    return gray;
+}
+
+// Summed-area table with a zero row/column: (width + 1) x (height + 1)
+function integral(gray, width, height, squared) {
+    const table = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let row = 0;
+        for (let x = 0; x < width; x++) {
+            const v = gray[y * width + x];
+            row += squared ? v * v : v;
+            table[(y + 1) * (width + 1) + x + 1] = table[y * (width + 1) + x + 1] + row;
+        }
+    }
+    return table;
+}
+
+// Sum and pixel count of the (2r + 1)² box at (x, y), clipped to the image
+function boxSum(table, width, height, x, y, r) {
+    const x0 = Math.max(0, x - r), y0 = Math.max(0, y - r);
+    const x1 = Math.min(width, x + r + 1), y1 = Math.min(height, y + r + 1);
+    const stride = width + 1;
+    const total = table[y1 * stride + x1] - table[y0 * stride + x1] - table[y1 * stride + x0] + table[y0 * stride + x0];
+    return { total, count: (x1 - x0) * (y1 - y0) };
+}
+
+// 4-connected components of a binary mask; pixel lists stop at MAX_BLOB + 1
+function components(mask, width, height) {
+    const blobs = [];
+    const seen = new Uint8Array(mask.length);
+    for (let start = 0; start < mask.length; start++) {
+        if (!mask[start] || seen[start]) continue;
+        const blob = { pixels: [], minX: width, minY: height, maxX: 0, maxY: 0 };
+        const stack = [start];
+        seen[start] = 1;
+        while (stack.length) {
+            const i = stack.pop();
+            const x = i % width, y = Math.floor(i / width);
+            if (blob.pixels.length <= MAX_BLOB) blob.pixels.push(i);
+            blob.minX = Math.min(blob.minX, x); blob.maxX = Math.max(blob.maxX, x);
+            blob.minY = Math.min(blob.minY, y); blob.maxY = Math.max(blob.maxY, y);
+            for (const j of [i - 1, i + 1, i - width, i + width]) {
+                if (j < 0 || j >= mask.length || seen[j] || !mask[j]) continue;
+                if ((j === i - 1 && x === 0) || (j === i + 1 && x === width - 1)) continue;
+                seen[j] = 1;
+                stack.push(j);
+            }
+        }
+        blobs.push(blob);
+    }
+    return blobs;
+}
+
+function classify(features) {
+    let z = CLASSIFIER.bias;
+    for (let k = 0; k < features.length; k++) z += CLASSIFIER.weights[k] * features[k];
+    return 1 / (1 + Math.exp(-z));
+}
@@ -1,8 +1,14 @@
 // =============================================================================
 // TALOS 2.0 - ByteTrack Multi-Object Tracker
-// Pure JavaScript implementation with Kalman filtering and cascaded matching
+// Pure JavaScript implementation with Kalman filtering, cascaded Hungarian
+// matching, appearance re-identification and metric range / closing speed
 // =============================================================================
 
+import { appearanceDistance, blendAppearance, extractAppearance } from './appearance.js';
+import { KNOWN_HEIGHTS } from './depth.js';
+import { CAMERA_HFOV_DEG } from '../core/geo.js';
+import { clock } from '../core/clock.js';
+
 /**
  * Track lifecycle states.
  */
@@ -19,6 +25,23 @@ const MAX_AGE = 30;          // Frames before a LOST track is DELETED
 const HIGH_CONF = 0.5;       // High confidence threshold for cascaded matching
 const IOU_THRESHOLD = 0.3;   // Minimum IoU for valid match
 
+// --- Appearance / re-ID ---
+const APPEARANCE_WEIGHT = 0.5;      // Share of appearance distance in the fused cost
+const MIN_IOU_WITH_APPEARANCE = 0.1; // Fused matching still needs some overlap
+const APPEARANCE_ALPHA = 0.9;       // Running descriptor keeps this much per update
+const REID_THRESHOLD = 0.3;         // Maximum appearance distance to revive a track
+const REID_MAX_AGE = 600;           // Frames a deleted track stays in the re-ID gallery
+const REID_GALLERY_SIZE = 50;
+const REID_MAX_JUMP = 0.5;          // LOST track re-ID: max centre jump (frame widths)
+
+// --- Metric kinematics ---
+const KNOWN_SIZE_SIGMA = 0.25;      // Relative range error from apparent height (posture, size spread)
+const DEPTH_SIGMA = { calibrated: 0.2, uncalibrated: 0.5 };  // Relative range error of depth-map ranges
+const EDGE_MARGIN = 0.01;           // Boxes this close to the top/bottom edge are cut off
+const RANGE_ACCEL_SIGMA = 1.0;      // Target acceleration along the line of sight (m/s², 1-sigma)
+const INITIAL_RANGE_RATE_SIGMA = 3; // Range-rate uncertainty of a new range filter (m/s)
+const BEARING_RATE_SIGMA = 0.01;    // Bearing-rate noise left after ego-motion compensation (rad/s)
+
 // --- Kalman Filter ---
 // State: [x, y, w, h, vx, vy, vw, vh]
 // Measurement: [x, y, w, h]
@@ -94,6 +117,23 @@ class KalmanFilter {
         }
     }
 
+    /**
+     * Move the state with the camera: a global image shift plus zoom about the
+     * frame centre. Velocity stays target-only motion.
+     * @param {{dx: number, dy: number, scale: number}} motion - Normalized
+     */
+    compensate(motion) {
+        const k = 1 + (motion.scale || 0);
+        const [x, y, w, h] = this.state;
+        const cx = 0.5 + k * (x + w / 2 - 0.5) + motion.dx;
+        const cy = 0.5 + k * (y + h / 2 - 0.5) + motion.dy;
+        this.state[2] = w * k;
+        this.state[3] = h * k;
+        this.state[0] = cx - this.state[2] / 2;
+        this.state[1] = cy - this.state[3] / 2;
+        for (let i = 4; i < 8; i++) this.state[i] *= k;
+    }
+
     /**
      * Get current measurement prediction.
      * @returns {number[]} [x, y, w, h]
@@ -111,6 +151,63 @@ class KalmanFilter {
     }
 }
 
+// --- Range Filter ---
+// State: [r, ṙ] (metres, m/s), full 2x2 covariance, white-noise acceleration model.
+// Time-based rather than per-frame, because range measurements arrive from
+// detection frames (known size) and the much slower depth passes.
+
+class RangeFilter {
+    /**
+     * @param {number} range - First measurement (m)
+     * @param {number} sigma - Its 1-sigma error (m)
+     * @param {number} time - Epoch ms
+     */
+    constructor(range, sigma, time) {
+        this.range = range;
+        this.rate = 0;
+        this.P = [sigma * sigma, 0, INITIAL_RANGE_RATE_SIGMA ** 2];  // [Prr, Prv, Pvv]
+        this.time = time;
+    }
+
+    /**
+     * Advance the state to a time (constant range rate).
+     * @param {number} time - Epoch ms
+     */
+    predict(time) {
+        const dt = (time - this.time) / 1000;
+        if (dt <= 0) return;
+        const q = RANGE_ACCEL_SIGMA ** 2;
+        const [prr, prv, pvv] = this.P;
+
+        this.range += this.rate * dt;
+        this.P = [
+            prr + 2 * dt * prv + dt * dt * pvv + q * dt ** 4 / 4,
+            prv + dt * pvv + q * dt ** 3 / 2,
+            pvv + q * dt * dt
+        ];
+        this.time = time;
+    }
+
+    /**
+     * Fuse a range measurement.
+     * @param {number} range - Measured range (m)
+     * @param {number} sigma - 1-sigma error (m)
+     * @param {number} time - Epoch ms
+     */
+    update(range, sigma, time) {
+        this.predict(time);
+        const [prr, prv, pvv] = this.P;
+        const S = prr + sigma * sigma;
+        const kr = prr / S;
+        const kv = prv / S;
+        const innovation = range - this.range;
+
+        this.range += kr * innovation;
+        this.rate += kv * innovation;
+        this.P = [(1 - kr) * prr, (1 - kr) * prv, pvv - kv * prv];
+    }
+}
+
 // --- Track Object ---
 
 class Track {
@@ -119,8 +216,9 @@ class Track {
      * @param {number[]} bbox - Initial [x, y, w, h]
      * @param {string} className - COCO class name
      * @param {number} score - Detection confidence
+     * @param {Float32Array|null} [appearance] - Appearance descriptor
      */
-    constructor(id, bbox, className, score) {
+    constructor(id, bbox, className, score, appearance = null) {
         this.id = id;
         this.kf = new KalmanFilter(bbox);
         this.state = TrackState.TENTATIVE;
@@ -128,6 +226,11 @@ class Track {
         this.timeSinceUpdate = 0;
         this.consecutiveHits = 1;
         this.score = score;
+        this.appearance = appearance ? Float32Array.from(appearance) : null;
+
+        /** @type {RangeFilter|null} Metric range, once the track has been ranged */
+        this.range = null;
+        this.rangeCalibrated = false;
 
         // Class voting: track which class is seen most often
         this.classHistory = {};
@@ -135,6 +238,22 @@ class Track {
         this.currentClass = className;
     }
 
+    /**
+     * Bring back a deleted track from the re-ID gallery under its original ID.
+     *
+     * @param {Object} entry - Gallery entry
+     * @param {{bbox: number[], class: string, score: number, appearance: Float32Array}} det
+     * @returns {Track}
+     */
+    static revive(entry, det) {
+        const track = new Track(entry.id, det.bbox, det.class, det.score, entry.appearance);
+        track.age = entry.age;
+        track.classHistory = { ...entry.classHistory };
+        track.state = TrackState.CONFIRMED;
+        track.update(det.bbox, det.class, det.score, det.appearance);
+        return track;
+    }
+
     /**
      * Predict next position using Kalman filter.
      * @returns {number[]}
@@ -151,13 +270,19 @@ class Track {
      * @param {number[]} bbox
      * @param {string} className
      * @param {number} score
+     * @param {Float32Array|null} [appearance]
      */
-    update(bbox, className, score) {
+    update(bbox, className, score, appearance = null) {
         this.kf.update(bbox);
         this.timeSinceUpdate = 0;
         this.consecutiveHits++;
         this.score = score;
 
+        if (appearance) {
+            if (this.appearance) blendAppearance(this.appearance, appearance, APPEARANCE_ALPHA);
+            else this.appearance = Float32Array.from(appearance);
+        }
+
         // Update class voting
         this.classHistory[className] = (this.classHistory[className] || 0) + 1;
 
@@ -179,6 +304,31 @@ class Track {
         }
     }
 
+    /**
+     * Re-acquire a LOST track somewhere its motion model did not predict
+     * (after occlusion): restart the Kalman filter at the new box.
+     *
+     * @param {{bbox: number[], class: string, score: number, appearance: Float32Array|null}} det
+     */
+    reacquire(det) {
+        this.kf = new KalmanFilter(det.bbox);
+        this.update(det.bbox, det.class, det.score, det.appearance);
+    }
+
+    /**
+     * Fuse a metric range measurement.
+     * @param {number} meters
+     * @param {number} sigma - 1-sigma error (m)
+     * @param {number} time - Epoch ms
+     * @param {boolean} calibrated - From a metric source (known size, calibrated depth)
+     */
+    observeRange(meters, sigma, time, calibrated) {
+        if (!(meters > 0) || !Number.isFinite(meters)) return;
+        if (this.range) this.range.update(meters, sigma, time);
+        else this.range = new RangeFilter(meters, sigma, time);
+        if (calibrated) this.rangeCalibrated = true;
+    }
+
     /**
      * Mark track as having no match this frame.
      */
@@ -238,18 +388,30 @@ function computeIoU(a, b) {
 }
 
 /**
- * Build cost matrix (1 - IoU) between tracks and detections.
+ * Build the association cost matrix between tracks and detections.
+ * IoU only: 1 - IoU. With appearance on both sides, a blend of 1 - IoU and
+ * appearance distance, so boxes that overlap while people cross keep their
+ * own identities; pairs with almost no overlap are ruled out.
+ *
  * @param {Track[]} tracks
  * @param {Array} detections
+ * @param {boolean} [useAppearance=false]
  * @returns {number[][]} Cost matrix [tracks x detections]
  */
-function buildCostMatrix(tracks, detections) {
+function buildCostMatrix(tracks, detections, useAppearance = false) {
     const matrix = [];
     for (const track of tracks) {
         const row = [];
         const trackBbox = track.getBbox();
         for (const det of detections) {
-            row.push(1 - computeIoU(trackBbox, det.bbox));
+            const iou = computeIoU(trackBbox, det.bbox);
+            if (useAppearance && track.appearance && det.appearance) {
+                row.push(iou < MIN_IOU_WITH_APPEARANCE ? 1 :
+                    (1 - APPEARANCE_WEIGHT) * (1 - iou) +
+                    APPEARANCE_WEIGHT * appearanceDistance(track.appearance, det.appearance));
+            } else {
+                row.push(1 - iou);
+            }
         }
         matrix.push(row);
     }
@@ -257,14 +419,15 @@ function buildCostMatrix(tracks, detections) {
 }
 
 /**
- * Greedy matching: iteratively assign best IoU pairs.
- * More robust than pure Hungarian for real-time use and simpler to implement.
+ * Optimal assignment (Hungarian / Kuhn-Munkres with potentials, O(n^2 m)).
+ * Pairs above the threshold are forbidden; the solver first maximizes the
+ * number of allowed pairs, then minimizes their total cost.
  *
  * @param {number[][]} costMatrix - [tracks x detections], lower = better
  * @param {number} threshold - Maximum cost (1 - minIoU)
  * @returns {{matches: [number, number][], unmatchedTracks: number[], unmatchedDetections: number[]}}
  */
-function greedyMatch(costMatrix, threshold) {
+function hungarianMatch(costMatrix, threshold) {
     const numTracks = costMatrix.length;
     const numDets = costMatrix[0]?.length || 0;
 
@@ -276,28 +439,63 @@ function greedyMatch(costMatrix, threshold) {
         };
     }
 
-    // Build list of all (cost, trackIdx, detIdx) pairs
-    const pairs = [];
-    for (let t = 0; t < numTracks; t++) {
-        for (let d = 0; d < numDets; d++) {
-            pairs.push({ cost: costMatrix[t][d], track: t, det: d });
-        }
+    // The solver assigns every row: put the smaller side on the rows
+    const transposed = numTracks > numDets;
+    const n = transposed ? numDets : numTracks;
+    const m = transposed ? numTracks : numDets;
+    const FORBIDDEN = 1e6;
+    const cost = (i, j) => {
+        const c = transposed ? costMatrix[j][i] : costMatrix[i][j];
+        return c > threshold ? FORBIDDEN : c;
+    };
+
+    // Row/column potentials; p[j] = row assigned to column j (1-based, 0 = none)
+    const u = new Float64Array(n + 1);
+    const v = new Float64Array(m + 1);
+    const p = new Int32Array(m + 1);
+    const way = new Int32Array(m + 1);
+
+    for (let i = 1; i <= n; i++) {
+        p[0] = i;
+        let j0 = 0;
+        const minv = new Float64Array(m + 1).fill(Infinity);
+        const used = new Uint8Array(m + 1);
+        do {
+            used[j0] = 1;
+            const i0 = p[j0];
+            let delta = Infinity;
+            let j1 = 0;
+            for (let j = 1; j <= m; j++) {
+                if (used[j]) continue;
+                const cur = cost(i0 - 1, j - 1) - u[i0] - v[j];
+                if (cur < minv[j]) { minv[j] = cur; way[j] = j0; }
+                if (minv[j] < delta) { delta = minv[j]; j1 = j; }
+            }
+            for (let j = 0; j <= m; j++) {
+                if (used[j]) { u[p[j]] += delta; v[j] -= delta; }
+                else minv[j] -= delta;
+            }
+            j0 = j1;
+        } while (p[j0] !== 0);
+
+        // Augment along the alternating path
+        do {
+            const j1 = way[j0];
+            p[j0] = p[j1];
+            j0 = j1;
+        } while (j0);
     }
 
-    // Sort by cost ascending (best matches first)
-    pairs.sort((a, b) => a.cost - b.cost);
-
     const matchedTracks = new Set();
     const matchedDets = new Set();
     const matches = [];
-
-    for (const pair of pairs) {
-        if (matchedTracks.has(pair.track) || matchedDets.has(pair.det)) continue;
-        if (pair.cost > threshold) break; // No more valid matches possible
-
-        matches.push([pair.track, pair.det]);
-        matchedTracks.add(pair.track);
-        matchedDets.add(pair.det);
+    for (let j = 1; j <= m; j++) {
+        if (!p[j]) continue;
+        const [t, d] = transposed ? [j - 1, p[j] - 1] : [p[j] - 1, j - 1];
+        if (costMatrix[t][d] > threshold) continue;
+        matches.push([t, d]);
+        matchedTracks.add(t);
+        matchedDets.add(d);
     }
 
     const unmatchedTracks = [];
@@ -326,20 +524,68 @@ export class Tracker {
         /** @type {number} Maximum frames before deleting lost track */
         this._maxAge = MAX_AGE;
 
+        /** @type {number} Frames processed (re-ID gallery ageing) */
+        this._frame = 0;
+
+        /** @type {Object[]} Deleted tracks that can be revived: { id, appearance, class, classHistory, age, deletedFrame } */
+        this._gallery = [];
+
+        /** @type {number} tan(hfov/2) and tan(vfov/2) of the frame the boxes are normalized to */
+        this._tanH = Math.tan(CAMERA_HFOV_DEG / 2 * Math.PI / 180);
+        this._tanV = this._tanH * 16 / 9;
+
+        /** @type {number|null} Time of the previous update (epoch ms) */
+        this._lastTime = null;
+
+        /** @type {number|null} Smoothed seconds between updates (one Kalman step) */
+        this._interval = null;
+
         console.log('[TRACKER] ByteTrack multi-object tracker initialized');
     }
 
+    /**
+     * Camera geometry for metric ranging and lateral speed.
+     *
+     * @param {number} hfovDeg - Horizontal field of view of the frame
+     * @param {number} width - Frame width (any unit)
+     * @param {number} height - Frame height
+     */
+    setCamera(hfovDeg, width, height) {
+        if (hfovDeg) this._tanH = Math.tan(hfovDeg / 2 * Math.PI / 180);
+        if (width > 0 && height > 0) this._tanV = this._tanH * height / width;
+    }
+
     /**
      * Update tracker with new detections for the current frame.
-     * Implements ByteTrack cascaded matching strategy.
+     * Implements ByteTrack cascaded matching strategy. With a frame, each
+     * detection also gets an appearance descriptor, used in the first
+     * association and to re-identify tracks lost to occlusion. With camera
+     * motion (EgoMotion), tracks are moved with the image before prediction,
+     * so velocities reflect the target rather than the operator's head.
      *
      * @param {Array<{class: string, score: number, bbox: number[]}>} detections
+     * @param {ImageData|null} [frame] - Current frame (bboxes are normalized to it)
+     * @param {{dx: number, dy: number, scale: number}|null} [cameraMotion] - Image
+     *        motion since the previous update
      * @returns {Array<{id: number, bbox: number[], velocity: number[], class: string,
-     *           state: string, age: number}>}
+     *           score: number, state: string, age: number, kinematics: Object|null}>}
      */
-    update(detections) {
-        // --- Step 1: Predict all existing tracks ---
+    update(detections, frame = null, cameraMotion = null) {
+        this._frame++;
+        const now = clock.now();
+        if (this._lastTime !== null && now > this._lastTime) {
+            const dt = (now - this._lastTime) / 1000;
+            this._interval = this._interval === null ? dt : this._interval * 0.8 + dt * 0.2;
+        }
+        this._lastTime = now;
+        detections = detections.map(d => ({
+            bbox: d.bbox, class: d.class, score: d.score,
+            appearance: frame ? extractAppearance(frame, d.bbox) : null
+        }));
+
+        // --- Step 1: Compensate camera motion, then predict all existing tracks ---
         for (const track of this._tracks) {
+            if (cameraMotion) track.kf.compensate(cameraMotion);
             track.predict();
         }
 
@@ -376,14 +622,14 @@ export class Tracker {
         let unmatchedDetIndices;
 
         if (activeTracks.length > 0 && highDets.length > 0) {
-            const costMatrix = buildCostMatrix(activeTracks, highDets);
-            const result = greedyMatch(costMatrix, 1 - IOU_THRESHOLD);
+            const costMatrix = buildCostMatrix(activeTracks, highDets, true);
+            const result = hungarianMatch(costMatrix, 1 - IOU_THRESHOLD);
 
             // Apply matches
             for (const [tIdx, dIdx] of result.matches) {
                 const track = activeTracks[tIdx];
                 const det = highDets[dIdx];
-                track.update(det.bbox, det.class, det.score);
+                track.update(det.bbox, det.class, det.score, det.appearance);
             }
 
             unmatchedTrackIndices = result.unmatchedTracks;
@@ -398,8 +644,9 @@ export class Tracker {
         const remainingTrackLocalIndices = unmatchedTrackIndices;
 
         if (remainingTracks.length > 0 && lowDets.length > 0) {
+            // IoU only: low-confidence boxes are mostly partial views
             const costMatrix = buildCostMatrix(remainingTracks, lowDets);
-            const result = greedyMatch(costMatrix, 1 - IOU_THRESHOLD);
+            const result = hungarianMatch(costMatrix, 1 - IOU_THRESHOLD);
 
             // Apply matches
             for (const [tIdx, dIdx] of result.matches) {
@@ -425,36 +672,60 @@ export class Tracker {
             }
         }
 
-        // --- Step 6: Create new tracks from unmatched HIGH confidence detections ---
+        // --- Step 6: Unmatched HIGH confidence detections: re-identify a LOST
+        // or deleted track by appearance, otherwise start a new track ---
         for (const dIdx of unmatchedDetIndices) {
             const det = highDets[dIdx];
-            const track = new Track(this._nextId++, det.bbox, det.class, det.score);
+            if (this._reidentify(det)) continue;
+            const track = new Track(this._nextId++, det.bbox, det.class, det.score, det.appearance);
             this._tracks.push(track);
         }
 
-        // --- Step 7: Remove dead tracks ---
+        // --- Step 7: Remove dead tracks (confirmed ones go to the re-ID gallery) ---
         this._tracks = this._tracks.filter(track => {
             if (track.state === TrackState.DELETED) return false;
             if (track.state === TrackState.LOST && track.timeSinceUpdate > this._maxAge) {
                 track.state = TrackState.DELETED;
+                this._remember(track);
                 return false;
             }
             return true;
         });
+        this._gallery = this._gallery.filter(e => this._frame - e.deletedFrame <= REID_MAX_AGE);
+
+        // --- Step 8: Range known-height tracks from their apparent height ---
+        for (const track of this._tracks) {
+            if (track.timeSinceUpdate === 0) this._rangeFromSize(track, now);
+        }
+
+        // --- Step 9: Build output ---
+        return this._getOutput(now);
+    }
 
-        // --- Step 8: Build output ---
-        return this._getOutput();
+    /**
+     * Fuse an external range for a track (depth map).
+     *
+     * @param {number} trackId
+     * @param {number} meters
+     * @param {boolean} calibrated - Depth calibrated to metric from a known-size object
+     */
+    observeRange(trackId, meters, calibrated) {
+        const track = this._tracks.find(t => t.id === trackId);
+        if (!track) return;
+        const sigma = meters * (calibrated ? DEPTH_SIGMA.calibrated : DEPTH_SIGMA.uncalibrated);
+        track.observeRange(meters, sigma, clock.now(), calibrated);
     }
 
     /**
      * Build the output array from current tracks.
      * Only returns CONFIRMED and LOST tracks (not TENTATIVE).
      *
+     * @param {number} now - Epoch ms
      * @returns {Array<{id: number, bbox: number[], velocity: number[], class: string,
-     *           state: string, age: number}>}
+     *           state: string, age: number, kinematics: Object|null}>}
      * @private
      */
-    _getOutput() {
+    _getOutput(now) {
         const output = [];
 
         for (const track of this._tracks) {
@@ -471,8 +742,10 @@ export class Tracker {
                     ],
                     velocity: track.getVelocity(),
                     class: track.currentClass,
+                    score: track.score,
                     state: track.state,
-                    age: track.age
+                    age: track.age,
+                    kinematics: this._kinematics(track, now)
                 });
             }
         }
@@ -480,6 +753,144 @@ export class Tracker {
         return output;
     }
 
+    /**
+     * Pinhole range from a known-height object's box height. Boxes cut off by the
+     * top or bottom of the frame would read too far, so they are skipped.
+     *
+     * @param {Track} track
+     * @param {number} now - Epoch ms
+     * @private
+     */
+    _rangeFromSize(track, now) {
+        const height = KNOWN_HEIGHTS[track.currentClass];
+        if (!height) return;
+        const [, y, , h] = track.getBbox();
+        if (h <= 0 || y < EDGE_MARGIN || y + h > 1 - EDGE_MARGIN) return;
+        const meters = height / (h * 2 * this._tanV);
+        track.observeRange(meters, meters * KNOWN_SIZE_SIGMA, now, true);
+    }
+
+    /**
+     * Metric kinematics of a ranged track: range and range rate from the range
+     * filter, lateral speed from the (ego-compensated) bearing rate, and time /
+     * distance of closest approach assuming constant velocity. Intervals are
+     * 1-sigma.
+     *
+     * @param {Track} track
+     * @param {number} now - Epoch ms
+     * @returns {{range: number, rangeSigma: number, rangeRate: number, rangeRateSigma: number,
+     *           lateralSpeed: number, lateralSpeedSigma: number, closingSpeed: number,
+     *           tcpa: number|null, tcpaInterval: Array<number|null>|null, cpa: number|null,
+     *           calibrated: boolean}|null}
+     * @private
+     */
+    _kinematics(track, now) {
+        if (!track.range) return null;
+        const rf = track.range;
+        rf.predict(now);
+        const range = Math.max(0, rf.range);
+        const rangeSigma = Math.sqrt(rf.P[0]);
+        const rangeRate = rf.rate;
+        const rangeRateSigma = Math.sqrt(rf.P[2]);
+
+        // Bearing rate: normalized image velocity per step → rad/s at the box centre
+        let lateralSpeed = 0;
+        let lateralSpeedSigma = range * BEARING_RATE_SIGMA;
+        if (this._interval) {
+            const [x, , w] = track.getBbox();
+            const off = (x + w / 2 - 0.5) * 2 * this._tanH;
+            const bearingRate = track.getVelocity()[0] * 2 * this._tanH / (1 + off * off) / this._interval;
+            lateralSpeed = range * bearingRate;
+            lateralSpeedSigma = Math.hypot(range * BEARING_RATE_SIGMA, range > 0 ? lateralSpeed * rangeSigma / range : 0);
+        }
+
+        // Closest approach for a given range / range rate (null when opening)
+        const approach = (r, rr) => {
+            const v2 = rr * rr + lateralSpeed * lateralSpeed;
+            return rr < 0 && v2 > 0 ? { tcpa: -r * rr / v2, cpa: r * Math.abs(lateralSpeed) / Math.sqrt(v2) } : null;
+        };
+        const nominal = approach(range, rangeRate);
+        let tcpaInterval = null;
+        if (nominal) {
+            let lo = Infinity, hi = 0;
+            for (const r of [Math.max(0, range - rangeSigma), range + rangeSigma]) {
+                for (const rr of [rangeRate - rangeRateSigma, rangeRate, rangeRate + rangeRateSigma]) {
+                    const a = approach(r, rr);
+                    lo = Math.min(lo, a ? a.tcpa : Infinity);
+                    hi = Math.max(hi, a ? a.tcpa : Infinity);
+                }
+            }
+            tcpaInterval = [lo, Number.isFinite(hi) ? hi : null];  // null: may not be closing
+        }
+
+        return {
+            range, rangeSigma, rangeRate, rangeRateSigma,
+            lateralSpeed, lateralSpeedSigma,
+            closingSpeed: -rangeRate,
+            tcpa: nominal ? nominal.tcpa : null,
+            tcpaInterval,
+            cpa: nominal ? nominal.cpa : null,
+            calibrated: track.rangeCalibrated
+        };
+    }
+
+    /**
+     * Match an unassociated detection to a LOST track (missed this frame) or a
+     * gallery entry of the same class by appearance. The best candidate within
+     * REID_THRESHOLD takes the detection under its original ID.
+     *
+     * @param {Object} det - Detection with appearance
+     * @returns {boolean} True if a track was re-identified
+     * @private
+     */
+    _reidentify(det) {
+        if (!det.appearance) return false;
+        const [dx, dy] = [det.bbox[0] + det.bbox[2] / 2, det.bbox[1] + det.bbox[3] / 2];
+        let best = null;
+
+        for (const track of this._tracks) {
+            if (track.state !== TrackState.LOST || track.timeSinceUpdate === 0 || !track.appearance) continue;
+            if (track.currentClass !== det.class) continue;
+            const [tx, ty, tw, th] = track.getBbox();
+            if (Math.hypot(tx + tw / 2 - dx, ty + th / 2 - dy) > REID_MAX_JUMP) continue;
+            const dist = appearanceDistance(track.appearance, det.appearance);
+            if (dist <= REID_THRESHOLD && (!best || dist < best.dist)) best = { dist, track };
+        }
+        for (const entry of this._gallery) {
+            if (entry.class !== det.class) continue;
+            const dist = appearanceDistance(entry.appearance, det.appearance);
+            if (dist <= REID_THRESHOLD && (!best || dist < best.dist)) best = { dist, entry };
+        }
+        if (!best) return false;
+
+        if (best.track) {
+            best.track.reacquire(det);
+        } else {
+            this._gallery.splice(this._gallery.indexOf(best.entry), 1);
+            this._tracks.push(Track.revive(best.entry, det));
+        }
+        console.log(`[TRACKER] Re-identified ${Tracker.formatId(best.track?.id ?? best.entry.id)} (appearance distance ${best.dist.toFixed(2)})`);
+        return true;
+    }
+
+    /**
+     * Keep a deleted, once-confirmed track's signature for re-identification.
+     * @param {Track} track
+     * @private
+     */
+    _remember(track) {
+        if (!track.appearance) return;
+        this._gallery.push({
+            id: track.id,
+            appearance: track.appearance,
+            class: track.currentClass,
+            classHistory: track.classHistory,
+            age: track.age,
+            deletedFrame: this._frame
+        });
+        if (this._gallery.length > REID_GALLERY_SIZE) this._gallery.shift();
+    }
+
     /**
      * Format a track ID for display (e.g., TRK-0001).
      * @param {number} id
@@ -511,6 +922,10 @@ export class Tracker {
     reset() {
         this._tracks = [];
         this._nextId = 1;
+        this._frame = 0;
+        this._gallery = [];
+        this._lastTime = null;
+        this._interval = null;
         console.log('[TRACKER] Tracker reset');
     }
 }
@@ -58,6 +58,20 @@ class SuitStatusMonitor {
     }
   }
 
+  // Sensor-driven threat (e.g. the sky detector): held until the sensor clears it
+  setThreat(threatType, active) {
+    if (!this.status.threats.hasOwnProperty(threatType) || this.status.threats[threatType] === active) return;
+    this.status.threats[threatType] = active;
+    this._notify();
+  }
+
+  // Sensor system state set by the app (e.g. night vision when the view mode changes)
+  setSystem(system, value) {
+    if (!this.status.systems.hasOwnProperty(system) || this.status.systems[system] === value) return;
+    this.status.systems[system] = value;
+    this._notify();
+  }
+
   // Take damage to a zone
   takeDamage(zone, amount) {
     if (this.status.armor[zone] !== undefined) {
@@ -136,11 +150,6 @@ class SuitStatusMonitor {
     const m = Math.floor((hoursLeft - h) * 60);
     this.status.power.estimatedRuntime = `${h}h ${m}m`;
 
-    // Random minor events
-    if (Math.random() < 0.01) {
-      this.simulateThreat('enemyDroneNearby', 5000);
-    }
-
     this._notify();
   }
 
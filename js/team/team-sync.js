@@ -0,0 +1,457 @@
+// TALOS 2.0 - Team Sync (multi-operator mode)
+// Operators share presence, confirmed tracks, fleet state and issued tasks
+// through a local WebSocket relay that rebroadcasts each JSON message to every
+// other connected device. Drones stay authoritative on the device that owns
+// them: teammates send task requests to the owner, and the owner arbitrates
+// a per-drone tasking lock so two operators can't task the same airframe.
+
+import { droneManager } from '../drones/drone-manager.js';
+import { droneTasking } from '../drones/drone-tasking.js';
+import { distanceMeters, screenPointToGeo } from '../core/geo.js';
+
+export const TEAM_PROTOCOL_VERSION = 1;
+
+export const TeamMessage = Object.freeze({
+  PRESENCE: 'presence',          // position, heading (also the liveness beacon)
+  TRACKS: 'tracks',              // confirmed tracks, geo-projected when possible
+  FLEET: 'fleet',                // owner's fleet state + tasking locks
+  TASK: 'task',                  // task log entry issued on the owner's device
+  TASK_REQUEST: 'task-request',  // teammate → owner: please task your drone
+  TASK_RESULT: 'task-result',    // owner → teammate: outcome of a request
+  BYE: 'bye'
+});
+
+const PRESENCE_MS = 2000;
+const FLEET_MS = 2000;
+const TRACKS_MS = 1000;
+const PEER_TIMEOUT_MS = 10000;
+const LOCK_LEASE_MS = 120000;        // renewed by every task from the holder
+const REQUEST_TIMEOUT_MS = 5000;
+const CORRELATION_RADIUS_M = 30;     // remote + local track this close = same target
+const MAX_TEAM_LOG = 50;
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+// Tasks that leave a drone under someone's control
+const LOCKING_STATUSES = ['TASKED', 'ACTIVE'];
+
+function randomId() {
+  const bytes = crypto.getRandomValues(new Uint8Array(4));
+  return [...bytes].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+class TeamSync {
+  constructor() {
+    this.operatorId = randomId();
+    this.callsign = `OP-${this.operatorId.slice(0, 4).toUpperCase()}`;
+    this.url = null;
+    this.socket = null;
+    this.position = null;            // { lat, lon } - own GPS fix
+    this.heading = 0;
+    this.peers = new Map();          // operatorId → peer state
+    this.locks = new Map();          // own droneId → { holderId, holderCallsign, expires }
+    this.teamLog = [];
+    this._localTracks = [];          // last published own tracks (with geo)
+    this._requests = new Map();      // requestId → { resolve, timer }
+    this._timers = [];
+    this._lastTracks = 0;
+    this._reconnectTimer = null;
+    this._reconnectDelay = RECONNECT_MIN_MS;
+    this._wanted = false;
+    this.callbacks = { onPeersChanged: [], onTeamTask: [] };
+
+    // Once for the app's lifetime: a listener per connect() would re-send each task per reconnect
+    droneTasking.on('onTaskIssued', (entry) => this._onLocalTask(entry));
+  }
+
+  /**
+   * Join the team relay.
+   * @param {string} url - ws:// relay endpoint
+   * @param {{callsign?: string}} [options]
+   */
+  connect(url, { callsign } = {}) {
+    this.url = url;
+    if (callsign) this.callsign = callsign.toUpperCase();
+    this._wanted = true;
+
+    droneTasking.setTaskGuard((droneId, taskType, options) => this._checkLock(droneId, taskType, options));
+
+    this._timers.push(
+      setInterval(() => this._sendPresence(), PRESENCE_MS),
+      setInterval(() => this._sendFleet(), FLEET_MS),
+      setInterval(() => this._prunePeers(), PRESENCE_MS)
+    );
+    this._open();
+    console.log(`[TEAM] Joining as ${this.callsign} (${this.operatorId})`);
+  }
+
+  disconnect() {
+    this._send(TeamMessage.BYE, {});
+    this._wanted = false;
+    for (const t of this._timers) clearInterval(t);
+    this._timers = [];
+    clearTimeout(this._reconnectTimer);
+    this._reconnectTimer = null;
+    if (this.socket) this.socket.close();
+    this.socket = null;
+    droneTasking.setTaskGuard(null);
+    this.peers.clear();
+    this._emit('onPeersChanged', this.getPeers());
+  }
+
+  isConnected() {
+    return this.socket?.readyState === 1;
+  }
+
+  setPosition(lat, lon) {
+    this.position = { lat, lon };
+  }
+
+  setHeading(heading) {
+    this.heading = heading || 0;
+  }
+
+  // Share own confirmed tracks (throttled). Detections are the app's
+  // per-frame objects: id, bbox, class, classification, threatLevel, distance.
+  publishTracks(detections) {
+    const now = Date.now();
+    if (now - this._lastTracks < TRACKS_MS) return;
+    this._lastTracks = now;
+
+    this._localTracks = (detections || [])
+      .filter(d => d.state !== 'LOST')
+      .map(d => ({
+        id: d.id,
+        class: d.class,
+        tacticalClass: d.tacticalClass,
+        classification: d.classification,
+        threatLevel: Math.round((d.threatLevel || 0) * 100) / 100,
+        rangeM: d.distance?.meters ? Math.round(d.distance.meters) : null,
+        geo: d.geo || (this.position && d.bbox && d.distance?.meters
+          ? screenPointToGeo(this.position, this.heading, d.bbox[0] + d.bbox[2] / 2, d.distance.meters)
+          : null),
+        geoError: d.geoError ? Math.round(d.geoError.semiMajor) : null
+      }));
+    this._send(TeamMessage.TRACKS, { tracks: this._localTracks });
+  }
+
+  getPeers() {
+    return [...this.peers.values()].map(p => ({
+      operatorId: p.operatorId, callsign: p.callsign,
+      position: p.position, heading: p.heading, lastSeen: p.lastSeen
+    }));
+  }
+
+  /**
+   * Teammates' tracks with team-unique IDs (`CALLSIGN/TRK-0001`). A track that
+   * matches one of ours by class within CORRELATION_RADIUS_M (or the two
+   * fixes' combined error, if larger) carries `correlatedWith` = our local
+   * track ID.
+   */
+  getTeamTracks() {
+    const out = [];
+    for (const peer of this.peers.values()) {
+      for (const t of peer.tracks) {
+        const match = t.geo && this._localTracks.find(local =>
+          local.geo && local.tacticalClass === t.tacticalClass &&
+          distanceMeters(local.geo, t.geo) <=
+            Math.max(CORRELATION_RADIUS_M, (local.geoError || 0) + (t.geoError || 0)));
+        out.push({
+          ...t,
+          teamId: `${peer.callsign}/${t.id}`,
+          ownerId: peer.operatorId,
+          ownerCallsign: peer.callsign,
+          correlatedWith: match ? match.id : null
+        });
+      }
+    }
+    return out;
+  }
+
+  // Teammates' drones, tagged with owner and current lock holder
+  getTeamDrones() {
+    const now = Date.now();
+    const out = [];
+    for (const peer of this.peers.values()) {
+      for (const drone of peer.fleet) {
+        const lock = peer.locks[drone.id];
+        out.push({
+          ...drone,
+          ownerId: peer.operatorId,
+          owner: peer.callsign,
+          lock: lock && lock.expires > now ? lock : null
+        });
+      }
+    }
+    return out;
+  }
+
+  // Current lock on one of our own drones (null when free or expired)
+  getLock(droneId) {
+    const lock = this.locks.get(droneId);
+    if (!lock) return null;
+    if (lock.expires <= Date.now()) {
+      this.locks.delete(droneId);
+      return null;
+    }
+    return lock;
+  }
+
+  /**
+   * Ask a teammate to task one of their drones. A screen-space target is
+   * projected to lat/lon from our own position first - the owner can't
+   * interpret our camera frame.
+   * @returns {Promise<{success: boolean, reason?: string}>}
+   */
+  requestTask(ownerId, droneId, taskType, options = {}) {
+    const peer = this.peers.get(ownerId);
+    if (!peer) return Promise.resolve({ success: false, reason: 'Owner not connected' });
+
+    let targetCoords = options.targetCoords || null;
+    if (!targetCoords && options.targetPosition && this.position) {
+      targetCoords = screenPointToGeo(this.position, this.heading,
+        options.targetPosition[0], options.targetRange || 150);
+    }
+
+    const requestId = `${this.operatorId}-${randomId()}`;
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this._requests.delete(requestId);
+        resolve({ success: false, reason: `${peer.callsign} did not answer` });
+      }, REQUEST_TIMEOUT_MS);
+      this._requests.set(requestId, { resolve, timer });
+      this._send(TeamMessage.TASK_REQUEST, {
+        to: ownerId, requestId, droneId, taskType,
+        options: { targetCoords, targetTrackId: options.targetTrackId || null }
+      });
+    });
+  }
+
+  getTeamLog() {
+    return [...this.teamLog];
+  }
+
+  on(event, callback) {
+    if (this.callbacks[event]) this.callbacks[event].push(callback);
+  }
+
+  // ---- Private: locking ----
+
+  // Task guard for droneTasking: our drones may only be tasked by the lock
+  // holder. The owner can always recall their own drone.
+  _checkLock(droneId, taskType, options) {
+    if (taskType === 'RTB' && !options.requestedBy) return { allowed: true };
+    const requesterId = options.requestedBy?.operatorId || this.operatorId;
+    const lock = this.getLock(droneId);
+    if (lock && lock.holderId !== requesterId) {
+      const callsign = droneManager.getDrone(droneId)?.callsign || droneId;
+      return { allowed: false, reason: `${callsign} is locked by ${lock.holderCallsign}` };
+    }
+    return { allowed: true };
+  }
+
+  _onLocalTask(entry) {
+    if (!this._wanted) return;
+    const holder = entry.requestedBy || { operatorId: this.operatorId, callsign: this.callsign };
+    if (entry.taskType === 'RTB') {
+      this.locks.delete(entry.droneId);
+    } else {
+      this.locks.set(entry.droneId, {
+        holderId: holder.operatorId,
+        holderCallsign: holder.callsign,
+        expires: Date.now() + LOCK_LEASE_MS
+      });
+    }
+    const teamEntry = { ...entry, owner: this.callsign, issuedBy: holder.callsign };
+    this._addTeamLog(teamEntry);
+    this._send(TeamMessage.TASK, { entry: teamEntry });
+  }
+
+  // Drones back at base (or lost) hold no lock
+  _releaseIdleLocks() {
+    for (const droneId of this.locks.keys()) {
+      const drone = droneManager.getDrone(droneId);
+      if (!drone || !LOCKING_STATUSES.includes(drone.status)) this.locks.delete(droneId);
+    }
+  }
+
+  _addTeamLog(entry) {
+    this.teamLog.unshift(entry);
+    if (this.teamLog.length > MAX_TEAM_LOG) this.teamLog.pop();
+    this._emit('onTeamTask', entry);
+  }
+
+  // ---- Private: transport ----
+
+  _open() {
+    try {
+      this.socket = new WebSocket(this.url);
+    } catch (err) {
+      console.warn(`[TEAM] Connect failed: ${err.message}`);
+      this._scheduleReconnect();
+      return;
+    }
+    this.socket.onopen = () => {
+      this._reconnectDelay = RECONNECT_MIN_MS;
+      console.log(`[TEAM] Relay connected: ${this.url}`);
+      this._sendPresence();
+      this._sendFleet();
+    };
+    this.socket.onmessage = (event) => this._handleMessage(event.data);
+    this.socket.onerror = () => console.warn('[TEAM] Relay socket error');
+    this.socket.onclose = () => {
+      this.socket = null;
+      if (this._wanted) this._scheduleReconnect();
+    };
+  }
+
+  _scheduleReconnect() {
+    if (!this._wanted || this._reconnectTimer) return;
+    this._reconnectTimer = setTimeout(() => {
+      this._reconnectTimer = null;
+      this._open();
+    }, this._reconnectDelay);
+    this._reconnectDelay = Math.min(this._reconnectDelay * 2, RECONNECT_MAX_MS);
+  }
+
+  _send(type, data) {
+    if (!this.isConnected()) return;
+    this.socket.send(JSON.stringify({
+      v: TEAM_PROTOCOL_VERSION,
+      type,
+      from: this.operatorId,
+      callsign: this.callsign,
+      t: Date.now(),
+      data
+    }));
+  }
+
+  _sendPresence() {
+    this._send(TeamMessage.PRESENCE, { position: this.position, heading: this.heading });
+  }
+
+  _sendFleet() {
+    this._releaseIdleLocks();
+    const now = Date.now();
+    const locks = {};
+    for (const [droneId, lock] of this.locks) {
+      // Remaining lease, not an absolute time - device clocks differ
+      locks[droneId] = { holderId: lock.holderId, holderCallsign: lock.holderCallsign, remainingMs: lock.expires - now };
+    }
+    const fleet = droneManager.getFleetData().fleet.map(d => ({
+      id: d.id, type: d.type, callsign: d.callsign, status: d.status,
+      battery: Math.round(d.battery), geo: d.geo, currentTask: d.currentTask
+    }));
+    this._send(TeamMessage.FLEET, { fleet, locks });
+  }
+
+  // ---- Private: inbound ----
+
+  _handleMessage(raw) {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!msg || msg.from === this.operatorId) return;  // relay echo
+    if (msg.v !== TEAM_PROTOCOL_VERSION) {
+      console.warn(`[TEAM] Ignoring ${msg.callsign}: protocol v${msg.v}, expected v${TEAM_PROTOCOL_VERSION}`);
+      return;
+    }
+    if (msg.data?.to && msg.data.to !== this.operatorId) return;
+
+    if (msg.type === TeamMessage.BYE) {
+      if (this.peers.delete(msg.from)) {
+        console.log(`[TEAM] ${msg.callsign} left`);
+        this._emit('onPeersChanged', this.getPeers());
+      }
+      return;
+    }
+
+    const peer = this._peer(msg);
+    const data = msg.data || {};
+    switch (msg.type) {
+      case TeamMessage.PRESENCE:
+        peer.position = data.position || null;
+        peer.heading = data.heading || 0;
+        break;
+      case TeamMessage.TRACKS:
+        peer.tracks = Array.isArray(data.tracks) ? data.tracks : [];
+        break;
+      case TeamMessage.FLEET: {
+        const now = Date.now();
+        peer.fleet = Array.isArray(data.fleet) ? data.fleet : [];
+        peer.locks = {};
+        for (const [droneId, lock] of Object.entries(data.locks || {})) {
+          peer.locks[droneId] = { holderId: lock.holderId, holderCallsign: lock.holderCallsign, expires: now + lock.remainingMs };
+        }
+        break;
+      }
+      case TeamMessage.TASK:
+        if (data.entry) this._addTeamLog(data.entry);
+        break;
+      case TeamMessage.TASK_REQUEST:
+        this._handleTaskRequest(msg);
+        break;
+      case TeamMessage.TASK_RESULT: {
+        const pending = this._requests.get(data.requestId);
+        if (pending) {
+          clearTimeout(pending.timer);
+          this._requests.delete(data.requestId);
+          pending.resolve({ success: !!data.success, reason: data.reason });
+        }
+        break;
+      }
+    }
+  }
+
+  _handleTaskRequest(msg) {
+    const { requestId, droneId, taskType, options = {} } = msg.data;
+    const result = droneTasking.issueTask(droneId, taskType, {
+      targetCoords: options.targetCoords || null,
+      targetTrackId: options.targetTrackId || null,
+      requestedBy: { operatorId: msg.from, callsign: msg.callsign }
+    });
+    console.log(`[TEAM] ${msg.callsign} requested ${taskType} on ${droneId}: ${result.success ? 'OK' : result.reason}`);
+    this._send(TeamMessage.TASK_RESULT, {
+      to: msg.from, requestId, success: result.success, reason: result.reason || null
+    });
+  }
+
+  _peer(msg) {
+    let peer = this.peers.get(msg.from);
+    if (!peer) {
+      peer = {
+        operatorId: msg.from, callsign: msg.callsign,
+        position: null, heading: 0, tracks: [], fleet: [], locks: {}, lastSeen: 0
+      };
+      this.peers.set(msg.from, peer);
+      console.log(`[TEAM] ${msg.callsign} joined`);
+      this._emit('onPeersChanged', this.getPeers());
+    }
+    peer.callsign = msg.callsign;
+    peer.lastSeen = Date.now();
+    return peer;
+  }
+
+  _prunePeers() {
+    const cutoff = Date.now() - PEER_TIMEOUT_MS;
+    let changed = false;
+    for (const [id, peer] of this.peers) {
+      if (peer.lastSeen < cutoff) {
+        console.warn(`[TEAM] ${peer.callsign} timed out`);
+        this.peers.delete(id);
+        changed = true;
+      }
+    }
+    if (changed) this._emit('onPeersChanged', this.getPeers());
+  }
+
+  _emit(event, data) {
+    if (this.callbacks[event]) {
+      this.callbacks[event].forEach(cb => cb(data));
+    }
+  }
+}
+
+export const teamSync = new TeamSync();
@@ -7,6 +7,7 @@ export class DroneCommandPanel {
   constructor() {
     this.panel = null;
     this.droneList = null;
+    this.gridInput = null;
     this.visible = false;
     this.selectedTarget = null;
     this.taskCallback = null;
@@ -15,6 +16,7 @@ export class DroneCommandPanel {
   init() {
     this.panel = document.getElementById('drone-command-panel');
     this.droneList = document.getElementById('drone-list');
+    this.gridInput = document.getElementById('drone-grid-input');
 
     // Close on click outside
     document.addEventListener('touchstart', (e) => {
@@ -62,25 +64,27 @@ export class DroneCommandPanel {
     for (const drone of fleetData.fleet) {
       const typeColor = getDroneTypeColor(drone.type);
       const statusColor = getDroneStatusColor(drone.status);
-      const batColor = drone.battery > 50 ? '#00ff66' : drone.battery > 20 ? '#ffaa00' : '#ff3333';
+      const battery = Number(drone.battery) || 0;
+      const batColor = battery > 50 ? '#00ff66' : drone.battery > 20 ? '#ffaa00' : '#ff3333';
       const tasks = getAvailableTasks(drone.type);
 
       html += `<div class="drone-item" style="flex-wrap:wrap;gap:4px;">
         <div style="display:flex;justify-content:space-between;width:100%;">
           <div>
             <span style="color:${statusColor};">\u25CF</span>
-            <span style="color:${typeColor};font-weight:bold;">${drone.callsign}</span>
-            <span style="opacity:0.5;font-size:8px;">${drone.type}</span>
+            <span style="color:${typeColor};font-weight:bold;">${escapeHtml(drone.callsign)}</span>
+            <span style="opacity:0.5;font-size:8px;">${escapeHtml(drone.type)}</span>
+            ${drone.owner ? `<span style="opacity:0.5;font-size:8px;">[${escapeHtml(drone.owner)}]</span>` : ''}
           </div>
           <div style="display:flex;align-items:center;gap:6px;">
             <div class="drone-battery">
-              <div class="drone-battery-fill" style="width:${drone.battery}%;background:${batColor}"></div>
+              <div class="drone-battery-fill" style="width:${battery}%;background:${batColor}"></div>
             </div>
-            <span style="font-size:8px;">${drone.battery}%</span>
+            <span style="font-size:8px;">${battery}%</span>
           </div>
         </div>
         <div style="width:100%;font-size:8px;opacity:0.6;margin:-2px 0 2px 12px;">
-          ${drone.currentTask || 'IDLE'} | ${drone.status}
+          ${escapeHtml(drone.currentTask || 'IDLE')} | ${escapeHtml(drone.status)}${drone.link ? ` | SYS ${escapeHtml(drone.link.sysid)} ${escapeHtml(drone.link.comms)}` : ''}
         </div>
         <div style="width:100%;display:flex;flex-wrap:wrap;gap:3px;margin-left:12px;">
           ${this._renderTaskButtons(drone, tasks)}
@@ -100,8 +104,12 @@ export class DroneCommandPanel {
           this.taskCallback({
             droneId,
             taskType,
+            ownerId: btn.dataset.ownerId || null,
+            owner: btn.dataset.owner || null,
             targetTrackId: this.selectedTarget?.trackId || null,
-            targetPosition: this.selectedTarget?.position || null
+            targetPosition: this.selectedTarget?.position || null,
+            // MOVE_TO flies to the typed MGRS grid when one is entered
+            grid: taskType === 'MOVE_TO' ? (this.gridInput?.value.trim() || null) : null
           });
         }
         // Visual feedback
@@ -119,12 +127,26 @@ export class DroneCommandPanel {
     if (drone.status === 'LOST' || drone.status === 'OFFLINE' || drone.status === 'CHARGING') {
       return '<span style="font-size:8px;opacity:0.4;">UNAVAILABLE</span>';
     }
+    // Team mode: another operator holds this drone's tasking lock
+    if (drone.lockedBy) {
+      return `<span style="font-size:8px;opacity:0.4;">LOCKED BY ${escapeHtml(drone.lockedBy)}</span>`;
+    }
+
+    // Teammates' drones carry their owner so the task is routed to that device
+    const owner = drone.ownerId ? ` data-owner-id="${escapeHtml(drone.ownerId)}" data-owner="${escapeHtml(drone.owner)}"` : '';
 
     return tasks.map(task => {
       const shortLabel = task.id.length > 8 ? task.id.substring(0, 8) : task.id;
-      return `<button class="task-btn" data-drone-id="${drone.id}" data-task-type="${task.id}">${shortLabel}</button>`;
+      return `<button class="task-btn" data-drone-id="${escapeHtml(drone.id)}" data-task-type="${task.id}"${owner}>${shortLabel}</button>`;
     }).join('');
   }
 }
 
 export const droneCommandPanel = new DroneCommandPanel();
+
+// Teammates' fleets arrive over the relay: their fields are untrusted
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
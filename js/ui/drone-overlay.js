@@ -7,6 +7,12 @@ export class DroneOverlay {
   constructor() {
     this.fleetData = null;
     this.taskingData = null;
+    this._operatorHeading = 0;
+  }
+
+  // Drone bearings are true; the overlay draws them relative to where the camera points
+  setOperatorHeading(heading) {
+    this._operatorHeading = heading || 0;
   }
 
   update(fleetData, taskingData) {
@@ -34,7 +40,7 @@ export class DroneOverlay {
     const maxRange = 500; // max range in meters for display scaling
     const maxScreenDist = Math.min(w, h) * 0.4;
     const screenDist = Math.min(maxScreenDist, (range / maxRange) * maxScreenDist);
-    const rad = (bearing - 90) * Math.PI / 180;
+    const rad = (bearing - this._operatorHeading - 90) * Math.PI / 180;
     return {
       x: opX + Math.cos(rad) * screenDist,
       y: opY + Math.sin(rad) * screenDist
@@ -95,7 +101,7 @@ export class DroneOverlay {
 
       const sensorRange = sc.range * Math.min(w, h) * 0.5;
       const halfArc = (sc.arc / 2) * Math.PI / 180;
-      const centerAngle = (sc.bearing - 90) * Math.PI / 180;
+      const centerAngle = (sc.bearing - this._operatorHeading - 90) * Math.PI / 180;
 
       ctx.save();
       ctx.globalAlpha = 0.08;
@@ -0,0 +1,87 @@
+// TALOS 2.0 - Geo Track Overlay
+// Tracks that left the camera frame, drawn at their remembered world position:
+// an edge chevron when off to the side, a dashed marker when inside the field
+// of view but no longer detected (occluded, or turned away and back)
+
+import { bearingDiff, distanceMeters, initialBearing } from '../core/geo.js';
+import { clock } from '../core/clock.js';
+
+const EDGE_MARGIN = 18;
+const ROW_SPACING = 28;
+
+export class GeoTrackOverlay {
+  constructor() {
+    this.pose = null;
+    this.tracks = [];
+  }
+
+  update(pose, rememberedTracks) {
+    this.pose = pose;
+    this.tracks = rememberedTracks || [];
+  }
+
+  render(ctx, w, h, timestamp) {
+    if (!this.pose?.position || this.tracks.length === 0) return;
+    ctx.save();
+
+    const halfFov = this.pose.hfov / 2;
+    const now = clock.now();
+    const rows = { left: 0, right: 0 };
+
+    for (const track of this.tracks) {
+      const range = distanceMeters(this.pose.position, track.geo);
+      const rel = bearingDiff(initialBearing(this.pose.position, track.geo), this.pose.heading);
+      const color = track.classification === 'HOSTILE' ? '#ff3333' :
+                    track.classification === 'UNKNOWN' ? '#ffaa00' : '#00ffcc';
+      const label = `${track.id} ${Math.round(range)}m ${Math.round((now - track.lastSeen) / 1000)}s`;
+
+      if (Math.abs(rel) <= halfFov) {
+        // In view but not detected: mark where it should be
+        const x = w * (0.5 + Math.tan(rel * Math.PI / 180) / (2 * Math.tan(halfFov * Math.PI / 180)));
+        this._renderMarker(ctx, x, h * 0.5, color, label);
+      } else {
+        const side = rel < 0 ? 'left' : 'right';
+        const y = h * 0.35 + rows[side]++ * ROW_SPACING;
+        this._renderChevron(ctx, side === 'left' ? EDGE_MARGIN : w - EDGE_MARGIN, y, side, color, label);
+      }
+    }
+
+    ctx.restore();
+  }
+
+  _renderMarker(ctx, x, y, color, label) {
+    ctx.save();
+    ctx.globalAlpha = 0.5;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.strokeRect(x - 10, y - 10, 20, 20);
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    ctx.font = "7px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    ctx.fillText(label, x, y + 20);
+    ctx.restore();
+  }
+
+  _renderChevron(ctx, x, y, side, color, label) {
+    const dir = side === 'left' ? -1 : 1;
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x - dir * 6, y - 7);
+    ctx.lineTo(x, y);
+    ctx.lineTo(x - dir * 6, y + 7);
+    ctx.stroke();
+
+    ctx.fillStyle = color;
+    ctx.font = "7px 'Courier New', monospace";
+    ctx.textAlign = side === 'left' ? 'left' : 'right';
+    ctx.fillText(label, x - dir * 10, y + 3);
+    ctx.restore();
+  }
+}
+
+export const geoTrackOverlay = new GeoTrackOverlay();
@@ -150,6 +150,16 @@ export function renderDetectionBoxes(ctx, w, h, detections) {
 
     ctx.stroke();
 
+    // Target lock: full outline, dashed while the track is occluded (LOST)
+    if (det.locked) {
+      ctx.lineWidth = 1;
+      ctx.setLineDash(det.state === 'LOST' ? [4, 4] : []);
+      ctx.strokeRect(x - 3, y - 3, boxW + 6, boxH + 6);
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      ctx.fillText(det.state === 'LOST' ? 'LOCK (OCCLUDED)' : 'LOCK', x, y + boxH + fontSize * 2 + 8);
+    }
+
     // Label background
     const label = det.tacticalClass || det.class?.toUpperCase() || 'UNKNOWN';
     const labelWidth = ctx.measureText(label).width + 8;
@@ -7,6 +7,10 @@ let depthFrameId = -1;
 let depthCanvas = null;
 let depthCtx = null;
 
+// Cached segmentation mask
+let maskCanvas = null;
+let maskFrameId = -1;
+
 // Depth color palette (pre-computed for performance)
 const DEPTH_PALETTE = new Uint8Array(256 * 3);
 (function initPalette() {
@@ -87,10 +91,17 @@ export function renderDepthOverlay(ctx, w, h, depthMap, depthWidth, depthHeight,
  * @param {number} maskWidth
  * @param {number} maskHeight
  * @param {Array} color - [r, g, b, a] where a is 0-1
+ * @param {number} [frameId] - Mask counter to detect changes (omit to redraw every call)
  */
-export function renderSegmentationMask(ctx, w, h, mask, maskWidth, maskHeight, color = [0, 255, 204, 0.3]) {
+export function renderSegmentationMask(ctx, w, h, mask, maskWidth, maskHeight, color = [0, 255, 204, 0.3], frameId) {
   if (!mask || mask.length === 0) return;
 
+  // Only recolor when the mask changes
+  if (frameId !== undefined && frameId === maskFrameId && maskCanvas) {
+    ctx.drawImage(maskCanvas, 0, 0, w, h);
+    return;
+  }
+
   const offscreen = new OffscreenCanvas(maskWidth, maskHeight);
   const offCtx = offscreen.getContext('2d');
   const imageData = offCtx.createImageData(maskWidth, maskHeight);
@@ -112,6 +123,10 @@ export function renderSegmentationMask(ctx, w, h, mask, maskWidth, maskHeight, c
   }
 
   offCtx.putImageData(imageData, 0, 0);
+  if (frameId !== undefined) {
+    maskCanvas = offscreen;
+    maskFrameId = frameId;
+  }
 
   ctx.save();
   ctx.drawImage(offscreen, 0, 0, w, h);
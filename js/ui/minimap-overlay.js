@@ -0,0 +1,392 @@
+// TALOS 2.0 - Minimap Overlay
+// Plan view around the operator, north-up or heading-up: offline basemap
+// (cached tiles / GeoJSON), drone tracks, geo-projected enemy tracks, OSINT
+// aircraft, mission control measures and ROE no-fire circles
+
+import { distanceMeters } from '../core/geo.js';
+import { clock } from '../core/clock.js';
+import { mapTiles, tileSizeMeters, tileXY } from '../core/map-tiles.js';
+
+export const MinimapMode = Object.freeze({
+  OFF: 'OFF',
+  NORTH_UP: 'NORTH_UP',
+  HEADING_UP: 'HEADING_UP'
+});
+
+const MODE_CYCLE = [MinimapMode.OFF, MinimapMode.NORTH_UP, MinimapMode.HEADING_UP];
+const RANGE_STEPS = [250, 500, 1000, 2000, 5000];   // map radius (m), auto-fit to content
+const TRAIL_POINTS = 60;
+const TRAIL_MIN_STEP_M = 5;
+const TRAIL_MAX_AGE_MS = 300000;   // trail points older than this are dropped
+const M_PER_DEG_LAT = 110540;
+const M_PER_DEG_LON = 111320;
+
+const CLASS_COLORS = { HOSTILE: '#ff3333', UNKNOWN: '#ffaa00', CIVILIAN: '#00ff66', FRIENDLY: '#3399ff' };
+const AIRCRAFT_COLORS = { MILITARY: '#ff6600', POSSIBLE_MIL: '#ffaa00', EMERGENCY: '#ff3333', HIJACK: '#ff3333' };
+
+export class MinimapOverlay {
+  constructor() {
+    this.mode = MinimapMode.OFF;
+    this.heading = 0;
+    this.position = null;            // operator { lat, lon }
+    this.fleet = [];
+    this.tracks = [];                // live detections with geo
+    this.remembered = [];            // off-screen tracks from the projector
+    this.aircraft = [];
+    this.phaseLines = [];
+    this.measures = [];
+    this.structures = [];
+    this._trails = new Map();        // drone id → [{ lat, lon, t }]
+  }
+
+  // OFF → NORTH_UP → HEADING_UP → OFF
+  toggle() {
+    this.mode = MODE_CYCLE[(MODE_CYCLE.indexOf(this.mode) + 1) % MODE_CYCLE.length];
+    return this.mode;
+  }
+
+  setHeading(heading) {
+    this.heading = heading || 0;
+  }
+
+  /**
+   * @param {Object} picture
+   * @param {{lat: number, lon: number}|null} picture.position - Operator fix
+   * @param {Object[]} [picture.fleet] - Drones (geo, targetCoords)
+   * @param {Object[]} [picture.tracks] - Detections (geo, geoError, classification)
+   * @param {Object[]} [picture.remembered] - Off-screen tracks (geo, classification)
+   * @param {Object[]} [picture.aircraft] - OSINT aircraft (latitude, longitude, heading)
+   * @param {Object[]} [picture.phaseLines] - timeManager phase lines (next one is labelled)
+   * @param {Object[]} [picture.measures] - tacticalGraphics shapes (phase lines, objectives, EAs)
+   * @param {Object[]} [picture.structures] - Protected structures (geo, noFireRadiusM)
+   */
+  update({ position, fleet = [], tracks = [], remembered = [], aircraft = [], phaseLines = [], measures = [], structures = [] }) {
+    this.position = position;
+    this.fleet = fleet;
+    this.tracks = tracks.filter(t => t.geo);
+    this.remembered = remembered;
+    this.aircraft = aircraft.filter(a => a.latitude != null && a.longitude != null);
+    this.phaseLines = phaseLines;
+    this.measures = measures;
+    this.structures = structures.filter(s => s.geo && s.noFireRadiusM);
+
+    const now = clock.now();
+    for (const d of fleet) {
+      if (!d.geo) continue;
+      const trail = this._trails.get(d.id) || [];
+      const last = trail[trail.length - 1];
+      if (!last || distanceMeters(last, d.geo) >= TRAIL_MIN_STEP_M) {
+        trail.push({ lat: d.geo.lat, lon: d.geo.lon, t: now });
+        if (trail.length > TRAIL_POINTS) trail.shift();
+        this._trails.set(d.id, trail);
+      }
+    }
+
+    // Age out old points; drones gone from the fleet lose their trail
+    const present = new Set(fleet.map(d => d.id));
+    for (const [id, trail] of this._trails) {
+      while (trail.length && now - trail[0].t > TRAIL_MAX_AGE_MS) trail.shift();
+      if (!present.has(id) || trail.length === 0) this._trails.delete(id);
+    }
+  }
+
+  render(ctx, w, h, timestamp) {
+    if (this.mode === MinimapMode.OFF || !this.position) return;
+
+    const size = Math.max(110, Math.min(180, Math.min(w, h) * 0.32));
+    const radius = size / 2;
+    const cx = w - radius - 8;
+    const cy = h - radius - 110;
+    const range = this._fitRange();
+    const scale = radius / range;                  // px per meter
+    const rot = this.mode === MinimapMode.HEADING_UP ? -this.heading * Math.PI / 180 : 0;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fill();
+    ctx.clip();
+
+    // World layers: map-aligned canvas (x east, y south), rotated for heading-up
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(rot);
+    this._renderTiles(ctx, range, scale);
+    this._renderFeatures(ctx, scale);
+    this._renderNoFire(ctx, scale);
+    this._renderMeasures(ctx, scale);
+    this._renderTrails(ctx, scale);
+    ctx.restore();
+
+    // Symbols and labels stay upright
+    const toScreen = (geo) => {
+      const { x, y } = this._local(geo, scale);
+      return {
+        x: cx + x * Math.cos(rot) - y * Math.sin(rot),
+        y: cy + x * Math.sin(rot) + y * Math.cos(rot)
+      };
+    };
+    this._renderMeasureLabels(ctx, toScreen);
+    this._renderAircraft(ctx, toScreen, rot);
+    this._renderTracks(ctx, toScreen, scale);
+    this._renderDrones(ctx, toScreen);
+    this._renderOperator(ctx, cx, cy, rot);
+    ctx.restore();
+
+    this._renderFrame(ctx, cx, cy, radius, range, rot);
+  }
+
+  // ---- Private ----
+
+  // Equirectangular offset from the operator in canvas pixels (x east, y south)
+  _local(geo, scale) {
+    const e = (geo.lon - this.position.lon) * M_PER_DEG_LON * Math.cos(this.position.lat * Math.PI / 180);
+    const n = (geo.lat - this.position.lat) * M_PER_DEG_LAT;
+    return { x: e * scale, y: -n * scale };
+  }
+
+  // Smallest range step that holds our own picture (drones, tracks, no-fire zones)
+  _fitRange() {
+    let far = 0;
+    const consider = (geo, pad = 0) => { if (geo) far = Math.max(far, distanceMeters(this.position, geo) + pad); };
+    for (const d of this.fleet) consider(d.geo);
+    for (const t of this.tracks) consider(t.geo);
+    for (const t of this.remembered) consider(t.geo);
+    for (const s of this.structures) consider(s.geo, s.noFireRadiusM);
+    return RANGE_STEPS.find(r => r >= far * 1.1) || RANGE_STEPS[RANGE_STEPS.length - 1];
+  }
+
+  _renderTiles(ctx, range, scale) {
+    if (!mapTiles.template) return;
+    const { lat, lon } = this.position;
+    const z = mapTiles.zoomFor(lat, 1 / scale);
+    const t = tileXY(lat, lon, z);
+    const tilePx = tileSizeMeters(lat, z) * scale;
+    const reach = Math.ceil(range * scale / tilePx) + 1;
+
+    ctx.globalAlpha = 0.7;
+    for (let ty = Math.floor(t.y) - reach; ty <= Math.floor(t.y) + reach; ty++) {
+      for (let tx = Math.floor(t.x) - reach; tx <= Math.floor(t.x) + reach; tx++) {
+        const img = mapTiles.getTile(z, tx, ty);
+        if (img) ctx.drawImage(img, (tx - t.x) * tilePx, (ty - t.y) * tilePx, tilePx + 0.5, tilePx + 0.5);
+      }
+    }
+    ctx.globalAlpha = 1;
+  }
+
+  _renderFeatures(ctx, scale) {
+    if (mapTiles.features.length === 0) return;
+    const path = (coords) => {
+      coords.forEach(([lon, lat], i) => {
+        const p = this._local({ lat, lon }, scale);
+        if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+      });
+    };
+
+    ctx.strokeStyle = 'rgba(180, 200, 210, 0.5)';
+    ctx.fillStyle = 'rgba(180, 200, 210, 0.08)';
+    ctx.lineWidth = 1;
+    for (const f of mapTiles.features) {
+      const g = f.geometry;
+      if (!g) continue;
+      ctx.beginPath();
+      if (g.type === 'LineString') path(g.coordinates);
+      else if (g.type === 'MultiLineString') g.coordinates.forEach(path);
+      else if (g.type === 'Polygon') g.coordinates.forEach(ring => { path(ring); ctx.closePath(); });
+      else if (g.type === 'MultiPolygon') g.coordinates.forEach(poly => poly.forEach(ring => { path(ring); ctx.closePath(); }));
+      else if (g.type === 'Point') {
+        const p = this._local({ lat: g.coordinates[1], lon: g.coordinates[0] }, scale);
+        ctx.rect(p.x - 1, p.y - 1, 2, 2);
+      }
+      if (g.type === 'Polygon' || g.type === 'MultiPolygon') ctx.fill();
+      ctx.stroke();
+    }
+  }
+
+  _renderNoFire(ctx, scale) {
+    ctx.strokeStyle = 'rgba(255, 51, 51, 0.7)';
+    ctx.fillStyle = 'rgba(255, 51, 51, 0.1)';
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 3]);
+    for (const s of this.structures) {
+      const p = this._local(s.geo, scale);
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, s.noFireRadiusM * scale, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  _renderMeasures(ctx, scale) {
+    ctx.lineWidth = 1.5;
+    for (const m of this.measures) {
+      if (m.type === 'PHASE_LINE') {
+        ctx.strokeStyle = m.status === 'PASSED' ? 'rgba(150, 150, 150, 0.6)' :
+          m.status === 'BREACHED' ? 'rgba(255, 51, 51, 0.8)' : 'rgba(0, 204, 255, 0.8)';
+        ctx.setLineDash(m.status === 'PASSED' ? [2, 4] : [6, 3]);
+      } else {
+        ctx.strokeStyle = m.occupied ? 'rgba(255, 51, 51, 0.8)' :
+          m.type === 'OBJECTIVE' ? 'rgba(51, 153, 255, 0.8)' : 'rgba(255, 153, 0, 0.8)';
+        ctx.setLineDash([]);
+      }
+      ctx.beginPath();
+      if (m.center) {
+        const c = this._local(m.center, scale);
+        ctx.arc(c.x, c.y, m.radius * scale, 0, Math.PI * 2);
+      } else {
+        m.points.forEach((pt, i) => {
+          const p = this._local(pt, scale);
+          if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+        });
+        if (m.type !== 'PHASE_LINE') ctx.closePath();
+      }
+      ctx.stroke();
+    }
+    ctx.setLineDash([]);
+  }
+
+  // Measure names, kept upright
+  _renderMeasureLabels(ctx, toScreen) {
+    ctx.fillStyle = 'rgba(200, 230, 255, 0.8)';
+    ctx.font = "6px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    for (const m of this.measures) {
+      const p = toScreen(m.center || m.points[0]);
+      ctx.fillText(m.name, p.x, p.y - 3);
+    }
+  }
+
+  _renderTrails(ctx, scale) {
+    ctx.lineWidth = 1;
+    for (const d of this.fleet) {
+      const trail = this._trails.get(d.id);
+      if (!trail || trail.length < 2) continue;
+      ctx.strokeStyle = 'rgba(0, 255, 204, 0.35)';
+      ctx.beginPath();
+      trail.forEach((pt, i) => {
+        const p = this._local(pt, scale);
+        if (i === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+      });
+      ctx.stroke();
+
+      // Leg to the tasked point
+      if (d.geo && d.targetCoords) {
+        const a = this._local(d.geo, scale), b = this._local(d.targetCoords, scale);
+        ctx.setLineDash([2, 3]);
+        ctx.strokeStyle = 'rgba(0, 255, 204, 0.6)';
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+  }
+
+  _renderAircraft(ctx, toScreen, rot) {
+    for (const a of this.aircraft) {
+      const p = toScreen({ lat: a.latitude, lon: a.longitude });
+      const dir = ((a.heading || 0) * Math.PI / 180) + rot;
+      ctx.save();
+      ctx.translate(p.x, p.y);
+      ctx.rotate(dir);
+      ctx.fillStyle = AIRCRAFT_COLORS[a.category] || '#aaaaaa';
+      ctx.beginPath();
+      ctx.moveTo(0, -5);
+      ctx.lineTo(3, 4);
+      ctx.lineTo(-3, 4);
+      ctx.closePath();
+      ctx.fill();
+      ctx.restore();
+    }
+  }
+
+  _renderTracks(ctx, toScreen, scale) {
+    ctx.font = "7px 'Courier New', monospace";
+    ctx.textAlign = 'left';
+    for (const t of this.tracks) {
+      const p = toScreen(t.geo);
+      const color = CLASS_COLORS[t.classification] || CLASS_COLORS.UNKNOWN;
+      const err = (t.geoError?.semiMajor || 0) * scale;
+      if (err > 4) {
+        ctx.strokeStyle = color;
+        ctx.globalAlpha = 0.3;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, err, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+      }
+      ctx.fillStyle = color;
+      ctx.fillRect(p.x - 2.5, p.y - 2.5, 5, 5);
+      ctx.fillText(t.id.replace('TRK-', ''), p.x + 4, p.y - 3);
+    }
+    for (const t of this.remembered) {
+      const p = toScreen(t.geo);
+      ctx.strokeStyle = CLASS_COLORS[t.classification] || CLASS_COLORS.UNKNOWN;
+      ctx.strokeRect(p.x - 2.5, p.y - 2.5, 5, 5);
+    }
+  }
+
+  _renderDrones(ctx, toScreen) {
+    ctx.fillStyle = '#00ffcc';
+    ctx.font = "7px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    for (const d of this.fleet) {
+      if (!d.geo || d.status === 'LOST' || d.status === 'OFFLINE') continue;
+      const p = toScreen(d.geo);
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y - 4);
+      ctx.lineTo(p.x + 4, p.y);
+      ctx.lineTo(p.x, p.y + 4);
+      ctx.lineTo(p.x - 4, p.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillText(d.callsign, p.x, p.y + 11);
+    }
+  }
+
+  // Own position: arrow along the camera heading
+  _renderOperator(ctx, cx, cy, rot) {
+    ctx.save();
+    ctx.translate(cx, cy);
+    ctx.rotate(this.heading * Math.PI / 180 + rot);
+    ctx.fillStyle = '#3399ff';
+    ctx.beginPath();
+    ctx.moveTo(0, -7);
+    ctx.lineTo(5, 5);
+    ctx.lineTo(0, 2);
+    ctx.lineTo(-5, 5);
+    ctx.closePath();
+    ctx.fill();
+    ctx.restore();
+  }
+
+  _renderFrame(ctx, cx, cy, radius, range, rot) {
+    ctx.save();
+    ctx.strokeStyle = 'rgba(0, 204, 255, 0.6)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+    ctx.stroke();
+
+    // North tick on the rim
+    ctx.fillStyle = '#00ccff';
+    ctx.font = "bold 8px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText('N', cx + Math.sin(rot) * (radius - 7), cy - Math.cos(rot) * (radius - 7));
+
+    // Mode, range and the next phase line
+    ctx.textBaseline = 'alphabetic';
+    ctx.font = "7px 'Courier New', monospace";
+    const label = range >= 1000 ? `${range / 1000}km` : `${range}m`;
+    ctx.fillText(`${this.mode === MinimapMode.HEADING_UP ? 'HDG-UP' : 'N-UP'} ${label}`, cx, cy + radius + 9);
+    const next = this.phaseLines.find(pl => pl.status === 'UPCOMING');
+    if (next) ctx.fillText(`NEXT ${next.name} ${next.time}`, cx, cy - radius - 4);
+    ctx.restore();
+  }
+}
+
+export const minimapOverlay = new MinimapOverlay();
@@ -21,7 +21,7 @@ const MISSIONS = [
     ],
     rulesOfEngagement: {
       level: 'WEAPONS_TIGHT',
-      restrictions: ['PID required before engagement', 'No fires within 500m of mosque at grid XY4567'],
+      restrictions: ['PID required before engagement', 'No fires within 500m of mosque at grid 38RKU4518067700'],
       escalationOfForce: ['SHOUT', 'SHOW', 'SHOVE', 'SHOOT']
     },
     fleetComposition: { ISR: 2, STRIKE: 2, EW: 1, CARGO: 1, SCREEN: 2 }
@@ -106,6 +106,7 @@ export class MissionPanel {
     this.visible = false;
     this.selectedMission = null;
     this.missionCallback = null;
+    this.settingsCallback = null;
   }
 
   init() {
@@ -144,6 +145,11 @@ export class MissionPanel {
     this.missionCallback = callback;
   }
 
+  // THREAT MODEL button (threat weight / threshold settings)
+  onSettingsRequested(callback) {
+    this.settingsCallback = callback;
+  }
+
   getCurrentMission() {
     return this.selectedMission;
   }
@@ -186,6 +192,11 @@ export class MissionPanel {
         ">DEPLOY</button>
       </div>
       <div style="text-align:center;margin-top:10px;">
+        <button id="mission-settings-btn" style="
+          background:none; border:1px solid rgba(0,255,204,0.4); color:#00ffcc;
+          padding:6px 20px; font-family:'Courier New',monospace;
+          font-size:10px; cursor:pointer; letter-spacing:2px; margin-right:8px;
+        ">THREAT MODEL</button>
         <button id="mission-cancel-btn" style="
           background:none; border:1px solid rgba(255,255,255,0.2); color:#666;
           padding:6px 20px; font-family:'Courier New',monospace;
@@ -226,6 +237,11 @@ export class MissionPanel {
       this.hide();
     });
 
+    // Threat model settings (opens over the mission screen)
+    this.panel.querySelector('#mission-settings-btn')?.addEventListener('click', () => {
+      if (this.settingsCallback) this.settingsCallback();
+    });
+
     // Cancel button
     this.panel.querySelector('#mission-cancel-btn')?.addEventListener('click', () => {
       this.hide();
@@ -0,0 +1,118 @@
+// TALOS 2.0 - Tactical Graphics Overlay (AR)
+// Mission control measures drawn on the ground in the camera view: phase
+// lines, objectives (with a marker post) and engagement areas, projected
+// through the operator's heading, pitch and roll
+
+import { destinationPoint, distanceMeters } from '../core/geo.js';
+
+const MAX_AR_RANGE_M = 3000;       // ground graphics beyond this crowd the horizon
+const SAMPLE_STEP_M = 40;
+const MAX_SAMPLES = 300;
+const CIRCLE_POINTS = 48;
+const POST_HEIGHT_M = 20;
+
+const STATUS_COLORS = { UPCOMING: '#00ccff', PASSED: '#888888', BREACHED: '#ff3333' };
+const TYPE_COLORS = { OBJECTIVE: '#3399ff', ENGAGEMENT_AREA: '#ff9900' };
+
+export class TacticalOverlay {
+  constructor() {
+    this.projector = null;
+    this.shapes = [];                // { shape, samples: [{lat, lon}] }
+  }
+
+  /**
+   * @param {Object[]} shapes - tacticalGraphics.getShapes()
+   * @param {import('../perception/geo-projector.js').GeoProjector} projector - Live pose
+   */
+  update(shapes, projector) {
+    this.projector = projector;
+    if (shapes.length !== this.shapes.length || shapes.some((s, i) => this.shapes[i].shape !== s)) {
+      this.shapes = shapes.map(shape => ({ shape, samples: this._sample(shape) }));
+    }
+  }
+
+  render(ctx, w, h, timestamp) {
+    if (!this.projector?.getPosition() || this.shapes.length === 0) return;
+    ctx.save();
+    ctx.font = "bold 9px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+
+    for (const { shape, samples } of this.shapes) {
+      const color = shape.type === 'PHASE_LINE'
+        ? STATUS_COLORS[shape.status] || STATUS_COLORS.UPCOMING
+        : shape.occupied ? '#ff3333' : TYPE_COLORS[shape.type];
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = shape.type === 'PHASE_LINE' ? 2 : 1.5;
+      ctx.setLineDash(shape.type === 'PHASE_LINE' ? [10, 6] : []);
+      ctx.globalAlpha = shape.status === 'PASSED' ? 0.4 : 0.8;
+
+      // Ground outline, broken where points fall behind the camera or out of range
+      let nearest = null;
+      let drawing = false;
+      ctx.beginPath();
+      for (const geo of samples) {
+        const p = this.projector.worldToImage(geo);
+        if (!p || p.range > MAX_AR_RANGE_M) { drawing = false; continue; }
+        const x = p.x * w, y = p.y * h;
+        if (drawing) ctx.lineTo(x, y); else ctx.moveTo(x, y);
+        drawing = true;
+        if (p.x >= 0 && p.x <= 1 && p.y >= 0 && p.y <= 1 && (!nearest || p.range < nearest.range)) {
+          nearest = { x, y, range: p.range };
+        }
+      }
+      ctx.stroke();
+      ctx.setLineDash([]);
+
+      // Objectives get a post so they read at distance
+      let label = nearest;
+      if (shape.center) {
+        const base = this.projector.worldToImage(shape.center);
+        const top = this.projector.worldToImage(shape.center, POST_HEIGHT_M);
+        if (base && top) {
+          ctx.beginPath();
+          ctx.moveTo(base.x * w, base.y * h);
+          ctx.lineTo(top.x * w, top.y * h);
+          ctx.stroke();
+          label = { x: top.x * w, y: top.y * h - 4, range: base.range };
+        }
+      }
+
+      if (label) {
+        const range = label.range >= 1000 ? `${(label.range / 1000).toFixed(1)}km` : `${Math.round(label.range)}m`;
+        const suffix = shape.status === 'PASSED' || shape.status === 'BREACHED' ? ` ${shape.status}` :
+          shape.occupied ? ` (${shape.occupied})` : '';
+        ctx.globalAlpha = 1;
+        ctx.fillText(`${shape.name} ${range}${suffix}`, label.x, label.y - 4);
+      }
+    }
+    ctx.restore();
+  }
+
+  // Outline of a shape as ground points no more than SAMPLE_STEP_M apart
+  _sample(shape) {
+    let outline;
+    if (shape.center) {
+      outline = [];
+      for (let i = 0; i <= CIRCLE_POINTS; i++) {
+        outline.push(destinationPoint(shape.center, i * 360 / CIRCLE_POINTS, shape.radius));
+      }
+      return outline;
+    }
+    outline = shape.type === 'PHASE_LINE' ? shape.points : [...shape.points, shape.points[0]];
+
+    const length = outline.slice(1).reduce((sum, p, i) => sum + distanceMeters(outline[i], p), 0);
+    const step = Math.max(SAMPLE_STEP_M, length / MAX_SAMPLES);
+    const samples = [outline[0]];
+    for (let i = 1; i < outline.length; i++) {
+      const a = outline[i - 1], b = outline[i];
+      const n = Math.max(1, Math.ceil(distanceMeters(a, b) / step));
+      for (let k = 1; k <= n; k++) {
+        samples.push({ lat: a.lat + (b.lat - a.lat) * k / n, lon: a.lon + (b.lon - a.lon) * k / n });
+      }
+    }
+    return samples;
+  }
+}
+
+export const tacticalOverlay = new TacticalOverlay();
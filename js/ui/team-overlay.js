@@ -0,0 +1,110 @@
+// TALOS 2.0 - Team Overlay
+// Renders friendly operators (teammates, CoT users) and teammates' tracks we don't hold
+
+import { distanceMeters, initialBearing } from '../core/geo.js';
+
+const FRIENDLY_COLOR = '#3399ff';
+const MAX_RANGE = 500;               // meters at the display edge (matches drone overlay)
+
+export class TeamOverlay {
+  constructor() {
+    this.self = null;                // { position, heading }
+    this.peers = [];
+    this.tracks = [];
+  }
+
+  update(self, peers, teamTracks) {
+    this.self = self;
+    this.peers = peers || [];
+    // Tracks we already hold locally are drawn by the detection overlay
+    this.tracks = (teamTracks || []).filter(t => t.geo && !t.correlatedWith);
+  }
+
+  render(ctx, w, h, timestamp) {
+    if (!this.self?.position || (this.peers.length === 0 && this.tracks.length === 0)) return;
+    ctx.save();
+
+    const opX = w / 2, opY = h * 0.85;
+
+    for (const track of this.tracks) {
+      this._renderTrack(ctx, track, opX, opY, w, h);
+    }
+    for (const peer of this.peers) {
+      if (peer.position) this._renderOperator(ctx, peer, opX, opY, w, h);
+    }
+
+    ctx.restore();
+  }
+
+  _geoToScreen(geo, opX, opY, w, h) {
+    const range = distanceMeters(this.self.position, geo);
+    const bearing = initialBearing(this.self.position, geo);
+    const maxScreenDist = Math.min(w, h) * 0.4;
+    const screenDist = Math.min(maxScreenDist, (range / MAX_RANGE) * maxScreenDist);
+    const rad = (bearing - (this.self.heading || 0) - 90) * Math.PI / 180;
+    return {
+      x: opX + Math.cos(rad) * screenDist,
+      y: opY + Math.sin(rad) * screenDist,
+      range,
+      clamped: range > MAX_RANGE
+    };
+  }
+
+  _renderOperator(ctx, peer, opX, opY, w, h) {
+    const pos = this._geoToScreen(peer.position, opX, opY, w, h);
+
+    ctx.save();
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = FRIENDLY_COLOR;
+    ctx.fillStyle = FRIENDLY_COLOR;
+    ctx.lineWidth = 1.5;
+
+    // Friendly frame: rectangle
+    ctx.strokeRect(pos.x - 8, pos.y - 5, 16, 10);
+
+    // Heading tick
+    const rad = ((peer.heading || 0) - (this.self.heading || 0) - 90) * Math.PI / 180;
+    ctx.beginPath();
+    ctx.moveTo(pos.x, pos.y);
+    ctx.lineTo(pos.x + Math.cos(rad) * 14, pos.y + Math.sin(rad) * 14);
+    ctx.stroke();
+
+    ctx.font = "8px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    ctx.fillText(peer.callsign, pos.x, pos.y + 16);
+    if (pos.clamped) {
+      ctx.fillText(`${Math.round(pos.range)}m`, pos.x, pos.y + 25);
+    }
+    ctx.restore();
+  }
+
+  _renderTrack(ctx, track, opX, opY, w, h) {
+    const pos = this._geoToScreen(track.geo, opX, opY, w, h);
+    const color = track.classification === 'HOSTILE' ? '#ff3333' :
+                  track.classification === 'FRIENDLY' ? FRIENDLY_COLOR : '#ffaa00';
+
+    ctx.save();
+    ctx.globalAlpha = 0.6;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([3, 2]);
+
+    // Dashed diamond = reported by a teammate, not seen by our own sensors
+    ctx.beginPath();
+    ctx.moveTo(pos.x, pos.y - 6);
+    ctx.lineTo(pos.x + 6, pos.y);
+    ctx.lineTo(pos.x, pos.y + 6);
+    ctx.lineTo(pos.x - 6, pos.y);
+    ctx.closePath();
+    ctx.stroke();
+
+    ctx.setLineDash([]);
+    ctx.fillStyle = color;
+    ctx.font = "7px 'Courier New', monospace";
+    ctx.textAlign = 'center';
+    ctx.fillText(track.teamId, pos.x, pos.y + 14);
+    ctx.restore();
+  }
+}
+
+export const teamOverlay = new TeamOverlay();
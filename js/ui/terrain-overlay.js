@@ -26,6 +26,7 @@ export class TerrainOverlay {
 
     const oakoc = this.terrainData.oakoc;
 
+    this._renderHorizon(ctx, w, h, this.terrainData.ground?.horizon);
     this._renderDeadSpace(ctx, w, h, oakoc.observation?.deadSpace);
     this._renderConcealmentZones(ctx, w, h, oakoc.coverAndConcealment?.concealmentZones);
     this._renderAvenues(ctx, w, h, oakoc.avenues);
@@ -39,6 +40,20 @@ export class TerrainOverlay {
     ctx.restore();
   }
 
+  _renderHorizon(ctx, w, h, horizon) {
+    if (!horizon) return;
+    ctx.save();
+    ctx.globalAlpha = 0.35;
+    ctx.strokeStyle = PRIMARY;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([12, 8]);
+    ctx.beginPath();
+    ctx.moveTo(0, horizon.y0 * h);
+    ctx.lineTo(w, horizon.y1 * h);
+    ctx.stroke();
+    ctx.restore();
+  }
+
   _renderDeadSpace(ctx, w, h, deadSpaces) {
     if (!deadSpaces) return;
     ctx.save();
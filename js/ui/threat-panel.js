@@ -2,15 +2,31 @@
 // Slides up from bottom when user taps a detected entity
 // Shows full METT-TC assessment with drone-centric COAs
 
+// Posterior bar colours per affiliation
+const AFFILIATION_COLORS = { HOSTILE: 'var(--hud-hostile)', CIVILIAN: 'var(--hud-primary)', FRIENDLY: '#3399ff' };
+
 export class ThreatPanel {
   constructor() {
     this.panel = null;
     this.selectedTrackId = null;
     this.visible = false;
+    this.confirmCallback = null;
   }
 
   init() {
     this.panel = document.getElementById('threat-panel');
+    // PID buttons are re-rendered on every refresh; one delegated listener serves them
+    this.panel?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-pid]');
+      if (!button || !this.selectedTrackId) return;
+      e.stopPropagation();
+      this.confirmCallback?.(this.selectedTrackId, button.dataset.pid || null);
+    });
+  }
+
+  // Operator PID buttons: callback(trackId, 'HOSTILE' | 'CIVILIAN' | 'FRIENDLY' | null)
+  onConfirm(callback) {
+    this.confirmCallback = callback;
   }
 
   show(threatData) {
@@ -26,12 +42,13 @@ export class ThreatPanel {
                             threatData.classification === 'UNKNOWN' ? 'var(--hud-caution)' : 'var(--hud-primary)';
     }
 
-    // Threat score
+    // Threat score (bands from the mission's threat profile)
+    const { hostile, unknown } = threatData.profile?.thresholds || { hostile: 0.7, unknown: 0.3 };
     const scoreEl = document.getElementById('tp-threat-level');
     if (scoreEl) {
       scoreEl.textContent = threatData.threatLevel.toFixed(2);
-      scoreEl.style.color = threatData.threatLevel > 0.7 ? 'var(--hud-hostile)' :
-                            threatData.threatLevel > 0.3 ? 'var(--hud-caution)' : 'var(--hud-primary)';
+      scoreEl.style.color = threatData.threatLevel > hostile ? 'var(--hud-hostile)' :
+                            threatData.threatLevel > unknown ? 'var(--hud-caution)' : 'var(--hud-primary)';
     }
 
     // Score bar
@@ -39,7 +56,32 @@ export class ThreatPanel {
     if (barEl) {
       barEl.style.width = (threatData.threatLevel * 100) + '%';
       barEl.className = 'threat-score-fill ' +
-        (threatData.threatLevel > 0.7 ? 'hostile' : threatData.threatLevel > 0.3 ? 'caution' : 'low');
+        (threatData.threatLevel > hostile ? 'hostile' : threatData.threatLevel > unknown ? 'caution' : 'low');
+    }
+
+    // Score trend (sparkline of the track's recent threat level)
+    const trendEl = document.getElementById('tp-trend');
+    if (trendEl) {
+      trendEl.innerHTML = this._renderTrend(threatData.history || [], hostile, unknown);
+    }
+
+    // Classification belief: posterior per affiliation against the ROE's PID thresholds
+    const beliefEl = document.getElementById('tp-belief');
+    if (beliefEl) {
+      beliefEl.innerHTML = threatData.belief ? this._renderBelief(threatData.belief) : '';
+    }
+
+    // Why: each factor's score, weighted contribution and what it was scored on
+    const whyEl = document.getElementById('tp-why');
+    if (whyEl && threatData.factors) {
+      const profile = threatData.profile ? ` <span style="opacity:0.5;">(${escapeHtml(threatData.profile.version)})</span>` : '';
+      whyEl.innerHTML = `<strong>WHY:</strong>${profile}` + threatData.factors.map(f => `
+        <div class="tp-factor">
+          <span class="tp-factor-label">${f.label}</span>
+          <span class="tp-factor-bar"><span style="width:${(f.score * 100).toFixed(0)}%"></span></span>
+          <span class="tp-factor-value">+${f.contribution.toFixed(2)}</span>
+          <span class="tp-factor-basis">${escapeHtml(f.basis)}</span>
+        </div>`).join('');
     }
 
     // Mission impact
@@ -128,7 +170,9 @@ export class ThreatPanel {
       distEl.innerHTML = `
         <span style="color:${zoneColor};font-weight:bold;">${d.meters}m</span> (${d.confidence > 0.7 ? 'high' : 'moderate'} conf)
         | ${m.speed} ${m.heading} | BRG: ${m.bearing}\u00B0
-        ${m.etaToUs !== '--' ? `| ETA: <span style="color:var(--hud-hostile)">${m.etaToUs}</span>` : ''}
+        ${m.closing !== '--' ? `| CLOSING: ${m.closing}` : ''}
+        ${m.etaToUs !== '--' ? `| TCPA: <span style="color:var(--hud-hostile)">${m.etaToUs}</span>` : ''}
+        ${m.closestApproach !== null ? `| CPA: ${m.closestApproach}m` : ''}
         ${m.onAvenue ? `| <span style="color:var(--hud-caution)">[${m.onAvenue}]</span>` : ''}
       `;
     }
@@ -189,6 +233,55 @@ export class ThreatPanel {
     this.panel.classList.add('visible');
   }
 
+  // Sparkline with the UNKNOWN and HOSTILE thresholds, plus the change over
+  // the window
+  _renderTrend(history, hostile, unknown) {
+    if (history.length < 2) return '';
+    const t0 = history[0].t;
+    const span = Math.max(1, history[history.length - 1].t - t0);
+    const points = history
+      .map(p => `${((p.t - t0) / span * 100).toFixed(1)},${((1 - p.threatLevel) * 24).toFixed(1)}`)
+      .join(' ');
+    const delta = history[history.length - 1].threatLevel - history[0].threatLevel;
+    const hostileY = ((1 - hostile) * 24).toFixed(1);
+    const unknownY = ((1 - unknown) * 24).toFixed(1);
+    const deltaColor = delta > 0.05 ? 'var(--hud-hostile)' : delta < -0.05 ? 'var(--hud-primary)' : 'inherit';
+    return `<svg class="tp-sparkline" viewBox="0 0 100 24" preserveAspectRatio="none">
+        <line x1="0" y1="${hostileY}" x2="100" y2="${hostileY}" stroke="var(--hud-hostile)" stroke-width="0.5" stroke-dasharray="2 2" vector-effect="non-scaling-stroke"/>
+        <line x1="0" y1="${unknownY}" x2="100" y2="${unknownY}" stroke="var(--hud-caution)" stroke-width="0.5" stroke-dasharray="2 2" vector-effect="non-scaling-stroke"/>
+        <polyline points="${points}" fill="none" stroke="var(--hud-primary)" stroke-width="1.5" vector-effect="non-scaling-stroke"/>
+      </svg>
+      <div style="font-size:9px;opacity:0.7;">TREND ${Math.round(span / 1000)}s:
+        <span style="color:${deltaColor};">${delta >= 0 ? '+' : ''}${delta.toFixed(2)}</span></div>`;
+  }
+
+  _renderBelief(belief) {
+    const status = belief.confirmed ? `OPERATOR PID ${belief.confirmed}` :
+      belief.pending ? `\u2192 ${belief.pending.label} PENDING` : 'EVIDENCE';
+    let html = `<strong>PID:</strong> <span style="opacity:0.6;">${belief.roe} | ${status}</span>`;
+    for (const [label, p] of Object.entries(belief.posterior)) {
+      const threshold = belief.thresholds[label];
+      html += `
+        <div class="tp-belief">
+          <span class="tp-factor-label">${label}</span>
+          <span class="tp-belief-bar">
+            <span style="width:${(p * 100).toFixed(0)}%;background:${AFFILIATION_COLORS[label]};"></span>
+            <i style="left:${(threshold * 100).toFixed(0)}%;"></i>
+          </span>
+          <span class="tp-factor-value">${(p * 100).toFixed(0)}%</span>
+        </div>`;
+    }
+    if (belief.evidence.length) {
+      html += `<div style="font-size:9px;opacity:0.6;">${belief.evidence.map(e => `${e.source}: ${escapeHtml(e.basis)}`).join(' | ')}</div>`;
+    }
+    html += `<div class="tp-pid-buttons">
+        ${['HOSTILE', 'CIVILIAN', 'FRIENDLY'].map(label =>
+          `<button data-pid="${label}" class="${belief.confirmed === label ? 'active' : ''}">${label}</button>`).join('')}
+        ${belief.confirmed ? '<button data-pid="">RELEASE</button>' : ''}
+      </div>`;
+    return html;
+  }
+
   hide() {
     if (this.panel) {
       this.panel.classList.remove('visible');
@@ -202,3 +295,9 @@ export class ThreatPanel {
 }
 
 export const threatPanel = new ThreatPanel();
+
+// Factor bases can quote intel source names
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
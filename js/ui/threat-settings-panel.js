@@ -0,0 +1,164 @@
+// TALOS 2.0 - Threat Model Settings
+// Operator tuning of the threat model per mission type: factor weights and
+// the UNKNOWN / HOSTILE thresholds. Saved values persist per mission type
+// (threatProfiles) and apply at once if that profile is active.
+
+import { FACTOR_LABELS, threatProfiles } from '../intel/threat-profiles.js';
+
+const WEIGHT_MAX = 0.4;
+
+export class ThreatSettingsPanel {
+  constructor() {
+    this.panel = null;
+    this.visible = false;
+    this.profileId = null;
+  }
+
+  init() {
+    this.panel = document.createElement('div');
+    this.panel.id = 'threat-settings-panel';
+    this.panel.style.cssText = `
+      position:fixed; top:0; left:0; width:100%; height:100%; z-index:61;
+      background:rgba(0,0,0,0.95); display:none; overflow-y:auto;
+      font-family:'Courier New',monospace; color:#00ffcc; padding:20px 16px;
+    `;
+    document.body.appendChild(this.panel);
+  }
+
+  // Open on the active mission's profile (first mission type without one)
+  show() {
+    if (!this.panel) return;
+    const active = threatProfiles.getActive();
+    this.profileId = threatProfiles.list().includes(active.id) ? active.id : threatProfiles.list()[0];
+    this._render(threatProfiles.get(this.profileId));
+    this.panel.style.display = 'block';
+    this.visible = true;
+  }
+
+  hide() {
+    if (this.panel) {
+      this.panel.style.display = 'none';
+      this.visible = false;
+    }
+  }
+
+  isVisible() { return this.visible; }
+
+  _render(profile) {
+    const active = threatProfiles.getActive();
+    let html = `
+      <div style="text-align:center;margin-bottom:16px;">
+        <div style="font-size:18px;font-weight:bold;letter-spacing:4px;text-shadow:0 0 10px rgba(0,255,204,0.5);">THREAT MODEL</div>
+        <div style="font-size:10px;opacity:0.5;margin-top:4px;">FACTOR WEIGHTS AND THRESHOLDS PER MISSION</div>
+      </div>
+      <select id="ts-profile" style="
+        width:100%; background:#000; color:#00ffcc; border:1px solid rgba(0,255,204,0.3);
+        font-family:'Courier New',monospace; font-size:12px; padding:6px;
+      ">
+        ${threatProfiles.list().map(id => `<option value="${id}" ${id === profile.id ? 'selected' : ''}>${threatProfiles.get(id).label}</option>`).join('')}
+      </select>
+      <div style="font-size:9px;opacity:0.6;margin:6px 0 12px;">
+        VERSION ${profile.version}${profile.customized ? ' (OPERATOR)' : ' (DOCTRINE)'}${profile.id === active.id ? ' | ACTIVE' : ''}
+      </div>
+    `;
+
+    for (const [key, label] of Object.entries(FACTOR_LABELS)) {
+      html += this._slider(`ts-w-${key}`, label, profile.weights[key] || 0, 0, WEIGHT_MAX);
+    }
+    html += `<div id="ts-weight-total" style="font-size:9px;opacity:0.6;margin:4px 0 12px;"></div>`;
+    html += this._slider('ts-t-unknown', 'UNKNOWN >', profile.thresholds.unknown, 0.05, 0.95);
+    html += this._slider('ts-t-hostile', 'HOSTILE >', profile.thresholds.hostile, 0.05, 0.95);
+    html += `<div id="ts-error" style="font-size:10px;color:var(--hud-hostile);min-height:14px;margin-top:6px;"></div>`;
+
+    html += `
+      <div style="text-align:center;margin-top:14px;">
+        <button id="ts-save-btn" style="
+          background:none; border:2px solid #00ffcc; color:#00ffcc;
+          padding:8px 24px; font-family:'Courier New',monospace;
+          font-size:12px; letter-spacing:3px; cursor:pointer;
+        ">SAVE</button>
+        <button id="ts-defaults-btn" style="
+          background:none; border:1px solid rgba(0,255,204,0.4); color:#00ffcc;
+          padding:8px 16px; font-family:'Courier New',monospace;
+          font-size:10px; letter-spacing:2px; cursor:pointer; margin-left:8px;
+        ">DOCTRINE</button>
+      </div>
+      <div style="text-align:center;margin-top:10px;">
+        <button id="ts-close-btn" style="
+          background:none; border:1px solid rgba(255,255,255,0.2); color:#666;
+          padding:6px 20px; font-family:'Courier New',monospace;
+          font-size:10px; cursor:pointer; letter-spacing:2px;
+        ">CLOSE</button>
+      </div>
+    `;
+
+    this.panel.innerHTML = html;
+    this._updateReadouts();
+
+    this.panel.querySelectorAll('input[type=range]').forEach(input => {
+      input.addEventListener('input', () => this._updateReadouts());
+    });
+
+    this.panel.querySelector('#ts-profile')?.addEventListener('change', (e) => {
+      this.profileId = e.target.value;
+      this._render(threatProfiles.get(this.profileId));
+    });
+
+    this.panel.querySelector('#ts-save-btn')?.addEventListener('click', () => {
+      const saved = threatProfiles.save(this.profileId, this._readValues());
+      if (saved) {
+        this._render(saved);
+      } else {
+        const errorEl = this.panel.querySelector('#ts-error');
+        if (errorEl) errorEl.textContent = 'NEEDS A WEIGHT > 0 AND UNKNOWN < HOSTILE';
+      }
+    });
+
+    // Back to the doctrinal values (drops the operator override)
+    this.panel.querySelector('#ts-defaults-btn')?.addEventListener('click', () => {
+      this._render(threatProfiles.reset(this.profileId));
+    });
+
+    this.panel.querySelector('#ts-close-btn')?.addEventListener('click', () => {
+      this.hide();
+    });
+  }
+
+  _slider(id, label, value, min, max) {
+    return `
+      <div style="display:flex;align-items:center;gap:8px;font-size:10px;margin:3px 0;">
+        <span style="width:80px;">${label}</span>
+        <input id="${id}" type="range" min="${min}" max="${max}" step="0.01" value="${value}" style="flex:1;accent-color:#00ffcc;">
+        <span id="${id}-value" style="width:36px;text-align:right;"></span>
+      </div>
+    `;
+  }
+
+  _readValues() {
+    const read = (id) => Number(this.panel.querySelector(`#${id}`)?.value || 0);
+    const weights = {};
+    for (const key of Object.keys(FACTOR_LABELS)) weights[key] = read(`ts-w-${key}`);
+    return {
+      weights,
+      thresholds: { unknown: read('ts-t-unknown'), hostile: read('ts-t-hostile') }
+    };
+  }
+
+  // Weights show their share after normalization; thresholds their value
+  _updateReadouts() {
+    const { weights, thresholds } = this._readValues();
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    for (const [key, w] of Object.entries(weights)) {
+      const el = this.panel.querySelector(`#ts-w-${key}-value`);
+      if (el) el.textContent = total > 0 ? `${Math.round(w / total * 100)}%` : '--';
+    }
+    for (const key of ['unknown', 'hostile']) {
+      const el = this.panel.querySelector(`#ts-t-${key}-value`);
+      if (el) el.textContent = thresholds[key].toFixed(2);
+    }
+    const totalEl = this.panel.querySelector('#ts-weight-total');
+    if (totalEl) totalEl.textContent = `RAW TOTAL ${total.toFixed(2)} - NORMALIZED TO 100% ON SAVE`;
+  }
+}
+
+export const threatSettingsPanel = new ThreatSettingsPanel();
@@ -1,13 +1,90 @@
-const CACHE_NAME = 'talos-v1';
+// App shell: every file the app loads, so it starts with no network once installed.
+const CACHE_NAME = 'talos-v2';
+// Verified models and runtimes, written by js/perception/model-assets.js (kept across shell versions)
+const MODEL_CACHE = 'talos-models';
+// Offline map tiles (js/core/map-tiles.js); every version is operator data, never dropped
+const MAP_CACHE_PREFIX = 'talos-map';
 const ASSETS = [
-  '/',
-  '/index.html',
-  '/css/hud.css',
-  '/js/app.js',
-  '/js/core/camera.js',
-  '/js/core/renderer.js',
-  '/js/core/performance.js',
-  '/manifest.json'
+  './',
+  './index.html',
+  './css/hud.css',
+  './manifest.json',
+  './js/app.js',
+  './js/core/camera.js',
+  './js/core/clock.js',
+  './js/core/geo.js',
+  './js/core/grid-frame.js',
+  './js/core/map-tiles.js',
+  './js/core/mgrs.js',
+  './js/core/performance.js',
+  './js/core/prng.js',
+  './js/core/renderer.js',
+  './js/core/session-recorder.js',
+  './js/core/session-replay.js',
+  './js/core/speech.js',
+  './js/cot/cot-bridge.js',
+  './js/cot/cot.js',
+  './js/drones/drone-manager.js',
+  './js/drones/drone-tasking.js',
+  './js/drones/drone-types.js',
+  './js/drones/flight-model.js',
+  './js/drones/mavlink-bridge.js',
+  './js/drones/mavlink.js',
+  './js/intel/civil-analyzer.js',
+  './js/intel/classification-belief.js',
+  './js/intel/enemy-analyzer.js',
+  './js/intel/intel-registry.js',
+  './js/intel/maven-mock.js',
+  './js/intel/osint-feeds.js',
+  './js/intel/scenario-format.js',
+  './js/intel/scenarios/msr-tampa.js',
+  './js/intel/scene-classifier.js',
+  './js/intel/sources/cot-source.js',
+  './js/intel/sources/file-source.js',
+  './js/intel/sources/intel-source.js',
+  './js/intel/sources/maven-mock-source.js',
+  './js/intel/sources/websocket-source.js',
+  './js/intel/terrain-analyzer.js',
+  './js/intel/threat-engine.js',
+  './js/intel/threat-profiles.js',
+  './js/knowledge/army-branches.js',
+  './js/mission/mission-context.js',
+  './js/mission/tactical-graphics.js',
+  './js/mission/time-manager.js',
+  './js/perception/appearance.js',
+  './js/perception/depth-fusion.js',
+  './js/perception/depth.js',
+  './js/perception/detector.js',
+  './js/perception/ego-motion.js',
+  './js/perception/geo-projector.js',
+  './js/perception/ground-plane.js',
+  './js/perception/model-assets.js',
+  './js/perception/model-registry.js',
+  './js/perception/night-vision.js',
+  './js/perception/perception-pipeline.js',
+  './js/perception/perception-service.js',
+  './js/perception/perception-worker.js',
+  './js/perception/segmentor.js',
+  './js/perception/sky-detector.js',
+  './js/perception/tracker.js',
+  './js/suit/suit-status.js',
+  './js/team/team-sync.js',
+  './js/ui/civilian-overlay.js',
+  './js/ui/drone-command-panel.js',
+  './js/ui/drone-overlay.js',
+  './js/ui/geo-track-overlay.js',
+  './js/ui/hud-elements.js',
+  './js/ui/hud-overlays.js',
+  './js/ui/minimap-overlay.js',
+  './js/ui/mission-panel.js',
+  './js/ui/osint-overlay.js',
+  './js/ui/suit-overlay.js',
+  './js/ui/tactical-overlay.js',
+  './js/ui/team-overlay.js',
+  './js/ui/terrain-overlay.js',
+  './js/ui/threat-panel.js',
+  './js/ui/threat-settings-panel.js',
+  './js/ui/touch-handler.js'
 ];
 
 self.addEventListener('install', e => {
@@ -20,22 +97,27 @@ self.addEventListener('install', e => {
 self.addEventListener('activate', e => {
   e.waitUntil(
     caches.keys().then(keys =>
-      Promise.all(keys.filter(k => k !== CACHE_NAME).map(k => caches.delete(k)))
+      Promise.all(keys.filter(k => k !== CACHE_NAME && k !== MODEL_CACHE && !k.startsWith(MAP_CACHE_PREFIX)).map(k => caches.delete(k)))
     )
   );
   self.clients.claim();
 });
 
 self.addEventListener('fetch', e => {
-  // Network-first for model files from HuggingFace (large, cross-origin)
-  if (e.request.url.includes('huggingface.co')) {
-    e.respondWith(
-      fetch(e.request).catch(() => caches.match(e.request))
-    );
-    return;
-  }
-  // Cache-first for app shell
+  if (e.request.method !== 'GET') return;
+
+  // Cache-first everywhere: models and runtimes are only cached once verified
   e.respondWith(
-    caches.match(e.request).then(cached => cached || fetch(e.request))
+    caches.match(e.request).then(cached => {
+      if (cached) return cached;
+      return fetch(e.request).then(resp => {
+        // Same-origin files outside the shell list (scenarios, detector manifests)
+        if (resp.ok && new URL(e.request.url).origin === self.location.origin) {
+          const copy = resp.clone();
+          caches.open(CACHE_NAME).then(cache => cache.put(e.request, copy));
+        }
+        return resp;
+      });
+    })
   );
 });